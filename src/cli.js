@@ -2,7 +2,7 @@
  * Commander CLI with lazy-loaded subcommands.
  */
 
-import { Command } from 'commander';
+import { Command, InvalidArgumentError } from 'commander';
 import { readFileSync } from 'node:fs';
 import { fileURLToPath } from 'node:url';
 import { dirname, join } from 'node:path';
@@ -12,24 +12,92 @@ const pkg = JSON.parse(readFileSync(join(__dirname, '..', 'package.json'), 'utf-
 
 export const program = new Command();
 
+function parseConfidence(value) {
+  const n = Number(value);
+  if (value === '' || !(n >= 0 && n <= 1)) throw new InvalidArgumentError('Expected a number from 0 to 1.');
+  return n;
+}
+
+function parseJobs(value) {
+  if (value === 'auto') return value;
+  if (!/^\d+$/.test(value)) throw new InvalidArgumentError('Expected a whole number of threads, 0 or auto.');
+  return Number(value);
+}
+
+// The commands that read --min-confidence and --dispatch; `diff`, the
+// blast-radius command, also answers to `impact`
+export const EDGE_FILTER_COMMANDS = ['uses', 'dead', 'trace', 'affected-tests', 'diff'];
+const edgeFilterNote = `applies to ${EDGE_FILTER_COMMANDS.map(c => (c === 'diff' ? 'diff/impact' : c)).join(', ')}`;
+
 program
   .name('roam')
   .description('Roam: Codebase comprehension tool.')
   .version(pkg.version)
   .option('--json', 'Output in JSON format')
-  .option('--compact', 'Compact output: TSV tables, minimal JSON envelope');
+  .option('--compact', 'Compact output: TSV tables, minimal JSON envelope')
+  .option('--min-confidence <n>',
+    `Ignore edges resolved with lower confidence, 0-1 (${edgeFilterNote})`, parseConfidence)
+  .option('--dispatch',
+    `Follow calls on base and interface methods to their overrides and implementations (${edgeFilterNote})`);
 
 // Index command (Phase 1)
-program
+const index = program
   .command('index')
   .description('Build or rebuild the codebase index.')
   .option('--force', 'Force full reindex')
   .option('--verbose', 'Show detailed warnings during indexing')
+  .option('-j, --jobs <n>', 'Parse worker threads (default 1, 0 = one per CPU)', parseJobs)
+  .option('--rev <commit>', 'Index a git revision without checking it out')
+  .option('--db <path>', 'Database file to write (default .roam/index.db, or .roam/index-<commit>.db with --rev)')
+  .option('--scope <path>', 'Only index this directory (repeatable; remembered by later runs, `--scope .` clears)',
+    (v, prev) => [...(prev || []), v])
+  .option('--progress <format>', 'Progress output: text (default) or json (NDJSON events on stderr)')
   .action(async (opts) => {
     const mod = await import('./commands/cmd-index.js');
     await mod.execute(opts, program.opts());
   });
 
+index
+  .command('export')
+  .description('Write the index to a compressed bundle (DB, commit, roam/schema version)')
+  .argument('<file>', 'Bundle file to write')
+  .option('--db <path>', 'Database file to export (default .roam/index.db)')
+  .action(async (file, opts) => {
+    const mod = await import('./commands/cmd-index.js');
+    await mod.executeExport({ ...opts, file }, program.opts());
+  });
+
+index
+  .command('import')
+  .description('Replace the index with a bundle, then re-index local changes incrementally')
+  .argument('<file>', 'Bundle file to read')
+  .option('--verbose', 'Show detailed warnings during the incremental pass')
+  .option('-j, --jobs <n>', 'Parse worker threads (default 1, 0 = one per CPU)', parseJobs)
+  .action(async (file, opts) => {
+    const mod = await import('./commands/cmd-index.js');
+    await mod.executeImport({ ...opts, file }, program.opts());
+  });
+
+program
+  .command('watch')
+  .description('Watch the project and re-index incrementally on changes.')
+  .option('--debounce <ms>', 'Quiet period before re-indexing (default 300)', (v) => parseInt(v, 10))
+  .option('-j, --jobs <n>', 'Parse worker threads (default 1, 0 = one per CPU)', parseJobs)
+  .option('--verbose', 'Log each relevant change')
+  .action(async (opts) => {
+    const mod = await import('./commands/cmd-watch.js');
+    await mod.execute(opts, program.opts());
+  });
+
+program
+  .command('doctor')
+  .description('Check index integrity and the indexing environment; exits 1 on problems')
+  .option('--db <path>', 'Database file to check (default .roam/index.db)')
+  .action(async (opts) => {
+    const mod = await import('./commands/cmd-doctor.js');
+    await mod.execute(opts, program.opts());
+  });
+
 // Health command (Phase 2)
 program
   .command('health')
@@ -100,6 +168,17 @@ program
     await mod.execute({ ...opts, name }, program.opts());
   });
 
+// External
+program
+  .command('external')
+  .description('List third-party packages and check them against dependency manifests')
+  .option('-e, --ecosystem <name>', 'Only this ecosystem (npm, pypi, go, cargo)')
+  .option('--full', 'Show all results without truncation')
+  .action(async (opts) => {
+    const mod = await import('./commands/cmd-external.js');
+    await mod.execute(opts, program.opts());
+  });
+
 // Weather
 program
   .command('weather')
@@ -169,6 +248,7 @@ program
 // Diff
 program
   .command('diff')
+  .alias('impact')
   .description('Analyze blast radius and test impact of changed files')
   .argument('[commit_range]', 'Git commit range')
   .option('--staged', 'Analyze staged changes only')
@@ -449,6 +529,7 @@ workspace
   .description('Index all repositories in the workspace')
   .option('--force', 'Force full reindex')
   .option('--verbose', 'Show detailed output')
+  .option('-j, --jobs <n>', 'Parse worker threads (default 1, 0 = one per CPU)', parseJobs)
   .action(async (opts) => {
     const mod = await import('./workspace/commands.js');
     await mod.executeIndex(opts, program.opts());
@@ -6,7 +6,7 @@ import { openDb, batchedIn } from '../db/connection.js';
 import { ensureIndex } from './resolve.js';
 import { formatTable, jsonEnvelope, toJson } from '../output/formatter.js';
 import { getChangedFiles, resolveChangedToDb } from './changed-files.js';
-import { buildReverseAdj, bfsReachable } from './graph-helpers.js';
+import { buildReverseAdj, bfsReachable, dispatchBases } from './graph-helpers.js';
 import { findProjectRoot } from '../db/connection.js';
 import { isTest } from '../index/file-roles.js';
 import { dirname } from 'node:path';
@@ -20,6 +20,8 @@ export async function execute(opts, globalOpts) {
     const commitRange = opts.commitRange || null;
     const transitive = opts.transitive || false;
     const maxDepth = transitive ? 8 : 2;
+    const minConfidence = globalOpts.minConfidence || 0;
+    const dispatch = globalOpts.dispatch || false;
 
     const root = findProjectRoot();
     const changedPaths = getChangedFiles(root, { staged, commitRange });
@@ -57,7 +59,8 @@ export async function execute(opts, globalOpts) {
     const symIds = symbolsInChanged.map(s => s.id);
 
     if (symIds.length) {
-      // Direct test callers
+      // Direct test callers, and with dispatch, callers of the methods they override
+      const directIds = dispatch ? [...symIds, ...dispatchBases(db, symIds, { minConfidence })] : symIds;
       const directTests = batchedIn(
         db,
         `SELECT DISTINCT f.path, s2.name as changed_sym
@@ -66,8 +69,10 @@ export async function execute(opts, globalOpts) {
          JOIN files f ON s.file_id = f.id
          JOIN symbols s2 ON e.target_id = s2.id
          WHERE e.target_id IN ({ph})
-           AND (f.path LIKE '%test%' OR f.path LIKE '%spec%')`,
-        symIds,
+           AND (f.path LIKE '%test%' OR f.path LIKE '%spec%')
+           AND COALESCE(e.confidence, 1) >= ?`,
+        directIds,
+        { post: [minConfidence] },
       );
 
       for (const t of directTests) {
@@ -78,7 +83,7 @@ export async function execute(opts, globalOpts) {
 
     // 2. Transitive: tests reachable via dependency chain
     if (transitive && symIds.length) {
-      const revAdj = buildReverseAdj(db);
+      const revAdj = buildReverseAdj(db, { minConfidence, dispatch });
       const reachable = bfsReachable(revAdj, new Set(symIds), maxDepth);
 
       if (reachable.size > 0) {
@@ -10,11 +10,22 @@ import { batchedIn } from '../db/connection.js';
 import { isTest } from '../index/file-roles.js';
 import { dirname } from 'node:path';
 import { createSarifLog, addRun, writeSarif, deadCodeToSarif } from '../output/sarif.js';
+import { dispatchBases } from './graph-helpers.js';
 
 // Exclusion patterns
 const EXCLUDED_NAMES = new Set(['__init__', '__main__', 'main', 'setup', 'teardown']);
 const EXCLUDED_PREFIXES = ['_', 'test_', 'Test'];
 
+// Framework entry points: routers call controller actions, so a class that
+// derives, directly or through project classes, from one of these bases needs
+// no caller, and neither do its methods. Bases are matched as the extractor
+// records them, fully qualified, without a leading `\`.
+const ENTRY_POINT_BASES = new Set([
+  'ActionController::Base', 'ActionController::API', // Rails
+  'Illuminate\\Routing\\Controller', // Laravel
+  'Symfony\\Bundle\\FrameworkBundle\\Controller\\AbstractController', // Symfony
+]);
+
 export async function execute(opts, globalOpts) {
   ensureIndex();
   const db = openDb({ readonly: true });
@@ -28,13 +39,21 @@ export async function execute(opts, globalOpts) {
     const showEffort = opts.effort || false;
     const showDecay = opts.decay || false;
     const showClusters = opts.clusters || false;
+    const minConfidence = globalOpts.minConfidence || 0;
+
+    let candidates = db.prepare(UNREFERENCED_EXPORTS).all(minConfidence);
 
-    let candidates = db.prepare(UNREFERENCED_EXPORTS).all();
+    // Overrides of a method something calls may run in its place
+    if (globalOpts.dispatch) {
+      candidates = candidates.filter(s => !_reachedByDispatch(db, s, minConfidence));
+    }
 
-    // Filter out test symbols and excluded names
+    // Filter out test symbols, excluded names and framework entry points
     if (!showAll) {
+      const entryPoints = frameworkEntryPoints(db);
       candidates = candidates.filter(s => {
         if (isTest(s.file_path)) return false;
+        if (entryPoints.has(s.id)) return false;
         if (EXCLUDED_NAMES.has(s.name)) return false;
         if (EXCLUDED_PREFIXES.some(p => s.name.startsWith(p))) return false;
         return true;
@@ -43,7 +62,7 @@ export async function execute(opts, globalOpts) {
 
     // Confidence scoring
     for (const s of candidates) {
-      s._confidence = _computeConfidence(db, s);
+      s._confidence = _computeConfidence(db, s, minConfidence);
     }
 
     // Sort by confidence descending
@@ -196,25 +215,78 @@ export async function execute(opts, globalOpts) {
   }
 }
 
-function _computeConfidence(db, sym) {
+/**
+ * Classes deriving from an ENTRY_POINT_BASES class, and their methods.
+ * @param {import('better-sqlite3').Database} db
+ * @returns {Set<number>} symbol ids
+ */
+export function frameworkEntryPoints(db) {
+  const segments = name => name.split(/::|\\/);
+  const supertypes = new Map(); // class -> the types it extends
+  for (const { source_name: cls, target_name: base } of db.prepare(
+    "SELECT DISTINCT source_name, target_name FROM refs WHERE kind = 'inherits' AND source_name IS NOT NULL"
+  ).all()) {
+    if (!supertypes.has(cls)) supertypes.set(cls, []);
+    supertypes.get(cls).push(base.replace(/^\\/, ''));
+  }
+  // A superclass named relative to its namespace is found by its last segment
+  const bySimpleName = new Map();
+  for (const cls of supertypes.keys()) bySimpleName.set(segments(cls).pop(), cls);
+
+  const entry = new Map(); // class -> whether it derives from an entry-point base
+  const isEntry = (cls) => {
+    if (entry.has(cls)) return entry.get(cls);
+    entry.set(cls, false); // Inheritance cycles end here
+    const found = (supertypes.get(cls) || []).some(base => ENTRY_POINT_BASES.has(base)
+      || isEntry(supertypes.has(base) ? base : bySimpleName.get(segments(base).pop()) || base));
+    entry.set(cls, found);
+    return found;
+  };
+
+  const ids = new Set();
+  for (const sym of db.prepare("SELECT id, kind, qualified_name FROM symbols WHERE kind IN ('class', 'method')").all()) {
+    const qn = sym.qualified_name || '';
+    const owner = sym.kind === 'class' ? qn : qn.replace(/(?:::|#|\.)[^:#.\\]+$/, '');
+    if (isEntry(owner)) ids.add(sym.id);
+  }
+  return ids;
+}
+
+function _computeConfidence(db, sym, minConfidence = 0) {
   // 100% = no incoming edges at all
-  const incoming = db.prepare('SELECT COUNT(*) as cnt FROM edges WHERE target_id = ?').get(sym.id);
+  const incoming = db.prepare(
+    'SELECT COUNT(*) as cnt FROM edges WHERE target_id = ? AND COALESCE(confidence, 1) >= ?'
+  ).get(sym.id, minConfidence);
   if (incoming.cnt === 0) {
     // Check if it's used in any string/dynamic reference
     const nameRefs = db.prepare(
-      "SELECT COUNT(*) as cnt FROM edges WHERE target_id IN (SELECT id FROM symbols WHERE name = ? AND id != ?)"
-    ).get(sym.name, sym.id);
+      `SELECT COUNT(*) as cnt FROM edges WHERE target_id IN (SELECT id FROM symbols WHERE name = ? AND id != ?)
+       AND COALESCE(confidence, 1) >= ?`
+    ).get(sym.name, sym.id, minConfidence);
     if (nameRefs.cnt > 0) return 70; // might be used via another symbol with same name
     return 100;
   }
   // Has some edges but only import edges = 80%
   const nonImport = db.prepare(
-    "SELECT COUNT(*) as cnt FROM edges WHERE target_id = ? AND kind != 'import'"
-  ).get(sym.id);
+    "SELECT COUNT(*) as cnt FROM edges WHERE target_id = ? AND kind != 'import' AND COALESCE(confidence, 1) >= ?"
+  ).get(sym.id, minConfidence);
   if (nonImport.cnt === 0) return 80;
   return 60;
 }
 
+function _reachedByDispatch(db, sym, minConfidence) {
+  const bases = [...dispatchBases(db, [sym.id], { minConfidence })];
+  if (!bases.length) return false;
+  const called = batchedIn(
+    db,
+    `SELECT 1 FROM edges WHERE target_id IN ({ph})
+     AND kind NOT IN ('overrides', 'implements_method') AND COALESCE(confidence, 1) >= ? LIMIT 1`,
+    bases,
+    { post: [minConfidence] },
+  );
+  return called.length > 0;
+}
+
 function _getSymbolAge(db, sym) {
   try {
     const row = db.prepare(
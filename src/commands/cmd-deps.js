@@ -4,6 +4,7 @@
 
 import { openDb } from '../db/connection.js';
 import { FILE_BY_PATH, FILE_IMPORTS, FILE_IMPORTED_BY } from '../db/queries.js';
+import { parsePackageStubPath } from '../index/packages.js';
 import { ensureIndex } from './resolve.js';
 import { formatTable, jsonEnvelope, toJson } from '../output/formatter.js';
 
@@ -47,6 +48,7 @@ export async function execute(opts, globalOpts) {
           path: f.path,
           symbol_count: f.symbol_count || 0,
           used_symbols: [...(usedSymbols.get(f.id) || [])],
+          ...(f.file_role === 'external' ? { external: true } : {}),
         })),
         imported_by: importedBy.map(f => ({
           path: f.path,
@@ -66,7 +68,10 @@ export async function execute(opts, globalOpts) {
             const names = [...used];
             usedStr = names.length <= 5 ? names.join(', ') : names.slice(0, 5).join(', ') + ` +${names.length - 5}`;
           }
-          return [f.path, f.symbol_count || 0, usedStr];
+          // Stubs stand in for third-party packages and files outside the indexed scope
+          let path = f.path;
+          if (f.file_role === 'external') path += parsePackageStubPath(f.path) ? ' (package)' : ' (out of scope)';
+          return [path, f.symbol_count || 0, usedStr];
         });
         console.log(formatTable(headers, rows, full ? 0 : 30));
       } else {
@@ -18,6 +18,8 @@ export async function execute(opts, globalOpts) {
   const db = openDb({ readonly: true });
   try {
     const jsonMode = globalOpts.json || false;
+    const minConfidence = globalOpts.minConfidence || 0;
+    const dispatch = globalOpts.dispatch || false;
     const full = opts.full || false;
     const showTests = opts.tests || false;
     const showCoupling = opts.coupling || false;
@@ -53,7 +55,7 @@ export async function execute(opts, globalOpts) {
     }
 
     // Blast radius via reverse BFS
-    const revAdj = buildReverseAdj(db);
+    const revAdj = buildReverseAdj(db, { minConfidence, dispatch });
     const exportedIds = new Set(changedSymbols.filter(s => s.is_exported).map(s => s.id));
     const blastReachable = exportedIds.size > 0 ? bfsReachable(revAdj, exportedIds, 8) : new Set();
 
@@ -79,7 +81,7 @@ export async function execute(opts, globalOpts) {
     // Test impact
     let affectedTests = [];
     if (showTests && exportedIds.size > 0) {
-      affectedTests = getAffectedTestsBfs(db, [...exportedIds], 8);
+      affectedTests = getAffectedTestsBfs(db, [...exportedIds], 8, { minConfidence, dispatch });
       // Also add colocated tests
       for (const { path } of resolved) {
         const dir = path.replace(/\/[^/]+$/, '/');
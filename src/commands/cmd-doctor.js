@@ -0,0 +1,43 @@
+/**
+ * Diagnose index integrity and the indexing environment.
+ */
+
+import { resolve } from 'node:path';
+import { findProjectRoot } from '../db/connection.js';
+import { runDoctor, PROBLEM_STATUSES } from '../index/doctor.js';
+import { formatTable, toJson, jsonEnvelope } from '../output/formatter.js';
+
+const STATUS_LABELS = { ok: 'OK', info: 'INFO', warn: 'WARN', fail: 'FAIL' };
+
+/**
+ * Execute the doctor command. Exits non-zero when a check finds a problem.
+ * @param {object} opts - Command-specific options
+ * @param {object} globalOpts - Global CLI options
+ */
+export async function execute(opts, globalOpts = {}) {
+  const jsonMode = globalOpts.json || false;
+  const root = findProjectRoot();
+  const checks = await runDoctor(root, { dbPath: opts.db ? resolve(opts.db) : null });
+
+  const counts = { ok: 0, info: 0, warn: 0, fail: 0 };
+  for (const c of checks) counts[c.status]++;
+  const problems = checks.filter(c => PROBLEM_STATUSES.has(c.status));
+  const verdict = problems.length
+    ? `${problems.length} problem${problems.length === 1 ? '' : 's'} found`
+    : 'no problems found';
+
+  if (jsonMode) {
+    console.log(toJson(jsonEnvelope('doctor', {
+      summary: { verdict, healthy: problems.length === 0, ...counts },
+      checks,
+    })));
+  } else {
+    console.log(`VERDICT: ${verdict}\n`);
+    console.log(formatTable(
+      ['Status', 'Check', 'Detail'],
+      checks.map(c => [STATUS_LABELS[c.status], c.name, c.detail]),
+    ));
+  }
+
+  if (problems.length) process.exitCode = 1;
+}
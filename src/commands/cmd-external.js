@@ -0,0 +1,88 @@
+/**
+ * roam external — Third-party packages the code imports, checked against
+ * the dependency manifests.
+ */
+
+import { openDb, findProjectRoot } from '../db/connection.js';
+import { readFromDisk } from '../index/project-config.js';
+import { discoverFiles } from '../index/discovery.js';
+import { loadScope } from '../index/scope.js';
+import { ECOSYSTEMS, usedPackages, readManifests, checkManifests, manifestCovers, manifestEcosystem } from '../index/packages.js';
+import { ensureIndex } from './resolve.js';
+import { formatTable, jsonEnvelope, toJson } from '../output/formatter.js';
+
+export async function execute(opts, globalOpts) {
+  const ecosystem = opts.ecosystem || null;
+  if (ecosystem && !ECOSYSTEMS.includes(ecosystem)) {
+    console.error(`Unknown ecosystem '${ecosystem}' (expected one of: ${ECOSYSTEMS.join(', ')}).`);
+    process.exit(1);
+  }
+
+  ensureIndex();
+  const db = openDb({ readonly: true });
+  try {
+    const jsonMode = globalOpts.json || false;
+    const full = opts.full || false;
+
+    const root = findProjectRoot();
+    const paths = db.prepare("SELECT path FROM files WHERE file_role IS NOT 'external'").all().map(r => r.path);
+    // A scoped index is checked against the manifests above it too, such as a monorepo's root package.json
+    const scope = loadScope(db);
+    const manifestPaths = scope.length
+      ? discoverFiles(root).filter(m => manifestEcosystem(m) && paths.some(f => manifestCovers(m, f)))
+      : paths;
+    const inEcosystem = item => !ecosystem || item.ecosystem === ecosystem;
+    const packages = usedPackages(db).filter(inEcosystem);
+    const manifests = readManifests(manifestPaths, readFromDisk(root)).filter(inEcosystem);
+    const { unused, undeclared } = checkManifests(packages, manifests, { scope });
+
+    if (jsonMode) {
+      console.log(toJson(jsonEnvelope('external', {
+        summary: {
+          packages: packages.length,
+          manifests: manifests.length,
+          declared_unused: unused.length,
+          undeclared: undeclared.length,
+        },
+        packages: packages.map(p => ({
+          ecosystem: p.ecosystem, name: p.name, consumers: p.consumers, files: p.files, names: p.names,
+        })),
+        manifests: manifests.map(m => m.path),
+        declared_unused: unused,
+        undeclared,
+      })));
+      return;
+    }
+
+    if (!packages.length && !unused.length) {
+      console.log('No third-party packages found.');
+      return;
+    }
+
+    const fileList = files => (full || files.length <= 3 ? files.join(', ') : `${files.slice(0, 3).join(', ')} +${files.length - 3}`);
+
+    console.log(`=== External packages (${packages.length}) ===\n`);
+    console.log(formatTable(
+      ['Ecosystem', 'Package', 'Consumers', 'Files'],
+      packages.map(p => [p.ecosystem, p.name, p.consumers, `${p.files.length}: ${fileList(p.files)}`]),
+      full ? 0 : 30,
+    ));
+
+    if (!manifests.length) {
+      console.log('\nNo dependency manifests found: declarations not checked.');
+      return;
+    }
+
+    console.log(`\nDeclared but unused (${unused.length}):`);
+    if (unused.length) {
+      console.log(formatTable(['Ecosystem', 'Package', 'Manifest'], unused.map(u => [u.ecosystem, u.name, u.manifest]), full ? 0 : 30));
+    }
+
+    console.log(`\nUsed but undeclared (${undeclared.length}):`);
+    if (undeclared.length) {
+      console.log(formatTable(['Ecosystem', 'Package', 'Files'], undeclared.map(u => [u.ecosystem, u.name, fileList(u.files)]), full ? 0 : 30));
+    }
+  } finally {
+    db.close();
+  }
+}
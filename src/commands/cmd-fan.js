@@ -34,7 +34,7 @@ export async function execute(opts, globalOpts) {
       FROM graph_metrics gm
       JOIN symbols s ON gm.symbol_id = s.id
       JOIN files f ON s.file_id = f.id
-      WHERE ${filterClause}
+      WHERE ${filterClause} AND f.file_role IS NOT 'external'
       ORDER BY ${orderBy}
       LIMIT ?
     `).all(threshold, top);
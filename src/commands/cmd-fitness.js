@@ -43,7 +43,7 @@ export async function execute(opts, globalOpts) {
 
     // Dead code
     try {
-      const dead = db.prepare(UNREFERENCED_EXPORTS).all();
+      const dead = db.prepare(UNREFERENCED_EXPORTS).all(0);
       metrics.dead_count = dead.length;
       metrics.dead_pct = metrics.symbol_count > 0 ? Math.round(dead.length / metrics.symbol_count * 1000) / 10 : 0;
     } catch { metrics.dead_count = 0; metrics.dead_pct = 0; }
@@ -2,8 +2,11 @@
  * Build or rebuild the codebase index.
  */
 
-import { openDb, dbExists } from '../db/connection.js';
+import { existsSync, statSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { openDb, dbExists, findProjectRoot } from '../db/connection.js';
 import { SUPPORTED_LANGUAGES } from '../languages/registry.js';
+import { loadScope } from '../index/scope.js';
 
 /**
  * Execute the index command.
@@ -14,9 +17,39 @@ export async function execute(opts, globalOpts = {}) {
   const jsonMode = globalOpts.json || false;
   const { Indexer } = await import('../index/indexer.js');
 
+  const progress = opts.progress || 'text';
+  if (!['text', 'json'].includes(progress)) {
+    console.error(`Unknown progress format: ${progress} (expected text or json)`);
+    process.exit(1);
+  }
+
   const t0 = performance.now();
-  const indexer = new Indexer();
-  await indexer.run({ force: opts.force, verbose: opts.verbose });
+  const indexer = new Indexer(null, {
+    rev: opts.rev || null,
+    dbPath: opts.db ? resolve(opts.db) : null,
+    quiet: progress === 'json',
+  });
+  if (progress === 'json') {
+    // NDJSON on stderr, leaving stdout for the summary
+    indexer.on('event', event => process.stderr.write(JSON.stringify(event) + '\n'));
+  }
+  if (opts.scope) {
+    const { normalizeScope } = await import('../index/scope.js');
+    try {
+      indexer.scope = normalizeScope(indexer.root, opts.scope);
+    } catch (e) {
+      console.error(e.message);
+      process.exit(1);
+    }
+  }
+  try {
+    await indexer.run({ force: opts.force, verbose: opts.verbose, jobs: opts.jobs });
+  } catch (e) {
+    // Unknown --rev, or an existing index from a newer roam
+    if (!opts.rev && e.code !== 'ROAM_INCOMPATIBLE_SCHEMA') throw e;
+    console.error(e.message);
+    process.exit(1);
+  }
   const elapsed = (performance.now() - t0) / 1000;
 
   if (!jsonMode) {
@@ -24,16 +57,20 @@ export async function execute(opts, globalOpts = {}) {
   }
 
   // Show summary stats
-  if (dbExists()) {
-    const db = openDb({ readonly: true });
+  const dbPath = indexer.dbPath;
+  if (dbPath ? existsSync(dbPath) : dbExists()) {
+    const db = openDb({ readonly: true, dbPath });
     try {
-      const fileCount = db.prepare('SELECT COUNT(*) as cnt FROM files').get().cnt;
-      const symCount = db.prepare('SELECT COUNT(*) as cnt FROM symbols').get().cnt;
+      // Out-of-scope stubs are reported separately
+      const fileCount = db.prepare("SELECT COUNT(*) as cnt FROM files WHERE file_role IS NOT 'external'").get().cnt;
+      const symCount = db.prepare("SELECT COUNT(*) as cnt FROM symbols WHERE kind != 'external'").get().cnt;
       const edgeCount = db.prepare('SELECT COUNT(*) as cnt FROM edges').get().cnt;
+      const stubCount = db.prepare("SELECT COUNT(*) as cnt FROM files WHERE file_role = 'external'").get().cnt;
+      const scope = loadScope(db);
 
       const langRows = db.prepare(
         `SELECT language, COUNT(*) as cnt FROM files
-         WHERE language IS NOT NULL GROUP BY language ORDER BY cnt DESC`
+         WHERE language IS NOT NULL AND file_role IS NOT 'external' GROUP BY language ORDER BY cnt DESC`
       ).all();
 
       const avgSym = fileCount ? symCount / fileCount : 0;
@@ -42,12 +79,12 @@ export async function execute(opts, globalOpts = {}) {
       const languages = [...SUPPORTED_LANGUAGES];
       const langPlaceholders = languages.map(() => '?').join(',');
       const parseableCount = db.prepare(
-        `SELECT COUNT(*) as cnt FROM files WHERE language IN (${langPlaceholders})`
+        `SELECT COUNT(*) as cnt FROM files WHERE language IN (${langPlaceholders}) AND file_role IS NOT 'external'`
       ).get(...languages).cnt;
       const parsedOk = db.prepare(
         `SELECT COUNT(DISTINCT f.id) as cnt FROM files f
          JOIN symbols s ON s.file_id = f.id
-         WHERE f.language IN (${langPlaceholders})`
+         WHERE f.language IN (${langPlaceholders}) AND f.file_role IS NOT 'external'`
       ).get(...languages).cnt;
       const coverage = parseableCount ? (parsedOk * 100 / parseableCount) : 0;
 
@@ -55,6 +92,8 @@ export async function execute(opts, globalOpts = {}) {
         const envelope = {
           command: 'index',
           summary: { files: fileCount, symbols: symCount, edges: edgeCount },
+          ...(indexer.commit ? { commit: indexer.commit, db: dbPath } : {}),
+          ...(scope.length ? { scope, external_stubs: stubCount } : {}),
           elapsed_s: Math.round(elapsed * 10) / 10,
           files: fileCount,
           symbols: symCount,
@@ -66,6 +105,8 @@ export async function execute(opts, globalOpts = {}) {
         console.log(JSON.stringify(envelope));
       } else {
         const langStr = langRows.slice(0, 8).map(r => `${r.language}=${r.cnt}`).join(', ');
+        if (indexer.commit) console.log(`  Commit: ${indexer.commit}  DB: ${dbPath}`);
+        if (scope.length) console.log(`  Scope: ${scope.join(', ')}  External stubs: ${stubCount} files`);
         console.log(`  Files: ${fileCount}  Symbols: ${symCount}  Edges: ${edgeCount}`);
         console.log(`  Languages: ${langStr}`);
         console.log(`  Avg symbols/file: ${avgSym.toFixed(1)}  Parse coverage: ${coverage.toFixed(0)}%`);
@@ -75,3 +116,85 @@ export async function execute(opts, globalOpts = {}) {
     }
   }
 }
+
+/**
+ * Execute `roam index export <file>`.
+ * @param {object} opts - Command-specific options (opts.file)
+ * @param {object} globalOpts - Global CLI options
+ */
+export async function executeExport(opts, globalOpts = {}) {
+  const jsonMode = globalOpts.json || false;
+  const { exportBundle } = await import('../index/bundle.js');
+  const root = findProjectRoot();
+  const dbPath = opts.db ? resolve(opts.db) : null;
+  if (dbPath ? !existsSync(dbPath) : !dbExists(root)) {
+    console.error('No index found. Run `roam index` first.');
+    process.exit(1);
+  }
+
+  const outFile = resolve(opts.file);
+  let manifest;
+  try {
+    manifest = await exportBundle(root, outFile, { dbPath });
+  } catch (e) {
+    if (e.code !== 'ROAM_INCOMPATIBLE_SCHEMA') throw e;
+    console.error(e.message);
+    process.exit(1);
+  }
+  const bytes = statSync(outFile).size;
+
+  if (jsonMode) {
+    console.log(JSON.stringify({
+      command: 'index export',
+      summary: { files: manifest.files, symbols: manifest.symbols, bytes },
+      bundle: outFile,
+      manifest,
+    }));
+  } else {
+    console.log(`Exported index to ${outFile} (${(bytes / 1024).toFixed(0)} KB)`);
+    console.log(`  Commit: ${manifest.commit || '(none)'}  Schema: v${manifest.schema_version}  roam ${manifest.roam_version}`);
+    console.log(`  Files: ${manifest.files}  Symbols: ${manifest.symbols}`);
+  }
+}
+
+/**
+ * Execute `roam index import <file>`: replace the index with a bundle's,
+ * then run an incremental pass against the working tree.
+ * @param {object} opts - Command-specific options (opts.file)
+ * @param {object} globalOpts - Global CLI options
+ */
+export async function executeImport(opts, globalOpts = {}) {
+  const jsonMode = globalOpts.json || false;
+  const { importBundle } = await import('../index/bundle.js');
+  const { Indexer } = await import('../index/indexer.js');
+  const root = findProjectRoot();
+
+  let result;
+  try {
+    result = await importBundle(root, resolve(opts.file));
+  } catch (e) {
+    if (!['ROAM_INVALID_BUNDLE', 'ROAM_INCOMPATIBLE_SCHEMA', 'ROAM_INDEX_LOCKED'].includes(e.code)) throw e;
+    console.error(e.message);
+    process.exit(1);
+  }
+  const { manifest, rebased, adopted, files } = result;
+
+  const t0 = performance.now();
+  const status = await new Indexer(root).run({ verbose: opts.verbose, jobs: opts.jobs });
+  const elapsed = (performance.now() - t0) / 1000;
+
+  if (jsonMode) {
+    console.log(JSON.stringify({
+      command: 'index import',
+      summary: { files, unchanged: adopted, status },
+      manifest,
+      rebased_paths: rebased,
+      incremental_s: Math.round(elapsed * 10) / 10,
+    }));
+  } else {
+    console.log(`Imported index built at ${manifest.commit || '(no commit)'} by roam ${manifest.roam_version}`);
+    if (rebased) console.log(`  Rebased ${rebased} absolute paths from ${manifest.root}`);
+    console.log(`  ${adopted} of ${files} files match the working tree`);
+    console.log(`  Incremental pass: ${status} (${elapsed.toFixed(1)}s)`);
+  }
+}
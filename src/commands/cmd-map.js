@@ -32,7 +32,7 @@ export async function execute(opts, globalOpts) {
     // --- Project stats ---
     const files = db.prepare(ALL_FILES).all();
     const totalFiles = files.length;
-    const symCount = db.prepare('SELECT COUNT(*) as cnt FROM symbols').get().cnt;
+    const symCount = db.prepare("SELECT COUNT(*) as cnt FROM symbols WHERE kind != 'external'").get().cnt;
     const edgeCount = db.prepare('SELECT COUNT(*) as cnt FROM edges').get().cnt;
 
     const langCounts = new Map();
@@ -52,7 +52,7 @@ export async function execute(opts, globalOpts) {
              THEN SUBSTR(REPLACE(path, '\\', '/'), 1, INSTR(REPLACE(path, '\\', '/'), '/') - 1)
              ELSE '.' END as dir,
              COUNT(*) as cnt
-      FROM files GROUP BY dir ORDER BY cnt DESC
+      FROM files WHERE file_role IS NOT 'external' GROUP BY dir ORDER BY cnt DESC
     `).all();
     const dirItems = dirRowsRaw.map(r => [r.dir, r.cnt]);
 
@@ -37,7 +37,7 @@ export async function execute(opts, globalOpts) {
     let deadCount = 0;
     let deadSymbols = [];
     try {
-      deadSymbols = db.prepare(UNREFERENCED_EXPORTS).all();
+      deadSymbols = db.prepare(UNREFERENCED_EXPORTS).all(0);
       deadCount = deadSymbols.length;
     } catch { /* ok */ }
 
@@ -27,7 +27,9 @@ export async function execute(opts, globalOpts) {
       process.exit(1);
     }
 
-    const G = buildSymbolGraph(db);
+    const G = buildSymbolGraph(db, {
+      minConfidence: globalOpts.minConfidence || 0, dispatch: globalOpts.dispatch || false,
+    });
 
     // Try all source→target combinations, collect best paths
     const allPaths = [];
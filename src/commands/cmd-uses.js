@@ -3,11 +3,16 @@
  */
 
 import { openDb } from '../db/connection.js';
-import { SYMBOL_BY_NAME, SEARCH_SYMBOLS } from '../db/queries.js';
+import { SYMBOL_BY_NAME, SYMBOL_BY_QUALIFIED, SEARCH_SYMBOLS } from '../db/queries.js';
+import { parsePackageStubPath } from '../index/packages.js';
 import { ensureIndex } from './resolve.js';
+import { dispatchBases } from './graph-helpers.js';
 import { formatTable, jsonEnvelope, toJson, abbrevKind, loc } from '../output/formatter.js';
 
-const DISPLAY_ORDER = ['call', 'import', 'template', 'inherits', 'implements', 'uses_trait', 'uses', 'reference'];
+const DISPLAY_ORDER = [
+  'call', 'import', 'reexport', 'template', 'inherits', 'implements', 'overrides', 'implements_method', 'uses_trait', 'uses', 'reference',
+];
+const OVERRIDE_KINDS = new Set(['overrides', 'implements_method']);
 
 export async function execute(opts, globalOpts) {
   ensureIndex();
@@ -16,9 +21,11 @@ export async function execute(opts, globalOpts) {
     const jsonMode = globalOpts.json || false;
     const name = opts.name;
     const full = opts.full || false;
+    const minConfidence = globalOpts.minConfidence || 0;
 
     // Find target symbol(s)
     let targets = db.prepare(SYMBOL_BY_NAME).all(name);
+    if (!targets.length) targets = db.prepare(SYMBOL_BY_QUALIFIED).all(name);
     if (!targets.length) {
       targets = db.prepare(SEARCH_SYMBOLS).all(`%${name}%`, 50);
     }
@@ -27,19 +34,39 @@ export async function execute(opts, globalOpts) {
       process.exit(1);
     }
 
-    const targetIds = targets.map(t => t.id);
-    const ph = targetIds.map(() => '?').join(',');
+    // A header declaration and the definition it is linked to are one function
+    const targetIds = new Set(targets.map(t => t.id));
+    const initialIds = [...targetIds];
+    const initialPh = initialIds.map(() => '?').join(',');
+    const links = db.prepare(
+      `SELECT source_id, target_id FROM edges
+       WHERE kind = 'defines' AND (source_id IN (${initialPh}) OR target_id IN (${initialPh}))
+         AND COALESCE(confidence, 1) >= ?`
+    ).all(...initialIds, ...initialIds, minConfidence);
+    for (const l of links) {
+      targetIds.add(l.source_id);
+      targetIds.add(l.target_id);
+    }
+    // Callers of a method it overrides or implements may be dispatched to it
+    const bases = globalOpts.dispatch ? dispatchBases(db, targetIds, { minConfidence }) : new Set();
+    for (const id of bases) targetIds.add(id);
+    const ph = [...targetIds].map(() => '?').join(',');
 
     // Get all incoming edges
     const edges = db.prepare(
       `SELECT s.name, s.qualified_name, s.kind, s.line_start, f.path as file_path,
-              e.kind as edge_kind, e.line as edge_line, t.name as target_name
+              e.source_id, e.target_id, e.kind as edge_kind, e.line as edge_line, t.name as target_name,
+              e.resolution, e.confidence
        FROM edges e
        JOIN symbols s ON e.source_id = s.id
        JOIN symbols t ON e.target_id = t.id
        JOIN files f ON s.file_id = f.id
-       WHERE e.target_id IN (${ph})`
-    ).all(...targetIds);
+       WHERE e.target_id IN (${ph}) AND COALESCE(e.confidence, 1) >= ?`
+    ).all(...targetIds, minConfidence).filter(e => !(
+      (e.edge_kind === 'defines' && targetIds.has(e.source_id))
+      // The target's own link to its base, or a sibling implementation of that base
+      || (OVERRIDE_KINDS.has(e.edge_kind) && (targetIds.has(e.source_id) || bases.has(e.target_id)))
+    ));
 
     // Group by edge kind
     const groups = new Map();
@@ -69,6 +96,7 @@ export async function execute(opts, globalOpts) {
         if (groups.has(kind)) {
           consumers[kind] = groups.get(kind).map(e => ({
             name: e.name, kind: e.kind, location: loc(e.file_path, e.line_start),
+            resolution: e.resolution, confidence: e.confidence,
           }));
         }
       }
@@ -77,6 +105,7 @@ export async function execute(opts, globalOpts) {
         if (!consumers[kind]) {
           consumers[kind] = items.map(e => ({
             name: e.name, kind: e.kind, location: loc(e.file_path, e.line_start),
+            resolution: e.resolution, confidence: e.confidence,
           }));
         }
       }
@@ -91,6 +120,12 @@ export async function execute(opts, globalOpts) {
       }
 
       console.log(`=== Consumers of '${name}' ===\n`);
+      const stubs = [...new Set(targets.filter(t => t.kind === 'external').map(t => t.file_path))];
+      const packages = stubs.filter(p => parsePackageStubPath(p));
+      if (packages.length) console.log(`(from package: ${packages.join(', ')})\n`);
+      if (packages.length < stubs.length) {
+        console.log(`(out of scope: ${stubs.filter(p => !parsePackageStubPath(p)).join(', ')})\n`);
+      }
 
       for (const kind of DISPLAY_ORDER) {
         const items = groups.get(kind);
@@ -0,0 +1,34 @@
+/**
+ * Watch the project tree and keep the index up to date.
+ */
+
+import { findProjectRoot } from '../db/connection.js';
+
+/**
+ * Execute the watch command. Runs until interrupted.
+ * @param {object} opts - Command-specific options
+ * @param {object} globalOpts - Global CLI options
+ */
+export async function execute(opts, globalOpts = {}) {
+  const { IndexWatcher } = await import('../index/watcher.js');
+  const root = findProjectRoot();
+  const watcher = new IndexWatcher(root, {
+    debounceMs: opts.debounce ?? 300,
+    jobs: opts.jobs,
+    verbose: opts.verbose || false,
+  });
+
+  process.stderr.write(`Watching ${root} (Ctrl+C to stop)\n`);
+  watcher.start();
+
+  await new Promise((resolvePromise) => {
+    const stop = async () => {
+      process.off('SIGINT', stop);
+      process.off('SIGTERM', stop);
+      await watcher.close();
+      resolvePromise();
+    };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+  });
+}
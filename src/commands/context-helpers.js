@@ -72,9 +72,9 @@ export function getCoupling(db, fileId, limit = 10) {
 // Test discovery via reverse BFS
 // ---------------------------------------------------------------------------
 
-export function getAffectedTestsBfs(db, symIds, maxHops = 8) {
+export function getAffectedTestsBfs(db, symIds, maxHops = 8, { minConfidence = 0, dispatch = false } = {}) {
   if (!Array.isArray(symIds)) symIds = [symIds];
-  const revAdj = buildReverseAdj(db);
+  const revAdj = buildReverseAdj(db, { minConfidence, dispatch });
   const startSet = new Set(symIds);
   const reachable = bfsReachable(revAdj, startSet, maxHops);
 
@@ -2,12 +2,24 @@
  * Adjacency list builders and BFS traversal for graph-heavy commands.
  */
 
+import { DISPATCH_EDGES_MIN_CONFIDENCE } from '../db/queries.js';
+
+function edgeRows(db, minConfidence, dispatch) {
+  const rows = db.prepare(
+    'SELECT source_id, target_id FROM edges WHERE COALESCE(confidence, 1) >= ?'
+  ).all(minConfidence);
+  if (dispatch) rows.push(...db.prepare(DISPATCH_EDGES_MIN_CONFIDENCE).all(minConfidence));
+  return rows;
+}
+
 /**
  * Build forward adjacency: source_id -> Set of target_ids.
+ * Edges below `minConfidence` are left out; with `dispatch`, base methods
+ * also lead to their overrides and implementations.
  */
-export function buildForwardAdj(db) {
+export function buildForwardAdj(db, { minConfidence = 0, dispatch = false } = {}) {
   const adj = new Map();
-  const rows = db.prepare('SELECT source_id, target_id FROM edges').all();
+  const rows = edgeRows(db, minConfidence, dispatch);
   for (const r of rows) {
     if (!adj.has(r.source_id)) adj.set(r.source_id, new Set());
     adj.get(r.source_id).add(r.target_id);
@@ -17,10 +29,12 @@ export function buildForwardAdj(db) {
 
 /**
  * Build reverse adjacency: target_id -> Set of source_ids.
+ * Edges below `minConfidence` are left out; with `dispatch`, overrides and
+ * implementations are also reached from the callers of their base methods.
  */
-export function buildReverseAdj(db) {
+export function buildReverseAdj(db, { minConfidence = 0, dispatch = false } = {}) {
   const adj = new Map();
-  const rows = db.prepare('SELECT source_id, target_id FROM edges').all();
+  const rows = edgeRows(db, minConfidence, dispatch);
   for (const r of rows) {
     if (!adj.has(r.target_id)) adj.set(r.target_id, new Set());
     adj.get(r.target_id).add(r.source_id);
@@ -28,6 +42,29 @@ export function buildReverseAdj(db) {
   return adj;
 }
 
+/**
+ * Base and interface methods the given symbols override or implement,
+ * transitively: the methods a call could have been dispatched through to them.
+ * Returns Set of IDs (excluding the given ones).
+ */
+export function dispatchBases(db, ids, { minConfidence = 0 } = {}) {
+  const up = db.prepare(
+    `SELECT target_id FROM edges
+     WHERE source_id = ? AND kind IN ('overrides', 'implements_method') AND COALESCE(confidence, 1) >= ?`
+  );
+  const start = new Set(ids);
+  const bases = new Set();
+  const queue = [...start];
+  while (queue.length) {
+    for (const { target_id } of up.all(queue.shift(), minConfidence)) {
+      if (start.has(target_id) || bases.has(target_id)) continue;
+      bases.add(target_id);
+      queue.push(target_id);
+    }
+  }
+  return bases;
+}
+
 /**
  * BFS through an adjacency map from a set of starting nodes.
  * Returns Set of all reachable node IDs (excluding start).
@@ -2,7 +2,7 @@
  * Shared symbol resolution and index helpers for all roam commands.
  */
 
-import { dbExists } from '../db/connection.js';
+import { dbExists, openDb } from '../db/connection.js';
 import { SYMBOL_BY_NAME, SYMBOL_BY_QUALIFIED, SEARCH_SYMBOLS } from '../db/queries.js';
 
 export function ensureIndex() {
@@ -10,6 +10,14 @@ export function ensureIndex() {
     process.stderr.write('No index found. Run `roam index` first.\n');
     process.exit(1);
   }
+  // Opening checks the schema version and upgrades older indexes in place
+  try {
+    openDb({ readonly: true }).close();
+  } catch (e) {
+    if (e.code !== 'ROAM_INCOMPATIBLE_SCHEMA') throw e;
+    process.stderr.write(e.message + '\n');
+    process.exit(1);
+  }
 }
 
 export function pickBest(db, rows) {
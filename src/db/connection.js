@@ -6,6 +6,7 @@ import Database from 'better-sqlite3';
 import { existsSync, mkdirSync, statSync } from 'node:fs';
 import { join, resolve } from 'node:path';
 import { SCHEMA_SQL } from './schema.js';
+import { migrate, getSchemaVersion, incompatibleSchemaError, SCHEMA_VERSION } from './migrations.js';
 
 const DEFAULT_DB_DIR = '.roam';
 const DEFAULT_DB_NAME = 'index.db';
@@ -50,41 +51,16 @@ function isCloudSynced(dbPath) {
   return markers.some(m => resolved.includes(m));
 }
 
-/**
- * Apply schema migrations for columns added after initial schema.
- */
-function ensureMigrations(db) {
-  const safeAlter = (table, column, colType) => {
-    try {
-      db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${colType}`);
-    } catch {
-      // Column already exists
-    }
-  };
-  safeAlter('symbols', 'default_value', 'TEXT');
-  safeAlter('file_stats', 'health_score', 'REAL');
-  safeAlter('file_stats', 'cochange_entropy', 'REAL');
-  safeAlter('file_stats', 'cognitive_load', 'REAL');
-  safeAlter('snapshots', 'tangle_ratio', 'REAL');
-  safeAlter('snapshots', 'avg_complexity', 'REAL');
-  safeAlter('snapshots', 'brain_methods', 'INTEGER');
-  safeAlter('symbol_metrics', 'cyclomatic_density', 'REAL');
-  safeAlter('symbol_metrics', 'halstead_volume', 'REAL');
-  safeAlter('symbol_metrics', 'halstead_difficulty', 'REAL');
-  safeAlter('symbol_metrics', 'halstead_effort', 'REAL');
-  safeAlter('symbol_metrics', 'halstead_bugs', 'REAL');
-  safeAlter('files', 'file_role', "TEXT DEFAULT 'source'");
-}
-
 /**
  * Open a SQLite database with optimized settings.
  * @param {object} opts
  * @param {boolean} [opts.readonly=false]
  * @param {string|null} [opts.projectRoot=null]
+ * @param {string|null} [opts.dbPath=null] - Explicit database file (bypasses getDbPath)
  * @returns {import('better-sqlite3').Database}
  */
-export function openDb({ readonly = false, projectRoot = null } = {}) {
-  const dbPath = getDbPath(projectRoot);
+export function openDb({ readonly = false, projectRoot = null, dbPath = null } = {}) {
+  if (!dbPath) dbPath = getDbPath(projectRoot);
 
   const db = new Database(dbPath, {
     readonly,
@@ -106,13 +82,66 @@ export function openDb({ readonly = false, projectRoot = null } = {}) {
   db.pragma('temp_store = MEMORY');
 
   if (!readonly) {
+    try {
+      migrate(db);
+    } catch (e) {
+      db.close();
+      throw e;
+    }
     db.exec(SCHEMA_SQL);
-    ensureMigrations(db);
+  } else {
+    const version = getSchemaVersion(db);
+    if (version > SCHEMA_VERSION) {
+      const err = incompatibleSchemaError(db, version);
+      db.close();
+      throw err;
+    }
+    if (version < SCHEMA_VERSION) {
+      // Upgrade in place through a short-lived writable connection
+      db.close();
+      try {
+        openDb({ projectRoot, dbPath }).close();
+      } catch (e) {
+        if (e.code === 'ROAM_INCOMPATIBLE_SCHEMA') throw e;
+        const err = new Error(
+          `The index uses schema v${version} and could not be upgraded to v${SCHEMA_VERSION} ` +
+          `(${e.message}). Run \`roam index --force\` to rebuild it.`
+        );
+        err.code = 'ROAM_INCOMPATIBLE_SCHEMA';
+        throw err;
+      }
+      return openDb({ readonly, projectRoot, dbPath });
+    }
   }
 
   return db;
 }
 
+/**
+ * Read a value from the meta table.
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} key
+ * @returns {string|null}
+ */
+export function getMeta(db, key) {
+  try {
+    const row = db.prepare('SELECT value FROM meta WHERE key = ?').get(key);
+    return row ? row.value : null;
+  } catch {
+    return null; // Index predates the meta table
+  }
+}
+
+/**
+ * Write a value to the meta table.
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} key
+ * @param {string|null} value
+ */
+export function setMeta(db, key, value) {
+  db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)').run(key, value);
+}
+
 /**
  * Check if an index database exists.
  */
@@ -0,0 +1,189 @@
+/**
+ * Numbered schema migrations for the index database.
+ *
+ * New tables and indexes only need adding to SCHEMA_SQL, which runs
+ * (CREATE ... IF NOT EXISTS) after migrations. Column changes, table
+ * rebuilds and data backfills go here as a new entry with the next
+ * version number. Entries are never edited once released.
+ */
+
+import { VERSION } from '../index.js';
+
+/**
+ * Add a column unless the table already has it.
+ */
+function addColumn(db, table, column, colType) {
+  const cols = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!cols.length || cols.some(c => c.name === column)) return;
+  db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${colType}`);
+}
+
+/**
+ * Recreate a table from a new definition, copying the columns both share.
+ * Indexes are restored by SCHEMA_SQL after migrations run.
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} table
+ * @param {string} createSql - CREATE TABLE statement for `table`
+ * @returns {boolean} false when the table does not exist
+ */
+export function rebuildTable(db, table, createSql) {
+  const oldCols = db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+  if (!oldCols.length) return false;
+  const tmp = `${table}__rebuild`;
+  db.exec(createSql.replace(new RegExp(`\\b${table}\\b`), tmp));
+  const newCols = new Set(db.prepare(`PRAGMA table_info(${tmp})`).all().map(c => c.name));
+  const shared = oldCols.filter(c => newCols.has(c)).join(', ');
+  db.exec(`INSERT INTO ${tmp} (${shared}) SELECT ${shared} FROM ${table}`);
+  db.exec(`DROP TABLE ${table}`);
+  db.exec(`ALTER TABLE ${tmp} RENAME TO ${table}`);
+  return true;
+}
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Columns added before schema versioning',
+    up(db) {
+      addColumn(db, 'symbols', 'default_value', 'TEXT');
+      addColumn(db, 'file_stats', 'health_score', 'REAL');
+      addColumn(db, 'file_stats', 'cochange_entropy', 'REAL');
+      addColumn(db, 'file_stats', 'cognitive_load', 'REAL');
+      addColumn(db, 'snapshots', 'tangle_ratio', 'REAL');
+      addColumn(db, 'snapshots', 'avg_complexity', 'REAL');
+      addColumn(db, 'snapshots', 'brain_methods', 'INTEGER');
+      addColumn(db, 'symbol_metrics', 'cyclomatic_density', 'REAL');
+      addColumn(db, 'symbol_metrics', 'halstead_volume', 'REAL');
+      addColumn(db, 'symbol_metrics', 'halstead_difficulty', 'REAL');
+      addColumn(db, 'symbol_metrics', 'halstead_effort', 'REAL');
+      addColumn(db, 'symbol_metrics', 'halstead_bugs', 'REAL');
+      addColumn(db, 'files', 'file_role', "TEXT DEFAULT 'source'");
+    },
+  },
+  {
+    version: 2,
+    description: 'Give late-added symbol_metrics columns their DEFAULT 0 and backfill NULLs',
+    up(db) {
+      const rebuilt = rebuildTable(db, 'symbol_metrics', `CREATE TABLE symbol_metrics (
+        symbol_id INTEGER PRIMARY KEY REFERENCES symbols(id) ON DELETE CASCADE,
+        cognitive_complexity REAL DEFAULT 0,
+        nesting_depth INTEGER DEFAULT 0,
+        param_count INTEGER DEFAULT 0,
+        line_count INTEGER DEFAULT 0,
+        return_count INTEGER DEFAULT 0,
+        bool_op_count INTEGER DEFAULT 0,
+        callback_depth INTEGER DEFAULT 0,
+        cyclomatic_density REAL DEFAULT 0,
+        halstead_volume REAL DEFAULT 0,
+        halstead_difficulty REAL DEFAULT 0,
+        halstead_effort REAL DEFAULT 0,
+        halstead_bugs REAL DEFAULT 0
+      )`);
+      if (!rebuilt) return;
+      db.exec(`UPDATE symbol_metrics SET
+        cyclomatic_density = COALESCE(cyclomatic_density, 0),
+        halstead_volume = COALESCE(halstead_volume, 0),
+        halstead_difficulty = COALESCE(halstead_difficulty, 0),
+        halstead_effort = COALESCE(halstead_effort, 0),
+        halstead_bugs = COALESCE(halstead_bugs, 0)`);
+    },
+  },
+  {
+    version: 3,
+    description: 'Record how each edge was resolved and with what confidence',
+    up(db) {
+      // Existing edges keep NULLs, which every confidence threshold lets through
+      addColumn(db, 'edges', 'resolution', 'TEXT');
+      addColumn(db, 'edges', 'confidence', 'REAL');
+    },
+  },
+  {
+    version: 4,
+    description: 'Keep the receiver type of method-call references',
+    up(db) {
+      addColumn(db, 'refs', 'receiver_type', 'TEXT');
+    },
+  },
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Stored schema version; 0 for indexes built before versioning.
+ * @param {import('better-sqlite3').Database} db
+ * @returns {number}
+ */
+export function getSchemaVersion(db) {
+  try {
+    const row = db.prepare("SELECT value FROM meta WHERE key = 'schema_version'").get();
+    return row ? parseInt(row.value, 10) || 0 : 0;
+  } catch {
+    return 0; // No meta table yet
+  }
+}
+
+function readMeta(db, key) {
+  try {
+    const row = db.prepare('SELECT value FROM meta WHERE key = ?').get(key);
+    return row ? row.value : null;
+  } catch {
+    return null;
+  }
+}
+
+function stampVersion(db, version) {
+  db.exec('CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT)');
+  db.prepare("INSERT OR REPLACE INTO meta (key, value) VALUES ('schema_version', ?)").run(String(version));
+}
+
+/**
+ * Error for an index this roam cannot read or upgrade.
+ * @param {import('better-sqlite3').Database} db
+ * @param {number} version - Stored schema version
+ * @returns {Error} with code 'ROAM_INCOMPATIBLE_SCHEMA'
+ */
+export function incompatibleSchemaError(db, version) {
+  const builtBy = readMeta(db, 'roam_version');
+  const err = new Error(
+    `The index was built by ${builtBy ? `roam ${builtBy}` : 'a newer roam'} (schema v${version}); ` +
+    `roam ${VERSION} supports schema v${SCHEMA_VERSION}. ` +
+    'Upgrade roam, or run `roam index --force` to rebuild the index.'
+  );
+  err.code = 'ROAM_INCOMPATIBLE_SCHEMA';
+  return err;
+}
+
+/**
+ * Bring a writable database up to SCHEMA_VERSION.
+ * Each migration runs in its own transaction and records its version.
+ * @param {import('better-sqlite3').Database} db
+ * @returns {{ from: number, to: number }}
+ * @throws {Error} code 'ROAM_INCOMPATIBLE_SCHEMA' when the index is newer than this roam
+ */
+export function migrate(db) {
+  const from = getSchemaVersion(db);
+  if (from > SCHEMA_VERSION) throw incompatibleSchemaError(db, from);
+
+  const isFresh = !db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'files'").get();
+  if (isFresh) {
+    // SCHEMA_SQL already describes the latest version
+    stampVersion(db, SCHEMA_VERSION);
+    return { from, to: SCHEMA_VERSION };
+  }
+
+  const pending = MIGRATIONS.filter(m => m.version > from);
+  if (!pending.length) return { from, to: from };
+
+  // Table rebuilds drop tables other rows may reference
+  db.pragma('foreign_keys = OFF');
+  try {
+    for (const m of pending) {
+      db.transaction(() => {
+        m.up(db);
+        stampVersion(db, m.version);
+      })();
+    }
+  } finally {
+    db.pragma('foreign_keys = ON');
+  }
+  return { from, to: SCHEMA_VERSION };
+}
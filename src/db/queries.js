@@ -3,9 +3,10 @@
 // File queries
 export const FILE_BY_PATH = 'SELECT * FROM files WHERE path = ?';
 export const FILE_BY_ID = 'SELECT * FROM files WHERE id = ?';
-export const ALL_FILES = 'SELECT * FROM files ORDER BY path';
+// Stub files standing in for out-of-scope code and packages are not project files
+export const ALL_FILES = "SELECT * FROM files WHERE file_role IS NOT 'external' ORDER BY path";
 export const FILES_BY_LANGUAGE = 'SELECT * FROM files WHERE language = ? ORDER BY path';
-export const FILE_COUNT = 'SELECT COUNT(*) as cnt FROM files';
+export const FILE_COUNT = "SELECT COUNT(*) as cnt FROM files WHERE file_role IS NOT 'external'";
 
 // Symbol queries
 export const SYMBOLS_IN_FILE = `
@@ -131,16 +132,25 @@ export const BLAME_FOR_FILE = `
 `;
 
 // Dead code
+// Parameter: the lowest confidence of an edge that counts as a use (0 for all)
 export const UNREFERENCED_EXPORTS = `
     SELECT s.*, f.path as file_path
     FROM symbols s
     JOIN files f ON s.file_id = f.id
     WHERE s.is_exported = 1
-    AND s.id NOT IN (SELECT target_id FROM edges)
+    AND s.id NOT IN (SELECT target_id FROM edges WHERE COALESCE(confidence, 1) >= ?)
     AND s.kind IN ('function', 'class', 'method')
     ORDER BY f.path, s.line_start
 `;
 
+// Override links reversed, base method -> each override or implementation:
+// the edges a call on a base or interface method may be dispatched along
+export const DISPATCH_EDGES_MIN_CONFIDENCE = `
+    SELECT target_id AS source_id, source_id AS target_id, 'dispatch' AS kind
+    FROM edges
+    WHERE kind IN ('overrides', 'implements_method') AND COALESCE(confidence, 1) >= ?
+`;
+
 // Directory / module queries
 export const FILES_IN_DIR = "SELECT * FROM files WHERE path LIKE ? ORDER BY path";
 export const SYMBOLS_IN_DIR = `
@@ -176,7 +186,7 @@ export const FILE_STATS_BY_PATH = `
 // Distribution queries
 export const LANGUAGE_DISTRIBUTION = `
     SELECT language, COUNT(*) as cnt FROM files
-    WHERE language IS NOT NULL
+    WHERE language IS NOT NULL AND file_role IS NOT 'external'
     GROUP BY language ORDER BY cnt DESC
 `;
 export const SYMBOL_KIND_DISTRIBUTION = `
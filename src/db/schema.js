@@ -32,7 +32,10 @@ CREATE TABLE IF NOT EXISTS edges (
     source_id INTEGER NOT NULL REFERENCES symbols(id) ON DELETE CASCADE,
     target_id INTEGER NOT NULL REFERENCES symbols(id) ON DELETE CASCADE,
     kind TEXT NOT NULL,
-    line INTEGER
+    line INTEGER,
+    -- How the target was chosen (see RESOLUTION_CONFIDENCE in index/relations.js)
+    resolution TEXT,
+    confidence REAL
 );
 
 CREATE TABLE IF NOT EXISTS file_edges (
@@ -43,6 +46,25 @@ CREATE TABLE IF NOT EXISTS file_edges (
     symbol_count INTEGER DEFAULT 1
 );
 
+-- Index-level key/value metadata (e.g. the commit a --rev index was built from)
+CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+);
+
+-- Raw references per file, kept so incremental runs can re-resolve
+-- edges without re-parsing unchanged files
+CREATE TABLE IF NOT EXISTS refs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    file_id INTEGER NOT NULL REFERENCES files(id) ON DELETE CASCADE,
+    source_name TEXT,
+    target_name TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    line INTEGER,
+    import_path TEXT,
+    receiver_type TEXT
+);
+
 CREATE TABLE IF NOT EXISTS git_commits (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     hash TEXT NOT NULL UNIQUE,
@@ -108,6 +130,9 @@ CREATE INDEX IF NOT EXISTS idx_graph_metrics_pagerank ON graph_metrics(pagerank
 CREATE INDEX IF NOT EXISTS idx_symbols_parent ON symbols(parent_id);
 CREATE INDEX IF NOT EXISTS idx_edges_kind_target ON edges(kind, target_id);
 CREATE INDEX IF NOT EXISTS idx_file_stats_churn ON file_stats(total_churn DESC);
+CREATE INDEX IF NOT EXISTS idx_refs_file ON refs(file_id);
+CREATE INDEX IF NOT EXISTS idx_refs_target_lower ON refs(lower(target_name));
+CREATE INDEX IF NOT EXISTS idx_refs_source ON refs(source_name);
 
 -- Hypergraph: n-ary commit patterns (beyond pairwise co-change)
 CREATE TABLE IF NOT EXISTS git_hyperedges (
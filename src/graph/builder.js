@@ -3,14 +3,20 @@
  */
 
 import Graph from 'graphology';
+import { DISPATCH_EDGES_MIN_CONFIDENCE } from '../db/queries.js';
 const { DirectedGraph } = Graph;
 
 /**
  * Build a directed graph from symbol edges.
  * Nodes are symbol IDs with attributes: name, kind, file_path, qualified_name.
  * Edges carry a `kind` attribute.
+ * @param {import('better-sqlite3').Database} db
+ * @param {object} [opts]
+ * @param {number} [opts.minConfidence] - Leave out edges resolved with lower confidence
+ * @param {boolean} [opts.dispatch] - Add `dispatch` edges from base and interface
+ *   methods to their overrides and implementations
  */
-export function buildSymbolGraph(db) {
+export function buildSymbolGraph(db, { minConfidence = 0, dispatch = false } = {}) {
   const G = new DirectedGraph();
 
   // Load nodes
@@ -28,7 +34,10 @@ export function buildSymbolGraph(db) {
   }
 
   // Load edges
-  const edges = db.prepare('SELECT source_id, target_id, kind FROM edges').all();
+  const edges = db.prepare(
+    'SELECT source_id, target_id, kind FROM edges WHERE COALESCE(confidence, 1) >= ?'
+  ).all(minConfidence);
+  if (dispatch) edges.push(...db.prepare(DISPATCH_EDGES_MIN_CONFIDENCE).all(minConfidence));
   for (const { source_id, target_id, kind } of edges) {
     if (G.hasNode(source_id) && G.hasNode(target_id)) {
       // graphology doesn't allow duplicate edges by default; use mergeEdge
@@ -43,8 +52,12 @@ export function buildSymbolGraph(db) {
  * Build a directed graph from file-level edges.
  * Nodes are file IDs with attributes: path, language.
  * Edges carry `kind` and `symbol_count` attributes.
+ * @param {import('better-sqlite3').Database} db
+ * @param {object} [opts]
+ * @param {number} [opts.minConfidence] - Count only symbol edges at or above this
+ *   confidence, aggregating them afresh instead of reading file_edges
  */
-export function buildFileGraph(db) {
+export function buildFileGraph(db, { minConfidence = 0 } = {}) {
   const G = new DirectedGraph();
 
   const files = db.prepare('SELECT id, path, language FROM files').all();
@@ -52,9 +65,19 @@ export function buildFileGraph(db) {
     G.addNode(id, { path, language });
   }
 
-  const edges = db.prepare(
-    'SELECT source_file_id, target_file_id, kind, symbol_count FROM file_edges'
-  ).all();
+  const edges = minConfidence > 0
+    ? db.prepare(
+      `SELECT s.file_id AS source_file_id, t.file_id AS target_file_id, 'imports' AS kind,
+              COUNT(*) AS symbol_count
+       FROM edges e
+       JOIN symbols s ON e.source_id = s.id
+       JOIN symbols t ON e.target_id = t.id
+       WHERE s.file_id != t.file_id AND COALESCE(e.confidence, 1) >= ?
+       GROUP BY s.file_id, t.file_id`
+    ).all(minConfidence)
+    : db.prepare(
+      'SELECT source_file_id, target_file_id, kind, symbol_count FROM file_edges'
+    ).all();
   for (const { source_file_id, target_file_id, kind, symbol_count } of edges) {
     if (G.hasNode(source_file_id) && G.hasNode(target_file_id)) {
       G.mergeEdge(source_file_id, target_file_id, { kind, symbol_count });
@@ -1 +1,3 @@
 export const VERSION = '8.3.0';
+
+export { LanguageExtractor } from './languages/base.js';
@@ -0,0 +1,294 @@
+/**
+ * Portable index bundles: a gzip stream holding a one-line JSON manifest
+ * followed by a compacted copy of the index database.
+ */
+
+import Database from 'better-sqlite3';
+import { createReadStream, createWriteStream, existsSync, renameSync, statSync, unlinkSync } from 'node:fs';
+import { once } from 'node:events';
+import { join, resolve } from 'node:path';
+import { tmpdir } from 'node:os';
+import { pipeline } from 'node:stream/promises';
+import { pipeline as pipelineCb } from 'node:stream';
+import { createGzip, createGunzip } from 'node:zlib';
+
+import { openDb, getDbPath, getMeta, setMeta } from '../db/connection.js';
+import { getSchemaVersion, SCHEMA_VERSION } from '../db/migrations.js';
+import { VERSION } from '../index.js';
+import { acquireIndexLock, releaseIndexLock } from './indexer.js';
+import { fileHash } from './incremental.js';
+import { resolveRevision } from './revision.js';
+import { EXTERNAL } from './scope.js';
+
+export const BUNDLE_FORMAT = 'roam-index-bundle';
+const BUNDLE_FORMAT_VERSION = 1;
+
+// The manifest line is small; anything longer is not a bundle
+const MAX_MANIFEST_BYTES = 64 * 1024;
+
+function bundleError(message, code = 'ROAM_INVALID_BUNDLE') {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function removeDb(dbPath) {
+  for (const suffix of ['', '-wal', '-shm']) {
+    if (existsSync(dbPath + suffix)) unlinkSync(dbPath + suffix);
+  }
+}
+
+/**
+ * Write the project's index to a bundle.
+ * @param {string} root - Project root
+ * @param {string} outFile - Bundle path
+ * @param {object} [opts]
+ * @param {string|null} [opts.dbPath] - Index to export (default .roam/index.db)
+ * @returns {Promise<object>} The manifest written
+ */
+export async function exportBundle(root, outFile, { dbPath = null } = {}) {
+  if (!dbPath) dbPath = getDbPath(root);
+  const snapshot = join(tmpdir(), `roam-export-${process.pid}-${Date.now()}.db`);
+
+  let manifest;
+  const db = openDb({ readonly: true, dbPath });
+  try {
+    // VACUUM INTO gives a consistent, compact copy that includes the WAL
+    db.prepare('VACUUM INTO ?').run(snapshot);
+    let commit = getMeta(db, 'commit');
+    if (!commit) {
+      try { commit = resolveRevision(root, 'HEAD'); } catch { commit = null; }
+    }
+    manifest = {
+      format: BUNDLE_FORMAT,
+      format_version: BUNDLE_FORMAT_VERSION,
+      roam_version: VERSION,
+      schema_version: getSchemaVersion(db),
+      commit,
+      root,
+      created_at: new Date().toISOString(),
+      files: db.prepare('SELECT COUNT(*) AS cnt FROM files').get().cnt,
+      symbols: db.prepare('SELECT COUNT(*) AS cnt FROM symbols').get().cnt,
+    };
+  } finally {
+    db.close();
+  }
+
+  try {
+    await pipeline(
+      async function* () {
+        yield Buffer.from(JSON.stringify(manifest) + '\n');
+        yield* createReadStream(snapshot);
+      },
+      createGzip(),
+      createWriteStream(outFile),
+    );
+  } finally {
+    removeDb(snapshot);
+  }
+  return manifest;
+}
+
+/**
+ * Check that this roam can load a bundle.
+ * @param {object} manifest
+ * @throws {Error} code 'ROAM_INVALID_BUNDLE' or 'ROAM_INCOMPATIBLE_SCHEMA'
+ */
+export function validateManifest(manifest) {
+  if (!manifest || manifest.format !== BUNDLE_FORMAT) {
+    throw bundleError('Not a roam index bundle.');
+  }
+  if (manifest.format_version > BUNDLE_FORMAT_VERSION) {
+    throw bundleError(
+      `Bundle format v${manifest.format_version} was written by roam ${manifest.roam_version}; ` +
+      `roam ${VERSION} reads format v${BUNDLE_FORMAT_VERSION}. Upgrade roam to import it.`
+    );
+  }
+  if (!Number.isInteger(manifest.schema_version)) {
+    throw bundleError('The bundle manifest has no schema version.');
+  }
+  if (manifest.schema_version > SCHEMA_VERSION) {
+    throw bundleError(
+      `The bundle was built by roam ${manifest.roam_version} (schema v${manifest.schema_version}); ` +
+      `roam ${VERSION} supports schema v${SCHEMA_VERSION}. Upgrade roam, or run \`roam index\` to build locally.`,
+      'ROAM_INCOMPATIBLE_SCHEMA'
+    );
+  }
+}
+
+/**
+ * Stream a bundle, validating its manifest before any database bytes are written.
+ * @param {string} file - Bundle path
+ * @param {string|null} dbOut - Where to write the database; null reads only the manifest
+ * @returns {Promise<object>} The manifest
+ */
+async function readBundle(file, dbOut) {
+  if (!existsSync(file)) throw bundleError(`Bundle not found: ${file}`);
+  const input = pipelineCb(createReadStream(file), createGunzip(), () => {});
+  let head = Buffer.alloc(0);
+  let manifest = null;
+  let out = null;
+  try {
+    for await (const chunk of input) {
+      if (out) {
+        if (!out.write(chunk)) await once(out, 'drain');
+        continue;
+      }
+      head = Buffer.concat([head, chunk]);
+      const nl = head.indexOf(0x0a);
+      if (nl < 0) {
+        if (head.length > MAX_MANIFEST_BYTES) throw bundleError('Not a roam index bundle.');
+        continue;
+      }
+      try {
+        manifest = JSON.parse(head.subarray(0, nl).toString('utf-8'));
+      } catch {
+        throw bundleError('Not a roam index bundle.');
+      }
+      validateManifest(manifest);
+      if (!dbOut) break;
+      out = createWriteStream(dbOut);
+      if (!out.write(head.subarray(nl + 1))) await once(out, 'drain');
+    }
+  } catch (e) {
+    if (out) out.destroy();
+    // zlib errors mean the file is not gzip data at all
+    if (e.code && e.code.startsWith('Z_')) throw bundleError('Not a roam index bundle.');
+    throw e;
+  }
+  if (!manifest) throw bundleError('Not a roam index bundle.');
+  if (out) {
+    out.end();
+    await once(out, 'finish');
+  }
+  return manifest;
+}
+
+/**
+ * Read a bundle's manifest without extracting it.
+ * @param {string} file
+ * @returns {Promise<object>}
+ */
+export function readBundleManifest(file) {
+  return readBundle(file, null);
+}
+
+/**
+ * Rewrite absolute paths under one project root to another, in every text
+ * column. Returns the number of values changed.
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} fromRoot
+ * @param {string} toRoot
+ * @returns {number}
+ */
+export function rebasePaths(db, fromRoot, toRoot) {
+  if (!fromRoot || fromRoot === toRoot) return 0;
+  const prefix = fromRoot.endsWith('/') ? fromRoot : fromRoot + '/';
+  const target = toRoot.endsWith('/') ? toRoot : toRoot + '/';
+  const tables = db.prepare(
+    "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'"
+  ).all().map(r => r.name);
+
+  let changed = 0;
+  for (const table of tables) {
+    const cols = db.prepare(`PRAGMA table_info(${table})`).all()
+      .filter(c => /TEXT/i.test(c.type))
+      .map(c => c.name);
+    for (const col of cols) {
+      changed += db.prepare(
+        `UPDATE ${table} SET ${col} = ? || substr(${col}, ?) WHERE substr(${col}, 1, ?) = ?`
+      ).run(target, prefix.length + 1, prefix.length, prefix).changes;
+      changed += db.prepare(
+        `UPDATE ${table} SET ${col} = ? WHERE ${col} = ?`
+      ).run(toRoot, fromRoot).changes;
+    }
+  }
+  return changed;
+}
+
+/**
+ * Adopt local mtimes for files whose content matches the bundle, so the
+ * incremental pass (and every later one) can skip them on mtime alone.
+ * External stub files have no content to compare and are left out.
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} root
+ * @returns {number} Files whose stored mtime was refreshed
+ */
+export function adoptLocalMtimes(db, root) {
+  const rows = db.prepare('SELECT id, path, hash FROM files WHERE file_role IS NOT ?').all(EXTERNAL);
+  const update = db.prepare('UPDATE files SET mtime = ? WHERE id = ?');
+  let adopted = 0;
+  db.transaction(() => {
+    for (const row of rows) {
+      const fullPath = join(root, row.path);
+      try {
+        if (fileHash(fullPath) !== row.hash) continue;
+        update.run(statSync(fullPath).mtimeMs / 1000, row.id);
+        adopted++;
+      } catch {
+        // Missing locally: the incremental pass removes it
+      }
+    }
+  })();
+  return adopted;
+}
+
+/**
+ * Replace the project's index with a bundle's. The caller runs an
+ * incremental pass afterwards to pick up local changes.
+ * @param {string} root - Project root
+ * @param {string} file - Bundle path
+ * @param {object} [opts]
+ * @param {string|null} [opts.dbPath] - Index to replace (default .roam/index.db)
+ * @returns {Promise<{ manifest: object, rebased: number, adopted: number, files: number }>}
+ *   files: project files in the bundle, without external stub files
+ * @throws {Error} code 'ROAM_INVALID_BUNDLE', 'ROAM_INCOMPATIBLE_SCHEMA' or 'ROAM_INDEX_LOCKED'
+ */
+export async function importBundle(root, file, { dbPath = null } = {}) {
+  root = resolve(root);
+  if (!dbPath) dbPath = getDbPath(root);
+  if (!acquireIndexLock(root)) {
+    throw bundleError('Another indexing process holds .roam/index.lock.', 'ROAM_INDEX_LOCKED');
+  }
+  const staging = `${dbPath}.import`;
+  try {
+    removeDb(staging);
+    const manifest = await readBundle(file, staging);
+
+    const check = new Database(staging, { readonly: true, fileMustExist: true });
+    try {
+      if (check.pragma('quick_check', { simple: true }) !== 'ok') {
+        throw bundleError('The bundle database is corrupt.');
+      }
+    } catch (e) {
+      if (e.code === 'ROAM_INVALID_BUNDLE') throw e;
+      throw bundleError(`The bundle database is unreadable (${e.message}).`);
+    } finally {
+      check.close();
+    }
+
+    let rebased, adopted, files;
+    // Writable open migrates an older schema
+    const db = openDb({ dbPath: staging });
+    try {
+      rebased = db.transaction(() => rebasePaths(db, manifest.root, root))();
+      adopted = adoptLocalMtimes(db, root);
+      files = db.prepare('SELECT COUNT(*) AS cnt FROM files WHERE file_role IS NOT ?').get(EXTERNAL).cnt;
+      setMeta(db, 'bundle_commit', manifest.commit);
+      setMeta(db, 'bundle_roam_version', manifest.roam_version);
+      db.pragma('wal_checkpoint(TRUNCATE)');
+    } finally {
+      db.close();
+    }
+
+    removeDb(dbPath);
+    renameSync(staging, dbPath);
+    removeDb(staging);
+    return { manifest, rebased, adopted, files };
+  } catch (e) {
+    removeDb(staging);
+    throw e;
+  } finally {
+    releaseIndexLock(root);
+  }
+}
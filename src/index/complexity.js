@@ -305,6 +305,56 @@ const _CALLABLE_KINDS = new Set([
   'property', 'closure', 'lambda',
 ]);
 
+/**
+ * Compute complexity for every callable symbol of a file (no DB access).
+ * @param {object} tree - Tree-sitter parse tree
+ * @param {string} source
+ * @param {object[]} symbols - Symbol dicts with kind, line_start, line_end
+ * @returns {{ index: number, metrics: object }[]} index into `symbols`
+ */
+export function computeFileComplexity(tree, source, symbols) {
+  const out = [];
+  for (let i = 0; i < symbols.length; i++) {
+    const sym = symbols[i];
+    if (!_CALLABLE_KINDS.has(sym.kind || '')) continue;
+    if (sym.line_start == null || sym.line_end == null) continue;
+
+    const metrics = computeSymbolComplexity(tree, source, sym.line_start, sym.line_end);
+    if (metrics) out.push({ index: i, metrics });
+  }
+  return out;
+}
+
+/**
+ * Store per-symbol metrics rows in symbol_metrics.
+ * @param {import('better-sqlite3').Database} db
+ * @param {{ symbolId: number, metrics: object }[]} items
+ */
+export function storeSymbolMetrics(db, items) {
+  if (!items.length) return;
+  const insert = db.prepare(
+    `INSERT OR REPLACE INTO symbol_metrics
+     (symbol_id, cognitive_complexity, nesting_depth, param_count,
+      line_count, return_count, bool_op_count, callback_depth,
+      cyclomatic_density, halstead_volume, halstead_difficulty,
+      halstead_effort, halstead_bugs)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+  );
+  const insertAll = db.transaction((rows) => {
+    for (const { symbolId, metrics } of rows) {
+      insert.run(
+        symbolId,
+        metrics.cognitive_complexity, metrics.nesting_depth, metrics.param_count,
+        metrics.line_count, metrics.return_count, metrics.bool_op_count,
+        metrics.callback_depth, metrics.cyclomatic_density,
+        metrics.halstead_volume, metrics.halstead_difficulty,
+        metrics.halstead_effort, metrics.halstead_bugs,
+      );
+    }
+  });
+  insertAll(items);
+}
+
 /**
  * Compute complexity for all functions in a file and store in symbol_metrics.
  */
@@ -313,36 +363,6 @@ export function computeAndStore(db, fileId, tree, source) {
     'SELECT id, kind, line_start, line_end FROM symbols WHERE file_id = ?'
   ).all(fileId);
 
-  const batch = [];
-  for (const row of rows) {
-    if (!_CALLABLE_KINDS.has(row.kind || '')) continue;
-    if (row.line_start == null || row.line_end == null) continue;
-
-    const metrics = computeSymbolComplexity(tree, source, row.line_start, row.line_end);
-    if (!metrics) continue;
-
-    batch.push([
-      row.id,
-      metrics.cognitive_complexity, metrics.nesting_depth, metrics.param_count,
-      metrics.line_count, metrics.return_count, metrics.bool_op_count,
-      metrics.callback_depth, metrics.cyclomatic_density,
-      metrics.halstead_volume, metrics.halstead_difficulty,
-      metrics.halstead_effort, metrics.halstead_bugs,
-    ]);
-  }
-
-  if (batch.length) {
-    const insert = db.prepare(
-      `INSERT OR REPLACE INTO symbol_metrics
-       (symbol_id, cognitive_complexity, nesting_depth, param_count,
-        line_count, return_count, bool_op_count, callback_depth,
-        cyclomatic_density, halstead_volume, halstead_difficulty,
-        halstead_effort, halstead_bugs)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
-    );
-    const insertAll = db.transaction((items) => {
-      for (const item of items) insert.run(...item);
-    });
-    insertAll(batch);
-  }
+  const computed = computeFileComplexity(tree, source, rows);
+  storeSymbolMetrics(db, computed.map(({ index, metrics }) => ({ symbolId: rows[index].id, metrics })));
 }
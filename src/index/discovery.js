@@ -5,6 +5,7 @@
 import { execSync } from 'node:child_process';
 import { readdirSync, statSync } from 'node:fs';
 import { join, relative, extname, basename } from 'node:path';
+import { loadProjectConfig, isIncluded, excludedBy, globBase } from './project-config.js';
 
 const SKIP_EXTENSIONS = new Set([
   '.lock', '.min.js', '.min.css', '.map',
@@ -36,16 +37,15 @@ const SKIP_DIRS = new Set([
   '.roam',
 ]);
 
-const MAX_FILE_SIZE = 1_000_000; // 1MB
-
-function isSkippable(relPath) {
-  const parts = relPath.replace(/\\/g, '/').split('/');
-  if (parts.includes('.roam')) return true;
+/**
+ * Name of the built-in rule that skips a path, or null.
+ */
+function builtinSkipReason(relPath) {
   const name = basename(relPath);
-  if (SKIP_NAMES.has(name)) return true;
+  if (SKIP_NAMES.has(name)) return 'built-in skip name';
   const ext = extname(name).toLowerCase();
-  if (SKIP_EXTENSIONS.has(ext)) return true;
-  return false;
+  if (SKIP_EXTENSIONS.has(ext)) return 'built-in skip extension';
+  return null;
 }
 
 function gitLsFiles(root) {
@@ -60,7 +60,7 @@ function gitLsFiles(root) {
   }
 }
 
-function walkFiles(root) {
+function walkFiles(root, base = '', pruneDirs = SKIP_DIRS) {
   const result = [];
 
   function walk(dir) {
@@ -72,7 +72,7 @@ function walkFiles(root) {
     }
     for (const entry of entries) {
       if (entry.isDirectory()) {
-        if (!SKIP_DIRS.has(entry.name) && !entry.name.startsWith('.')) {
+        if (!pruneDirs.has(entry.name) && !entry.name.startsWith('.')) {
           walk(join(dir, entry.name));
         }
       } else if (entry.isFile()) {
@@ -87,18 +87,53 @@ function walkFiles(root) {
     }
   }
 
-  walk(root);
+  walk(base ? join(root, base) : root);
   return result;
 }
 
-function filterFiles(paths, root) {
+/**
+ * Walk the static base directory of each include glob so that opted-in
+ * files hidden by .gitignore or the built-in directory skips are found.
+ */
+function walkIncluded(root, config) {
+  const found = [];
+  const bases = new Set(config.include.map(globBase));
+  // A base-less pattern covers the whole tree; no need to walk subdirectories twice
+  const roots = bases.has('') ? [''] : [...bases];
+  for (const base of roots) {
+    found.push(...walkFiles(root, base, base ? new Set(['.git', '.roam']) : SKIP_DIRS));
+  }
+  return found.filter(p => isIncluded(config, p));
+}
+
+/**
+ * Apply built-in skips, config rules and the size limit to candidate paths.
+ * @param {string[]} paths - Forward-slash relative paths
+ * @param {object} config - Project config from loadProjectConfig
+ * @param {object} opts
+ * @param {(relPath: string) => number|null} opts.sizeOf - File size in bytes, null when missing
+ * @param {Map<string, number>} [opts.excluded] - Filled with rule label -> excluded file count
+ * @returns {string[]} Kept paths, in input order
+ */
+export function filterPaths(paths, config, { sizeOf, excluded = new Map() }) {
+  const count = (rule) => excluded.set(rule, (excluded.get(rule) || 0) + 1);
   const kept = [];
   for (const relPath of paths) {
-    if (isSkippable(relPath)) continue;
-    const fullPath = join(root, relPath);
-    try {
-      if (statSync(fullPath).size > MAX_FILE_SIZE) continue;
-    } catch {
+    if (relPath.split('/').includes('.roam')) continue;
+    const builtin = builtinSkipReason(relPath);
+    if (builtin && !isIncluded(config, relPath)) {
+      count(builtin);
+      continue;
+    }
+    const rule = excludedBy(config, relPath);
+    if (rule) {
+      count(rule);
+      continue;
+    }
+    const size = sizeOf(relPath);
+    if (size == null) continue;
+    if (size > config.maxFileSize) {
+      count(`max_file_size ${config.maxFileSize}`);
       continue;
     }
     kept.push(relPath);
@@ -106,19 +141,75 @@ function filterFiles(paths, root) {
   return kept;
 }
 
+function diskSize(root) {
+  return (relPath) => {
+    try {
+      return statSync(join(root, relPath)).size;
+    } catch {
+      return null;
+    }
+  };
+}
+
 /**
  * Discover source files in a project directory.
  * Uses git ls-files when available, falls back to fs walk.
+ * Applies the project config (.roam/config.json, roam.config.json, .roamignore).
  * @param {string} root - Absolute path to project root
+ * @param {object} [opts]
+ * @param {object|null} [opts.config] - Preloaded project config (loaded from root when omitted)
+ * @param {Map<string, number>|null} [opts.excluded] - Filled with rule label -> excluded file count
  * @returns {string[]} Sorted list of relative paths with forward slashes
  */
-export function discoverFiles(root) {
+export function discoverFiles(root, { config = null, excluded = null } = {}) {
+  if (!config) config = loadProjectConfig(root);
   let raw = gitLsFiles(root);
   if (raw === null) {
     raw = walkFiles(root);
   }
   raw = raw.map(p => p.replace(/\\/g, '/'));
-  const filtered = filterFiles(raw, root);
+  if (config.include.length) {
+    raw = [...new Set([...raw, ...walkIncluded(root, config).map(p => p.replace(/\\/g, '/'))])];
+  }
+  const filtered = filterPaths(raw, config, { sizeOf: diskSize(root), excluded: excluded || new Map() });
   filtered.sort();
   return filtered;
 }
+
+/**
+ * Whether a single path would pass discovery's built-in skips and config
+ * rules. Used by the watcher to ignore irrelevant change events; it does not
+ * consult git, so gitignored paths still pass.
+ * @param {string} relPath - Forward-slash path relative to the project root
+ * @param {object} config - Project config from loadProjectConfig
+ * @returns {boolean}
+ */
+export function isDiscoverable(relPath, config) {
+  const parts = relPath.split('/');
+  if (parts.includes('.roam') || parts[0] === '.git') return false;
+  if (excludedBy(config, relPath)) return false;
+  if (isIncluded(config, relPath)) return true;
+  if (parts.slice(0, -1).some(p => SKIP_DIRS.has(p))) return false;
+  return !builtinSkipReason(relPath);
+}
+
+/**
+ * Whether a directory can be skipped entirely when watching the tree:
+ * a built-in skip directory or an excluded one, unless an include glob
+ * reaches into it.
+ * @param {string} relDir - Forward-slash directory path relative to the project root
+ * @param {object} config - Project config from loadProjectConfig
+ * @returns {boolean}
+ */
+export function isPrunedDir(relDir, config) {
+  if (!relDir) return false;
+  const name = relDir.slice(relDir.lastIndexOf('/') + 1);
+  if (name === '.git' || name === '.roam') return true;
+  const reachedByInclude = config.include.some((p) => {
+    const base = globBase(p);
+    return base && (base === relDir || base.startsWith(relDir + '/') || relDir.startsWith(base + '/'));
+  });
+  if (reachedByInclude) return false;
+  if (SKIP_DIRS.has(name)) return true;
+  return Boolean(excludedBy(config, relDir + '/'));
+}
@@ -0,0 +1,243 @@
+/**
+ * Index integrity and environment diagnostics for `roam doctor`.
+ *
+ * Each check returns { name, status, detail, data } where status is one of
+ * 'ok', 'info', 'warn' or 'fail'. 'warn' and 'fail' count as problems.
+ */
+
+import Database from 'better-sqlite3';
+import { execFileSync } from 'node:child_process';
+import { existsSync, readFileSync } from 'node:fs';
+import { join } from 'node:path';
+
+import { getDbPath } from '../db/connection.js';
+import { getSchemaVersion, incompatibleSchemaError, SCHEMA_VERSION } from '../db/migrations.js';
+import { discoverFiles } from './discovery.js';
+import { loadProjectConfig } from './project-config.js';
+import { getChangedFiles } from './incremental.js';
+import { filterToScope, loadScope } from './scope.js';
+import { EXTENSION_MAP, REGEX_ONLY_LANGUAGES, grammarStatus } from './parser.js';
+import { initExtractors, getExtractor, getSupportedLanguages, getPluginStatus } from '../languages/registry.js';
+import { findPlugins } from '../languages/plugins.js';
+
+export const PROBLEM_STATUSES = new Set(['warn', 'fail']);
+
+function check(name, status, detail, data = {}) {
+  return { name, status, detail, data };
+}
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    // EPERM: the process exists but belongs to another user
+    return e.code === 'EPERM';
+  }
+}
+
+function indexedLanguages(db) {
+  const rows = db.prepare(
+    'SELECT language, COUNT(*) AS cnt FROM files WHERE language IS NOT NULL GROUP BY language ORDER BY language'
+  ).all();
+  return new Map(rows.map(r => [r.language, r.cnt]));
+}
+
+/**
+ * Compare the stored schema version with the one this roam writes.
+ * @param {import('better-sqlite3').Database} db
+ */
+export function checkSchema(db) {
+  const version = getSchemaVersion(db);
+  if (version > SCHEMA_VERSION) {
+    return check('schema', 'fail', incompatibleSchemaError(db, version).message, { version, expected: SCHEMA_VERSION });
+  }
+  if (version < SCHEMA_VERSION) {
+    return check('schema', 'info',
+      `v${version}, upgraded to v${SCHEMA_VERSION} the next time the index is opened`,
+      { version, expected: SCHEMA_VERSION });
+  }
+  return check('schema', 'ok', `v${version}`, { version, expected: SCHEMA_VERSION });
+}
+
+/**
+ * Count edges whose endpoints no longer exist.
+ * @param {import('better-sqlite3').Database} db
+ */
+export function checkDanglingEdges(db) {
+  const edges = db.prepare(`
+    SELECT COUNT(*) AS cnt FROM edges e
+    WHERE NOT EXISTS (SELECT 1 FROM symbols s WHERE s.id = e.source_id)
+       OR NOT EXISTS (SELECT 1 FROM symbols s WHERE s.id = e.target_id)
+  `).get().cnt;
+  const fileEdges = db.prepare(`
+    SELECT COUNT(*) AS cnt FROM file_edges fe
+    WHERE NOT EXISTS (SELECT 1 FROM files f WHERE f.id = fe.source_file_id)
+       OR NOT EXISTS (SELECT 1 FROM files f WHERE f.id = fe.target_file_id)
+  `).get().cnt;
+  const data = { edges, file_edges: fileEdges };
+  if (!edges && !fileEdges) return check('dangling-edges', 'ok', 'none', data);
+  return check('dangling-edges', 'fail',
+    `${edges} edges, ${fileEdges} file_edges point at missing rows; run \`roam index --force\``, data);
+}
+
+/**
+ * Compare the files on disk with their stored hash and mtime.
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} root
+ */
+export function checkStaleFiles(db, root) {
+  const config = loadProjectConfig(root);
+  const files = filterToScope(discoverFiles(root, { config }), loadScope(db));
+  const [added, modified, removed] = getChangedFiles(db, files, root, config);
+  const data = { added, modified, removed };
+  const total = added.length + modified.length + removed.length;
+  if (!total) return check('stale-files', 'ok', 'index matches the working tree', data);
+  return check('stale-files', 'warn',
+    `${added.length} added, ${modified.length} modified, ${removed.length} removed since the last index; run \`roam index\``,
+    data);
+}
+
+/**
+ * Indexed languages that parse without a grammar, i.e. what the indexer
+ * counts as parseErrors.no_grammar, broken down by language.
+ * Only a known grammar package that fails to load counts as a problem;
+ * languages with no grammar at all are indexed as plain files by design.
+ * @param {import('better-sqlite3').Database} db
+ */
+export function checkGrammars(db) {
+  const missing = [];
+  const unsupported = [];
+  for (const [language, cnt] of indexedLanguages(db)) {
+    if (REGEX_ONLY_LANGUAGES.has(language)) continue;
+    const { known, loaded } = grammarStatus(language);
+    if (loaded) continue;
+    (known ? missing : unsupported).push({ language, files: cnt });
+  }
+  const data = { missing, unsupported };
+  const fmt = list => list.map(l => `${l.language} (${l.files})`).join(', ');
+  if (missing.length) {
+    return check('grammars', 'warn', `grammar failed to load: ${fmt(missing)}`, data);
+  }
+  if (unsupported.length) {
+    return check('grammars', 'info', `no grammar, indexed without symbols: ${fmt(unsupported)}`, data);
+  }
+  return check('grammars', 'ok', 'all indexed languages have a grammar', data);
+}
+
+/**
+ * Languages mapped in EXTENSION_MAP that no extractor handles.
+ * A problem only for languages roam claims to support and the index holds.
+ * @param {Map<string, number>} [indexed] - Language -> indexed file count
+ * @param {object} [opts]
+ * @param {object[]} [opts.plugins] - Extractor plugins to count in (findPlugins() result)
+ */
+export async function checkExtractors(indexed = new Map(), { plugins = [] } = {}) {
+  await initExtractors({ plugins });
+  const supported = new Set(getSupportedLanguages());
+  const languages = [...new Set(Object.values(EXTENSION_MAP))].sort();
+  const missing = languages.filter(l => !getExtractor(l));
+  const affected = missing
+    .filter(l => supported.has(l) && indexed.get(l))
+    .map(l => ({ language: l, files: indexed.get(l) }));
+  const data = { missing, affected };
+  if (affected.length) {
+    return check('extractors', 'warn',
+      `no extractor for indexed files: ${affected.map(a => `${a.language} (${a.files})`).join(', ')}`, data);
+  }
+  if (missing.length) {
+    return check('extractors', 'info', `no extractor: ${missing.join(', ')}`, data);
+  }
+  return check('extractors', 'ok', 'every mapped language has an extractor', data);
+}
+
+/**
+ * Load the project's extractor plugins and report the ones that fail.
+ * They stay registered, so later checks see the plugin languages.
+ * @param {object[]} found - findPlugins() result
+ */
+export async function checkPlugins(found) {
+  await initExtractors({ plugins: found });
+  const { plugins, errors } = getPluginStatus();
+  const data = { plugins, errors };
+  if (errors.length) {
+    return check('extractor-plugins', 'warn',
+      `failed to load: ${errors.map(e => `${e.source} (${e.error})`).join('; ')}`, data);
+  }
+  if (!plugins.length) return check('extractor-plugins', 'ok', 'none', data);
+  return check('extractor-plugins', 'ok',
+    plugins.map(p => `${p.language} (${p.extensions.join(' ')})`).join(', '), data);
+}
+
+/**
+ * Look for an index.lock left behind by a process that has exited.
+ * @param {string} roamDir - The project's .roam directory
+ */
+export function checkLock(roamDir) {
+  const lockPath = join(roamDir, 'index.lock');
+  if (!existsSync(lockPath)) return check('index-lock', 'ok', 'not held');
+  let pid = NaN;
+  try {
+    pid = parseInt(readFileSync(lockPath, 'utf-8').trim(), 10);
+  } catch {}
+  if (!Number.isInteger(pid) || pid <= 0) {
+    return check('index-lock', 'warn', `unreadable lock file ${lockPath}; remove it`, { pid: null });
+  }
+  if (isAlive(pid)) return check('index-lock', 'info', `held by running PID ${pid}`, { pid });
+  return check('index-lock', 'warn',
+    `stale lock from PID ${pid} (not running); the next \`roam index\` removes it`, { pid });
+}
+
+/**
+ * Confirm git is on PATH; git stats, --rev and diff-based commands need it.
+ */
+export function checkGit() {
+  try {
+    const out = execFileSync('git', ['--version'], { stdio: ['ignore', 'pipe', 'ignore'], timeout: 10000 });
+    return check('git', 'ok', out.toString('utf-8').trim());
+  } catch {
+    return check('git', 'warn', 'git not found on PATH; git stats and --rev are unavailable');
+  }
+}
+
+/**
+ * Run every check.
+ * @param {string} root - Project root
+ * @param {object} [opts]
+ * @param {string|null} [opts.dbPath] - Index database (default .roam/index.db)
+ * @returns {Promise<object[]>} Check results in display order
+ */
+export async function runDoctor(root, { dbPath = null } = {}) {
+  if (!dbPath) dbPath = getDbPath(root);
+  const checks = [];
+  let indexed = new Map();
+  // Registered first: plugin languages decide which files are stale or lack a grammar
+  const plugins = findPlugins(root, loadProjectConfig(root));
+  const pluginCheck = await checkPlugins(plugins);
+
+  if (!existsSync(dbPath)) {
+    checks.push(check('index', 'fail', 'no index found; run `roam index`'));
+  } else {
+    // Opened directly so that doctor neither upgrades nor rejects the index
+    const db = new Database(dbPath, { readonly: true, fileMustExist: true });
+    try {
+      checks.push(check('index', 'ok', dbPath));
+      const schema = checkSchema(db);
+      checks.push(schema);
+      if (schema.status !== 'fail') {
+        checks.push(checkDanglingEdges(db));
+        checks.push(checkStaleFiles(db, root));
+        checks.push(checkGrammars(db));
+        indexed = indexedLanguages(db);
+      }
+    } finally {
+      db.close();
+    }
+  }
+
+  checks.push(await checkExtractors(indexed, { plugins }));
+  checks.push(pluginCheck);
+  checks.push(checkLock(join(root, '.roam')));
+  checks.push(checkGit());
+  return checks;
+}
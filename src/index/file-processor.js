@@ -0,0 +1,136 @@
+/**
+ * Per-file read, parse, and extraction stage of the indexing pipeline.
+ * Pure with respect to the database so it can run on worker threads.
+ */
+
+import { readFileSync, statSync } from 'node:fs';
+
+import { parseFile, extractVueTemplate, scanTemplateReferences, parseErrors } from './parser.js';
+import { extractSymbols, extractReferences } from './symbols.js';
+import { fileHash, contentHash } from './incremental.js';
+import { classifyFile } from './file-roles.js';
+import { getExtractor } from '../languages/registry.js';
+import { computeFileComplexity } from './complexity.js';
+
+/**
+ * Indentation-based structural complexity of a whole file.
+ * @param {string} source
+ * @returns {number}
+ */
+export function computeComplexity(source) {
+  const lines = source.split('\n');
+  const depths = [];
+  for (const line of lines) {
+    const expanded = line.replace(/\t/g, '    ');
+    const stripped = expanded.trimStart();
+    if (!stripped) continue;
+    const indent = expanded.length - stripped.length;
+    depths.push(indent / 4.0);
+  }
+  if (!depths.length) return 0;
+  const avg = depths.reduce((a, b) => a + b, 0) / depths.length;
+  const mx = Math.max(...depths);
+  return Math.round(avg * mx * 100) / 100;
+}
+
+export function countLines(source) {
+  if (!source) return 0;
+  return source.split('\n').length;
+}
+
+/**
+ * Read, hash, classify, parse, and extract a single file.
+ * @param {string} fullPath - Absolute path on disk
+ * @param {string} relPath - Project-relative path (used for role classification)
+ * @param {string|null} language
+ * @param {object} [opts]
+ * @param {string} [opts.extractPath] - Path recorded on symbols/references (defaults to relPath)
+ * @param {string|null} [opts.content] - File content when not reading from disk
+ *   (e.g. a git blob); mtime is then left null
+ * @returns {object} { relPath, readError, lineCount, complexity, mtime, hash, fileRole,
+ *   language, symbols, references, symbolMetrics, complexityError, parseErrors }
+ */
+export function processFile(fullPath, relPath, language, { extractPath = relPath, content = null } = {}) {
+  const result = {
+    relPath,
+    language,
+    readError: null,
+    lineCount: 0,
+    complexity: 0,
+    mtime: null,
+    hash: null,
+    fileRole: null,
+    symbols: [],
+    references: [],
+    symbolMetrics: [],
+    complexityError: null,
+    parseErrors: null,
+  };
+
+  let source = content;
+  if (source == null) {
+    try {
+      source = readFileSync(fullPath, 'utf-8');
+    } catch (e) {
+      result.readError = e.message;
+      return result;
+    }
+  }
+
+  result.lineCount = countLines(source);
+  result.complexity = computeComplexity(source);
+  if (content == null) {
+    try { result.mtime = statSync(fullPath).mtimeMs / 1000; } catch {}
+    try { result.hash = fileHash(fullPath); } catch {}
+  } else {
+    result.hash = contentHash(content);
+  }
+  result.fileRole = classifyFile(relPath, source.slice(0, 2048));
+
+  // Parse with tree-sitter, recording parse-error counters raised by this file
+  const before = { ...parseErrors };
+  const [tree, parsedSource, lang] = parseFile(fullPath, language, content);
+  const delta = {};
+  for (const key of Object.keys(parseErrors)) {
+    if (parseErrors[key] !== before[key]) delta[key] = parseErrors[key] - before[key];
+  }
+  if (Object.keys(delta).length) result.parseErrors = delta;
+  if (tree == null && parsedSource == null) return result;
+
+  let extractor = null;
+  if (lang) {
+    try { extractor = getExtractor(lang); } catch {}
+  }
+  if (!extractor) return result;
+
+  result.symbols = extractSymbols(tree, parsedSource, extractPath, extractor);
+
+  const refs = extractReferences(tree, parsedSource, extractPath, extractor);
+  for (const ref of refs) {
+    ref.source_file = extractPath;
+  }
+  result.references = refs;
+
+  // Vue template scanning
+  if (relPath.endsWith('.vue')) {
+    try {
+      const tplResult = extractVueTemplate(source);
+      if (tplResult) {
+        const [tplContent, tplStartLine] = tplResult;
+        const knownNames = new Set(result.symbols.map(s => s.name));
+        result.references.push(...scanTemplateReferences(tplContent, tplStartLine, knownNames, extractPath));
+      }
+    } catch {}
+  }
+
+  // Per-symbol complexity metrics (AST-based)
+  if (tree) {
+    try {
+      result.symbolMetrics = computeFileComplexity(tree, parsedSource, result.symbols);
+    } catch (e) {
+      result.complexityError = e.message;
+    }
+  }
+
+  return result;
+}
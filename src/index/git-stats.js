@@ -7,20 +7,39 @@ import { readFileSync } from 'node:fs';
 import { resolve } from 'node:path';
 import { createHash } from 'node:crypto';
 
-function log(msg) { process.stderr.write(msg + '\n'); }
+let quietLog = false;
+function log(msg) { if (!quietLog) process.stderr.write(msg + '\n'); }
 
 // ---------------------------------------------------------------------------
 // Public entry point
 // ---------------------------------------------------------------------------
 
-export function collectGitStats(db, projectRoot) {
-  projectRoot = resolve(projectRoot);
+/**
+ * Collect commit history, co-change and churn stats into the index.
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} projectRoot
+ * @param {object} [opts]
+ * @param {string|null} [opts.rev] - Walk history from this commit instead of HEAD;
+ *   file complexity is then left as computed by the indexer
+ * @param {boolean} [opts.quiet=false] - Suppress progress lines on stderr
+ */
+export function collectGitStats(db, projectRoot, { rev = null, quiet = false } = {}) {
+  const wasQuiet = quietLog;
+  quietLog = quiet;
+  try {
+    return _collectGitStats(db, resolve(projectRoot), rev);
+  } finally {
+    quietLog = wasQuiet;
+  }
+}
+
+function _collectGitStats(db, projectRoot, rev) {
   if (!_isGitRepo(projectRoot)) {
     log('Not a git repository — skipping git stats');
     return { commits: 0, cochanges: 0 };
   }
 
-  const commits = parseGitLog(projectRoot);
+  const commits = parseGitLog(projectRoot, 5000, rev);
   if (!commits.length) {
     log('No git commits found');
     return { commits: 0, cochanges: 0 };
@@ -30,7 +49,8 @@ export function collectGitStats(db, projectRoot) {
   storeCommits(db, commits);
   const cochangeCount = computeCochange(db);
   computeFileStats(db);
-  computeComplexity(db, projectRoot);
+  // Indentation complexity re-reads the working tree, which a --rev index must not use
+  if (!rev) computeComplexity(db, projectRoot);
   return { commits: commits.length, cochanges: cochangeCount };
 }
 
@@ -40,11 +60,12 @@ export function collectGitStats(db, projectRoot) {
 
 const COMMIT_SEP = 'COMMIT:';
 
-export function parseGitLog(projectRoot, maxCommits = 5000) {
+export function parseGitLog(projectRoot, maxCommits = 5000, rev = null) {
   const result = _runGit([
     'git', 'log', '--numstat',
     '--pretty=format:COMMIT:%H|%an|%at|%s',
     '--no-merges', '-n', String(maxCommits),
+    ...(rev ? [rev, '--'] : []),
   ], projectRoot);
   if (!result) return [];
 
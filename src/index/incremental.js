@@ -1,10 +1,13 @@
 /**
- * Change detection for incremental re-indexing.
+ * Change detection and stored references for incremental re-indexing.
  */
 
 import { createHash } from 'node:crypto';
 import { readFileSync, statSync } from 'node:fs';
 import { join } from 'node:path';
+import { detectLanguage } from './parser.js';
+import { languageOverride } from './project-config.js';
+import { batchedIn } from '../db/connection.js';
 
 /**
  * Compute SHA-256 hash of a file.
@@ -12,24 +15,36 @@ import { join } from 'node:path';
  * @returns {string}
  */
 export function fileHash(filePath) {
+  return contentHash(readFileSync(filePath));
+}
+
+/**
+ * Compute SHA-256 hash of in-memory file content.
+ * @param {string|Buffer} data
+ * @returns {string}
+ */
+export function contentHash(data) {
   const h = createHash('sha256');
-  const data = readFileSync(filePath);
   h.update(data);
   return h.digest('hex');
 }
 
 /**
  * Determine which files have been added, modified, or removed.
+ * A file whose language (including project-config overrides) differs from
+ * the stored one counts as modified even when its content is unchanged.
  * @param {import('better-sqlite3').Database} db
  * @param {string[]} filePaths - Current list of relative file paths on disk
  * @param {string} root - Project root directory
+ * @param {object|null} [config] - Project config from loadProjectConfig
  * @returns {[string[], string[], string[]]} [added, modified, removed]
  */
-export function getChangedFiles(db, filePaths, root) {
-  const rows = db.prepare('SELECT path, mtime, hash FROM files').all();
+export function getChangedFiles(db, filePaths, root, config = null) {
+  // Out-of-scope stubs are not files on disk
+  const rows = db.prepare("SELECT path, language, mtime, hash FROM files WHERE file_role IS NOT 'external'").all();
   const stored = new Map();
   for (const row of rows) {
-    stored.set(row.path, { mtime: row.mtime, hash: row.hash });
+    stored.set(row.path, { language: row.language, mtime: row.mtime, hash: row.hash });
   }
 
   const currentSet = new Set(filePaths);
@@ -51,7 +66,13 @@ export function getChangedFiles(db, filePaths, root) {
       continue;
     }
 
-    const { mtime: storedMtime, hash: storedHash } = stored.get(path);
+    const { language: storedLanguage, mtime: storedMtime, hash: storedHash } = stored.get(path);
+
+    const language = languageOverride(config, path) || detectLanguage(path);
+    if ((language || null) !== (storedLanguage || null)) {
+      modified.push(path);
+      continue;
+    }
 
     // Fast path: if mtime is unchanged, assume file is unchanged
     if (storedMtime != null && Math.abs(currentMtime - storedMtime) < 0.001) {
@@ -74,3 +95,114 @@ export function getChangedFiles(db, filePaths, root) {
 
   return [added, modified, removed];
 }
+
+/**
+ * Persist a file's raw (pre-resolution) references.
+ * @param {import('better-sqlite3').Database} db
+ * @param {number} fileId
+ * @param {object[]} refs - Normalized reference dicts
+ */
+export function storeReferences(db, fileId, refs) {
+  if (!refs.length) return;
+  const insert = db.prepare(
+    `INSERT INTO refs (file_id, source_name, target_name, kind, line, import_path, receiver_type)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`
+  );
+  for (const ref of refs) {
+    if (!ref.target_name) continue;
+    insert.run(fileId, ref.source_name || '', ref.target_name, ref.kind || 'call', ref.line ?? null,
+      ref.import_path ?? null, ref.receiver_type ?? null);
+  }
+}
+
+/**
+ * Load stored references for a set of files, in extraction order.
+ * @param {import('better-sqlite3').Database} db
+ * @param {number[]} fileIds
+ * @returns {object[]} Reference dicts with source_file set
+ */
+export function loadReferences(db, fileIds) {
+  const rows = batchedIn(
+    db,
+    `SELECT r.source_name, r.target_name, r.kind, r.line, r.import_path, r.receiver_type, f.path AS source_file
+     FROM refs r JOIN files f ON r.file_id = f.id
+     WHERE r.file_id IN ({ph}) ORDER BY r.id`,
+    fileIds,
+  );
+  return rows;
+}
+
+/**
+ * IDs of the files with stored references.
+ * @param {import('better-sqlite3').Database} db
+ * @returns {Set<number>}
+ */
+export function filesWithReferences(db) {
+  return new Set(db.prepare('SELECT DISTINCT file_id FROM refs').all().map(r => r.file_id));
+}
+
+/**
+ * Load every stored `reexport` reference: re-export chains run through
+ * barrels whatever files are being re-resolved.
+ * @param {import('better-sqlite3').Database} db
+ * @returns {object[]} Reference dicts with source_file set
+ */
+export function loadReexports(db) {
+  return db.prepare(
+    `SELECT r.source_name, r.target_name, r.kind, r.line, r.import_path, f.path AS source_file
+     FROM refs r JOIN files f ON r.file_id = f.id
+     WHERE r.kind = 'reexport' ORDER BY r.id`
+  ).all();
+}
+
+/**
+ * Find files holding a reference whose resolution may depend on the given
+ * symbol names: the target matches a name (case-insensitively, mirroring the
+ * resolver's fallback), or the source or receiver type matches one exactly.
+ * Names are followed through the aliases barrels re-export them as, and
+ * modules re-exporting everything from another are always included, as what
+ * they pass on may have changed with any of these.
+ * @param {import('better-sqlite3').Database} db
+ * @param {Iterable<string>} names - Simple and qualified symbol names
+ * @returns {Set<number>} file IDs
+ */
+export function filesReferencingNames(db, names) {
+  const exact = [...reexportedNames(db, names)].filter(Boolean);
+  const lower = [...new Set(exact.map(n => n.toLowerCase()))];
+  const ids = new Set();
+  for (const r of batchedIn(db, 'SELECT DISTINCT file_id FROM refs WHERE lower(target_name) IN ({ph})', lower)) {
+    ids.add(r.file_id);
+  }
+  for (const r of batchedIn(db, 'SELECT DISTINCT file_id FROM refs WHERE source_name IN ({ph})', exact)) {
+    ids.add(r.file_id);
+  }
+  // Method calls bound through their receiver's class
+  for (const r of batchedIn(db, 'SELECT DISTINCT file_id FROM refs WHERE receiver_type IN ({ph})', exact)) {
+    ids.add(r.file_id);
+  }
+  if (exact.length) {
+    for (const r of db.prepare("SELECT DISTINCT file_id FROM refs WHERE kind = 'reexport' AND target_name = '*'").all()) {
+      ids.add(r.file_id);
+    }
+  }
+  return ids;
+}
+
+// The names plus every alias re-exports give them, transitively
+function reexportedNames(db, names) {
+  const out = new Set(names);
+  const aliases = db.prepare(
+    "SELECT target_name, source_name FROM refs WHERE kind = 'reexport' AND source_name NOT IN ('', '*') AND source_name != target_name"
+  ).all();
+  let grown = aliases.length > 0;
+  while (grown) {
+    grown = false;
+    for (const { target_name: name, source_name: alias } of aliases) {
+      if (out.has(name) && !out.has(alias)) {
+        out.add(alias);
+        grown = true;
+      }
+    }
+  }
+  return out;
+}
@@ -2,95 +2,304 @@
  * Orchestrates the full indexing pipeline.
  */
 
-import { existsSync, readFileSync, writeFileSync, unlinkSync, statSync, mkdirSync } from 'node:fs';
+import { existsSync, readFileSync, writeFileSync, unlinkSync, mkdirSync } from 'node:fs';
 import { join, resolve } from 'node:path';
-
-import { openDb, findProjectRoot, getDbPath } from '../db/connection.js';
-import { discoverFiles } from './discovery.js';
-import { parseFile, detectLanguage, extractVueTemplate, scanTemplateReferences, getParseErrorSummary } from './parser.js';
-import { extractSymbols, extractReferences } from './symbols.js';
-import { resolveReferences, buildFileEdges } from './relations.js';
-import { getChangedFiles, fileHash } from './incremental.js';
-import { classifyFile } from './file-roles.js';
-import { initExtractors, getExtractor } from '../languages/registry.js';
-import { computeAndStore as computeSymbolComplexity } from './complexity.js';
+import { EventEmitter } from 'node:events';
+
+import { openDb, findProjectRoot, getDbPath, getMeta, setMeta } from '../db/connection.js';
+import { VERSION } from '../index.js';
+import { discoverFiles, filterPaths } from './discovery.js';
+import { loadProjectConfig, languageOverride, readFromDisk, loadQueryFiles } from './project-config.js';
+import { detectLanguage, getParseErrorSummary } from './parser.js';
+import { resolveReferences, buildFileEdges, linkDeclarations, linkOverrides } from './relations.js';
+import { createModuleResolver, isResolverInput, resolverSettings } from './module-resolver.js';
+import {
+  getChangedFiles, contentHash, storeReferences, loadReferences, loadReexports, filesReferencingNames, filesWithReferences,
+} from './incremental.js';
+import { initExtractors, getPluginStatus } from '../languages/registry.js';
+import { findPlugins } from '../languages/plugins.js';
+import { storeSymbolMetrics } from './complexity.js';
+import { processFiles, resolveJobs } from './worker-pool.js';
+import { resolveRevision, revisionDbPath, listRevisionFiles, readBlobs, readRevisionFile } from './revision.js';
 import { collectGitStats } from './git-stats.js';
+import { EXTERNAL, filterToScope, inScope, loadScope, saveScope, createStubResolver, pruneStubs, diskExists } from './scope.js';
+import { createPackageResolver } from './packages.js';
+
+/**
+ * Version of what the extractors store (symbols and references). Bump it when
+ * their output changes: an index stamped with another version is rebuilt once
+ * instead of patched incrementally on top of stale symbols.
+ */
+export const EXTRACTOR_VERSION = 4;
 
 function log(msg) {
   process.stderr.write(msg + '\n');
 }
 
-function computeComplexity(source) {
-  const lines = source.split('\n');
-  const depths = [];
-  for (const line of lines) {
-    const expanded = line.replace(/\t/g, '    ');
-    const stripped = expanded.trimStart();
-    if (!stripped) continue;
-    const indent = expanded.length - stripped.length;
-    depths.push(indent / 4.0);
+/**
+ * Take the .roam/index.lock PID lock, clearing it first if its owner has exited.
+ * @param {string} root - Project root
+ * @param {object} [opts]
+ * @param {boolean} [opts.quiet=false] - Do not explain a held or stale lock on stderr
+ * @returns {boolean} false when another live process holds the lock
+ */
+export function acquireIndexLock(root, { quiet = false } = {}) {
+  const say = quiet ? () => {} : log;
+  const roamDir = join(root, '.roam');
+  mkdirSync(roamDir, { recursive: true });
+  const lockPath = join(roamDir, 'index.lock');
+
+  if (existsSync(lockPath)) {
+    try {
+      const pid = parseInt(readFileSync(lockPath, 'utf-8').trim(), 10);
+      try {
+        process.kill(pid, 0);
+        say(`Another indexing process (PID ${pid}) is running. Exiting.`);
+        return false;
+      } catch {
+        say(`Removing stale lock file (PID ${pid} is not running).`);
+        unlinkSync(lockPath);
+      }
+    } catch {
+      try { unlinkSync(lockPath); } catch {}
+    }
   }
-  if (!depths.length) return 0;
-  const avg = depths.reduce((a, b) => a + b, 0) / depths.length;
-  const mx = Math.max(...depths);
-  return Math.round(avg * mx * 100) / 100;
+
+  try {
+    // Exclusive create: lose cleanly if another process won the race
+    writeFileSync(lockPath, String(process.pid), { flag: 'wx' });
+  } catch {
+    say('Another indexing process acquired the lock. Exiting.');
+    return false;
+  }
+  return true;
 }
 
-function countLines(source) {
-  if (!source) return 0;
-  return source.split('\n').length;
+/**
+ * Release the lock taken by acquireIndexLock().
+ * @param {string} root - Project root
+ */
+export function releaseIndexLock(root) {
+  try { unlinkSync(join(root, '.roam', 'index.lock')); } catch {}
 }
 
-export class Indexer {
-  constructor(projectRoot = null) {
+/**
+ * Progress events, emitted both under their own type and as 'event':
+ *   stage_start { stage }
+ *   stage_end   { stage, duration_ms, ...stage counts }
+ *   progress    { stage, done, total }
+ *   warning     { stage, file, message }
+ *   done        { status, duration_ms, files, symbols, edges, parse_issues? }
+ * Stages run in the order of STAGES. A stage that fails ends with `skipped`
+ * set to the reason; clusters needs the metrics graph and is not started
+ * without it. An up-to-date index stops after discovery.
+ */
+export const STAGES = ['discovery', 'parse', 'resolve', 'file_edges', 'metrics', 'clusters', 'git'];
+
+export class Indexer extends EventEmitter {
+  /**
+   * @param {string|null} [projectRoot] - Defaults to the enclosing git root
+   * @param {object} [opts]
+   * @param {string|null} [opts.rev] - Index this git revision from the object
+   *   database instead of the working tree
+   * @param {string|null} [opts.dbPath] - Database to write (defaults to
+   *   .roam/index.db, or .roam/index-<commit>.db with rev)
+   * @param {string[]|null} [opts.scope] - Directories (relative to the root)
+   *   to index; null keeps the scope stored in the index, [] clears it
+   * @param {boolean} [opts.quiet=false] - No text log on stderr; events are still emitted
+   */
+  constructor(projectRoot = null, { rev = null, dbPath = null, scope = null, quiet = false } = {}) {
+    super();
     this.root = projectRoot ? resolve(projectRoot) : findProjectRoot();
+    this.rev = rev;
+    this.dbPath = dbPath;
+    this.scope = scope;
+    this.commit = null;
+    this.queries = {};
+    this.plugins = [];
+    this.quiet = quiet;
+    this._stageStarts = new Map();
+  }
+
+  _log(msg) {
+    if (!this.quiet) log(msg);
+  }
+
+  _emit(type, data = {}) {
+    const event = { type, ...data };
+    this.emit(type, event);
+    this.emit('event', event);
+  }
+
+  _stageStart(stage) {
+    this._stageStarts.set(stage, performance.now());
+    this._emit('stage_start', { stage });
+  }
+
+  _stageEnd(stage, counts = {}) {
+    const duration = performance.now() - this._stageStarts.get(stage);
+    this._emit('stage_end', { stage, duration_ms: Math.round(duration), ...counts });
   }
 
-  async run({ force = false, verbose = false } = {}) {
-    log(`Indexing ${this.root}`);
+  /**
+   * Report a per-file problem; the text log shows it only when verbose.
+   */
+  _warn(stage, file, message, verbose) {
+    this._emit('warning', { stage, file, message });
+    if (verbose) this._log(`  Warning: ${message}`);
+  }
 
-    // Lock file
-    const roamDir = join(this.root, '.roam');
-    mkdirSync(roamDir, { recursive: true });
-    const lockPath = join(roamDir, 'index.lock');
+  /**
+   * Set up extractors with the project's query files and extractor plugins,
+   * which the parse workers are handed as well.
+   */
+  async _initExtractors() {
+    this.queries = loadQueryFiles(this.root);
+    // An invalid config is reported once, by discovery
+    this.plugins = findPlugins(this.root, loadProjectConfig(this.root, { onWarning: () => {} }));
+    await initExtractors({ queries: this.queries, plugins: this.plugins });
+    for (const { source, error } of getPluginStatus().errors) {
+      this._log(`  Warning: extractor plugin ${source} not loaded: ${error}`);
+    }
+  }
 
-    if (existsSync(lockPath)) {
+  /**
+   * Hash of the project's query files and extractor plugin sources, which
+   * shape extraction as much as the extractors do.
+   * @returns {string}
+   */
+  _extractorInputs() {
+    const parts = Object.entries(this.queries).map(([lang, source]) => `query ${lang}\n${source}`);
+    for (const { path } of this.plugins) {
+      if (!path) continue;
+      let source = '';
+      try { source = readFileSync(path, 'utf-8'); } catch {}
+      parts.push(`plugin ${path}\n${source}`);
+    }
+    return contentHash(parts.join('\0'));
+  }
+
+  /**
+   * The scope to index with: the explicit one, else the one stored in the index.
+   * @returns {string[]}
+   */
+  _resolveScope() {
+    if (this.scope) return this.scope;
+    const dbPath = this.dbPath || getDbPath(this.root);
+    if (!existsSync(dbPath)) return [];
+    try {
+      const db = openDb({ readonly: true, dbPath });
       try {
-        const pid = parseInt(readFileSync(lockPath, 'utf-8').trim(), 10);
-        try {
-          process.kill(pid, 0);
-          log(`Another indexing process (PID ${pid}) is running. Exiting.`);
-          return;
-        } catch {
-          log(`Removing stale lock file (PID ${pid} is not running).`);
-          unlinkSync(lockPath);
-        }
-      } catch {
-        try { unlinkSync(lockPath); } catch {}
+        return loadScope(db);
+      } finally {
+        db.close();
       }
+    } catch {
+      return []; // Unreadable index; it is about to be rebuilt or rejected
     }
+  }
 
-    writeFileSync(lockPath, String(process.pid));
+  /**
+   * Whether the existing index was built by other extractors than these, with
+   * other query files or plugins, or predates the stamps, and so must be
+   * rebuilt rather than patched.
+   * @returns {boolean}
+   */
+  _extractorsChanged() {
+    const dbPath = this.dbPath || getDbPath(this.root);
+    if (!existsSync(dbPath)) return false;
+    try {
+      const db = openDb({ readonly: true, dbPath });
+      try {
+        return getMeta(db, 'extractor_version') !== String(EXTRACTOR_VERSION)
+          || getMeta(db, 'extractor_inputs') !== this._extractorInputs();
+      } finally {
+        db.close();
+      }
+    } catch {
+      return false; // Unreadable or newer index; opening it for writing reports why
+    }
+  }
+
+  /**
+   * @param {object} [opts]
+   * @param {boolean} [opts.force=false] - Rebuild the index from scratch
+   * @param {boolean} [opts.verbose=false]
+   * @param {number} [opts.jobs=1] - Parse worker threads (0 = one per CPU)
+   * @returns {Promise<'indexed'|'unchanged'|'locked'>}
+   */
+  async run({ force = false, verbose = false, jobs = 1 } = {}) {
+    if (this.rev) {
+      // Always a fresh build into its own DB; the working-tree index and its lock are untouched
+      this.commit = resolveRevision(this.root, this.rev);
+      if (!this.dbPath) this.dbPath = revisionDbPath(this.root, this.commit);
+      this._log(`Indexing ${this.root} at ${this.commit.slice(0, 12)} -> ${this.dbPath}`);
+      await this._initExtractors();
+      return this._doRun(true, verbose, resolveJobs(jobs));
+    }
+
+    this._log(`Indexing ${this.root}`);
+
+    if (!acquireIndexLock(this.root, { quiet: this.quiet })) {
+      this._emit('done', { status: 'locked' });
+      return 'locked';
+    }
     try {
       // Init extractors (async for ESM dynamic imports)
-      await initExtractors();
-      await this._doRun(force, verbose);
+      await this._initExtractors();
+      return await this._doRun(force, verbose, resolveJobs(jobs));
     } finally {
-      try { unlinkSync(lockPath); } catch {}
+      releaseIndexLock(this.root);
     }
   }
 
-  async _doRun(force, verbose) {
+  async _doRun(force, verbose, jobs = 1) {
     const t0 = performance.now();
+    const scope = this._resolveScope();
 
     // 1. Discover files
-    log('Discovering files...');
-    const allFiles = discoverFiles(this.root);
-    log(`  Found ${allFiles.length} files`);
+    this._stageStart('discovery');
+    this._log('Discovering files...');
+    const excluded = new Map();
+    let config, allFiles;
+    let revFiles = null; // path -> { oid, size } when indexing a revision
+    // Config problems go out as events too, so they never break a JSON progress stream
+    const onWarning = (message, file) => this._warn('discovery', file, message, true);
+    if (this.commit) {
+      config = loadProjectConfig(this.root, {
+        readFile: relPath => readRevisionFile(this.root, this.commit, relPath), onWarning,
+      });
+      const listed = listRevisionFiles(this.root, this.commit);
+      revFiles = new Map(listed.map(f => [f.path, f]));
+      allFiles = filterPaths(listed.map(f => f.path), config, {
+        sizeOf: relPath => revFiles.get(relPath).size, excluded,
+      });
+    } else {
+      config = loadProjectConfig(this.root, { onWarning });
+      allFiles = discoverFiles(this.root, { config, excluded });
+    }
+    // Resolvers see the whole project, so imports leaving the scope land somewhere
+    const projectFiles = allFiles;
+    if (scope.length) {
+      allFiles = filterToScope(allFiles, scope);
+      this._log(`  Scope: ${scope.join(', ')}`);
+    }
+    this._log(`  Found ${allFiles.length} files`);
+    if (verbose) {
+      if (config.source) this._log(`  Config: ${config.source}`);
+      for (const [rule, count] of [...excluded].sort((a, b) => b[1] - a[1])) {
+        this._log(`  Excluded ${count} by ${rule}`);
+      }
+    }
+
+    if (!force && this._extractorsChanged()) {
+      this._log('  Extractor output changed since the last index; rebuilding it');
+      force = true;
+    }
 
     // Delete existing DB when forcing
     if (force) {
-      const dbPath = getDbPath(this.root);
+      const dbPath = this.dbPath || getDbPath(this.root);
       if (existsSync(dbPath)) {
         unlinkSync(dbPath);
         for (const suffix of ['-wal', '-shm']) {
@@ -100,9 +309,12 @@ export class Indexer {
       }
     }
 
-    const db = openDb({ projectRoot: this.root });
+    const readFile = revFiles ? (relPath => readRevisionFile(this.root, this.commit, relPath)) : readFromDisk(this.root);
+    const db = openDb({ projectRoot: this.root, dbPath: this.dbPath });
 
     try {
+      saveScope(db, scope);
+
       // 2. Determine what needs indexing
       let added, modified, removed;
       if (force) {
@@ -110,26 +322,53 @@ export class Indexer {
         modified = [];
         removed = [];
       } else {
-        [added, modified, removed] = getChangedFiles(db, allFiles, this.root);
+        [added, modified, removed] = getChangedFiles(db, allFiles, this.root, config);
       }
 
       const totalChanged = added.length + modified.length + removed.length;
-      if (totalChanged === 0) {
-        log('Index is up to date.');
-        return;
+      this._stageEnd('discovery', {
+        files: allFiles.length, added: added.length, modified: modified.length, removed: removed.length,
+      });
+
+      // New resolver settings can move any import, not just those naming changed symbols
+      const outsideInputs = projectFiles.filter(p => !inScope(p, scope) && isResolverInput(p, config));
+      const settings = contentHash(resolverSettings(config, readFile, outsideInputs));
+      const resolversChanged = !force && (getMeta(db, 'resolver_settings') !== settings
+        || [...added, ...modified, ...removed].some(p => isResolverInput(p, config)));
+      if (totalChanged === 0 && !resolversChanged) {
+        this._log('Index is up to date.');
+        this._emit('done', { status: 'unchanged', duration_ms: Math.round(performance.now() - t0) });
+        return 'unchanged';
       }
 
-      log(`  ${added.length} added, ${modified.length} modified, ${removed.length} removed`);
+      this._log(`  ${added.length} added, ${modified.length} modified, ${removed.length} removed`);
+
+      // Names defined by outgoing files: references to them must be re-resolved
+      const affectedNames = new Set();
 
-      // Remove deleted/modified files from DB (cascading deletes)
+      // Remove deleted/modified files from DB (cascading deletes), and
+      // stubs of files that have come into scope
       const deleteFile = db.prepare('DELETE FROM files WHERE id = ?');
       const findFile = db.prepare('SELECT id FROM files WHERE path = ?');
-      for (const path of [...removed, ...modified]) {
+      const fileSymbolNames = db.prepare('SELECT name, qualified_name FROM symbols WHERE file_id = ?');
+      const fileReexportNames = db.prepare("SELECT source_name, target_name FROM refs WHERE file_id = ? AND kind = 'reexport'");
+      for (const path of [...removed, ...modified, ...added]) {
         const row = findFile.get(path);
-        if (row) deleteFile.run(row.id);
+        if (!row) continue;
+        for (const sym of fileSymbolNames.all(row.id)) {
+          affectedNames.add(sym.name);
+          if (sym.qualified_name) affectedNames.add(sym.qualified_name);
+        }
+        // Names imported through a barrel bind through its re-exports
+        for (const ref of fileReexportNames.all(row.id)) {
+          affectedNames.add(ref.source_name);
+          affectedNames.add(ref.target_name);
+        }
+        deleteFile.run(row.id);
       }
 
       // 3-6. Parse, extract, and store for each file
+      this._stageStart('parse');
       const filesToProcess = [...added, ...modified];
       const allSymbolRows = new Map(); // symbol_id -> symbol dict
       const allReferences = [];
@@ -146,71 +385,46 @@ export class Indexer {
          line_start, line_end, docstring, visibility, is_exported, parent_id, default_value)
          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
       );
-      const findParent = db.prepare('SELECT id FROM symbols WHERE file_id = ? AND name = ?');
+      const findParent = db.prepare(
+        'SELECT id FROM symbols WHERE file_id = ? AND ? IN (qualified_name, name) ORDER BY qualified_name = ? DESC, id LIMIT 1'
+      );
       const lastId = db.prepare('SELECT last_insert_rowid() as id');
 
-      const commitBatch = db.transaction(() => {});
-
-      for (let i = 0; i < filesToProcess.length; i++) {
-        const relPath = filesToProcess[i];
-        const fullPath = join(this.root, relPath);
-        const language = detectLanguage(relPath);
-
-        if (((i + 1) % 100 === 0) || (i + 1 === filesToProcess.length)) {
-          log(`  Processing ${i + 1}/${filesToProcess.length} files...`);
-        }
-
-        // Read source
-        let source;
-        try {
-          source = readFileSync(fullPath, 'utf-8');
-        } catch (e) {
-          if (verbose) log(`  Warning: Could not read ${relPath}: ${e.message}`);
-          continue;
-        }
-
-        const lineCount = countLines(source);
-        const complexity = computeComplexity(source);
-        let mtime = null;
-        try { mtime = statSync(fullPath).mtimeMs / 1000; } catch {}
-        let fhash;
-        try { fhash = fileHash(fullPath); } catch { fhash = null; }
+      // Parsing runs on worker threads when jobs > 1; results arrive in
+      // file order and all DB writes stay on this thread.
+      const tasks = filesToProcess.map(relPath => ({
+        fullPath: join(this.root, relPath),
+        relPath,
+        language: languageOverride(config, relPath) || detectLanguage(relPath),
+      }));
+      if (revFiles) {
+        const blobs = readBlobs(this.root, tasks.map(t => revFiles.get(t.relPath)));
+        for (const t of tasks) t.content = blobs.get(revFiles.get(t.relPath).oid) ?? '';
+        setMeta(db, 'commit', this.commit);
+      }
+      if (jobs > 1) this._log(`  Using ${Math.min(jobs, tasks.length)} parse workers`);
 
-        // Classify file role
-        const contentHead = source.slice(0, 2048);
-        const fileRole = classifyFile(relPath, contentHead);
+      const storeFile = db.transaction((res) => {
+        const { relPath } = res;
 
         // Insert file record
-        const fileResult = insertFile.run(relPath, language, fileRole, fhash, mtime, lineCount);
-        const fileId = fileResult.lastInsertRowid;
-        fileIdByPath.set(relPath, Number(fileId));
+        const fileResult = insertFile.run(relPath, res.language, res.fileRole, res.hash, res.mtime, res.lineCount);
+        const fileId = Number(fileResult.lastInsertRowid);
+        fileIdByPath.set(relPath, fileId);
 
         // Store file stats
-        insertFileStats.run(Number(fileId), complexity);
-
-        // Parse with tree-sitter
-        const [tree, parsedSource, lang] = parseFile(fullPath, language);
-        if (tree == null && parsedSource == null) continue;
+        insertFileStats.run(fileId, res.complexity);
 
-        // Get language extractor
-        let extractor = null;
-        if (lang) {
-          try { extractor = getExtractor(lang); } catch {}
-        }
-        if (!extractor) continue;
-
-        // Extract symbols
-        const symbols = extractSymbols(tree, parsedSource, relPath, extractor);
-
-        for (const sym of symbols) {
+        const symbolIds = [];
+        for (const sym of res.symbols) {
           let parentId = null;
           if (sym.parent_name) {
-            const parentRow = findParent.get(Number(fileId), sym.parent_name);
+            const parentRow = findParent.get(fileId, sym.parent_name, sym.parent_name);
             if (parentRow) parentId = parentRow.id;
           }
 
           const symResult = insertSymbol.run(
-            Number(fileId), sym.name, sym.qualified_name,
+            fileId, sym.name, sym.qualified_name,
             sym.kind, sym.signature,
             sym.line_start, sym.line_end,
             sym.docstring, sym.visibility,
@@ -218,70 +432,83 @@ export class Indexer {
             sym.default_value,
           );
           const symId = Number(symResult.lastInsertRowid);
+          symbolIds.push(symId);
 
           allSymbolRows.set(symId, {
             id: symId,
-            file_id: Number(fileId),
+            file_id: fileId,
             file_path: relPath,
             name: sym.name,
             qualified_name: sym.qualified_name,
             kind: sym.kind,
             is_exported: Boolean(sym.is_exported),
             line_start: sym.line_start,
+            line_end: sym.line_end,
           });
+          affectedNames.add(sym.name);
+          if (sym.qualified_name) affectedNames.add(sym.qualified_name);
         }
 
-        // Extract references
-        const refs = extractReferences(tree, parsedSource, relPath, extractor);
-        for (const ref of refs) {
-          ref.source_file = relPath;
+        // Per-symbol complexity metrics (AST-based)
+        storeSymbolMetrics(db, res.symbolMetrics.map(m => ({ symbolId: symbolIds[m.index], metrics: m.metrics })));
+
+        storeReferences(db, fileId, res.references);
+        for (const ref of res.references) {
+          if (ref.kind === 'reexport') affectedNames.add(ref.source_name).add(ref.target_name);
         }
-        allReferences.push(...refs);
-
-        // Vue template scanning
-        if (relPath.endsWith('.vue')) {
-          try {
-            const rawSource = readFileSync(fullPath, 'utf-8');
-            const tplResult = extractVueTemplate(rawSource);
-            if (tplResult) {
-              const [tplContent, tplStartLine] = tplResult;
-              const knownNames = new Set(symbols.map(s => s.name));
-              const tplRefs = scanTemplateReferences(tplContent, tplStartLine, knownNames, relPath);
-              allReferences.push(...tplRefs);
-            }
-          } catch {}
+      });
+
+      // About a hundred progress events however large the run
+      const progressStep = Math.max(1, Math.floor(tasks.length / 100));
+      let i = 0;
+      let parsed = 0;
+      for await (const res of processFiles(tasks, { jobs, queries: this.queries, plugins: this.plugins })) {
+        i++;
+        if ((i % 100 === 0) || (i === tasks.length)) {
+          this._log(`  Processing ${i}/${tasks.length} files...`);
+        }
+        if ((i % progressStep === 0) || (i === tasks.length)) {
+          this._emit('progress', { stage: 'parse', done: i, total: tasks.length });
         }
 
-        // Per-symbol complexity metrics (AST-based)
-        if (tree) {
-          try {
-            computeSymbolComplexity(db, Number(fileId), tree, parsedSource);
-          } catch (e) {
-            if (verbose) log(`  Warning: Complexity analysis failed for ${relPath}: ${e.message}`);
-          }
+        if (res.readError) {
+          this._warn('parse', res.relPath, `Could not read ${res.relPath}: ${res.readError}`, verbose);
+          continue;
+        }
+        if (res.complexityError) {
+          this._warn('parse', res.relPath,
+            `Complexity analysis failed for ${res.relPath}: ${res.complexityError}`, verbose);
         }
+
+        storeFile(res);
+        allReferences.push(...res.references);
+        parsed++;
       }
+      this._stageEnd('parse', { files: parsed });
+
+      this._stageStart('resolve');
 
-      // Load existing symbols for incremental mode
+      // Load existing symbols for incremental mode, in ID order so candidate
+      // order matches the order symbols were indexed
       if (!force) {
+        allSymbolRows.clear();
         const existingRows = db.prepare(
           `SELECT s.id, s.file_id, s.name, s.qualified_name, s.kind,
-           s.is_exported, s.line_start, f.path as file_path
-           FROM symbols s JOIN files f ON s.file_id = f.id`
+           s.is_exported, s.line_start, s.line_end, f.path as file_path
+           FROM symbols s JOIN files f ON s.file_id = f.id ORDER BY s.id`
         ).all();
         for (const row of existingRows) {
-          if (!allSymbolRows.has(row.id)) {
-            allSymbolRows.set(row.id, {
-              id: row.id,
-              file_id: row.file_id,
-              file_path: row.file_path,
-              name: row.name,
-              qualified_name: row.qualified_name,
-              kind: row.kind,
-              is_exported: Boolean(row.is_exported),
-              line_start: row.line_start,
-            });
-          }
+          allSymbolRows.set(row.id, {
+            id: row.id,
+            file_id: row.file_id,
+            file_path: row.file_path,
+            name: row.name,
+            qualified_name: row.qualified_name,
+            kind: row.kind,
+            is_exported: Boolean(row.is_exported),
+            line_start: row.line_start,
+            line_end: row.line_end,
+          });
         }
       }
 
@@ -290,56 +517,94 @@ export class Indexer {
         fileIdByPath.set(row.path, row.id);
       }
 
-      // Incremental edge restoration
-      if (!force && modified.length > 0) {
-        const processedSet = new Set([...filesToProcess, ...removed]);
-        const unchanged = allFiles.filter(p => !processedSet.has(p));
-        if (unchanged.length) {
-          log(`Re-extracting references from ${unchanged.length} unchanged files...`);
-          db.exec('DELETE FROM edges');
-          db.exec('DELETE FROM file_edges');
-
-          for (const relPath of unchanged) {
-            const fullPath = join(this.root, relPath);
-            const language = detectLanguage(relPath);
-            const [tree, parsedSource, lang] = parseFile(fullPath, language);
-            if (tree == null && parsedSource == null) continue;
-            let extractor = null;
-            if (lang) {
-              try { extractor = getExtractor(lang); } catch {}
+      // Incremental edge patching: only unchanged files whose references
+      // could resolve differently are re-resolved, from their stored refs;
+      // all of them when resolver settings changed.
+      if (!force) {
+        const processedIds = new Set(filesToProcess.map(p => fileIdByPath.get(p)));
+        if (resolversChanged) this._log('  Resolver settings changed');
+        const candidates = resolversChanged ? filesWithReferences(db) : filesReferencingNames(db, affectedNames);
+        const staleFileIds = [...candidates]
+          .filter(id => !processedIds.has(id))
+          .sort((a, b) => a - b);
+        if (staleFileIds.length) {
+          this._log(`Re-resolving references from ${staleFileIds.length} unchanged files...`);
+          allReferences.push(...loadReferences(db, staleFileIds));
+
+          // Drop edges that are about to be re-resolved
+          const dropStale = db.transaction((ids) => {
+            for (let k = 0; k < ids.length; k += 400) {
+              const batch = ids.slice(k, k + 400);
+              const ph = batch.map(() => '?').join(',');
+              db.prepare(
+                `DELETE FROM edges WHERE source_id IN (SELECT id FROM symbols WHERE file_id IN (${ph}))`
+              ).run(...batch);
+              db.prepare(`DELETE FROM file_edges WHERE source_file_id IN (${ph})`).run(...batch);
             }
-            if (!extractor) continue;
-
-            try { extractor.extractSymbols(tree, parsedSource, relPath); } catch {}
-            const refs = extractReferences(tree, parsedSource, relPath, extractor);
-            for (const ref of refs) ref.source_file = relPath;
-            allReferences.push(...refs);
-          }
+          });
+          dropStale(staleFileIds);
         }
       }
 
       // 6. Resolve references into edges
-      log('Resolving references...');
+      this._log('Resolving references...');
       const symbolsByName = new Map();
       for (const sym of allSymbolRows.values()) {
+        if (sym.kind === EXTERNAL) continue; // Only reachable through their import
         if (!symbolsByName.has(sym.name)) symbolsByName.set(sym.name, []);
         symbolsByName.get(sym.name).push(sym);
       }
 
-      const symbolEdges = resolveReferences(allReferences, symbolsByName, fileIdByPath);
+      const modules = createModuleResolver({ root: this.root, files: projectFiles, readFile, config });
+      let resolveExternal = null;
+      if (scope.length) {
+        const exists = revFiles ? (relPath => revFiles.has(relPath)) : diskExists(this.root);
+        resolveExternal = createStubResolver(db, scope, exists, allSymbolRows, modules);
+      }
+      const resolvePackage = createPackageResolver(db, modules, allSymbolRows);
+      const symbolEdges = db.transaction(
+        () => resolveReferences(allReferences, symbolsByName, fileIdByPath, {
+          resolveExternal, resolvePackage, modules, reexports: loadReexports(db),
+        })
+      )();
 
       // Store edges in a transaction
-      const insertEdge = db.prepare('INSERT INTO edges (source_id, target_id, kind, line) VALUES (?, ?, ?, ?)');
+      const insertEdge = db.prepare(
+        'INSERT INTO edges (source_id, target_id, kind, line, resolution, confidence) VALUES (?, ?, ?, ?, ?, ?)'
+      );
       const insertEdges = db.transaction((edges) => {
         for (const e of edges) {
-          insertEdge.run(e.source_id, e.target_id, e.kind, e.line);
+          insertEdge.run(e.source_id, e.target_id, e.kind, e.line, e.resolution ?? null, e.confidence ?? null);
         }
       });
       insertEdges(symbolEdges);
-      log(`  ${symbolEdges.length} symbol edges`);
+      this._log(`  ${symbolEdges.length} symbol edges`);
+
+      // Header declarations -> definitions, relinked in full: either side may have changed
+      db.exec("DELETE FROM edges WHERE kind = 'defines'");
+      const definesEdges = linkDeclarations(allSymbolRows.values(), modules);
+      insertEdges(definesEdges);
+      if (definesEdges.length) this._log(`  ${definesEdges.length} declaration links`);
+
+      // Overriding and implementing methods, relinked in full for the same reason
+      db.exec("DELETE FROM edges WHERE kind IN ('overrides', 'implements_method')");
+      const overrideEdges = linkOverrides(
+        db.prepare(
+          `SELECT s.id, s.name, s.qualified_name, s.kind, s.parent_id, s.line_start, f.path AS file_path
+           FROM symbols s JOIN files f ON s.file_id = f.id`
+        ).all(),
+        db.prepare("SELECT source_id, target_id, kind FROM edges WHERE kind IN ('inherits', 'implements')").all(),
+      );
+      insertEdges(overrideEdges);
+      if (overrideEdges.length) this._log(`  ${overrideEdges.length} override links`);
+      this._stageEnd('resolve', {
+        references: allReferences.length, edges: symbolEdges.length, defines: definesEdges.length,
+        overrides: overrideEdges.length,
+      });
 
       // 7. Build file edges
-      log('Building file-level edges...');
+      this._stageStart('file_edges');
+      this._log('Building file-level edges...');
       const fileEdges = buildFileEdges(symbolEdges, allSymbolRows);
       const insertFileEdge = db.prepare(
         'INSERT INTO file_edges (source_file_id, target_file_id, kind, symbol_count) VALUES (?, ?, ?, ?)'
@@ -350,51 +615,78 @@ export class Indexer {
         }
       });
       insertFileEdges(fileEdges);
-      log(`  ${fileEdges.length} file edges`);
+      this._log(`  ${fileEdges.length} file edges`);
+      pruneStubs(db);
+      this._stageEnd('file_edges', { file_edges: fileEdges.length });
 
       // 8. Graph metrics
-      log('Computing graph metrics...');
+      this._stageStart('metrics');
+      this._log('Computing graph metrics...');
+      let G = null;
       try {
         const { buildSymbolGraph } = await import('../graph/builder.js');
         const { storeMetrics } = await import('../graph/pagerank.js');
-        const G = buildSymbolGraph(db);
+        G = buildSymbolGraph(db);
         const metricsCount = storeMetrics(db, G);
-        log(`  ${metricsCount} symbol metrics stored`);
+        this._log(`  ${metricsCount} symbol metrics stored`);
+        this._stageEnd('metrics', { symbols: metricsCount });
+      } catch (e) {
+        G = null;
+        this._log(`  Graph metrics skipped: ${e.message}`);
+        this._stageEnd('metrics', { skipped: e.message });
+      }
 
-        // 9. Clustering
-        log('Detecting clusters...');
+      // 9. Clustering
+      if (G) {
+        this._stageStart('clusters');
+        this._log('Detecting clusters...');
         try {
           const { detectClusters, labelClusters, storeClusters } = await import('../graph/clusters.js');
           const clusters = detectClusters(G);
           const labels = labelClusters(clusters, db);
           const clusterCount = storeClusters(db, clusters, labels);
-          log(`  ${clusterCount} symbols assigned to ${labels.size} clusters`);
+          this._log(`  ${clusterCount} symbols assigned to ${labels.size} clusters`);
+          this._stageEnd('clusters', { symbols: clusterCount, clusters: labels.size });
         } catch (e) {
-          log(`  Clustering skipped: ${e.message}`);
+          this._log(`  Clustering skipped: ${e.message}`);
+          this._stageEnd('clusters', { skipped: e.message });
         }
-      } catch (e) {
-        log(`  Graph metrics skipped: ${e.message}`);
       }
 
       // 10. Git analysis
-      log('Collecting git stats...');
+      this._stageStart('git');
+      this._log('Collecting git stats...');
       try {
-        const gitStats = collectGitStats(db, this.root);
-        log(`  ${gitStats.commits} commits, ${gitStats.cochanges} co-change pairs`);
+        const gitStats = collectGitStats(db, this.root, { rev: this.commit, quiet: this.quiet });
+        this._log(`  ${gitStats.commits} commits, ${gitStats.cochanges} co-change pairs`);
+        this._stageEnd('git', gitStats);
       } catch (e) {
-        log(`  Git analysis skipped: ${e.message}`);
+        this._log(`  Git analysis skipped: ${e.message}`);
+        this._stageEnd('git', { skipped: e.message });
       }
 
       // Parse error summary
       const errorSummary = getParseErrorSummary();
-      if (errorSummary) log(`  Parse issues: ${errorSummary}`);
+      if (errorSummary) this._log(`  Parse issues: ${errorSummary}`);
+
+      setMeta(db, 'roam_version', VERSION);
+      setMeta(db, 'extractor_version', String(EXTRACTOR_VERSION));
+      setMeta(db, 'extractor_inputs', this._extractorInputs());
+      setMeta(db, 'resolver_settings', settings);
+      setMeta(db, 'indexed_at', new Date().toISOString());
 
       // Summary
       const elapsed = (performance.now() - t0) / 1000;
       const fileCount = db.prepare('SELECT COUNT(*) as cnt FROM files').get().cnt;
       const symCount = db.prepare('SELECT COUNT(*) as cnt FROM symbols').get().cnt;
       const edgeCount = db.prepare('SELECT COUNT(*) as cnt FROM edges').get().cnt;
-      log(`Done. ${fileCount} files, ${symCount} symbols, ${edgeCount} edges. (${elapsed.toFixed(1)}s)`);
+      this._log(`Done. ${fileCount} files, ${symCount} symbols, ${edgeCount} edges. (${elapsed.toFixed(1)}s)`);
+      this._emit('done', {
+        status: 'indexed', duration_ms: Math.round(elapsed * 1000),
+        files: fileCount, symbols: symCount, edges: edgeCount,
+        ...(errorSummary ? { parse_issues: errorSummary } : {}),
+      });
+      return 'indexed';
     } finally {
       db.close();
     }
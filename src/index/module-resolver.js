@@ -0,0 +1,168 @@
+/**
+ * Maps an import's module path to the project file it names, per language.
+ * resolveReferences() uses the result to bind an imported name to the symbol
+ * in that file instead of guessing by name, following re-exports when the
+ * file only passes the name on. Package-based languages (Go) resolve to the
+ * package's files; imports the resolver knows to be non-local are external
+ * and never bound to a project symbol by name; those that name a
+ * third-party package are attributed to it. PHP class names resolve
+ * through composer.json PSR-4 autoload prefixes. C and C++ calls carry no
+ * import, so they bind through the headers their file includes.
+ */
+
+import { posix } from 'node:path';
+import { detectLanguage } from './parser.js';
+import { createJsResolver, npmPackageName } from './resolvers/javascript.js';
+import { createPythonResolver } from './resolvers/python.js';
+import { createGoResolver } from './resolvers/go.js';
+import { createRustResolver } from './resolvers/rust.js';
+import { createCResolver, DEFAULT_COMPILE_COMMANDS } from './resolvers/c.js';
+import { createPhpResolver } from './resolvers/php.js';
+
+// Languages that share a resolver, by family; any other language is a family
+// of its own
+const FAMILIES = {
+  typescript: 'javascript', tsx: 'javascript', vue: 'javascript', svelte: 'javascript',
+  cpp: 'c',
+};
+
+// Families whose imports a resolver binds to project files
+export const RESOLVER_FAMILIES = new Set(['javascript', 'python', 'go', 'rust', 'php', 'c']);
+
+/**
+ * The language family of a file.
+ * @param {string} file - Project-relative path
+ * @returns {string|null} null for files of no known language
+ */
+export function languageFamily(file) {
+  const language = detectLanguage(file);
+  return language ? FAMILIES[language] || language : null;
+}
+
+// Files the resolvers take their settings from, besides tsconfig/jsconfig
+// files of any name
+const RESOLVER_INPUTS = new Set([
+  'package.json', 'go.mod', 'go.work', 'Cargo.toml', 'pyproject.toml', 'setup.cfg', 'composer.json',
+  'compile_commands.json',
+]);
+
+/**
+ * Whether a file holds resolver settings (tsconfig `paths`, package.json
+ * `exports` and workspaces, go.mod, Cargo.toml, ...): adding, changing or
+ * removing it can move where any import resolves.
+ * @param {string} relPath - Project-relative path
+ * @param {object} [config] - Project config; its compileCommands counts too
+ * @returns {boolean}
+ */
+export function isResolverInput(relPath, config = null) {
+  const name = posix.basename(relPath);
+  return RESOLVER_INPUTS.has(name) || /^[jt]sconfig(\..+)?\.json$/.test(name)
+    || Boolean(config && config.compileCommands === relPath);
+}
+
+/**
+ * The resolver settings discovery may not see: the config's C/C++ include
+ * search, the compile_commands.json it reads, which usually sits in an
+ * ignored build directory, and settings files outside an indexed scope.
+ * @param {object|null} config - Project config
+ * @param {(relPath: string) => string|null} readFile
+ * @param {string[]} [files] - Further settings files to read
+ * @returns {string}
+ */
+export function resolverSettings(config, readFile, files = []) {
+  const compileCommands = config ? config.compileCommands : null;
+  const parts = [JSON.stringify({ compileCommands, includeDirs: config ? config.includeDirs : [] })];
+  for (const name of [...(compileCommands ? [compileCommands] : DEFAULT_COMPILE_COMMANDS), ...files]) {
+    let text = null;
+    try { text = readFile(name); } catch {}
+    parts.push(`${name}\n${text ?? ''}`);
+  }
+  return parts.join('\0');
+}
+
+// Package ecosystem of each resolver family that knows third-party packages
+const ECOSYSTEMS = { javascript: 'npm', python: 'pypi', go: 'go', rust: 'cargo' };
+
+/**
+ * Create the resolver for one indexing run.
+ * @param {object} opts
+ * @param {string} [opts.root] - Absolute project root
+ * @param {Iterable<string>} opts.files - Project-relative paths of the project's
+ *   files, indexed or not: an import may resolve outside an indexed scope
+ * @param {(relPath: string) => string|null} opts.readFile - Reads a project file
+ *   (working tree or revision), null when absent
+ * @param {object} [opts.config] - Project config (see loadProjectConfig); its
+ *   compileCommands and includeDirs drive C/C++ include search
+ * @returns {{ resolve: (sourceFile: string, importPath: string) => string|string[]|null,
+ *   reexports: (file: string, name: string) => { file: string, name: string }[],
+ *   isExternal: (sourceFile: string, importPath: string) => boolean,
+ *   packageOf: (sourceFile: string, importPath: string) => { ecosystem: string, name: string }|null,
+ *   includes: (file: string) => string[] }}
+ *   resolve() gives the project-relative path an import names, or a package's
+ *   files (null when unknown); reexports() the places a module takes a name
+ *   from; isExternal() whether an import is known to leave the project;
+ *   packageOf() the third-party package an unresolved import names (null for
+ *   local and standard library imports); includes() the project headers a
+ *   C/C++ file sees, nearest first
+ */
+export function createModuleResolver({ root = '', files, readFile, config = null }) {
+  const fileSet = files instanceof Set ? files : new Set(files);
+  const resolvers = new Map(); // language family -> resolver, built on first use
+
+  function resolverFor(file) {
+    const family = languageFamily(file);
+    let create = null;
+    if (family === 'javascript') {
+      create = () => {
+        const resolve = createJsResolver({ files: fileSet, readFile });
+        return { resolve, packageOf: (sourceFile, spec) => (resolve(sourceFile, spec) ? null : npmPackageName(spec)) };
+      };
+    } else if (family === 'python') {
+      create = () => createPythonResolver({ files: fileSet, readFile });
+    } else if (family === 'go') {
+      create = () => createGoResolver({ files: fileSet, readFile });
+    } else if (family === 'rust') {
+      create = () => createRustResolver({ files: fileSet, readFile });
+    } else if (family === 'php') {
+      create = () => createPhpResolver({ files: fileSet, readFile });
+    } else if (family === 'c') {
+      create = () => createCResolver({
+        root,
+        files: fileSet,
+        readFile,
+        compileCommands: config ? config.compileCommands : null,
+        includeDirs: config ? config.includeDirs : [],
+      });
+    }
+    if (!create) return null;
+    if (!resolvers.has(family)) resolvers.set(family, { ...create(), ecosystem: ECOSYSTEMS[family] });
+    return resolvers.get(family);
+  }
+
+  return {
+    resolve(sourceFile, importPath) {
+      if (!sourceFile || !importPath) return null;
+      const r = resolverFor(sourceFile);
+      return r ? r.resolve(sourceFile, importPath) : null;
+    },
+    reexports(file, name) {
+      const r = resolverFor(file);
+      return r && r.reexports ? r.reexports(file, name) : [];
+    },
+    isExternal(sourceFile, importPath) {
+      if (!sourceFile || !importPath) return false;
+      const r = resolverFor(sourceFile);
+      return Boolean(r && r.isExternal && r.isExternal(sourceFile, importPath));
+    },
+    packageOf(sourceFile, importPath) {
+      if (!sourceFile || !importPath) return null;
+      const r = resolverFor(sourceFile);
+      const name = r && r.packageOf ? r.packageOf(sourceFile, importPath) : null;
+      return name ? { ecosystem: r.ecosystem, name } : null;
+    },
+    includes(file) {
+      const r = resolverFor(file);
+      return r && r.includes ? r.includes(file) : [];
+    },
+  };
+}
@@ -0,0 +1,245 @@
+/**
+ * Third-party packages: imports that resolve to nothing in the project but
+ * name a package of their ecosystem (npm, PyPI, Go modules, Cargo crates)
+ * bind to stubs, so their edges survive like any other. A package stub is
+ * an external files row with the path `<ecosystem>:<package>` holding one
+ * symbol per imported name.
+ *
+ * The manifests (package.json, requirements*.txt, pyproject.toml, go.mod,
+ * Cargo.toml) are read to compare what is declared with what is imported.
+ */
+
+import { posix } from 'node:path';
+import { EXTERNAL, createStubStore, inScope } from './scope.js';
+import { packageJsonDependencies } from './resolvers/javascript.js';
+import { parseRequirements, pyprojectDependencies } from './resolvers/python.js';
+import { parseGoMod } from './resolvers/go.js';
+import { parseCargoToml } from './resolvers/rust.js';
+
+export const ECOSYSTEMS = ['npm', 'pypi', 'go', 'cargo'];
+
+// Distributions whose import name differs from the project name (normalized)
+const PYPI_MODULES = {
+  beautifulsoup4: 'bs4',
+  msgpack_python: 'msgpack',
+  mysqlclient: 'mysqldb',
+  opencv_python: 'cv2',
+  opencv_python_headless: 'cv2',
+  pillow: 'pil',
+  protobuf: 'google',
+  psycopg2_binary: 'psycopg2',
+  pycryptodome: 'crypto',
+  pyjwt: 'jwt',
+  pyserial: 'serial',
+  python_dateutil: 'dateutil',
+  python_dotenv: 'dotenv',
+  pyyaml: 'yaml',
+  pyzmq: 'zmq',
+  scikit_learn: 'sklearn',
+};
+
+/**
+ * Stub path of a package.
+ * @param {string} ecosystem
+ * @param {string} name
+ * @returns {string}
+ */
+export function packageStubPath(ecosystem, name) {
+  return `${ecosystem}:${name}`;
+}
+
+/**
+ * The package a stub path stands for, null for other paths (out-of-scope stubs).
+ * @param {string} path
+ * @returns {{ ecosystem: string, name: string }|null}
+ */
+export function parsePackageStubPath(path) {
+  const colon = path.indexOf(':');
+  if (colon < 0 || !ECOSYSTEMS.includes(path.slice(0, colon))) return null;
+  return { ecosystem: path.slice(0, colon), name: path.slice(colon + 1) };
+}
+
+/**
+ * Key that matches a declared name with an imported one: PyPI names are
+ * case- and separator-insensitive and some import under another name, and
+ * Cargo crates import with underscores.
+ * @param {string} ecosystem
+ * @param {string} name
+ * @returns {string}
+ */
+export function packageKey(ecosystem, name) {
+  if (ecosystem === 'pypi') {
+    const normalized = name.toLowerCase().replace(/[-_.]+/g, '_');
+    return PYPI_MODULES[normalized] || normalized;
+  }
+  if (ecosystem === 'cargo') return name.replace(/-/g, '_');
+  return name;
+}
+
+/**
+ * Build the resolver hook that binds third-party imports to package stubs,
+ * creating stub rows on first use.
+ * @param {import('better-sqlite3').Database} db
+ * @param {{ packageOf: Function }} modules - Module resolver (see createModuleResolver)
+ * @param {Map<number, object>} symbolRows - symbol_id -> symbol dict; new stubs are added
+ * @returns {(ref: object, importPath: string) => object|null}
+ */
+export function createPackageResolver(db, modules, symbolRows) {
+  const stub = createStubStore(db, symbolRows);
+  return (ref, importPath) => {
+    const pkg = modules.packageOf(ref.source_file || '', importPath);
+    return pkg ? stub(packageStubPath(pkg.ecosystem, pkg.name), ref.target_name, null) : null;
+  };
+}
+
+/**
+ * Ecosystem of a manifest file, null for other files.
+ * @param {string} path - Project-relative path
+ * @returns {string|null}
+ */
+export function manifestEcosystem(path) {
+  const base = posix.basename(path);
+  if (base === 'package.json') return 'npm';
+  if (base === 'pyproject.toml' || /^requirements.*\.txt$/.test(base)
+    || /(?:^|\/)requirements\/[^/]+\.txt$/.test(path)) return 'pypi';
+  if (base === 'go.mod') return 'go';
+  if (base === 'Cargo.toml') return 'cargo';
+  return null;
+}
+
+/**
+ * Dependencies a manifest declares. dev marks those no production code
+ * needs to import: dev and test groups, and Go requirements only listed as
+ * indirect.
+ * @param {string} path - Project-relative path of a manifest (see manifestEcosystem)
+ * @param {string} text
+ * @returns {{ name: string, dev: boolean }[]}
+ */
+export function manifestDependencies(path, text) {
+  const base = posix.basename(path);
+  switch (manifestEcosystem(path)) {
+    case 'npm': {
+      let pkg = null;
+      try { pkg = JSON.parse(text); } catch { /* unreadable: declares nothing */ }
+      return packageJsonDependencies(pkg);
+    }
+    case 'pypi': {
+      if (base === 'pyproject.toml') return pyprojectDependencies(text);
+      const dev = /dev|test|lint|doc/.test(base);
+      return parseRequirements(text).map(name => ({ name, dev }));
+    }
+    case 'go':
+      return parseGoMod(text).requires.map(r => ({ name: r.path, dev: r.indirect }));
+    case 'cargo': {
+      const { dependencies, devDependencies } = parseCargoToml(text);
+      const dev = new Set(devDependencies);
+      return dependencies.map(name => ({ name, dev: dev.has(name) }));
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * Read every manifest among the project's files.
+ * @param {Iterable<string>} paths - Project-relative paths of indexed files
+ * @param {(relPath: string) => string|null} readFile
+ * @returns {{ path: string, ecosystem: string, dependencies: { name: string, dev: boolean }[] }[]}
+ */
+export function readManifests(paths, readFile) {
+  const out = [];
+  for (const path of paths) {
+    const ecosystem = manifestEcosystem(path);
+    if (!ecosystem) continue;
+    let text = null;
+    try { text = readFile(path); } catch { /* unreadable: skipped */ }
+    if (text != null) out.push({ path, ecosystem, dependencies: manifestDependencies(path, text) });
+  }
+  return out.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Packages the index binds imports to, most consumed first.
+ * @param {import('better-sqlite3').Database} db
+ * @returns {{ ecosystem: string, name: string, consumers: number, files: string[], names: string[] }[]}
+ *   consumers: distinct symbols referencing the package; names: what they take from it
+ */
+export function usedPackages(db) {
+  const packages = new Map();
+  const rows = db.prepare(
+    `SELECT f.path AS stub, t.name AS target, e.source_id, sf.path AS file
+     FROM edges e
+     JOIN symbols t ON e.target_id = t.id
+     JOIN files f ON t.file_id = f.id
+     JOIN symbols s ON e.source_id = s.id
+     JOIN files sf ON s.file_id = sf.id
+     WHERE f.file_role = ?`
+  ).all(EXTERNAL);
+  for (const row of rows) {
+    const pkg = parsePackageStubPath(row.stub);
+    if (!pkg) continue;
+    if (!packages.has(row.stub)) packages.set(row.stub, { ...pkg, consumers: new Set(), files: new Set(), names: new Set() });
+    const entry = packages.get(row.stub);
+    entry.consumers.add(row.source_id);
+    entry.files.add(row.file);
+    entry.names.add(row.target);
+  }
+  return [...packages.values()]
+    .map(p => ({ ...p, consumers: p.consumers.size, files: [...p.files].sort(), names: [...p.names].sort() }))
+    .sort((a, b) => b.consumers - a.consumers || a.ecosystem.localeCompare(b.ecosystem) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Whether a manifest covers a file: the files in its directory and below.
+ * @param {string} manifestPath - Project-relative path of the manifest
+ * @param {string} file - Project-relative path
+ * @returns {boolean}
+ */
+export function manifestCovers(manifestPath, file) {
+  const dir = posix.dirname(manifestPath) === '.' ? '' : posix.dirname(manifestPath);
+  return !dir || file.startsWith(dir + '/');
+}
+
+/**
+ * Compare imported packages with manifests. A manifest covers the files in
+ * its directory and below: a declaration is unused when no covered file
+ * imports it (dev ones are not reported), and an import is undeclared when
+ * no manifest of its ecosystem covering the file lists it. Files no manifest
+ * of the ecosystem covers are not checked.
+ * @param {{ ecosystem: string, name: string, files: string[] }[]} used - See usedPackages
+ * @param {{ path: string, ecosystem: string, dependencies: { name: string, dev: boolean }[] }[]} manifests
+ * @param {object} [opts]
+ * @param {string[]} [opts.scope] - Scope of the index: a manifest outside it
+ *   also covers code that was never read, so none of its declarations is unused
+ * @returns {{ unused: { ecosystem: string, name: string, manifest: string }[],
+ *   undeclared: { ecosystem: string, name: string, files: string[] }[] }}
+ */
+export function checkManifests(used, manifests, { scope = [] } = {}) {
+  const covers = (manifest, file) => manifestCovers(manifest.path, file);
+  const declares = (manifest, key) => manifest.dependencies.some(d => packageKey(manifest.ecosystem, d.name) === key);
+
+  const unused = [];
+  for (const manifest of manifests) {
+    if (!inScope(manifest.path, scope)) continue;
+    const seen = new Set();
+    for (const dep of manifest.dependencies) {
+      const key = packageKey(manifest.ecosystem, dep.name);
+      if (dep.dev || seen.has(key)) continue;
+      seen.add(key);
+      const imported = used.some(p => p.ecosystem === manifest.ecosystem && packageKey(p.ecosystem, p.name) === key
+        && p.files.some(f => covers(manifest, f)));
+      if (!imported) unused.push({ ecosystem: manifest.ecosystem, name: dep.name, manifest: manifest.path });
+    }
+  }
+
+  const undeclared = [];
+  for (const pkg of used) {
+    const key = packageKey(pkg.ecosystem, pkg.name);
+    const files = pkg.files.filter((file) => {
+      const covering = manifests.filter(m => m.ecosystem === pkg.ecosystem && covers(m, file));
+      return covering.length && !covering.some(m => declares(m, key));
+    });
+    if (files.length) undeclared.push({ ecosystem: pkg.ecosystem, name: pkg.name, files });
+  }
+  return { unused, undeclared };
+}
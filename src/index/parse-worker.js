@@ -0,0 +1,23 @@
+/**
+ * Worker thread entry point: runs processFile() for tasks sent by the pool.
+ */
+
+import { parentPort, workerData } from 'node:worker_threads';
+import { initExtractors } from '../languages/registry.js';
+import { processFile } from './file-processor.js';
+
+await initExtractors({ queries: workerData?.queries, plugins: workerData?.plugins });
+
+parentPort.on('message', (task) => {
+  let result;
+  try {
+    result = processFile(task.fullPath, task.relPath, task.language, {
+      extractPath: task.extractPath, content: task.content,
+    });
+  } catch (e) {
+    result = { relPath: task.relPath, readError: e.message };
+  }
+  parentPort.postMessage({ index: task.index, result });
+});
+
+parentPort.postMessage({ ready: true });
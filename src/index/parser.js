@@ -6,6 +6,7 @@ import { readFileSync } from 'node:fs';
 import { extname } from 'node:path';
 import { createRequire } from 'node:module';
 import Parser from 'tree-sitter';
+import { scxSource } from '../languages/foxpro.js';
 
 const require = createRequire(import.meta.url);
 
@@ -86,6 +87,9 @@ const GRAMMAR_PACKAGES = {
   'c': 'tree-sitter-c',
   'cpp': 'tree-sitter-cpp',
   'c_sharp': 'tree-sitter-c-sharp',
+  'kotlin': 'tree-sitter-kotlin',
+  'swift': 'tree-sitter-swift',
+  'scala': 'tree-sitter-scala',
   'ruby': 'tree-sitter-ruby',
   'php': 'tree-sitter-php/php',
   'html': 'tree-sitter-html',
@@ -124,6 +128,48 @@ function getParser(grammarName) {
   }
 }
 
+/**
+ * Whether a tree-sitter grammar for a language is known and loads.
+ * Vue and Svelte are checked through the script grammars they parse with.
+ * @param {string} language
+ * @returns {{ known: boolean, loaded: boolean }} known: a grammar package is mapped
+ */
+export function grammarStatus(language) {
+  const grammars = language === 'vue' || language === 'svelte'
+    ? ['javascript', 'typescript']
+    : [GRAMMAR_ALIASES[language] || language];
+  const known = grammars.every(g => GRAMMAR_PACKAGES[g]);
+  return { known, loaded: known && grammars.every(g => getParser(g) !== null) };
+}
+
+/**
+ * Add a language from an extractor plugin.
+ * @param {string} language
+ * @param {object} opts
+ * @param {string[]} opts.extensions
+ * @param {string|null} [opts.grammar] - Resolved grammar module; without one the
+ *   language's extractor reads the source itself, like the regex-only languages
+ */
+export function registerLanguage(language, { extensions, grammar = null }) {
+  for (const ext of extensions) EXTENSION_MAP[ext] = language;
+  if (grammar) GRAMMAR_PACKAGES[language] = grammar;
+  else REGEX_ONLY_LANGUAGES.add(language);
+  _parserCache.delete(language);
+}
+
+/**
+ * Remove a language added by registerLanguage().
+ * @param {string} language
+ */
+export function unregisterLanguage(language) {
+  for (const [ext, lang] of Object.entries(EXTENSION_MAP)) {
+    if (lang === language) delete EXTENSION_MAP[ext];
+  }
+  delete GRAMMAR_PACKAGES[language];
+  REGEX_ONLY_LANGUAGES.delete(language);
+  _parserCache.delete(language);
+}
+
 /**
  * Detect the tree-sitter language name from a file path.
  * @param {string} filePath
@@ -152,6 +198,33 @@ export function readSource(filePath) {
   }
 }
 
+/**
+ * Read a Visual FoxPro form as the class listing of its objects and method
+ * code, from the .scx table and its .sct memo file.
+ * @param {string} filePath - Absolute path of the .scx file
+ * @returns {string|null}
+ */
+export function readScx(filePath) {
+  let scx;
+  try {
+    scx = readFileSync(filePath);
+  } catch {
+    return null;
+  }
+  let sct = null;
+  for (const memoPath of [filePath.replace(/\.scx$/i, '.sct'), filePath.replace(/\.scx$/i, '.SCT')]) {
+    try {
+      sct = readFileSync(memoPath);
+      break;
+    } catch {}
+  }
+  try {
+    return scxSource(scx, sct);
+  } catch {
+    return '';
+  }
+}
+
 /**
  * Extract <script> blocks from a Vue SFC.
  * Preserves line numbers by replacing non-script regions with blank lines.
@@ -195,15 +268,19 @@ function preprocessVue(source) {
  * Parse a file with tree-sitter.
  * @param {string} filePath - Absolute path
  * @param {string|null} [language] - Override language detection
+ * @param {string|null} [content] - Source text to use instead of reading filePath
  * @returns {[object|null, string|null, string|null]} [tree, source, language]
  */
-export function parseFile(filePath, language = null) {
+export function parseFile(filePath, language = null, content = null) {
   if (!language) {
     language = detectLanguage(filePath);
   }
   if (!language) return [null, null, null];
 
-  let source = readSource(filePath);
+  // A form's code is in its binary table and memo file, not readable as text;
+  // a revision's blobs carry no memo file to go with it
+  const form = language === 'foxpro' && /\.scx$/i.test(filePath);
+  let source = form ? (content == null ? readScx(filePath) : '') : (content ?? readSource(filePath));
   if (source == null) {
     parseErrors.unreadable++;
     return [null, null, null];
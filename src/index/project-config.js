@@ -0,0 +1,253 @@
+/**
+ * Project-level indexing configuration.
+ * Reads .roam/config.json (or roam.config.json) and .roamignore from the project root.
+ *
+ * Config shape:
+ *   {
+ *     "include": ["build/**"],            // opt in to files the built-in rules skip
+ *     "exclude": ["fixtures/**", "gen/"], // always skipped, wins over include
+ *     "max_file_size": 2000000,           // bytes, default 1MB
+ *     "languages": { "scripts/*.inc": "php" },
+ *     "compile_commands": "out/compile_commands.json", // C/C++ include flags per file
+ *     "include_dirs": ["include", "third_party/zlib"], // searched by every C/C++ file
+ *     "extractors": ["./tools/roam-dsl.js", "@acme/roam-extractor-dsl"] // extractor plugins
+ *   }
+ */
+
+import { existsSync, readFileSync, readdirSync } from 'node:fs';
+import { join } from 'node:path';
+
+export const CONFIG_FILES = ['.roam/config.json', 'roam.config.json'];
+export const IGNORE_FILE = '.roamignore';
+export const QUERY_DIR = '.roam/queries';
+export const DEFAULT_MAX_FILE_SIZE = 1_000_000; // 1MB
+
+/**
+ * Convert a gitignore-style glob into a RegExp over forward-slash relative paths.
+ * A pattern without an inner slash matches at any depth; a trailing slash
+ * matches directories only. A match on a directory covers everything below it.
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern) {
+  let p = pattern.trim().replace(/\\/g, '/');
+  const dirOnly = p.endsWith('/');
+  if (dirOnly) p = p.replace(/\/+$/, '');
+  let anchored = p.startsWith('/');
+  if (anchored) p = p.slice(1);
+  if (p.startsWith('./')) { p = p.slice(2); anchored = true; }
+  if (p.includes('/') && !p.startsWith('**/')) anchored = true;
+
+  let re = '';
+  let inBrace = false;
+  for (let i = 0; i < p.length; i++) {
+    const c = p[i];
+    if (c === '*') {
+      if (p[i + 1] === '*') {
+        if (p[i + 2] === '/') {
+          re += '(?:.*/)?';
+          i += 2;
+        } else {
+          re += '.*';
+          i += 1;
+        }
+      } else {
+        re += '[^/]*';
+      }
+    } else if (c === '?') {
+      re += '[^/]';
+    } else if (c === '{') {
+      inBrace = true;
+      re += '(?:';
+    } else if (c === '}' && inBrace) {
+      inBrace = false;
+      re += ')';
+    } else if (c === ',' && inBrace) {
+      re += '|';
+    } else {
+      re += c.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  const prefix = anchored ? '^' : '^(?:.*/)?';
+  const suffix = dirOnly ? '/.*$' : '(?:/.*)?$';
+  return new RegExp(prefix + re + suffix);
+}
+
+/**
+ * Leading path segments of a glob that contain no wildcards.
+ * Used to limit filesystem walks for include patterns.
+ * @param {string} pattern
+ * @returns {string} Relative directory ('' when the pattern has no static base)
+ */
+export function globBase(pattern) {
+  let p = pattern.trim().replace(/\\/g, '/').replace(/^\.?\//, '');
+  if (!p.includes('/')) return '';
+  const parts = p.split('/');
+  const base = [];
+  for (const part of parts.slice(0, -1)) {
+    if (/[*?{]/.test(part)) break;
+    base.push(part);
+  }
+  return base.join('/');
+}
+
+function parseIgnoreFile(text) {
+  const rules = [];
+  const lines = text.split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line || line.startsWith('#')) continue;
+    const negate = line.startsWith('!');
+    rules.push({ pattern: negate ? line.slice(1) : line, negate, line: i + 1 });
+  }
+  return rules;
+}
+
+/**
+ * Read project files from the working tree.
+ * @param {string} root - Absolute project root
+ * @returns {(relPath: string) => string|null} null when the file is absent
+ */
+export function readFromDisk(root) {
+  return (relPath) => {
+    const fullPath = join(root, relPath);
+    if (!existsSync(fullPath)) return null;
+    return readFileSync(fullPath, 'utf-8');
+  };
+}
+
+/**
+ * Load the project configuration, falling back to defaults.
+ * @param {string} root - Absolute project root
+ * @param {object} [opts]
+ * @param {(relPath: string) => string|null} [opts.readFile] - Reads a project file,
+ *   null when absent (defaults to the working tree)
+ * @param {(message: string, file: string) => void} [opts.onWarning] - Reports an
+ *   unreadable config file (defaults to a line on stderr)
+ * @returns {{ include: string[], exclude: string[], maxFileSize: number,
+ *   languages: Record<string, string>, compileCommands: string|null, includeDirs: string[],
+ *   extractors: string[], ignore: object[], source: string|null, raw: object }}
+ */
+export function loadProjectConfig(root, {
+  readFile = readFromDisk(root), onWarning = message => process.stderr.write(`Warning: ${message}\n`),
+} = {}) {
+  let raw = {};
+  let source = null;
+  for (const name of CONFIG_FILES) {
+    let text;
+    try { text = readFile(name); } catch { text = null; }
+    if (text == null) continue;
+    try {
+      raw = JSON.parse(text) || {};
+      source = name;
+    } catch (e) {
+      onWarning(`ignoring invalid ${name}: ${e.message}`, name);
+    }
+    break;
+  }
+
+  let ignore = [];
+  try {
+    const text = readFile(IGNORE_FILE);
+    if (text != null) ignore = parseIgnoreFile(text);
+  } catch {}
+
+  const maxFileSize = Number(raw.max_file_size);
+  return {
+    include: Array.isArray(raw.include) ? raw.include.map(String) : [],
+    exclude: Array.isArray(raw.exclude) ? raw.exclude.map(String) : [],
+    maxFileSize: maxFileSize > 0 ? maxFileSize : DEFAULT_MAX_FILE_SIZE,
+    languages: raw.languages && typeof raw.languages === 'object' ? { ...raw.languages } : {},
+    compileCommands: typeof raw.compile_commands === 'string' ? raw.compile_commands : null,
+    includeDirs: Array.isArray(raw.include_dirs) ? raw.include_dirs.map(String) : [],
+    extractors: Array.isArray(raw.extractors) ? raw.extractors.map(String) : [],
+    ignore,
+    source,
+    raw,
+  };
+}
+
+/**
+ * Read the project's tree-sitter query files, `.roam/queries/<lang>.scm`.
+ * @param {string} root - Absolute project root
+ * @returns {Record<string, string>} query source by language
+ */
+export function loadQueryFiles(root) {
+  const queries = {};
+  let names;
+  try {
+    names = readdirSync(join(root, QUERY_DIR));
+  } catch {
+    return queries;
+  }
+  for (const name of names.sort()) {
+    if (!name.endsWith('.scm')) continue;
+    try {
+      queries[name.slice(0, -'.scm'.length)] = readFileSync(join(root, QUERY_DIR, name), 'utf-8');
+    } catch {}
+  }
+  return queries;
+}
+
+// Compiled matchers, keyed by config object
+const _compiled = new WeakMap();
+
+function compile(config) {
+  let c = _compiled.get(config);
+  if (c) return c;
+  const label = config.source || 'config';
+  c = {
+    include: config.include.map(p => globToRegExp(p)),
+    // Evaluated in order; the last matching rule wins (gitignore semantics)
+    exclude: [
+      ...config.exclude.map(p => ({ re: globToRegExp(p), negate: false, label: `${label} exclude ${p}` })),
+      ...config.ignore.map(r => ({
+        re: globToRegExp(r.pattern), negate: r.negate, label: `${IGNORE_FILE}:${r.line} ${r.pattern}`,
+      })),
+    ],
+    languages: Object.entries(config.languages).map(([p, lang]) => ({ re: globToRegExp(p), language: lang })),
+  };
+  _compiled.set(config, c);
+  return c;
+}
+
+/**
+ * Whether a path matches one of the config's include globs.
+ * @param {object|null} config
+ * @param {string} relPath
+ * @returns {boolean}
+ */
+export function isIncluded(config, relPath) {
+  if (!config || !config.include.length) return false;
+  return compile(config).include.some(re => re.test(relPath));
+}
+
+/**
+ * Find the exclude rule that applies to a path.
+ * @param {object|null} config
+ * @param {string} relPath
+ * @returns {string|null} Rule label, or null when the path is not excluded
+ */
+export function excludedBy(config, relPath) {
+  if (!config) return null;
+  let hit = null;
+  for (const rule of compile(config).exclude) {
+    if (rule.re.test(relPath)) hit = rule.negate ? null : rule.label;
+  }
+  return hit;
+}
+
+/**
+ * Per-path language override from the config's `languages` map.
+ * @param {object|null} config
+ * @param {string} relPath
+ * @returns {string|null}
+ */
+export function languageOverride(config, relPath) {
+  if (!config) return null;
+  for (const { re, language } of compile(config).languages) {
+    if (re.test(relPath)) return language;
+  }
+  return null;
+}
@@ -3,15 +3,78 @@
  */
 
 import { dirname } from 'node:path';
+import { languageFamily, RESOLVER_FAMILIES } from './module-resolver.js';
+
+/**
+ * Confidence recorded on an edge for each way its target can be chosen.
+ * Strategies bound through an import, include or qualified name score high;
+ * name heuristics score by how much choice they had.
+ */
+export const RESOLUTION_CONFIDENCE = {
+  import: 1.0, // the file an import resolves to defines or re-exports the name
+  include: 0.95, // C/C++ call bound to the declaration in an included header
+  declaration: 0.95, // header declaration linked to a definition that includes it
+  receiver: 0.9, // method of the class the call's receiver was inferred to be
+  external: 0.9, // import of out-of-scope code, bound to its stub
+  qualified: 0.9, // the only symbol with that qualified name, for a qualified reference
+  local: 0.8, // same-named symbol in the calling file or directory
+  stem: 0.8, // header declaration linked to a definition by file stem
+  override: 0.95, // method named like one on a declared supertype
+  path: 0.75, // candidate whose path matches the import text
+  name: 0.7, // the only symbol with that name
+  structural: 0.6, // Go/TypeScript type with every method an interface lists
+  guess: 0.5, // one of several same-named symbols, nothing to tell them apart
+  case_insensitive: 0.3,
+};
 
 /**
  * Resolve references to concrete symbol edges.
  * @param {object[]} references
  * @param {Map<string, object[]>} symbolsByName - name -> list of symbol dicts
  * @param {Map<string, number>} filesByPath - file path -> file_id
- * @returns {object[]} edge dicts with source_id, target_id, kind, line
+ * @param {object} [opts]
+ * @param {(ref: object, importPath: string|null) => object|null} [opts.resolveExternal] -
+ *   Target for references whose import leaves the indexed scope; tried before name matching
+ * @param {(ref: object, importPath: string) => object|null} [opts.resolvePackage] -
+ *   Target for imports that resolve to no project file but name a third-party package
+ * @param {{ resolve: Function, reexports: Function, isExternal: Function, includes: Function }} [opts.modules] -
+ *   Module resolver (see createModuleResolver); imported names bind to the symbol in
+ *   the file the import names, or in the module it re-exports them from, and calls
+ *   from a C/C++ file to the declaration in the nearest header it includes
+ * @param {object[]} [opts.reexports] - The project's JavaScript/TypeScript `reexport`
+ *   references, when `references` only holds those of some files; defaults to theirs
+ * @returns {object[]} edge dicts with source_id, target_id, kind, line, resolution, confidence
  */
-export function resolveReferences(references, symbolsByName, filesByPath) {
+export function resolveReferences(references, symbolsByName, filesByPath, {
+  resolveExternal = null, resolvePackage = null, modules = null, reexports = null,
+} = {}) {
+  // File -> the names it re-exports: `export ... from` and local renames
+  const reexportsByFile = new Map();
+  for (const ref of reexports || references) {
+    if (ref.kind !== 'reexport' || !ref.source_file || !ref.target_name) continue;
+    if (!reexportsByFile.has(ref.source_file)) reexportsByFile.set(ref.source_file, []);
+    reexportsByFile.get(ref.source_file).push({
+      name: ref.target_name, alias: ref.source_name || ref.target_name, importPath: ref.import_path || null,
+    });
+  }
+
+  // A barrel's module symbol is only where its re-exports run from: no name
+  // resolves to it, and it does not own the file's other references
+  const barrels = new Map(); // file path -> module symbol
+  for (const [, symList] of symbolsByName) {
+    for (const sym of symList) {
+      if (sym.kind === 'module' && reexportsByFile.has(sym.file_path)) barrels.set(sym.file_path, sym);
+    }
+  }
+  if (barrels.size) {
+    const named = new Map();
+    for (const [name, symList] of symbolsByName) {
+      const kept = symList.filter(sym => barrels.get(sym.file_path) !== sym);
+      if (kept.length) named.set(name, kept);
+    }
+    symbolsByName = named;
+  }
+
   // qualified_name -> list of symbols
   const symbolsByQualified = new Map();
   for (const [, symList] of symbolsByName) {
@@ -43,6 +106,16 @@ export function resolveReferences(references, symbolsByName, filesByPath) {
     }
   }
 
+  // Class -> the types it extends, implements or mixes in, for methods a receiver inherits
+  const supertypes = new Map();
+  for (const ref of references) {
+    if ((ref.kind === 'inherits' || ref.kind === 'implements' || ref.kind === 'uses_trait') && ref.source_name && ref.target_name) {
+      const cls = lastSegment(ref.source_name);
+      if (!supertypes.has(cls)) supertypes.set(cls, new Set());
+      supertypes.get(cls).add(lastSegment(ref.target_name));
+    }
+  }
+
   // Build file -> sorted symbols map for closest-symbol fallback
   const fileSymbols = new Map();
   for (const [, symList] of symbolsByName) {
@@ -58,8 +131,55 @@ export function resolveReferences(references, symbolsByName, filesByPath) {
     syms.sort((a, b) => (a.line_start || 0) - (b.line_start || 0));
   }
 
+  const moduleFile = (file, importPath) => {
+    const resolved = modules && importPath ? modules.resolve(file, importPath) : null;
+    return typeof resolved === 'string' ? resolved : null;
+  };
+  // Where a module takes a name from: its language's re-exports, then barrel ones
+  const reexportsOf = (file, name) => {
+    const out = modules ? [...modules.reexports(file, name)] : [];
+    for (const entry of reexportsByFile.get(file) || []) {
+      if (entry.alias === '*') {
+        const target = name !== 'default' && moduleFile(file, entry.importPath);
+        if (target) out.push({ file: target, name });
+      } else if (entry.alias === name && entry.name !== '*') {
+        const target = entry.importPath ? moduleFile(file, entry.importPath) : file;
+        // A default export is looked up by the name it is re-exported as
+        if (target) out.push({ file: target, name: entry.name === 'default' ? name : entry.name });
+      }
+    }
+    return out;
+  };
+  // Top-level exports of a module, through its re-exports
+  const exportsOf = (file, visited = new Set()) => {
+    if (visited.has(file)) return [];
+    visited.add(file);
+    const out = (fileSymbols.get(file) || [])
+      .filter(s => s.is_exported && (s.qualified_name || s.name) === s.name);
+    for (const entry of reexportsByFile.get(file) || []) {
+      if (entry.name === '*') {
+        const target = moduleFile(file, entry.importPath);
+        if (target) out.push(...exportsOf(target, visited));
+      } else {
+        const sym = symbolInModule(entry.alias, file, symbolsByName, fileSymbols, reexportsOf);
+        if (sym) out.push(sym);
+      }
+    }
+    return out;
+  };
+
   const edges = [];
   const seen = new Set();
+  const addEdge = (sourceId, targetId, kind, line, resolution) => {
+    if (sourceId === targetId) return;
+    const edgeKey = `${sourceId}:${targetId}:${kind}`;
+    if (seen.has(edgeKey)) return;
+    seen.add(edgeKey);
+    edges.push({
+      source_id: sourceId, target_id: targetId, kind, line,
+      resolution, confidence: RESOLUTION_CONFIDENCE[resolution],
+    });
+  };
 
   for (const ref of references) {
     const sourceName = ref.source_name || '';
@@ -70,6 +190,26 @@ export function resolveReferences(references, symbolsByName, filesByPath) {
 
     if (!targetName) continue;
 
+    // A re-export links the module to the symbols it passes on, so symbols
+    // reached only through a barrel still have a consumer
+    if (kind === 'reexport') {
+      const barrel = barrels.get(sourceFile) || closestSymbol(sourceFile, line, fileSymbols);
+      if (!barrel) continue;
+      if (targetName === '*') {
+        const target = moduleFile(sourceFile, ref.import_path);
+        for (const sym of target ? exportsOf(target) : []) addEdge(barrel.id, sym.id, kind, line, 'import');
+        continue;
+      }
+      const sym = symbolInModule(sourceName || targetName, sourceFile, symbolsByName, fileSymbols, reexportsOf);
+      if (sym) {
+        addEdge(barrel.id, sym.id, kind, line, 'import');
+      } else if (resolvePackage && ref.import_path && !moduleFile(sourceFile, ref.import_path)) {
+        const stub = resolvePackage(ref, ref.import_path);
+        if (stub) addEdge(barrel.id, stub.id, kind, line, 'external');
+      }
+      continue;
+    }
+
     // Find source symbol (the caller)
     let sourceSym = bestMatch(sourceName, sourceFile, symbolsByName);
     if (!sourceSym) {
@@ -80,64 +220,374 @@ export function resolveReferences(references, symbolsByName, filesByPath) {
     // Extract parent context for disambiguation
     let sourceParent = '';
     const srcQn = sourceSym.qualified_name || '';
-    if (srcQn.includes('::')) {
+    if (srcQn.includes('#')) {
+      sourceParent = srcQn.slice(0, srcQn.lastIndexOf('#')); // Ruby `Billing::Invoice#total`
+    } else if (srcQn.includes('::')) {
       sourceParent = srcQn.slice(0, srcQn.lastIndexOf('::'));
     } else if (srcQn.includes('.')) {
       sourceParent = srcQn.slice(0, srcQn.lastIndexOf('.'));
     }
 
     let targetSym = null;
+    let resolution = null;
+    const importPath = ref.import_path || importMap.get(`${sourceFile}\0${targetName}`) || null;
 
-    // Standard resolution
-    // 1. Try qualified name exact match
-    const qnMatches = symbolsByQualified.get(targetName) || [];
-    if (qnMatches.length === 1) {
-      targetSym = qnMatches[0];
-    } else if (qnMatches.length > 1) {
-      targetSym = bestMatch(targetName, sourceFile, symbolsByName, kind, sourceParent, importMap);
+    // 0. Imports of code outside the indexed scope bind to its stub
+    if (resolveExternal) {
+      targetSym = resolveExternal(ref, importPath);
+      if (targetSym) resolution = 'external';
     }
 
-    // Prefer local symbol if qualified match is in different file
-    if (targetSym && targetSym.file_path !== sourceFile) {
-      const candidates = symbolsByName.get(targetName) || [];
-      const sameFile = candidates.find(c => c.file_path === sourceFile);
-      if (sameFile) {
-        targetSym = sameFile;
-      } else {
-        const sourceDir = sourceFile ? dirname(sourceFile) : '';
-        if (sourceDir && dirname(targetSym.file_path || '') !== sourceDir) {
-          const sameDir = candidates.find(c => dirname(c.file_path || '') === sourceDir);
-          if (sameDir) targetSym = sameDir;
+    // 0b. A method call on a receiver of known type binds to that type's method
+    if (!targetSym && ref.receiver_type && kind === 'call') {
+      const typeFile = () => {
+        const typeImport = importMap.get(`${sourceFile}\0${ref.receiver_type}`);
+        const resolved = typeImport && modules ? modules.resolve(sourceFile, typeImport) : null;
+        return typeof resolved === 'string' ? resolved : null;
+      };
+      targetSym = methodOfType(ref.receiver_type, lastSegment(targetName), sourceFile, symbolsByName, supertypes, typeFile);
+      if (targetSym) resolution = 'receiver';
+    }
+
+    // 1. Imported names bind to the symbol in the file the import resolves to
+    if (!targetSym && modules && importPath) {
+      const resolved = modules.resolve(sourceFile, importPath);
+      if (Array.isArray(resolved)) {
+        // A package: the import itself names no symbol, qualified uses do
+        if (kind === 'import') continue;
+        for (const file of resolved) {
+          targetSym = symbolInModule(targetName, file, symbolsByName, fileSymbols, reexportsOf);
+          if (targetSym) break;
         }
+      } else if (resolved) {
+        targetSym = symbolInModule(targetName, resolved, symbolsByName, fileSymbols, reexportsOf);
+      } else if (resolvePackage && (targetSym = resolvePackage(ref, importPath))) {
+        resolution = 'external'; // A third-party package's stub
+      } else if (modules.isExternal && modules.isExternal(sourceFile, importPath)) {
+        continue; // Standard library: nothing local to bind
       }
+      if (targetSym && !resolution) resolution = 'import';
     }
 
-    // 2. Try by simple name
-    if (!targetSym) {
-      targetSym = bestMatch(targetName, sourceFile, symbolsByName, kind, sourceParent, importMap);
+    // 1b. A call the file does not define itself binds to the header declaring it
+    if (!targetSym && modules && !importPath && kind === 'call' && modules.includes
+        && !(symbolsByName.get(targetName) || []).some(s => s.file_path === sourceFile)) {
+      for (const header of modules.includes(sourceFile)) {
+        targetSym = symbolInFile(targetName, header, symbolsByName, fileSymbols);
+        if (targetSym) break;
+      }
+      if (targetSym) resolution = 'include';
     }
 
-    // 3. Case-insensitive fallback
     if (!targetSym) {
-      targetSym = bestMatch(targetName.toLowerCase(), sourceFile, symbolsByNameLower, kind, sourceParent, importMap);
+      // Standard resolution. An import a module resolver handles binds through
+      // it; failing that, only a symbol of its own language family may stand in
+      const family = kind === 'import' && modules ? languageFamily(sourceFile) : null;
+      const resolverImport = RESOLVER_FAMILIES.has(family);
+      const reachable = sym => !resolverImport || languageFamily(sym.file_path || '') === family;
+
+      // 2. Try qualified name exact match; a bare name is only a name match,
+      // whatever the qualified names of top-level symbols say
+      const qnMatches = QUALIFIER_RE.test(targetName) ? (symbolsByQualified.get(targetName) || []).filter(reachable) : [];
+      if (qnMatches.length === 1) {
+        targetSym = qnMatches[0];
+        resolution = 'qualified';
+      } else if (qnMatches.length > 1) {
+        targetSym = bestMatch(targetName, sourceFile, symbolsByName, kind, sourceParent, importMap);
+        if (targetSym && !reachable(targetSym)) targetSym = qnMatches[0];
+        if (targetSym) resolution = nameResolution(targetSym, targetName, sourceFile, symbolsByName, importPath);
+      }
+
+      // Prefer local symbol if qualified match is in different file
+      if (targetSym && targetSym.file_path !== sourceFile) {
+        const candidates = (symbolsByName.get(targetName) || []).filter(reachable);
+        const sameFile = candidates.find(c => c.file_path === sourceFile);
+        if (sameFile) {
+          targetSym = sameFile;
+          resolution = 'local';
+        } else {
+          const sourceDir = sourceFile ? dirname(sourceFile) : '';
+          if (sourceDir && dirname(targetSym.file_path || '') !== sourceDir) {
+            const sameDir = candidates.find(c => dirname(c.file_path || '') === sourceDir);
+            if (sameDir) {
+              targetSym = sameDir;
+              resolution = 'local';
+            }
+          }
+        }
+      }
+
+      // 3. Try by simple name
+      if (!targetSym && !resolverImport) {
+        targetSym = bestMatch(targetName, sourceFile, symbolsByName, kind, sourceParent, importMap);
+        if (targetSym) resolution = nameResolution(targetSym, targetName, sourceFile, symbolsByName, importPath);
+      }
+
+      // 4. Case-insensitive fallback
+      if (!targetSym && !resolverImport) {
+        targetSym = bestMatch(targetName.toLowerCase(), sourceFile, symbolsByNameLower, kind, sourceParent, importMap);
+        if (targetSym) resolution = 'case_insensitive';
+      }
     }
 
     if (!targetSym) continue;
+    addEdge(sourceSym.id, targetSym.id, kind, line, resolution);
+  }
+
+  return edges;
+}
 
-    const sourceId = sourceSym.id;
-    const targetId = targetSym.id;
-    if (sourceId === targetId) continue;
+const METHOD_KINDS = new Set(['method', 'function']);
 
-    const edgeKey = `${sourceId}:${targetId}:${kind}`;
-    if (seen.has(edgeKey)) continue;
-    seen.add(edgeKey);
+// A qualified name: `Class.method`, `ns::fn`, `App\Models\User`, `Invoice#total`, `$a->b`
+const QUALIFIER_RE = /\.|::|->|#|\\/;
+
+function lastSegment(name) {
+  return name.split(/\.|::|->|#|\\/).pop();
+}
+
+// The method a type declares or inherits; among same-named types, the one the
+// calling file imports, then the closest to it. The type may be qualified
+// (PHP's `App\Models\User`), so that its import is found
+function methodOfType(typeName, method, sourceFile, symbolsByName, supertypes, typeFile) {
+  const candidates = (symbolsByName.get(method) || []).filter(s => METHOD_KINDS.has(s.kind));
+  if (!candidates.length) return null;
+  const ownerOf = (sym) => {
+    const segs = (sym.qualified_name || '').split(/\.|::|->|#|\\/);
+    return segs.length > 1 ? segs[segs.length - 2] : null;
+  };
+
+  const queue = [typeName];
+  const seen = new Set();
+  while (queue.length) {
+    const type = queue.shift();
+    if (seen.has(type)) continue;
+    seen.add(type);
+    const matches = candidates.filter(s => ownerOf(s) === lastSegment(type));
+    if (matches.length === 1) return matches[0];
+    if (matches.length > 1) {
+      const imported = type === typeName ? typeFile() : null;
+      const sourceDir = dirname(sourceFile);
+      return matches.find(s => s.file_path === sourceFile)
+        || (imported && matches.find(s => s.file_path === imported))
+        || matches.find(s => dirname(s.file_path || '') === sourceDir)
+        || matches[0];
+    }
+    queue.push(...(supertypes.get(lastSegment(type)) || []));
+  }
+  return null;
+}
+
+// Which name heuristic bestMatch() relied on for the symbol it chose
+function nameResolution(sym, name, sourceFile, symbolsByName, importPath) {
+  const candidates = symbolsByName.get(name) || [];
+  if (candidates.length <= 1) return 'name';
+  const symFile = sym.file_path || '';
+  if (symFile === sourceFile || (sourceFile && dirname(symFile) === dirname(sourceFile))) return 'local';
+  if (importPath && matchImportPath(importPath, [sym]).length) return 'path';
+  return 'guess';
+}
+
+const HEADER_RE = /\.(?:h|hh|hpp|hxx)$/;
+const C_SOURCE_RE = /\.(?:c|cc|cpp|cxx)$/;
+const CALLABLE_KINDS = new Set(['function', 'method', 'constructor']);
+
+/**
+ * Link function declarations in C/C++ headers to their definitions in source
+ * files as `defines` edges, running from the declaration to the definition so
+ * callers of the header function reach the body that implements it.
+ * A definition matches the same qualified name in a header its file includes,
+ * or failing that, in a header beside it with the same stem (`foo.h` / `foo.c`).
+ * @param {Iterable<object>} symbols - symbol dicts with id, name, qualified_name, kind, file_path
+ * @param {{ includes: Function }} modules - Module resolver (see createModuleResolver)
+ * @returns {object[]} edge dicts with source_id, target_id, kind, line, resolution, confidence
+ */
+export function linkDeclarations(symbols, modules) {
+  const declarations = new Map(); // header -> qualified name -> symbols
+  const definitions = new Map(); // source file -> symbols
+  for (const sym of symbols) {
+    if (!CALLABLE_KINDS.has(sym.kind) || !sym.file_path) continue;
+    const key = sym.qualified_name || sym.name;
+    if (HEADER_RE.test(sym.file_path)) {
+      if (!declarations.has(sym.file_path)) declarations.set(sym.file_path, new Map());
+      const byName = declarations.get(sym.file_path);
+      if (!byName.has(key)) byName.set(key, []);
+      byName.get(key).push(sym);
+    } else if (C_SOURCE_RE.test(sym.file_path)) {
+      if (!definitions.has(sym.file_path)) definitions.set(sym.file_path, []);
+      definitions.get(sym.file_path).push(sym);
+    }
+  }
+  if (!declarations.size) return [];
+
+  const edges = [];
+  for (const [file, defs] of definitions) {
+    const stem = file.replace(C_SOURCE_RE, '');
+    const siblings = [...declarations.keys()].filter(h => h.replace(HEADER_RE, '') === stem);
+    const included = modules.includes(file).filter(h => declarations.has(h));
+    const headers = [...included, ...siblings.filter(h => !included.includes(h))];
+    for (const def of defs) {
+      const key = def.qualified_name || def.name;
+      const header = headers.find(h => declarations.get(h).has(key));
+      if (!header) continue;
+      const resolution = included.includes(header) ? 'declaration' : 'stem';
+      for (const decl of declarations.get(header).get(key)) {
+        edges.push({
+          source_id: decl.id, target_id: def.id, kind: 'defines', line: decl.line_start ?? null,
+          resolution, confidence: RESOLUTION_CONFIDENCE[resolution],
+        });
+      }
+    }
+  }
+  return edges;
+}
+
+const TYPE_KINDS = new Set(['class', 'interface', 'struct', 'trait', 'enum']);
+const ABSTRACT_KINDS = new Set(['interface', 'trait']);
+const STRUCTURAL_RE = /\.(?:go|ts|tsx)$/;
+
+/**
+ * Link methods to the supertype methods they override (`overrides`) or
+ * implement (`implements_method`, when the supertype is an interface or
+ * trait), running from the subtype method to the one a caller may have
+ * dispatched through. Supertypes come from resolved `inherits`/`implements`
+ * edges; the nearest supertype declaring the name wins along each path. Go
+ * and TypeScript types also implement any interface whose methods they all
+ * have, with no declaration needed.
+ * @param {Iterable<object>} symbols - symbol dicts with id, name, qualified_name,
+ *   kind, parent_id, file_path
+ * @param {object[]} inheritance - `inherits`/`implements` edges between types
+ * @returns {object[]} edge dicts with source_id, target_id, kind, line, resolution, confidence
+ */
+export function linkOverrides(symbols, inheritance) {
+  const types = new Map(); // id -> type symbol
+  const typesByPlace = new Map(); // `file\0name` and, for Go, `dir\0name` -> type symbol
+  const all = [...symbols];
+  for (const sym of all) {
+    if (!TYPE_KINDS.has(sym.kind)) continue;
+    types.set(sym.id, sym);
+    typesByPlace.set(`${sym.file_path}\0${sym.name}`, sym);
+    if (sym.file_path.endsWith('.go')) typesByPlace.set(`${dirname(sym.file_path)}\0${sym.name}`, sym);
+  }
 
-    edges.push({ source_id: sourceId, target_id: targetId, kind, line });
+  // Type id -> method name -> method; Go methods sit beside their type, not in it
+  const methods = new Map();
+  const ownerOf = new Map(); // method id -> type symbol
+  for (const sym of all) {
+    if (sym.kind !== 'method' || sym.name === 'constructor') continue;
+    let owner = sym.parent_id != null ? types.get(sym.parent_id) : null;
+    if (!owner) {
+      const segs = (sym.qualified_name || '').split(/\.|::|#|\\/);
+      const ownerName = segs.length > 1 ? segs[segs.length - 2].replace(/\[.*$/, '') : null; // Go `Stack[T]`
+      owner = ownerName && (typesByPlace.get(`${sym.file_path}\0${ownerName}`)
+        || (sym.file_path.endsWith('.go') ? typesByPlace.get(`${dirname(sym.file_path)}\0${ownerName}`) : null));
+    }
+    if (!owner) continue;
+    if (!methods.has(owner.id)) methods.set(owner.id, new Map());
+    methods.get(owner.id).set(sym.name, sym);
+    ownerOf.set(sym.id, owner);
   }
 
+  const supertypes = new Map(); // type id -> supertype ids
+  for (const e of inheritance) {
+    if (!types.has(e.source_id) || !types.has(e.target_id) || e.source_id === e.target_id) continue;
+    if (!supertypes.has(e.source_id)) supertypes.set(e.source_id, new Set());
+    supertypes.get(e.source_id).add(e.target_id);
+  }
+
+  const edges = [];
+  const seen = new Set();
+  const link = (method, base, resolution) => {
+    const key = `${method.id}:${base.id}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    edges.push({
+      source_id: method.id, target_id: base.id,
+      kind: ABSTRACT_KINDS.has(ownerOf.get(base.id).kind) ? 'implements_method' : 'overrides',
+      line: method.line_start ?? null, resolution, confidence: RESOLUTION_CONFIDENCE[resolution],
+    });
+  };
+
+  for (const [typeId, own] of methods) {
+    for (const method of own.values()) {
+      // Breadth-first up each path, stopping where a supertype declares the name
+      const visited = new Set([typeId]);
+      let frontier = [...(supertypes.get(typeId) || [])];
+      while (frontier.length) {
+        const next = [];
+        for (const superId of frontier) {
+          if (visited.has(superId)) continue;
+          visited.add(superId);
+          const base = methods.get(superId)?.get(method.name);
+          if (base) link(method, base, 'override');
+          else next.push(...(supertypes.get(superId) || []));
+        }
+        frontier = next;
+      }
+    }
+  }
+
+  // Structural interface satisfaction, within one language
+  const language = file => (file.endsWith('.go') ? 'go' : 'ts');
+  const concreteByMethod = new Map(); // method name -> ids of Go/TS concrete types declaring it
+  for (const [typeId, own] of methods) {
+    const type = types.get(typeId);
+    if (type.kind === 'interface' || !STRUCTURAL_RE.test(type.file_path)) continue;
+    for (const name of own.keys()) {
+      if (!concreteByMethod.has(name)) concreteByMethod.set(name, []);
+      concreteByMethod.get(name).push(typeId);
+    }
+  }
+  for (const [ifaceId, required] of methods) {
+    const iface = types.get(ifaceId);
+    if (iface.kind !== 'interface' || !STRUCTURAL_RE.test(iface.file_path)) continue;
+    const [first] = required.keys();
+    for (const typeId of concreteByMethod.get(first) || []) {
+      const own = methods.get(typeId);
+      if (language(types.get(typeId).file_path) !== language(iface.file_path)) continue;
+      if (![...required.keys()].every(name => own.has(name))) continue;
+      for (const [name, base] of required) link(own.get(name), base, 'structural');
+    }
+  }
   return edges;
 }
 
+function symbolInFile(name, filePath, symbolsByName, fileSymbols) {
+  const inFile = (symbolsByName.get(name) || []).filter(s => s.file_path === filePath);
+  if (!inFile.length && (name.includes('::') || name.includes('.') || name.includes('\\'))) {
+    // A path such as `store::open`, `User::new` or PHP's `App\Models\User`: the longest qualified name it ends with
+    let best = null;
+    for (const s of fileSymbols.get(filePath) || []) {
+      const qn = s.qualified_name || s.name;
+      if (name === qn || name.endsWith('::' + qn) || name.endsWith('.' + qn) || name.endsWith('\\' + qn)) {
+        if (!best || qn.length > (best.qualified_name || best.name).length) best = s;
+      }
+    }
+    return best;
+  }
+  if (inFile.length <= 1) return inFile[0] || null;
+  // Prefer the exported, top-level declaration over members of the same name
+  return inFile.find(s => s.is_exported && s.qualified_name === name)
+    || inFile.find(s => s.is_exported)
+    || inFile[0];
+}
+
+// Follow re-exports breadth-first until a module defines the name
+function symbolInModule(name, filePath, symbolsByName, fileSymbols, reexports) {
+  const queue = [{ file: filePath, name }];
+  const seen = new Set();
+  while (queue.length) {
+    const next = queue.shift();
+    const key = `${next.file}\0${next.name}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    const sym = symbolInFile(next.name, next.file, symbolsByName, fileSymbols);
+    if (sym) return sym;
+    queue.push(...reexports(next.file, next.name));
+  }
+  return null;
+}
+
 function matchImportPath(importPath, candidates) {
   if (!importPath) return [];
 
@@ -197,7 +647,7 @@ function bestMatch(name, sourceFile, symbolsByName, refKind = '', sourceParent =
     if (sourceParent) {
       for (const s of sameFile) {
         const qn = s.qualified_name || '';
-        if (qn.startsWith(sourceParent + '::') || qn.startsWith(sourceParent + '.')) {
+        if (qn.startsWith(sourceParent + '::') || qn.startsWith(sourceParent + '.') || qn.startsWith(sourceParent + '#')) {
           return s;
         }
       }
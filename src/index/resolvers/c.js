@@ -0,0 +1,212 @@
+/**
+ * C/C++ include resolution: `#include "..."` and `#include <...>` to project
+ * headers through the include directories a compile_commands.json gives each
+ * translation unit (`-I`, `-iquote`, `-isystem`) plus the configured
+ * `include_dirs`. Angle-bracket includes no search path reaches are system
+ * headers and external.
+ */
+
+import { posix, isAbsolute, relative, resolve as resolvePath } from 'node:path';
+
+export const HEADER_EXTENSIONS = ['.h', '.hh', '.hpp', '.hxx'];
+export const DEFAULT_COMPILE_COMMANDS = ['compile_commands.json', 'build/compile_commands.json'];
+
+/**
+ * Split a compile command into arguments, honouring quotes and backslash escapes.
+ * @param {string} command
+ * @returns {string[]}
+ */
+export function splitCommand(command) {
+  const args = [];
+  let current = '';
+  let quote = null;
+  let started = false;
+  for (let i = 0; i < command.length; i++) {
+    const c = command[i];
+    if (quote) {
+      if (c === quote) quote = null;
+      else if (c === '\\' && quote === '"' && i + 1 < command.length) current += command[++i];
+      else current += c;
+    } else if (c === '"' || c === "'") {
+      quote = c;
+      started = true;
+    } else if (c === '\\' && i + 1 < command.length) {
+      current += command[++i];
+      started = true;
+    } else if (/\s/.test(c)) {
+      if (started) args.push(current);
+      current = '';
+      started = false;
+    } else {
+      current += c;
+      started = true;
+    }
+  }
+  if (started) args.push(current);
+  return args;
+}
+
+/**
+ * Include search paths per file from compile_commands.json entries.
+ * Directories are absolute or relative to the entry's `directory`.
+ * @param {string} text - compile_commands.json content
+ * @returns {Map<string, { quote: string[], dirs: string[], system: string[] }>}
+ *   keyed by the entry's absolute file path
+ */
+export function parseCompileCommands(text) {
+  const out = new Map();
+  let entries;
+  try { entries = JSON.parse(text); } catch { return out; }
+  if (!Array.isArray(entries)) return out;
+
+  const FLAGS = [['-iquote', 'quote'], ['-isystem', 'system'], ['-I', 'dirs']];
+  for (const entry of entries) {
+    if (!entry || typeof entry.file !== 'string') continue;
+    const directory = typeof entry.directory === 'string' ? entry.directory : '';
+    const args = Array.isArray(entry.arguments) ? entry.arguments.map(String)
+      : typeof entry.command === 'string' ? splitCommand(entry.command) : [];
+    const paths = { quote: [], dirs: [], system: [] };
+    for (let i = 0; i < args.length; i++) {
+      // MSVC `/I dir` only when separate: a joined `/Ifoo` reads like a path
+      const flag = args[i] === '/I' ? ['/I', 'dirs'] : FLAGS.find(([f]) => args[i].startsWith(f));
+      if (!flag) continue;
+      const value = args[i].length > flag[0].length ? args[i].slice(flag[0].length) : args[++i];
+      if (value) paths[flag[1]].push(resolvePath(directory, value));
+    }
+    out.set(resolvePath(directory, entry.file), paths);
+  }
+  return out;
+}
+
+/**
+ * Headers a file includes, as written: `<...>` kept for angle-bracket includes.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function parseIncludes(text) {
+  const out = [];
+  for (const m of text.matchAll(/^[ \t]*#[ \t]*include[ \t]*(<[^>\n]+>|"[^"\n]+")/gm)) {
+    out.push(m[1][0] === '<' ? m[1] : m[1].slice(1, -1));
+  }
+  return out;
+}
+
+/**
+ * Create a resolver for C/C++ includes.
+ * @param {object} opts
+ * @param {string} [opts.root] - Absolute project root, to place compile_commands paths
+ * @param {Set<string>} opts.files - Project-relative paths that can be targets
+ * @param {(relPath: string) => string|null} opts.readFile
+ * @param {string|null} [opts.compileCommands] - compile_commands.json path, relative to the root
+ * @param {string[]} [opts.includeDirs] - Project-relative directories every file searches
+ * @returns {{ resolve: (sourceFile: string, include: string) => string|null,
+ *   isExternal: (sourceFile: string, include: string) => boolean,
+ *   includes: (file: string) => string[] }}
+ */
+export function createCResolver({ root = '', files, readFile, compileCommands = null, includeDirs = [] }) {
+  const read = (relPath) => {
+    try { return readFile(relPath); } catch { return null; }
+  };
+  const dirOf = p => (posix.dirname(p) === '.' ? '' : posix.dirname(p));
+  // Absolute search paths outside the project can hold nothing indexed
+  const toRelative = (abs) => {
+    const rel = root ? relative(root, abs).replace(/\\/g, '/') : abs;
+    return rel.startsWith('..') || isAbsolute(rel) ? null : rel;
+  };
+  const uniq = list => [...new Set(list.filter(d => d != null))];
+
+  const configured = uniq(includeDirs.map(d => posix.normalize(d.replace(/\\/g, '/')).replace(/^\.$|\/$/g, '')));
+  const perFile = new Map();
+  for (const name of compileCommands ? [compileCommands] : DEFAULT_COMPILE_COMMANDS) {
+    const text = read(name);
+    if (text == null) continue;
+    for (const [abs, paths] of parseCompileCommands(text)) {
+      const file = toRelative(abs);
+      if (!file) continue;
+      perFile.set(file, {
+        quote: uniq(paths.quote.map(toRelative)),
+        dirs: uniq(paths.dirs.map(toRelative)),
+        system: uniq(paths.system.map(toRelative)),
+      });
+    }
+    break;
+  }
+  // Headers are not compiled on their own: they search what any unit does
+  const anyUnit = { quote: [], dirs: [], system: [] };
+  for (const paths of perFile.values()) {
+    for (const key of Object.keys(anyUnit)) anyUnit[key].push(...paths[key]);
+  }
+  for (const key of Object.keys(anyUnit)) anyUnit[key] = uniq(anyUnit[key]);
+
+  // Header paths by basename, for quoted includes nothing on the search path finds
+  const byBasename = new Map();
+  for (const f of files) {
+    if (!HEADER_EXTENSIONS.some(ext => f.endsWith(ext))) continue;
+    const base = posix.basename(f);
+    if (!byBasename.has(base)) byBasename.set(base, []);
+    byBasename.get(base).push(f);
+  }
+
+  const lookup = (dirs, name) => {
+    for (const dir of dirs) {
+      const p = posix.normalize(dir ? `${dir}/${name}` : name);
+      if (!p.startsWith('..') && files.has(p)) return p;
+    }
+    return null;
+  };
+
+  const cache = new Map();
+  function resolve(sourceFile, include) {
+    if (!include) return null;
+    const key = `${sourceFile}\0${include}`;
+    if (cache.has(key)) return cache.get(key);
+
+    const angle = include.startsWith('<');
+    const name = angle ? include.slice(1, -1) : include;
+    const paths = perFile.get(sourceFile) || anyUnit;
+    const searched = angle
+      ? [...paths.dirs, ...paths.system, ...configured]
+      : [dirOf(sourceFile), ...paths.quote, ...paths.dirs, ...paths.system, ...configured];
+    let resolved = lookup(searched, name);
+    if (!resolved && !angle) {
+      // No search path names it: a project-relative path, or the one header ending with it
+      const suffix = (byBasename.get(posix.basename(name)) || []).filter(f => f === name || f.endsWith('/' + name));
+      if (suffix.length === 1) resolved = suffix[0];
+    }
+    cache.set(key, resolved);
+    return resolved;
+  }
+
+  const includesCache = new Map();
+  function directIncludes(file) {
+    if (!includesCache.has(file)) {
+      const text = read(file);
+      includesCache.set(file, text == null ? [] : parseIncludes(text).map(i => resolve(file, i)).filter(Boolean));
+    }
+    return includesCache.get(file);
+  }
+
+  // Every project header a file sees, nearest first
+  function includes(file) {
+    const out = [];
+    const seen = new Set([file]);
+    const queue = [file];
+    while (queue.length) {
+      for (const header of directIncludes(queue.shift())) {
+        if (seen.has(header)) continue;
+        seen.add(header);
+        out.push(header);
+        queue.push(header);
+      }
+    }
+    return out;
+  }
+
+  return {
+    resolve,
+    isExternal(sourceFile, include) {
+      return include.startsWith('<') && resolve(sourceFile, include) == null;
+    },
+    includes,
+  };
+}
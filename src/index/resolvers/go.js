@@ -0,0 +1,137 @@
+/**
+ * Go package resolution: import paths to local package directories through
+ * the module paths in go.mod files, `replace` directives pointing at local
+ * directories, and the modules a go.work file uses. Other dotted import
+ * paths belong to the required module they fall under.
+ */
+
+import { posix } from 'node:path';
+
+/**
+ * Module path, requirements and local replacements declared by a go.mod.
+ * @param {string} text
+ * @returns {{ module: string|null, requires: { path: string, indirect: boolean }[],
+ *   replaces: Map<string, string> }} replaces: module path -> directory relative to the go.mod
+ */
+export function parseGoMod(text) {
+  const requires = [];
+  const addRequire = (line) => {
+    const m = line.match(/^\s*"?([^\s"]+)"?\s+v\S+\s*(\/\/\s*indirect\b)?/);
+    if (m) requires.push({ path: m[1], indirect: Boolean(m[2]) });
+  };
+  for (const block of text.matchAll(/^\s*require\s*\(([^)]*)\)/gm)) {
+    for (const line of block[1].split('\n')) addRequire(line);
+  }
+  for (const line of text.matchAll(/^\s*require\s+([^(\n][^\n]*)$/gm)) addRequire(line[1]);
+
+  const clean = text.replace(/\/\/[^\n]*/g, '');
+  const mod = clean.match(/^\s*module\s+"?([^\s"]+)"?/m);
+  const replaces = new Map();
+  const addReplace = (line) => {
+    const m = line.match(/^\s*(\S+)(?:\s+\S+)?\s*=>\s*(\.{1,2}\/\S*|\.{1,2})\s*$/);
+    if (m) replaces.set(m[1], m[2]);
+  };
+  for (const block of clean.matchAll(/^\s*replace\s*\(([^)]*)\)/gm)) {
+    for (const line of block[1].split('\n')) addReplace(line);
+  }
+  for (const line of clean.matchAll(/^\s*replace\s+([^(\n][^\n]*)$/gm)) addReplace(line[1]);
+  return { module: mod ? mod[1] : null, requires, replaces };
+}
+
+/**
+ * Directories a go.work file uses.
+ * @param {string} text
+ * @returns {string[]} Relative to the go.work
+ */
+export function parseGoWork(text) {
+  const clean = text.replace(/\/\/[^\n]*/g, '');
+  const dirs = [];
+  for (const block of clean.matchAll(/^\s*use\s*\(([^)]*)\)/gm)) {
+    dirs.push(...block[1].split('\n').map(l => l.trim().replace(/^"|"$/g, '')).filter(Boolean));
+  }
+  for (const line of clean.matchAll(/^\s*use\s+([^(\s][^\n]*)$/gm)) dirs.push(line[1].trim().replace(/^"|"$/g, ''));
+  return dirs;
+}
+
+/**
+ * Create a resolver for Go import paths.
+ * @param {object} opts
+ * @param {Set<string>} opts.files - Project-relative paths that can be targets
+ * @param {(relPath: string) => string|null} opts.readFile
+ * @returns {{ resolve: (sourceFile: string, importPath: string) => string[]|null,
+ *   isExternal: (sourceFile: string, importPath: string) => boolean,
+ *   packageOf: (sourceFile: string, importPath: string) => string|null }}
+ */
+export function createGoResolver({ files, readFile }) {
+  const read = (relPath) => {
+    try { return readFile(relPath); } catch { return null; }
+  };
+  const dirOf = p => (posix.dirname(p) === '.' ? '' : posix.dirname(p));
+
+  // Go files by package directory
+  const packages = new Map();
+  for (const f of files) {
+    if (!f.endsWith('.go')) continue;
+    const dir = dirOf(f);
+    if (!packages.has(dir)) packages.set(dir, []);
+    packages.get(dir).push(f);
+  }
+
+  // Module path -> directory; go.work-used modules take precedence
+  const modules = new Map();
+  const required = new Set();
+  const addModuleAt = (dir, override = false) => {
+    const text = read(dir ? `${dir}/go.mod` : 'go.mod');
+    if (text == null) return;
+    const { module, requires, replaces } = parseGoMod(text);
+    for (const r of requires) required.add(r.path);
+    if (module && (override || !modules.has(module))) modules.set(module, dir);
+    for (const [path, target] of replaces) {
+      const local = posix.normalize(posix.join(dir, target));
+      if (!local.startsWith('..') && !modules.has(path)) modules.set(path, local === '.' ? '' : local);
+    }
+  };
+  for (const f of files) {
+    if (posix.basename(f) !== 'go.work') continue;
+    const text = read(f);
+    if (text == null) continue;
+    for (const use of parseGoWork(text)) {
+      const dir = posix.normalize(posix.join(dirOf(f), use));
+      if (!dir.startsWith('..')) addModuleAt(dir === '.' ? '' : dir, true);
+    }
+  }
+  for (const f of files) {
+    if (posix.basename(f) === 'go.mod') addModuleAt(dirOf(f));
+  }
+  // Longest module path first so nested modules win
+  const moduleList = [...modules].sort((a, b) => b[0].length - a[0].length);
+  const requiredList = [...required].sort((a, b) => b.length - a.length);
+
+  function packageDir(importPath) {
+    for (const [mod, dir] of moduleList) {
+      if (importPath === mod) return dir;
+      if (importPath.startsWith(mod + '/')) return posix.join(dir, importPath.slice(mod.length + 1));
+    }
+    return null;
+  }
+
+  return {
+    resolve(sourceFile, importPath) {
+      const dir = packageDir(importPath);
+      if (dir == null) return null;
+      // A package's tests are not part of what importers see
+      const goFiles = (packages.get(dir) || []).filter(f => !f.endsWith('_test.go'));
+      return goFiles.length ? goFiles : null;
+    },
+    isExternal(sourceFile, importPath) {
+      return packageDir(importPath) == null;
+    },
+    packageOf(sourceFile, importPath) {
+      // The standard library's paths have no dot in their first element
+      if (packageDir(importPath) != null || !importPath.split('/')[0].includes('.')) return null;
+      const mod = requiredList.find(r => importPath === r || importPath.startsWith(r + '/'));
+      // Undeclared: host/owner/repo is the usual module root
+      return mod || importPath.split('/').slice(0, 3).join('/');
+    },
+  };
+}
@@ -0,0 +1,433 @@
+/**
+ * JS/TS module resolution: relative paths, tsconfig/jsconfig `paths` and
+ * `baseUrl` (following `extends`), and workspace packages through their
+ * package.json `exports`/`main`.
+ *
+ * Everything works on project-relative POSIX paths and a readFile callback,
+ * so the same resolver serves the working tree and a --rev index.
+ */
+
+import { builtinModules } from 'node:module';
+import { posix } from 'node:path';
+
+// Probed in order when an import omits the extension
+const EXTENSIONS = ['.ts', '.tsx', '.d.ts', '.js', '.jsx', '.mjs', '.cjs', '.mts', '.cts', '.vue', '.svelte'];
+
+// TS lets `./x.js` name the source file `./x.ts`
+const TS_SOURCE_FOR = {
+  '.js': ['.ts', '.tsx'],
+  '.jsx': ['.tsx'],
+  '.mjs': ['.mts'],
+  '.cjs': ['.cts'],
+};
+
+// exports conditions, most source-like first
+const CONDITIONS = ['source', 'development', 'import', 'module', 'node', 'default', 'require', 'browser', 'types'];
+
+const CONFIG_NAMES = ['tsconfig.json', 'jsconfig.json'];
+
+// Lowercase, optionally scoped: what the npm registry accepts
+const NPM_NAME = /^(?:@[a-z0-9-][a-z0-9._~-]*\/)?[a-z0-9-][a-z0-9._~-]*$/;
+const NODE_BUILTINS = new Set(builtinModules);
+
+const DEPENDENCY_FIELDS = ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies'];
+
+/**
+ * Parse JSON that may contain comments and trailing commas (tsconfig style).
+ * @param {string} text
+ * @returns {any}
+ */
+export function parseJsonc(text) {
+  let out = '';
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (ch === '"') {
+      const start = i++;
+      while (i < text.length && text[i] !== '"') i += text[i] === '\\' ? 2 : 1;
+      out += text.slice(start, ++i);
+    } else if (ch === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+    } else if (ch === '/' && text[i + 1] === '*') {
+      const end = text.indexOf('*/', i + 2);
+      i = end < 0 ? text.length : end + 2;
+    } else {
+      out += ch;
+      i++;
+    }
+  }
+  return JSON.parse(out.replace(/,(\s*[}\]])/g, '$1'));
+}
+
+function isRelative(spec) {
+  return spec === '.' || spec === '..' || spec.startsWith('./') || spec.startsWith('../');
+}
+
+/**
+ * Split a bare specifier into package name and subpath ('.' or './x').
+ * @param {string} spec
+ * @returns {[string, string]}
+ */
+function splitPackage(spec) {
+  const parts = spec.split('/');
+  const n = spec.startsWith('@') ? 2 : 1;
+  const rest = parts.slice(n).join('/');
+  return [parts.slice(0, n).join('/'), rest ? './' + rest : '.'];
+}
+
+/**
+ * Match a `paths`/`exports` key with at most one `*` against a string.
+ * @returns {string|null} The text matched by `*` ('' for exact keys), null when no match
+ */
+function matchStar(pattern, value) {
+  const star = pattern.indexOf('*');
+  if (star < 0) return pattern === value ? '' : null;
+  const prefix = pattern.slice(0, star);
+  const suffix = pattern.slice(star + 1);
+  if (value.length < prefix.length + suffix.length) return null;
+  if (!value.startsWith(prefix) || !value.endsWith(suffix)) return null;
+  return value.slice(prefix.length, value.length - suffix.length);
+}
+
+/**
+ * Longest-prefix match over pattern keys, as TypeScript and Node do.
+ * @returns {[string, string]|null} [key, star match]
+ */
+function bestPattern(keys, value) {
+  let best = null;
+  for (const key of keys) {
+    const m = matchStar(key, value);
+    if (m == null) continue;
+    const prefixLen = key.includes('*') ? key.indexOf('*') : Infinity;
+    if (!best || prefixLen > best[2]) best = [key, m, prefixLen];
+  }
+  return best ? [best[0], best[1]] : null;
+}
+
+/**
+ * Pick a target from an exports/imports value by condition.
+ * @returns {string[]} Targets to try, in order
+ */
+function conditionTargets(value) {
+  if (typeof value === 'string') return [value];
+  if (Array.isArray(value)) return value.flatMap(conditionTargets);
+  if (!value || typeof value !== 'object') return [];
+  const targets = [];
+  for (const cond of CONDITIONS) {
+    if (cond in value) targets.push(...conditionTargets(value[cond]));
+  }
+  return targets;
+}
+
+/**
+ * Targets a package.json `exports` field maps a subpath to.
+ * @param {any} exportsField
+ * @param {string} subpath - '.' or './x'
+ * @returns {string[]}
+ */
+export function exportsTargets(exportsField, subpath) {
+  if (exportsField == null) return [];
+  const isSubpathMap = typeof exportsField === 'object' && !Array.isArray(exportsField)
+    && Object.keys(exportsField).some(k => k.startsWith('.'));
+  if (!isSubpathMap) return subpath === '.' ? conditionTargets(exportsField) : [];
+
+  const match = bestPattern(Object.keys(exportsField), subpath);
+  if (!match) return [];
+  const [key, star] = match;
+  return conditionTargets(exportsField[key]).map(t => (key.includes('*') ? t.split('*').join(star) : t));
+}
+
+/**
+ * The npm package a bare specifier names: null for relative and absolute
+ * paths, URLs and `node:` imports, Node builtins, and aliases no package can
+ * be called (`@/x`, `~/x`, `#x`).
+ * @param {string} spec
+ * @returns {string|null}
+ */
+export function npmPackageName(spec) {
+  if (!spec || isRelative(spec) || spec.startsWith('/') || spec.includes(':')) return null;
+  const [name] = splitPackage(spec.replace(/[?#].*$/, ''));
+  return NPM_NAME.test(name) && !NODE_BUILTINS.has(name) ? name : null;
+}
+
+/**
+ * Packages a package.json declares. Local ones (`workspace:`, `file:`,
+ * `link:`) are left out; dev marks devDependencies.
+ * @param {object} pkg - Parsed package.json
+ * @returns {{ name: string, dev: boolean }[]}
+ */
+export function packageJsonDependencies(pkg) {
+  const out = [];
+  for (const field of DEPENDENCY_FIELDS) {
+    const deps = pkg && pkg[field];
+    if (!deps || typeof deps !== 'object') continue;
+    for (const [name, version] of Object.entries(deps)) {
+      if (typeof version === 'string' && /^(?:workspace|file|link):/.test(version)) continue;
+      out.push({ name, dev: field === 'devDependencies' });
+    }
+  }
+  return out;
+}
+
+/**
+ * Convert workspace globs (`packages/*`, `apps/**`) to a matcher for directories.
+ * @param {string[]} globs
+ * @returns {(dir: string) => boolean}
+ */
+function globMatcher(globs) {
+  const res = globs
+    .filter(g => typeof g === 'string' && !g.startsWith('!'))
+    .map(g => g.replace(/^\.\//, '').replace(/\/+$/, ''))
+    .map(g => new RegExp('^' + g.split('/').map(seg => {
+      if (seg === '**') return '.*';
+      return seg.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*').replace(/\?/g, '[^/]');
+    }).join('/') + '$'));
+  return dir => res.some(re => re.test(dir));
+}
+
+/**
+ * Workspace globs from package.json `workspaces` or pnpm-workspace.yaml.
+ * @param {(relPath: string) => string|null} readFile
+ * @returns {string[]}
+ */
+function workspaceGlobs(readFile, rootPkg) {
+  const ws = rootPkg && rootPkg.workspaces;
+  const globs = Array.isArray(ws) ? [...ws] : (ws && Array.isArray(ws.packages) ? [...ws.packages] : []);
+  const pnpm = safeRead(readFile, 'pnpm-workspace.yaml');
+  if (pnpm) {
+    // Only the `packages:` list matters; a full YAML parser is not needed for it
+    let inPackages = false;
+    for (const line of pnpm.split('\n')) {
+      if (/^packages\s*:/.test(line)) { inPackages = true; continue; }
+      if (inPackages) {
+        const item = line.match(/^\s+-\s*['"]?([^'"#]+?)['"]?\s*(?:#.*)?$/);
+        if (item) globs.push(item[1]);
+        else if (/^\S/.test(line)) inPackages = false;
+      }
+    }
+  }
+  return globs;
+}
+
+function safeRead(readFile, relPath) {
+  try {
+    return readFile(relPath);
+  } catch {
+    return null;
+  }
+}
+
+function readJson(readFile, relPath, jsonc = false) {
+  const text = safeRead(readFile, relPath);
+  if (text == null) return null;
+  try {
+    return jsonc ? parseJsonc(text) : JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Create a resolver for JS/TS import specifiers.
+ * @param {object} opts
+ * @param {Set<string>} opts.files - Project-relative paths that can be targets
+ * @param {(relPath: string) => string|null} opts.readFile - Reads a project file, null when absent
+ * @returns {(sourceFile: string, spec: string) => string|null} Resolved project-relative path
+ */
+export function createJsResolver({ files, readFile }) {
+  const dirs = new Set();
+  for (const f of files) {
+    for (let d = posix.dirname(f); d !== '.' && !dirs.has(d); d = posix.dirname(d)) dirs.add(d);
+  }
+
+  // --- File probing --------------------------------------------------------
+
+  // A file, with the extension as written, its TS source, or an added extension
+  function probeFile(base) {
+    if (!base) return null;
+    if (files.has(base)) return base;
+    const ext = posix.extname(base);
+    for (const alt of TS_SOURCE_FOR[ext] || []) {
+      const candidate = base.slice(0, -ext.length) + alt;
+      if (files.has(candidate)) return candidate;
+    }
+    for (const e of EXTENSIONS) {
+      if (files.has(base + e)) return base + e;
+    }
+    return null;
+  }
+
+  function probeIndex(dir) {
+    const prefix = dir ? dir + '/' : '';
+    for (const e of EXTENSIONS) {
+      if (files.has(`${prefix}index${e}`)) return `${prefix}index${e}`;
+    }
+    return null;
+  }
+
+  // Node's order: the file itself, then a package directory, then its index
+  function probe(base) {
+    base = posix.normalize(base);
+    if (base === '..' || base.startsWith('../')) return null;
+    if (base === '.' || base === './') base = '';
+    const file = probeFile(base);
+    if (file) return file;
+    if (base && !dirs.has(base)) return null;
+    return packageEntry(base) || probeIndex(base);
+  }
+
+  // --- Packages ------------------------------------------------------------
+
+  const packageJsonCache = new Map();
+  function packageJson(dir) {
+    if (!packageJsonCache.has(dir)) {
+      packageJsonCache.set(dir, readJson(readFile, dir ? `${dir}/package.json` : 'package.json'));
+    }
+    return packageJsonCache.get(dir);
+  }
+
+  // Entry of a package directory for a subpath, through exports/main
+  function packageEntry(dir, subpath = '.') {
+    const pkg = packageJson(dir);
+    if (!pkg) return null;
+    const prefix = dir ? dir + '/' : '';
+    const targets = exportsTargets(pkg.exports, subpath);
+    if (subpath === '.') {
+      targets.push(...[pkg.source, pkg.module, pkg.main, pkg.types].filter(t => typeof t === 'string'));
+    } else if (pkg.exports == null) {
+      targets.push(subpath);
+    }
+
+    for (const t of targets) {
+      const rel = posix.normalize(prefix + t.replace(/^\.\//, ''));
+      // Built output is often not indexed; fall back to the matching source file
+      const inPkg = rel.slice(prefix.length).replace(/^(?:dist|build|lib|out)\//, 'src/');
+      const src = (prefix + inPkg).replace(/\.d\.ts$/, '.ts');
+      const resolved = probeFile(rel) || probeIndex(rel) || (src !== rel && (probeFile(src) || probeIndex(src)));
+      if (resolved) return resolved;
+    }
+    return null;
+  }
+
+  let workspaces = null; // package name -> directory
+  function workspacePackages() {
+    if (workspaces) return workspaces;
+    workspaces = new Map();
+    const rootPkg = packageJson('');
+    if (rootPkg && typeof rootPkg.name === 'string') workspaces.set(rootPkg.name, '');
+    const matches = globMatcher(workspaceGlobs(readFile, rootPkg));
+    for (const dir of [...dirs].sort()) {
+      if (!matches(dir)) continue;
+      const pkg = packageJson(dir);
+      if (pkg && typeof pkg.name === 'string' && !workspaces.has(pkg.name)) workspaces.set(pkg.name, dir);
+    }
+    return workspaces;
+  }
+
+  // --- tsconfig / jsconfig -------------------------------------------------
+
+  const configCache = new Map(); // config path -> { paths, pathsDir, baseUrl } | null
+  function loadConfig(path, seen = new Set()) {
+    if (configCache.has(path)) return configCache.get(path);
+    if (seen.has(path)) return null;
+    seen.add(path);
+    const raw = readJson(readFile, path, true);
+    if (!raw) {
+      configCache.set(path, null);
+      return null;
+    }
+
+    const dir = posix.dirname(path) === '.' ? '' : posix.dirname(path);
+    let result = { paths: null, pathsDir: null, baseUrl: null };
+    const parents = Array.isArray(raw.extends) ? raw.extends : (raw.extends ? [raw.extends] : []);
+    for (const ext of parents) {
+      const parentPath = extendsPath(dir, ext);
+      const parent = parentPath && loadConfig(parentPath, seen);
+      if (parent) result = { ...result, ...Object.fromEntries(Object.entries(parent).filter(([, v]) => v != null)) };
+    }
+
+    const opts = raw.compilerOptions || {};
+    if (typeof opts.baseUrl === 'string') result.baseUrl = posix.join(dir, opts.baseUrl);
+    if (opts.paths && typeof opts.paths === 'object') {
+      // Targets are relative to baseUrl, or to this config's directory without one
+      result.paths = opts.paths;
+      result.pathsDir = dir;
+    }
+    configCache.set(path, result);
+    return result;
+  }
+
+  function extendsPath(dir, ext) {
+    if (typeof ext !== 'string') return null;
+    if (isRelative(ext)) {
+      const p = posix.normalize(posix.join(dir, ext));
+      return p.endsWith('.json') ? p : p + '.json';
+    }
+    // Shared configs from packages, e.g. "@tsconfig/node18/tsconfig.json"
+    const [name, subpath] = splitPackage(ext);
+    const wsDir = workspacePackages().get(name);
+    const pkgDir = wsDir != null ? wsDir : posix.join('node_modules', name);
+    const file = subpath === '.' ? 'tsconfig.json' : subpath.slice(2);
+    const p = posix.join(pkgDir, file);
+    return p.endsWith('.json') ? p : p + '.json';
+  }
+
+  const nearestConfigCache = new Map(); // dir -> config | null
+  function nearestConfig(dir) {
+    if (nearestConfigCache.has(dir)) return nearestConfigCache.get(dir);
+    let found = null;
+    for (const name of CONFIG_NAMES) {
+      const cfg = loadConfig(dir ? `${dir}/${name}` : name);
+      if (cfg) { found = cfg; break; }
+    }
+    if (!found && dir) found = nearestConfig(posix.dirname(dir) === '.' ? '' : posix.dirname(dir));
+    nearestConfigCache.set(dir, found);
+    return found;
+  }
+
+  function viaConfig(sourceFile, spec) {
+    const dir = posix.dirname(sourceFile);
+    const cfg = nearestConfig(dir === '.' ? '' : dir);
+    if (!cfg) return null;
+    if (cfg.paths) {
+      const match = bestPattern(Object.keys(cfg.paths), spec);
+      if (match) {
+        const [key, star] = match;
+        const base = cfg.baseUrl != null ? cfg.baseUrl : cfg.pathsDir;
+        for (const target of [].concat(cfg.paths[key])) {
+          if (typeof target !== 'string') continue;
+          const resolved = probe(posix.join(base, key.includes('*') ? target.split('*').join(star) : target));
+          if (resolved) return resolved;
+        }
+      }
+    }
+    if (cfg.baseUrl != null) return probe(posix.join(cfg.baseUrl, spec));
+    return null;
+  }
+
+  // --- Entry point ---------------------------------------------------------
+
+  const cache = new Map();
+  return (sourceFile, spec) => {
+    if (!spec) return null;
+    const key = `${sourceFile}\0${spec}`;
+    if (cache.has(key)) return cache.get(key);
+
+    let resolved = null;
+    const clean = spec.replace(/[?#].*$/, '');
+    if (isRelative(clean)) {
+      resolved = probe(posix.join(posix.dirname(sourceFile), clean));
+    } else if (clean.startsWith('/')) {
+      resolved = probe(clean.slice(1));
+    } else if (!clean.includes(':')) {
+      resolved = viaConfig(sourceFile, clean);
+      if (!resolved) {
+        const [name, subpath] = splitPackage(clean);
+        const dir = workspacePackages().get(name);
+        if (dir != null) resolved = packageEntry(dir, subpath) || (subpath === '.' ? probeIndex(dir) : null);
+      }
+    }
+    cache.set(key, resolved);
+    return resolved;
+  };
+}
@@ -0,0 +1,34 @@
+/**
+ * Minimal readers for the INI/TOML manifests resolvers consult (pyproject.toml,
+ * setup.cfg, Cargo.toml). They pull out the few keys resolution needs; they
+ * are not general parsers.
+ */
+
+/**
+ * Split an INI/TOML-ish file into section bodies (top-level keys under '').
+ * @param {string} text
+ * @returns {Map<string, string>}
+ */
+export function sections(text) {
+  const out = new Map([['', '']]);
+  let current = '';
+  for (const line of text.split('\n')) {
+    const header = line.match(/^\s*\[+\s*([^\]]+?)\s*\]+\s*$/);
+    if (header) {
+      current = header[1].replace(/["']/g, '');
+      if (!out.has(current)) out.set(current, '');
+      continue;
+    }
+    out.set(current, out.get(current) + line + '\n');
+  }
+  return out;
+}
+
+/**
+ * The quoted strings in a fragment such as a TOML array.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function quoted(text) {
+  return [...text.matchAll(/["']([^"']*)["']/g)].map(m => m[1]);
+}
@@ -0,0 +1,91 @@
+/**
+ * PHP class resolution: fully qualified class names to files through the
+ * PSR-4 `autoload` and `autoload-dev` mappings of the project's composer.json
+ * files. A namespace prefix maps to one or more directories, and the rest of
+ * the class name to the path below them (`App\Http\Kernel` under
+ * `"App\\": "app/"` is `app/Http/Kernel.php`).
+ */
+
+import { posix } from 'node:path';
+
+/**
+ * PSR-4 namespace prefixes a composer.json declares.
+ * @param {string} text
+ * @returns {{ prefix: string, dirs: string[] }[]} prefix without its trailing
+ *   backslash ('' for the fallback); dirs relative to the composer.json
+ */
+export function parseComposerPsr4(text) {
+  let composer;
+  try {
+    composer = JSON.parse(text);
+  } catch {
+    return [];
+  }
+  const out = [];
+  for (const section of ['autoload', 'autoload-dev']) {
+    const psr4 = composer && composer[section] && composer[section]['psr-4'];
+    if (!psr4 || typeof psr4 !== 'object') continue;
+    for (const [prefix, dirs] of Object.entries(psr4)) {
+      out.push({
+        prefix: prefix.replace(/^\\+|\\+$/g, ''),
+        dirs: (Array.isArray(dirs) ? dirs : [dirs]).filter(d => typeof d === 'string'),
+      });
+    }
+  }
+  return out;
+}
+
+/**
+ * Create a resolver for PHP class names.
+ * @param {object} opts
+ * @param {Set<string>} opts.files - Project-relative paths that can be targets
+ * @param {(relPath: string) => string|null} opts.readFile
+ * @returns {{ resolve: (sourceFile: string, className: string) => string|null,
+ *   isExternal: (sourceFile: string, className: string) => boolean }}
+ */
+export function createPhpResolver({ files, readFile }) {
+  const read = (relPath) => {
+    try { return readFile(relPath); } catch { return null; }
+  };
+
+  // Namespace prefix -> project directories, across every composer.json
+  const prefixes = new Map();
+  for (const f of files) {
+    if (posix.basename(f) !== 'composer.json' || f.split('/').includes('vendor')) continue;
+    const text = read(f);
+    if (text == null) continue;
+    const base = posix.dirname(f) === '.' ? '' : posix.dirname(f);
+    for (const { prefix, dirs } of parseComposerPsr4(text)) {
+      if (!prefixes.has(prefix)) prefixes.set(prefix, []);
+      for (const dir of dirs) {
+        const local = posix.normalize(posix.join(base, dir));
+        if (!local.startsWith('..')) prefixes.get(prefix).push(local === '.' ? '' : local);
+      }
+    }
+  }
+  // Longest prefix first so nested namespaces win
+  const prefixList = [...prefixes].sort((a, b) => b[0].length - a[0].length);
+
+  const matching = (className) => {
+    const name = className.replace(/^\\/, '');
+    return prefixList.filter(([prefix]) => !prefix || name === prefix || name.startsWith(prefix + '\\'))
+      .map(([prefix, dirs]) => ({ rest: prefix ? name.slice(prefix.length + 1) : name, dirs }));
+  };
+
+  return {
+    resolve(sourceFile, className) {
+      for (const { rest, dirs } of matching(className)) {
+        if (!rest) continue;
+        for (const dir of dirs) {
+          const file = posix.join(dir, ...rest.split('\\')) + '.php';
+          if (files.has(file)) return file;
+        }
+      }
+      return null;
+    },
+    isExternal(sourceFile, className) {
+      // Without a PSR-4 map nothing says where a class lives
+      return prefixList.length > 0 && matching(className).length === 0;
+    },
+  };
+}
@@ -0,0 +1,309 @@
+/**
+ * Python module resolution: dotted and relative (`.`, `..`) module paths to
+ * files under the import roots, and names re-exported by a module through
+ * `from x import y` or `from x import *` (filtered by the target's `__all__`).
+ *
+ * Import roots are the project root plus src-layout directories declared in
+ * pyproject.toml or setup.cfg (and the directories holding those files).
+ */
+
+import { posix } from 'node:path';
+import { sections, quoted } from './manifest.js';
+
+const MODULE_SUFFIXES = ['.py', '.pyi', '/__init__.py', '/__init__.pyi'];
+
+// Top-level standard library modules (sys.stdlib_module_names, public ones)
+const STDLIB = new Set(`__future__ abc aifc argparse array ast asynchat asyncio asyncore atexit audioop
+  base64 bdb binascii bisect builtins bz2 cProfile calendar cgi cgitb chunk cmath cmd code codecs codeop
+  collections colorsys compileall concurrent configparser contextlib contextvars copy copyreg crypt csv
+  ctypes curses dataclasses datetime dbm decimal difflib dis distutils doctest email encodings ensurepip
+  enum errno faulthandler fcntl filecmp fileinput fnmatch fractions ftplib functools gc genericpath getopt
+  getpass gettext glob graphlib grp gzip hashlib heapq hmac html http idlelib imaplib imghdr imp importlib
+  inspect io ipaddress itertools json keyword lib2to3 linecache locale logging lzma mailbox mailcap marshal
+  math mimetypes mmap modulefinder msilib msvcrt multiprocessing netrc nis nntplib nt ntpath nturl2path
+  numbers opcode operator optparse os ossaudiodev pathlib pdb pickle pickletools pipes pkgutil platform
+  plistlib poplib posix posixpath pprint profile pstats pty pwd py_compile pyclbr pydoc pydoc_data pyexpat
+  queue quopri random re readline reprlib resource rlcompleter runpy sched secrets select selectors shelve
+  shlex shutil signal site smtpd smtplib sndhdr socket socketserver spwd sqlite3 sre_compile sre_constants
+  sre_parse ssl stat statistics string stringprep struct subprocess sunau symtable sys sysconfig syslog
+  tabnanny tarfile telnetlib tempfile termios textwrap this threading time timeit tkinter token tokenize
+  tomllib trace traceback tracemalloc tty turtle turtledemo types typing unicodedata unittest urllib uu
+  uuid venv warnings wave weakref webbrowser winreg winsound wsgiref xdrlib xml xmlrpc zipapp zipfile
+  zipimport zlib zoneinfo`.split(/\s+/));
+
+/**
+ * Source directories a pyproject.toml declares, relative to its directory.
+ * Covers setuptools (package-dir, packages.find.where), poetry (`from`) and
+ * hatch wheel `packages`.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function pyprojectSourceDirs(text) {
+  const dirs = [];
+  for (const [name, body] of sections(text)) {
+    if (name === 'tool.setuptools') {
+      const pkgDir = body.match(/package-dir\s*=\s*\{[^}]*?["']{2}\s*=\s*["']([^"']+)["']/);
+      if (pkgDir) dirs.push(pkgDir[1]);
+    } else if (name === 'tool.setuptools.packages.find') {
+      const where = body.match(/where\s*=\s*\[([^\]]*)\]/);
+      if (where) dirs.push(...quoted(where[1]));
+    } else if (name === 'tool.poetry' || name === 'tool.poetry.packages') {
+      for (const m of body.matchAll(/\bfrom\s*=\s*["']([^"']+)["']/g)) dirs.push(m[1]);
+    } else if (name === 'tool.hatch.build.targets.wheel') {
+      const pkgs = body.match(/packages\s*=\s*\[([^\]]*)\]/);
+      if (pkgs) dirs.push(...quoted(pkgs[1]).map(p => posix.dirname(p)));
+    }
+  }
+  return dirs;
+}
+
+/**
+ * Source directories a setup.cfg declares (`package_dir = =src`, `where = src`).
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function setupCfgSourceDirs(text) {
+  const dirs = [];
+  for (const [name, body] of sections(text)) {
+    if (name === 'options') {
+      const pkgDir = body.match(/^package_dir\s*=\s*(?:\n\s+)?=\s*(\S+)/m);
+      if (pkgDir) dirs.push(pkgDir[1]);
+    } else if (name === 'options.packages.find') {
+      const where = body.match(/^where\s*=\s*(\S+)/m);
+      if (where) dirs.push(where[1]);
+    }
+  }
+  return dirs;
+}
+
+/**
+ * Distribution name at the start of a PEP 508 requirement (`requests[socks]>=2`).
+ * @param {string} requirement
+ * @returns {string|null}
+ */
+function requirementName(requirement) {
+  const m = requirement.trim().match(/^[A-Za-z0-9][A-Za-z0-9._-]*/);
+  return m ? m[0] : null;
+}
+
+/**
+ * Distributions a requirements file lists; options, includes and bare URLs are skipped.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function parseRequirements(text) {
+  const out = [];
+  for (const raw of text.split('\n')) {
+    const line = raw.replace(/(?:^|\s)#.*$/, '').trim();
+    if (!line || line.startsWith('-') || /^[\w+.-]+:\/\//.test(line)) continue;
+    const name = requirementName(line);
+    if (name) out.push(name);
+  }
+  return out;
+}
+
+/**
+ * Distributions a pyproject.toml depends on: PEP 621 `dependencies` and
+ * optional dependencies, dependency groups, and poetry's tables. dev marks
+ * groups and poetry dev dependencies.
+ * @param {string} text
+ * @returns {{ name: string, dev: boolean }[]}
+ */
+export function pyprojectDependencies(text) {
+  const out = [];
+  const add = (names, dev) => {
+    for (const name of names) if (name && name.toLowerCase() !== 'python') out.push({ name, dev });
+  };
+  const arrays = body => [...body.matchAll(/^\s*[\w.-]+\s*=\s*\[([\s\S]*?)\]\s*$/gm)]
+    .flatMap(m => quoted(m[1]).map(requirementName));
+  const keys = body => [...body.matchAll(/^\s*([A-Za-z0-9][\w.-]*)\s*=/gm)].map(m => m[1]);
+  for (const [name, body] of sections(text)) {
+    if (name === 'project') {
+      const deps = body.match(/^\s*dependencies\s*=\s*\[([\s\S]*?)\]\s*$/m);
+      if (deps) add(quoted(deps[1]).map(requirementName), false);
+    } else if (name === 'project.optional-dependencies') {
+      add(arrays(body), false);
+    } else if (name === 'dependency-groups') {
+      add(arrays(body), true);
+    } else if (name === 'tool.poetry.dependencies') {
+      add(keys(body), false);
+    } else if (/^tool\.poetry\.(?:dev-dependencies|group\.[\w-]+\.dependencies)$/.test(name)) {
+      add(keys(body), true);
+    }
+  }
+  return out;
+}
+
+/**
+ * Names a module imports from elsewhere, as written in its source.
+ * @param {string} text
+ * @returns {{ module: string, name: string, alias: string }[]} name '*' for star imports
+ */
+export function parseFromImports(text) {
+  const out = [];
+  // Join parenthesised and backslash-continued import lists onto one line
+  const flat = text
+    .replace(/\(\s*([^)]*)\)/g, (m, inner) => inner.replace(/#[^\n]*/g, '').replace(/\s+/g, ' '))
+    .replace(/\\\n/g, ' ');
+  for (const m of flat.matchAll(/^[ \t]*from[ \t]+(\.*[\w.]*)[ \t]+import[ \t]+([^\n#]+)/gm)) {
+    for (const part of m[2].split(',')) {
+      const [name, alias] = part.trim().split(/\s+as\s+/);
+      if (name) out.push({ module: m[1], name, alias: alias || name });
+    }
+  }
+  return out;
+}
+
+/**
+ * Names listed in a module's `__all__`, or null when it has none.
+ * @param {string} text
+ * @returns {Set<string>|null}
+ */
+export function parseDunderAll(text) {
+  const m = text.match(/^__all__\s*(?::[^=]+)?=\s*[[(]([^\])]*)[\])]/m);
+  if (!m) return null;
+  const names = new Set(quoted(m[1]));
+  for (const extra of text.matchAll(/^__all__\s*\+=\s*[[(]([^\])]*)[\])]/gm)) {
+    for (const n of quoted(extra[1])) names.add(n);
+  }
+  return names;
+}
+
+/**
+ * Create a resolver for Python import paths.
+ * @param {object} opts
+ * @param {Set<string>} opts.files - Project-relative paths that can be targets
+ * @param {(relPath: string) => string|null} opts.readFile
+ * @returns {{ resolve: (sourceFile: string, importPath: string) => string|null,
+ *   reexports: (file: string, name: string) => { file: string, name: string }[],
+ *   packageOf: (sourceFile: string, importPath: string) => string|null }}
+ */
+export function createPythonResolver({ files, readFile }) {
+  const read = (relPath) => {
+    try { return readFile(relPath); } catch { return null; }
+  };
+
+  // Deepest roots first so a nested project's own packages win
+  const roots = new Set(['']);
+  for (const f of files) {
+    const base = posix.basename(f);
+    if (base !== 'pyproject.toml' && base !== 'setup.cfg') continue;
+    const dir = posix.dirname(f) === '.' ? '' : posix.dirname(f);
+    const text = read(f);
+    if (text == null) continue;
+    roots.add(dir);
+    const declared = base === 'pyproject.toml' ? pyprojectSourceDirs(text) : setupCfgSourceDirs(text);
+    for (const d of declared) {
+      const root = posix.normalize(posix.join(dir, d));
+      if (!root.startsWith('..')) roots.add(root === '.' ? '' : root);
+    }
+  }
+  const rootList = [...roots].sort((a, b) => b.length - a.length);
+
+  function moduleFile(dir, parts) {
+    const base = [dir, ...parts].filter(Boolean).join('/');
+    if (!base) return null;
+    for (const suffix of MODULE_SUFFIXES) {
+      if (files.has(base + suffix)) return base + suffix;
+    }
+    return null;
+  }
+
+  // Relative import: the module itself, else the one it names a member of
+  function lookupRelative(dir, parts) {
+    if (!parts.length) return initOf(dir);
+    return moduleFile(dir, parts) || (parts.length > 1 ? moduleFile(dir, parts.slice(0, -1)) : initOf(dir));
+  }
+
+  function initOf(dir) {
+    for (const name of ['__init__.py', '__init__.pyi']) {
+      const p = dir ? `${dir}/${name}` : name;
+      if (files.has(p)) return p;
+    }
+    return null;
+  }
+
+  const cache = new Map();
+  function resolve(sourceFile, importPath) {
+    if (!importPath || importPath === '*') return null;
+    const key = `${sourceFile}\0${importPath}`;
+    if (cache.has(key)) return cache.get(key);
+
+    let resolved = null;
+    const dots = importPath.match(/^\.*/)[0].length;
+    const parts = importPath.slice(dots).split('.').filter(p => p && p !== '*');
+    if (dots) {
+      let dir = posix.dirname(sourceFile);
+      for (let i = 1; i < dots; i++) dir = posix.dirname(dir);
+      if (dir === '.') dir = '';
+      if (!dir.startsWith('..')) resolved = lookupRelative(dir, parts);
+    } else {
+      // Roots holding the importing file come first
+      const own = rootList.filter(r => !r || sourceFile.startsWith(r + '/'));
+      for (const root of [...own, ...rootList.filter(r => !own.includes(r))]) {
+        resolved = moduleFile(root, parts) || (parts.length > 1 ? moduleFile(root, parts.slice(0, -1)) : null);
+        if (resolved) break;
+      }
+    }
+    cache.set(key, resolved);
+    return resolved;
+  }
+
+  const importsCache = new Map();
+  const allCache = new Map();
+  const importsOf = (file) => {
+    if (!importsCache.has(file)) {
+      const text = read(file);
+      importsCache.set(file, text == null ? [] : parseFromImports(text));
+    }
+    return importsCache.get(file);
+  };
+  const dunderAllOf = (file) => {
+    if (!allCache.has(file)) {
+      const text = read(file);
+      allCache.set(file, text == null ? null : parseDunderAll(text));
+    }
+    return allCache.get(file);
+  };
+
+  function reexports(file, name) {
+    const out = [];
+    for (const imp of importsOf(file)) {
+      const qualify = n => (imp.module.endsWith('.') ? imp.module + n : `${imp.module}.${n}`);
+      if (imp.name === '*') {
+        const target = resolve(file, imp.module.endsWith('.') ? imp.module : qualify('*'));
+        if (!target) continue;
+        const exported = dunderAllOf(target);
+        if (exported ? exported.has(name) : !name.startsWith('_')) out.push({ file: target, name });
+      } else if (imp.alias === name) {
+        const target = resolve(file, qualify(imp.name));
+        if (target) out.push({ file: target, name: imp.name });
+      }
+    }
+    return out;
+  }
+
+  // Module and package names anywhere in the project: an import of one is
+  // local even when no import root makes it resolvable
+  let projectNames = null;
+  function isProjectName(name) {
+    if (!projectNames) {
+      projectNames = new Set();
+      for (const f of files) {
+        if (!/\.pyi?$/.test(f)) continue;
+        for (const seg of f.replace(/\.pyi?$/, '').split('/')) projectNames.add(seg);
+      }
+    }
+    return projectNames.has(name);
+  }
+
+  // Top-level module of an absolute import nothing in the project or stdlib provides
+  function packageOf(sourceFile, importPath) {
+    if (!importPath || importPath.startsWith('.') || resolve(sourceFile, importPath)) return null;
+    const top = importPath.split('.')[0];
+    if (!top || top === '*' || STDLIB.has(top) || isProjectName(top)) return null;
+    return top;
+  }
+
+  return { resolve, reexports, packageOf };
+}
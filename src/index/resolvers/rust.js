@@ -0,0 +1,247 @@
+/**
+ * Rust path resolution: `crate::`, `self::`, `super::`, workspace crate names
+ * and child modules map to files by walking `mod` declarations (honouring
+ * `#[path]`) and the `foo.rs` / `foo/mod.rs` layout, from the crate roots
+ * Cargo.toml files define. `pub use` re-exports are followed, and paths into
+ * std or a declared dependency are external; a path starting with a crate
+ * name that nothing local provides belongs to that third-party crate.
+ */
+
+import { posix } from 'node:path';
+import { expandUseTree } from '../../languages/rust.js';
+import { sections } from './manifest.js';
+
+const BUILTIN_CRATES = new Set(['std', 'core', 'alloc', 'proc_macro', 'test']);
+const PATH_KEYWORDS = new Set(['crate', 'self', 'super', 'Self']);
+
+const crateIdent = name => name.replace(/-/g, '_');
+
+/**
+ * Package name, library path and dependency names from a Cargo.toml.
+ * @param {string} text
+ * @returns {{ name: string|null, libPath: string|null, dependencies: string[],
+ *   devDependencies: string[] }} devDependencies also lists dev-only names in dependencies
+ */
+export function parseCargoToml(text) {
+  let name = null;
+  let libPath = null;
+  const dependencies = [];
+  const devDependencies = [];
+  for (const [section, body] of sections(text)) {
+    if (section === 'package') {
+      const m = body.match(/^\s*name\s*=\s*["']([^"']+)["']/m);
+      if (m) name = m[1];
+    } else if (section === 'lib') {
+      const m = body.match(/^\s*path\s*=\s*["']([^"']+)["']/m);
+      if (m) libPath = m[1];
+    } else if (/(?:^|\.)(?:dev-|build-)?dependencies$/.test(section)) {
+      for (const m of body.matchAll(/^\s*([\w-]+)\s*[.=]/gm)) {
+        dependencies.push(m[1]);
+        if (/(?:^|\.)dev-dependencies$/.test(section)) devDependencies.push(m[1]);
+      }
+    } else {
+      const table = section.match(/(?:^|\.)(dev-|build-)?dependencies\.([\w-]+)$/);
+      if (table) {
+        dependencies.push(table[2]);
+        if (table[1] === 'dev-') devDependencies.push(table[2]);
+      }
+    }
+  }
+  return {
+    name, libPath, dependencies: dependencies.map(crateIdent), devDependencies: devDependencies.map(crateIdent),
+  };
+}
+
+/**
+ * `mod` declarations of a file: name -> `#[path]` value (null when conventional).
+ * Inline `mod x { ... }` blocks are not listed; their items live in the file.
+ * @param {string} text
+ * @returns {Map<string, string|null>}
+ */
+export function parseModDecls(text) {
+  const mods = new Map();
+  const re = /(?:#\[path\s*=\s*"([^"]+)"\]\s*)?(?:#\[[^\]]*\]\s*)*(?:pub(?:\s*\([^)]*\))?\s+)?mod\s+(\w+)\s*;/g;
+  for (const m of text.matchAll(re)) mods.set(m[2], m[1] || null);
+  return mods;
+}
+
+/**
+ * Paths a file re-exports with `pub use`, keyed by the name they are visible as.
+ * @param {string} text
+ * @returns {{ path: string, alias: string }[]}
+ */
+export function parsePubUses(text) {
+  const out = [];
+  for (const m of text.matchAll(/\bpub(?:\s*\([^)]*\))?\s+use\s+([^;]+);/g)) {
+    out.push(...expandUseTree(m[1]));
+  }
+  return out;
+}
+
+/**
+ * Create a resolver for Rust paths.
+ * @param {object} opts
+ * @param {Set<string>} opts.files - Project-relative paths that can be targets
+ * @param {(relPath: string) => string|null} opts.readFile
+ * @returns {{ resolve: (sourceFile: string, path: string) => string|null,
+ *   reexports: (file: string, name: string) => { file: string, name: string }[],
+ *   isExternal: (sourceFile: string, path: string) => boolean,
+ *   packageOf: (sourceFile: string, path: string) => string|null }}
+ */
+export function createRustResolver({ files, readFile }) {
+  const read = (relPath) => {
+    try { return readFile(relPath); } catch { return null; }
+  };
+  const dirOf = p => (posix.dirname(p) === '.' ? '' : posix.dirname(p));
+  const join = (...parts) => parts.filter(Boolean).join('/');
+
+  // Crates, deepest directory first so nested crates own their files
+  const crates = [];
+  for (const f of files) {
+    if (posix.basename(f) !== 'Cargo.toml') continue;
+    const text = read(f);
+    if (text == null) continue;
+    const dir = dirOf(f);
+    const { name, libPath, dependencies } = parseCargoToml(text);
+    const lib = [libPath && join(dir, libPath), join(dir, 'src/lib.rs')].find(p => p && files.has(p)) || null;
+    const main = files.has(join(dir, 'src/main.rs')) ? join(dir, 'src/main.rs') : null;
+    crates.push({ dir, name: name && crateIdent(name), lib, main, dependencies: new Set(dependencies) });
+  }
+  crates.sort((a, b) => b.dir.length - a.dir.length);
+  const cratesByName = new Map(crates.filter(c => c.name && c.lib).map(c => [c.name, c]));
+
+  function crateOf(file) {
+    return crates.find(c => !c.dir || file.startsWith(c.dir + '/')) || null;
+  }
+
+  // Files that start a module tree: their children sit next to them
+  function isRootFile(file, crate) {
+    if (!crate) return true;
+    const srcDir = join(crate.dir, 'src');
+    if (file === crate.lib || file === crate.main) return true;
+    return !file.startsWith(srcDir + '/') || file.startsWith(join(srcDir, 'bin') + '/');
+  }
+
+  function crateRoot(file) {
+    const crate = crateOf(file);
+    if (!crate) return file;
+    if (file === crate.main) return crate.main;
+    if (isRootFile(file, crate)) return file;
+    return crate.lib || crate.main || file;
+  }
+
+  const modsCache = new Map();
+  function modDecls(file) {
+    if (!modsCache.has(file)) {
+      const text = read(file);
+      modsCache.set(file, text == null ? new Map() : parseModDecls(text));
+    }
+    return modsCache.get(file);
+  }
+
+  function childModule(file, name) {
+    const declared = modDecls(file);
+    const custom = declared.get(name);
+    if (custom) {
+      const p = posix.normalize(join(dirOf(file), custom));
+      return files.has(p) ? p : null;
+    }
+    const crate = crateOf(file);
+    const base = posix.basename(file);
+    const childDir = isRootFile(file, crate) || base === 'mod.rs'
+      ? dirOf(file)
+      : join(dirOf(file), base.replace(/\.rs$/, ''));
+    for (const candidate of [join(childDir, `${name}.rs`), join(childDir, name, 'mod.rs')]) {
+      if (files.has(candidate)) return candidate;
+    }
+    return null;
+  }
+
+  // Module path of a file within its crate (src/a/b.rs and src/a/b/mod.rs -> [a, b])
+  function modulePath(file) {
+    const crate = crateOf(file);
+    if (!crate || isRootFile(file, crate)) return [];
+    const rel = file.slice(join(crate.dir, 'src').length + 1).replace(/\.rs$/, '').replace(/\/mod$/, '');
+    return rel.split('/');
+  }
+
+  function walk(start, segs) {
+    let current = start;
+    for (const seg of segs) {
+      const next = childModule(current, seg);
+      if (!next) break; // An item, or an inline module, in the current file
+      current = next;
+    }
+    return current;
+  }
+
+  const cache = new Map();
+  function resolve(sourceFile, path) {
+    if (!path) return null;
+    const key = `${sourceFile}\0${path}`;
+    if (cache.has(key)) return cache.get(key);
+
+    const segs = path.replace(/^::/, '').split('::').filter(s => s && s !== '*');
+    let resolved = null;
+    const [first, ...rest] = segs;
+    if (first === 'crate') {
+      resolved = walk(crateRoot(sourceFile), rest);
+    } else if (first === 'self') {
+      resolved = walk(sourceFile, rest);
+    } else if (first === 'super') {
+      let up = 1;
+      while (rest[0] === 'super') { rest.shift(); up++; }
+      const modPath = modulePath(sourceFile);
+      if (up <= modPath.length) resolved = walk(walk(crateRoot(sourceFile), modPath.slice(0, -up)), rest);
+    } else if (first && childModule(sourceFile, first)) {
+      resolved = walk(sourceFile, segs);
+    } else if (first && cratesByName.has(first)) {
+      resolved = walk(cratesByName.get(first).lib, rest);
+    }
+    cache.set(key, resolved);
+    return resolved;
+  }
+
+  const pubUseCache = new Map();
+  function reexports(file, name) {
+    if (!pubUseCache.has(file)) {
+      const text = read(file);
+      pubUseCache.set(file, text == null ? [] : parsePubUses(text));
+    }
+    // `Thing::new` is found through whatever re-exports `Thing`
+    const [head, ...tail] = name.split('::');
+    const out = [];
+    for (const { path, alias } of pubUseCache.get(file)) {
+      if (alias === '*') {
+        const target = resolve(file, path);
+        if (target && target !== file) out.push({ file: target, name });
+      } else if (alias === head) {
+        const target = resolve(file, path);
+        if (target) out.push({ file: target, name: [path.split('::').pop(), ...tail].join('::') });
+      }
+    }
+    return out;
+  }
+
+  function isExternal(sourceFile, path) {
+    const first = path.replace(/^::/, '').split('::')[0];
+    if (BUILTIN_CRATES.has(first)) return true;
+    if (cratesByName.has(first)) return false;
+    const crate = crateOf(sourceFile);
+    return Boolean(crate && crate.dependencies.has(first) && !childModule(sourceFile, first));
+  }
+
+  // Crate a path starts with, when it is neither std nor anything local
+  function packageOf(sourceFile, path) {
+    const first = path.replace(/^::/, '').split('::')[0];
+    if (!/^[a-z][a-z0-9_]*$/.test(first) || BUILTIN_CRATES.has(first) || PATH_KEYWORDS.has(first)) return null;
+    if (cratesByName.has(first) || childModule(sourceFile, first)) return null;
+    const crate = crateOf(sourceFile);
+    if (crate && crate.dependencies.has(first)) return first;
+    // Undeclared: unless an inline module of the file goes by that name
+    const text = read(sourceFile);
+    return text != null && new RegExp(`\\bmod\\s+${first}\\b`).test(text) ? null : first;
+  }
+
+  return { resolve, reexports, isExternal, packageOf };
+}
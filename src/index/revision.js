@@ -0,0 +1,116 @@
+/**
+ * Read a historical git revision straight from the object database,
+ * without a checkout.
+ */
+
+import { execFileSync } from 'node:child_process';
+import { dirname, join } from 'node:path';
+import { getDbPath } from '../db/connection.js';
+
+const MAX_BUFFER = 512 * 1024 * 1024;
+
+// Upper bound on blob bytes requested per `git cat-file --batch` call
+const BATCH_BYTES = 32 * 1024 * 1024;
+
+function git(args, cwd, input = undefined) {
+  return execFileSync('git', args, {
+    cwd, input, maxBuffer: MAX_BUFFER, timeout: 120000,
+    stdio: ['pipe', 'pipe', 'pipe'],
+  });
+}
+
+/**
+ * Resolve a revision (branch, tag, short hash, ...) to a full commit hash.
+ * @param {string} root - Repository root
+ * @param {string} rev
+ * @returns {string}
+ * @throws {Error} When the revision does not name a commit
+ */
+export function resolveRevision(root, rev) {
+  try {
+    return git(['rev-parse', '--verify', '--quiet', `${rev}^{commit}`], root).toString('utf-8').trim();
+  } catch {
+    throw new Error(`Unknown git revision: ${rev}`);
+  }
+}
+
+/**
+ * Default database path for a revision index, next to the main index.
+ * @param {string} root - Repository root
+ * @param {string} commit - Full commit hash
+ * @returns {string}
+ */
+export function revisionDbPath(root, commit) {
+  return join(dirname(getDbPath(root)), `index-${commit.slice(0, 12)}.db`);
+}
+
+/**
+ * List the regular files in a commit's tree.
+ * @param {string} root - Repository root
+ * @param {string} commit - Full commit hash
+ * @returns {{ path: string, oid: string, size: number }[]} Sorted by path
+ */
+export function listRevisionFiles(root, commit) {
+  const out = git(['ls-tree', '-r', '-l', '-z', commit], root).toString('utf-8');
+  const files = [];
+  for (const entry of out.split('\0')) {
+    if (!entry) continue;
+    // <mode> SP <type> SP <oid> SP+ <size> TAB <path>
+    const m = /^(\d+) (\w+) ([0-9a-f]+) +(\d+|-)\t(.*)$/s.exec(entry);
+    if (!m) continue;
+    const [, mode, type, oid, size, path] = m;
+    // Skip submodules and symlinks
+    if (type !== 'blob' || mode === '120000') continue;
+    files.push({ path, oid, size: Number(size) });
+  }
+  files.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+  return files;
+}
+
+/**
+ * Read blob contents in bulk via `git cat-file --batch`.
+ * @param {string} root - Repository root
+ * @param {{ oid: string, size: number }[]} blobs
+ * @returns {Map<string, string>} oid -> UTF-8 content
+ */
+export function readBlobs(root, blobs) {
+  const contents = new Map();
+  let i = 0;
+  while (i < blobs.length) {
+    const batch = [];
+    let bytes = 0;
+    while (i < blobs.length && (batch.length === 0 || bytes + blobs[i].size <= BATCH_BYTES)) {
+      bytes += blobs[i].size;
+      batch.push(blobs[i++].oid);
+    }
+
+    const out = git(['cat-file', '--batch'], root, batch.join('\n') + '\n');
+    let pos = 0;
+    while (pos < out.length) {
+      const nl = out.indexOf(0x0a, pos);
+      if (nl < 0) break;
+      const header = out.toString('utf-8', pos, nl).split(' ');
+      pos = nl + 1;
+      if (header[1] === 'missing') continue;
+      const size = Number(header[2]);
+      contents.set(header[0], out.toString('utf-8', pos, pos + size));
+      pos += size + 1; // content is followed by a newline
+    }
+  }
+  return contents;
+}
+
+/**
+ * Read one file at a revision.
+ * @param {string} root - Repository root
+ * @param {string} commit
+ * @param {string} relPath
+ * @returns {string|null} Content, or null when the path does not exist there
+ */
+export function readRevisionFile(root, commit, relPath) {
+  try {
+    return git(['cat-file', 'blob', `${commit}:${relPath}`], root).toString('utf-8');
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,224 @@
+/**
+ * Scoped indexing: restrict discovery to some directories of the project
+ * and keep references that leave the scope as lightweight external stubs.
+ *
+ * The scope is stored in the meta table so later incremental runs keep it.
+ * A stub is a files row with file_role 'external' holding one symbol of
+ * kind 'external' per referenced name; stubs carry no hash, are ignored by
+ * change detection, and are pruned once nothing references them.
+ */
+
+import { existsSync, statSync } from 'node:fs';
+import { isAbsolute, posix, relative, resolve, sep } from 'node:path';
+import { getMeta, setMeta } from '../db/connection.js';
+import { detectLanguage } from './parser.js';
+
+export const EXTERNAL = 'external';
+
+// Suffixes tried when a relative import omits the extension
+const MODULE_SUFFIXES = [
+  '.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs', '.vue', '.svelte',
+  '/index.ts', '/index.tsx', '/index.js', '/index.jsx',
+];
+
+/**
+ * Turn --scope arguments into sorted, de-duplicated directories relative to
+ * the project root. A scope covering the whole root yields [] (no scope).
+ * @param {string} root - Absolute project root
+ * @param {string[]} paths - Paths as given on the command line
+ * @param {string} [cwd=process.cwd()] - Base for relative paths
+ * @returns {string[]}
+ * @throws {Error} When a path lies outside the project root
+ */
+export function normalizeScope(root, paths, cwd = process.cwd()) {
+  const dirs = new Set();
+  for (const p of paths) {
+    const rel = relative(root, resolve(cwd, p)).split(sep).join('/');
+    if (rel === '..' || rel.startsWith('../') || isAbsolute(rel)) {
+      throw new Error(`Scope path is outside the project root ${root}: ${p}`);
+    }
+    if (rel === '') return [];
+    dirs.add(rel.replace(/\/+$/, ''));
+  }
+  // Drop directories already covered by a parent in the scope
+  return [...dirs].sort().filter(d => ![...dirs].some(o => o !== d && d.startsWith(o + '/')));
+}
+
+/**
+ * Whether a relative path lies inside the scope (an empty scope covers everything).
+ * @param {string} relPath
+ * @param {string[]} scope
+ * @returns {boolean}
+ */
+export function inScope(relPath, scope) {
+  if (!scope.length) return true;
+  return scope.some(d => relPath === d || relPath.startsWith(d + '/'));
+}
+
+/**
+ * @param {string[]} paths
+ * @param {string[]} scope
+ * @returns {string[]}
+ */
+export function filterToScope(paths, scope) {
+  return scope.length ? paths.filter(p => inScope(p, scope)) : paths;
+}
+
+/**
+ * Stored scope, [] when the index covers the whole project.
+ * @param {import('better-sqlite3').Database} db
+ * @returns {string[]}
+ */
+export function loadScope(db) {
+  const raw = getMeta(db, 'scope');
+  if (!raw) return [];
+  try {
+    const scope = JSON.parse(raw);
+    return Array.isArray(scope) ? scope : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ * @param {string[]} scope
+ */
+export function saveScope(db, scope) {
+  setMeta(db, 'scope', scope.length ? JSON.stringify(scope) : null);
+}
+
+/**
+ * Resolve a path-style relative import to a project file outside the scope.
+ * @param {string} sourceFile - Importing file, relative to the root
+ * @param {string} importPath - e.g. '../shared/util.js'
+ * @param {string[]} scope
+ * @param {(relPath: string) => boolean} exists
+ * @returns {string|null} Relative path of the out-of-scope file
+ */
+export function outOfScopeModule(sourceFile, importPath, scope, exists) {
+  if (!scope.length || !importPath || !/^\.\.?\//.test(importPath)) return null;
+  const base = posix.normalize(posix.join(posix.dirname(sourceFile), importPath));
+  if (base.startsWith('../') || base === '..' || inScope(base, scope)) return null;
+
+  const stem = base.replace(/\.(?:[cm]?[jt]sx?)$/, '');
+  for (const candidate of [base, ...MODULE_SUFFIXES.map(s => stem + s)]) {
+    if (!inScope(candidate, scope) && exists(candidate)) return candidate;
+  }
+  return null;
+}
+
+/**
+ * Existence check for files in the working tree.
+ * @param {string} root
+ * @returns {(relPath: string) => boolean}
+ */
+export function diskExists(root) {
+  return (relPath) => {
+    try {
+      return existsSync(resolve(root, relPath)) && statSync(resolve(root, relPath)).isFile();
+    } catch {
+      return false;
+    }
+  };
+}
+
+/**
+ * Stub rows shared by every hook that binds references outside the index,
+ * loaded from earlier runs and created on first use.
+ * @param {import('better-sqlite3').Database} db
+ * @param {Map<number, object>} symbolRows - symbol_id -> symbol dict; new stubs are added
+ * @returns {(path: string, name: string, language: string|null) => object} The stub
+ *   symbol for a name in a stub file
+ */
+export function createStubStore(db, symbolRows) {
+  const stubs = new Map(); // path\0name -> symbol dict
+  const stubFiles = new Map(); // path -> file_id
+  for (const row of db.prepare(
+    `SELECT s.id, s.file_id, s.name, f.path FROM symbols s JOIN files f ON s.file_id = f.id
+     WHERE f.file_role = ?`
+  ).all(EXTERNAL)) {
+    stubFiles.set(row.path, row.file_id);
+    stubs.set(`${row.path}\0${row.name}`, symbolRows.get(row.id));
+  }
+  const insertFile = db.prepare(
+    'INSERT INTO files (path, language, file_role, line_count) VALUES (?, ?, ?, 0)'
+  );
+  const insertSymbol = db.prepare(
+    `INSERT INTO symbols (file_id, name, qualified_name, kind, visibility, is_exported)
+     VALUES (?, ?, ?, ?, 'public', 1)`
+  );
+
+  return (path, name, language) => {
+    const key = `${path}\0${name}`;
+    if (stubs.has(key)) return stubs.get(key);
+
+    let fileId = stubFiles.get(path);
+    if (fileId == null) {
+      fileId = Number(insertFile.run(path, language, EXTERNAL).lastInsertRowid);
+      stubFiles.set(path, fileId);
+    }
+    const id = Number(insertSymbol.run(fileId, name, name, EXTERNAL).lastInsertRowid);
+    const sym = {
+      id, file_id: fileId, file_path: path, name,
+      qualified_name: name, kind: EXTERNAL, is_exported: true, line_start: null,
+    };
+    symbolRows.set(id, sym);
+    stubs.set(key, sym);
+    return sym;
+  };
+}
+
+/**
+ * Where a resolved import lands outside the scope: the file, or for a
+ * package (Go) wholly outside it, the package's directory.
+ * @param {string|string[]|null} resolved - What a module resolver gave
+ * @param {string[]} scope
+ * @returns {{ path: string, language: string|null }|null}
+ */
+export function outOfScopeTarget(resolved, scope) {
+  if (typeof resolved === 'string') {
+    return inScope(resolved, scope) ? null : { path: resolved, language: detectLanguage(resolved) };
+  }
+  if (!Array.isArray(resolved) || !resolved.length || resolved.some(f => inScope(f, scope))) return null;
+  return { path: posix.dirname(resolved[0]), language: detectLanguage(resolved[0]) };
+}
+
+/**
+ * Build the resolver hook that maps references leaving the scope to stub
+ * symbols, creating stub rows on first use.
+ * @param {import('better-sqlite3').Database} db
+ * @param {string[]} scope
+ * @param {(relPath: string) => boolean} exists
+ * @param {Map<number, object>} symbolRows - symbol_id -> symbol dict; new stubs are added
+ * @param {{ resolve: Function }} [modules] - Module resolver over the whole
+ *   project (see createModuleResolver), for imports other than relative paths
+ * @returns {(ref: object, importPath: string|null) => object|null}
+ */
+export function createStubResolver(db, scope, exists, symbolRows, modules = null) {
+  const stub = createStubStore(db, symbolRows);
+  return (ref, importPath) => {
+    const sourceFile = ref.source_file || '';
+    const path = outOfScopeModule(sourceFile, importPath, scope, exists);
+    if (path) return stub(path, ref.target_name, detectLanguage(path));
+    const target = modules && importPath ? outOfScopeTarget(modules.resolve(sourceFile, importPath), scope) : null;
+    return target ? stub(target.path, ref.target_name, target.language) : null;
+  };
+}
+
+/**
+ * Delete stub symbols nothing points at, then stub files left empty.
+ * @param {import('better-sqlite3').Database} db
+ * @returns {number} Stub symbols removed
+ */
+export function pruneStubs(db) {
+  const removed = db.prepare(
+    `DELETE FROM symbols WHERE kind = ? AND file_id IN (SELECT id FROM files WHERE file_role = ?)
+     AND NOT EXISTS (SELECT 1 FROM edges e WHERE e.target_id = symbols.id)`
+  ).run(EXTERNAL, EXTERNAL).changes;
+  db.prepare(
+    `DELETE FROM files WHERE file_role = ?
+     AND NOT EXISTS (SELECT 1 FROM symbols s WHERE s.file_id = files.id)`
+  ).run(EXTERNAL);
+  return removed;
+}
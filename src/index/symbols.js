@@ -57,5 +57,6 @@ export function extractReferences(tree, source, filePath, extractor) {
     kind: ref.kind || 'call',
     line: ref.line ?? null,
     import_path: ref.import_path ?? null,
+    receiver_type: ref.receiver_type ?? null,
   }));
 }
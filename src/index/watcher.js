@@ -0,0 +1,222 @@
+/**
+ * Continuous incremental indexing driven by fs.watch.
+ */
+
+import { watch, readdirSync, statSync, existsSync } from 'node:fs';
+import { join } from 'node:path';
+
+import { openDb } from '../db/connection.js';
+import { Indexer, acquireIndexLock, releaseIndexLock } from './indexer.js';
+import { isDiscoverable, isPrunedDir } from './discovery.js';
+import { loadProjectConfig, CONFIG_FILES, IGNORE_FILE } from './project-config.js';
+import { collectGitStats } from './git-stats.js';
+
+function log(msg) {
+  process.stderr.write(msg + '\n');
+}
+
+// Files whose change alters the discovery rules themselves
+const CONFIG_PATHS = new Set([...CONFIG_FILES, IGNORE_FILE]);
+
+// Delay before retrying when another process holds the index lock
+const LOCK_RETRY_MS = 2000;
+
+export class IndexWatcher {
+  /**
+   * @param {string} root - Absolute project root
+   * @param {object} [opts]
+   * @param {number} [opts.debounceMs=300] - Quiet period before a pass starts
+   * @param {number} [opts.jobs=1] - Parse worker threads per pass
+   * @param {boolean} [opts.verbose=false]
+   */
+  constructor(root, { debounceMs = 300, jobs = 1, verbose = false } = {}) {
+    this.root = root;
+    this.debounceMs = debounceMs;
+    this.jobs = jobs;
+    this.verbose = verbose;
+    this.indexer = new Indexer(root);
+    this.config = loadProjectConfig(root);
+    this.watchers = new Map(); // relDir -> FSWatcher
+    this.gitWatcher = null;
+    this.timer = null;
+    this.running = null;
+    this.dirty = false;
+    this.headChanged = false;
+    this.closed = false;
+    this.passes = 0;
+  }
+
+  /**
+   * Start watching and run an initial incremental pass.
+   */
+  start() {
+    this._watchTree('');
+    this._watchGit();
+    this.dirty = true;
+    this._schedule(0);
+  }
+
+  /**
+   * Stop watching and wait for an in-flight pass to finish.
+   */
+  async close() {
+    this.closed = true;
+    clearTimeout(this.timer);
+    for (const w of this.watchers.values()) w.close();
+    this.watchers.clear();
+    if (this.gitWatcher) this.gitWatcher.close();
+    this.gitWatcher = null;
+    if (this.running) await this.running;
+  }
+
+  _watchTree(relDir) {
+    if (this.closed || this.watchers.has(relDir) || isPrunedDir(relDir, this.config)) return;
+    const dir = relDir ? join(this.root, relDir) : this.root;
+    let entries;
+    try {
+      entries = readdirSync(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+
+    try {
+      const w = watch(dir, (eventType, filename) => {
+        if (filename) this._onEvent(relDir ? `${relDir}/${filename}` : String(filename));
+      });
+      w.on('error', () => this._unwatchTree(relDir));
+      this.watchers.set(relDir, w);
+    } catch {
+      return;
+    }
+
+    for (const entry of entries) {
+      if (entry.isDirectory()) this._watchTree(relDir ? `${relDir}/${entry.name}` : entry.name);
+    }
+  }
+
+  _unwatchTree(relDir) {
+    for (const [d, w] of this.watchers) {
+      if (d === relDir || d.startsWith(relDir + '/')) {
+        w.close();
+        this.watchers.delete(d);
+      }
+    }
+  }
+
+  _watchGit() {
+    const gitDir = join(this.root, '.git');
+    if (!existsSync(gitDir)) return;
+    try {
+      this.gitWatcher = watch(gitDir, (eventType, filename) => {
+        if (filename === 'HEAD') {
+          this.headChanged = true;
+          this._schedule();
+        }
+      });
+      this.gitWatcher.on('error', () => { this.gitWatcher = null; });
+    } catch {}
+  }
+
+  _onEvent(relPath) {
+    relPath = relPath.replace(/\\/g, '/');
+    if (CONFIG_PATHS.has(relPath)) {
+      if (this.verbose) log(`Config changed: ${relPath}`);
+      this.config = loadProjectConfig(this.root);
+      for (const w of this.watchers.values()) w.close();
+      this.watchers.clear();
+      this._watchTree('');
+      this.dirty = true;
+      this._schedule();
+      return;
+    }
+
+    let isDir = false;
+    try { isDir = statSync(join(this.root, relPath)).isDirectory(); } catch {}
+    if (isDir) {
+      if (isPrunedDir(relPath, this.config)) return;
+      this._watchTree(relPath);
+      this.dirty = true;
+    } else if (this.watchers.has(relPath)) {
+      // A watched directory was removed or renamed away
+      this._unwatchTree(relPath);
+      this.dirty = true;
+    } else if (isDiscoverable(relPath, this.config)) {
+      if (this.verbose) log(`Changed: ${relPath}`);
+      this.dirty = true;
+    } else {
+      return;
+    }
+    this._schedule();
+  }
+
+  _schedule(delay = this.debounceMs) {
+    if (this.closed) return;
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this._flush(), delay);
+  }
+
+  async _flush() {
+    if (this.running) {
+      // Picked up again once the current pass finishes
+      return;
+    }
+    let retryMs = null;
+    this.running = this._pass();
+    try {
+      retryMs = await this.running;
+    } finally {
+      this.running = null;
+    }
+    if (retryMs != null) this._schedule(retryMs);
+    else if (this.dirty || this.headChanged) this._schedule();
+  }
+
+  /**
+   * Run one index and/or git stats refresh.
+   * @returns {Promise<number|null>} Retry delay when the lock was busy
+   */
+  async _pass() {
+    const headChanged = this.headChanged;
+    this.headChanged = false;
+
+    if (this.dirty) {
+      this.dirty = false;
+      let status;
+      try {
+        status = await this.indexer.run({ jobs: this.jobs, verbose: this.verbose });
+      } catch (e) {
+        log(`Index pass failed: ${e.message}`);
+        return null;
+      }
+      this.passes++;
+      if (status === 'locked') {
+        this.dirty = true;
+        this.headChanged = this.headChanged || headChanged;
+        return LOCK_RETRY_MS;
+      }
+      // A full pass already re-collects git stats
+      if (status === 'indexed') return null;
+    }
+
+    if (headChanged) {
+      log('HEAD changed, refreshing git stats...');
+      if (!acquireIndexLock(this.root)) {
+        this.headChanged = true;
+        return LOCK_RETRY_MS;
+      }
+      try {
+        const db = openDb({ projectRoot: this.root });
+        try {
+          collectGitStats(db, this.root);
+        } finally {
+          db.close();
+        }
+      } catch (e) {
+        log(`Git stats failed: ${e.message}`);
+      } finally {
+        releaseIndexLock(this.root);
+      }
+    }
+    return null;
+  }
+}
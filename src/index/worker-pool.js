@@ -0,0 +1,130 @@
+/**
+ * Ordered file processing, either in-process or on a worker_threads pool.
+ * Results are always yielded in task order so that database writes (and
+ * therefore row IDs) are identical regardless of the number of workers.
+ */
+
+import { Worker } from 'node:worker_threads';
+import { cpus } from 'node:os';
+import { processFile } from './file-processor.js';
+import { parseErrors } from './parser.js';
+
+const WORKER_URL = new URL('./parse-worker.js', import.meta.url);
+
+// Tasks in flight per worker; bounds memory held by out-of-order results
+const WINDOW_PER_WORKER = 16;
+
+/**
+ * Normalize a --jobs value: 0 or 'auto' means one worker per CPU.
+ * @param {number|string|null|undefined} jobs
+ * @returns {number}
+ */
+export function resolveJobs(jobs) {
+  if (jobs == null || jobs === '') return 1;
+  const n = Number(jobs);
+  if (jobs === 'auto' || n === 0) return Math.max(1, cpus().length);
+  if (!Number.isInteger(n) || n < 0) throw new Error(`Invalid --jobs value: ${jobs}`);
+  return n;
+}
+
+/**
+ * Process files and yield results in input order.
+ * @param {{ fullPath: string, relPath: string, language: string|null, extractPath?: string,
+ *   content?: string }[]} tasks
+ * @param {object} [opts]
+ * @param {number} [opts.jobs=1] - Worker threads; 1 runs in-process
+ * @param {Record<string, string>} [opts.queries] - Project query files by language,
+ *   for workers (the calling thread's extractors are set up by the caller)
+ * @param {object[]} [opts.plugins] - Extractor plugins (findPlugins() result), for workers
+ * @returns {AsyncGenerator<object>} processFile() results
+ */
+export async function* processFiles(tasks, { jobs = 1, queries = {}, plugins = [] } = {}) {
+  const size = Math.min(jobs, tasks.length);
+  if (size <= 1) {
+    for (const t of tasks) {
+      yield processFile(t.fullPath, t.relPath, t.language, {
+        extractPath: t.extractPath ?? t.relPath, content: t.content ?? null,
+      });
+    }
+    return;
+  }
+  yield* runPool(tasks, size, { queries, plugins });
+}
+
+async function* runPool(tasks, size, extensions) {
+  const workers = [];
+  const pending = new Map(); // index -> result
+  let nextToSend = 0;
+  let nextToYield = 0;
+  let failure = null;
+  let wake = null;
+
+  const notify = () => {
+    if (wake) { const w = wake; wake = null; w(); }
+  };
+
+  const dispatch = (worker) => {
+    if (nextToSend >= tasks.length) return false;
+    if (nextToSend - nextToYield >= size * WINDOW_PER_WORKER) return false;
+    const index = nextToSend++;
+    const t = tasks[index];
+    worker.busy++;
+    worker.postMessage({
+      index, fullPath: t.fullPath, relPath: t.relPath,
+      language: t.language, extractPath: t.extractPath ?? t.relPath,
+      content: t.content ?? null,
+    });
+    return true;
+  };
+
+  const fill = (worker) => {
+    while (worker.ready && worker.busy < WINDOW_PER_WORKER && dispatch(worker));
+  };
+
+  for (let i = 0; i < size; i++) {
+    const worker = new Worker(WORKER_URL, { workerData: extensions });
+    worker.busy = 0;
+    worker.ready = false;
+    worker.on('message', (msg) => {
+      if (msg.ready) {
+        worker.ready = true;
+        fill(worker);
+        return;
+      }
+      worker.busy--;
+      pending.set(msg.index, msg.result);
+      fill(worker);
+      notify();
+    });
+    worker.on('error', (e) => { failure = failure || e; notify(); });
+    worker.on('exit', (code) => {
+      if (code !== 0 && !failure) failure = new Error(`Parse worker exited with code ${code}`);
+      notify();
+    });
+    workers.push(worker);
+  }
+
+  try {
+    while (nextToYield < tasks.length) {
+      if (failure) throw failure;
+      if (!pending.has(nextToYield)) {
+        await new Promise(r => { wake = r; });
+        continue;
+      }
+      const result = pending.get(nextToYield);
+      pending.delete(nextToYield);
+      nextToYield++;
+
+      // Parse-error counters live in each worker's module instance
+      if (result.parseErrors) {
+        for (const [k, v] of Object.entries(result.parseErrors)) parseErrors[k] = (parseErrors[k] || 0) + v;
+      }
+      yield result;
+
+      // Refill the window now that the consumer has caught up
+      for (const w of workers) fill(w);
+    }
+  } finally {
+    await Promise.all(workers.map(w => w.terminate()));
+  }
+}
@@ -94,16 +94,60 @@ export class LanguageExtractor {
     };
   }
 
+  /**
+   * Bare class name from a type as written: `*store.DB` -> `DB`,
+   * `App\Models\User` -> `User`, `List<User>` -> `List`, `Repo[]` -> `Repo`, `: Repo` -> `Repo`,
+   * `Repo | null` -> `Repo`.
+   * @param {string|null} text
+   * @returns {string|null} null when no single name can be read
+   */
+  typeName(text) {
+    if (!text) return null;
+    let t = String(text).trim().replace(/^:\s*/, '');
+    // Union members at the top level only: `Map<K, A | B>` is one type
+    const members = [];
+    let depth = 0;
+    let start = 0;
+    for (let i = 0; i < t.length; i++) {
+      if ('<[('.includes(t[i])) depth++;
+      else if ('>])'.includes(t[i])) depth--;
+      else if (t[i] === '|' && depth === 0) { members.push(t.slice(start, i)); start = i + 1; }
+    }
+    members.push(t.slice(start));
+    const typed = members.map(m => m.trim()).filter(m => !/^(?:null|undefined|None|nil)$/.test(m));
+    if (typed.length !== 1) return null;
+    t = typed[0];
+    t = t.replace(/^(?:\*|&|\[\]|\.\.\.)+/, '');
+    t = t.replace(/[<[].*$/s, '').replace(/\?$/, '').trim();
+    const last = t.split(/\.|::|\\/).pop();
+    return /^[A-Za-z_$][\w$]*$/.test(last) ? last : null;
+  }
+
+  /**
+   * Nearest ancestor of a node whose type is in `types`.
+   * @param {object} node
+   * @param {Set<string>} types
+   * @returns {object|null}
+   */
+  ancestor(node, types) {
+    for (let n = node.parent; n; n = n.parent) {
+      if (types.has(n.type)) return n;
+    }
+    return null;
+  }
+
   /**
    * Factory method for creating a reference dict.
+   * `receiverType` names the class a method call's receiver is an instance of.
    */
-  makeReference(targetName, kind, line, { sourceName = null, importPath = null } = {}) {
+  makeReference(targetName, kind, line, { sourceName = null, importPath = null, receiverType = null } = {}) {
     return {
       source_name: sourceName,
       target_name: targetName,
       kind,
       line,
       import_path: importPath,
+      receiver_type: receiverType,
     };
   }
 }
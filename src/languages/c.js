@@ -314,21 +314,17 @@ export class CExtractor extends LanguageExtractor {
   }
 
   _extractInclude(node, source, refs, scopeName) {
-    const pathNode = node.childForFieldName('path');
-    if (pathNode) {
-      const path = this.nodeText(pathNode, source).replace(/^[<"]|[>"]$/g, '');
-      refs.push(this.makeReference(path, 'import',
-        node.startPosition.row + 1, { sourceName: scopeName, importPath: path }));
-    } else {
-      for (const child of node.children) {
-        if (child.type === 'string_literal' || child.type === 'system_lib_string') {
-          const path = this.nodeText(child, source).replace(/^[<"]|[>"]$/g, '');
-          refs.push(this.makeReference(path, 'import',
-            node.startPosition.row + 1, { sourceName: scopeName, importPath: path }));
-          break;
-        }
-      }
+    let pathNode = node.childForFieldName('path');
+    if (!pathNode) {
+      pathNode = node.children.find(c => c.type === 'string_literal' || c.type === 'system_lib_string');
     }
+    if (!pathNode) return;
+    const text = this.nodeText(pathNode, source);
+    const path = text.replace(/^[<"]|[>"]$/g, '');
+    // `<...>` stays on the import path: those skip the including file's directory
+    const importPath = text.startsWith('<') ? `<${path}>` : path;
+    refs.push(this.makeReference(path, 'import',
+      node.startPosition.row + 1, { sourceName: scopeName, importPath }));
   }
 
   _extractCall(node, source, refs, scopeName) {
@@ -0,0 +1,317 @@
+/**
+ * Visual FoxPro (.prg, .scx) extractor.
+ * Regex-based parsing since no tree-sitter grammar exists. Forms (.scx) are
+ * DBF tables whose method code lives in the .sct memo file; scxSource()
+ * turns them into the class listing VFP's class browser shows, which is
+ * parsed like any program.
+ */
+
+import { LanguageExtractor } from './base.js';
+
+// Keywords VFP accepts abbreviated to their first four letters
+function abbrev(word, min = 4) {
+  let pattern = '';
+  for (let i = word.length - 1; i >= min; i--) pattern = `(?:${word[i]}${pattern})?`;
+  return word.slice(0, min) + pattern;
+}
+
+const PROC_RE = new RegExp(
+  `^(?:(PROTECTED|HIDDEN)\\s+)?(${abbrev('PROCEDURE')}|${abbrev('FUNCTION')})\\s+([\\w.]+)\\s*(?:\\(([^)]*)\\))?`, 'i',
+);
+const END_PROC_RE = new RegExp(`^(?:${abbrev('ENDPROC')}|${abbrev('ENDFUNC')})\\b`, 'i');
+const CLASS_RE = new RegExp(
+  `^${abbrev('DEFINE')}\\s+${abbrev('CLASS')}\\s+(\\w+)\\s+AS\\s+(\\w+)(?:\\s+OF\\s+("[^"]+"|'[^']+'|\\S+))?`, 'i',
+);
+const END_CLASS_RE = new RegExp(`^${abbrev('ENDDEFINE', 5)}\\b`, 'i');
+// A declaration line in method code, up to the method name
+const PROC_LINE_RE = new RegExp(
+  `^(\\s*(?:(?:PROTECTED|HIDDEN)\\s+)?)(${abbrev('PROCEDURE')}|${abbrev('FUNCTION')})\\s+`, 'gim',
+);
+const PARAMS_RE = new RegExp(`^L?${abbrev('PARAMETERS')}\\s+(.+)`, 'i');
+const ADD_OBJECT_RE = /^ADD\s+OBJECT\s+(?:PROTECTED\s+)?([\w.]+)\s+AS\s+(\w+)(?:\s+OF\s+("[^"]+"|'[^']+'|[^\s,]+))?/i;
+const DO_FORM_RE = /^DO\s+FORM\s+("[^"]+"|'[^']+'|[\w.\\/:-]+)/i;
+const DO_RE = /^DO\s+(?!(?:WHILE|CASE|FORM)\b)("[^"]+"|'[^']+'|[\w.\\/:-]+)(?:\s+IN\s+("[^"]+"|'[^']+'|[\w.\\/:-]+))?/i;
+const SET_LIBRARY_RE = new RegExp(`^SET\\s+(?:${abbrev('PROCEDURE')}|${abbrev('CLASSLIB')})\\s+TO\\s+(.+)`, 'i');
+const CREATE_RE = /(?<![.\w])(?:CREATEOBJECT|NEWOBJECT)\s*\(\s*["'[](\w+)["'\]](?:\s*,\s*["'[]([^"'\]]+)["'\]])?/gi;
+const CALL_RE = /(?<![\w.])(\w+)\s*\(/g;
+const MEMBER_CALL_RE = /(\w+)\.(\w+)\s*\(/g;
+
+// Control flow and commands a parenthesis may follow
+const KEYWORDS = new Set([
+  'if', 'elseif', 'while', 'case', 'for', 'return', 'and', 'or', 'not', 'in', 'with',
+  'createobject', 'newobject',
+]);
+
+// Methods the runtime invokes on forms and controls: never dead
+const EVENTS = new Set([
+  'activate', 'afterclosetables', 'afterrowcolchange', 'beforeopentables', 'beforerowcolchange',
+  'click', 'dblclick', 'deactivate', 'destroy', 'error', 'gotfocus', 'init', 'interactivechange',
+  'keypress', 'load', 'lostfocus', 'mousedown', 'mousemove', 'mouseup', 'programmaticchange',
+  'queryunload', 'refresh', 'resize', 'rightclick', 'timer', 'unload', 'valid', 'when',
+]);
+
+// File name without directory, extension or quotes: what `DO` and `SET PROCEDURE` name
+function stem(spec) {
+  return spec.replace(/^["']|["']$/g, '').split(/[\\/]/).pop().replace(/\.[^.]*$/, '');
+}
+
+function unquote(spec) {
+  return spec.replace(/^["']|["']$/g, '');
+}
+
+export class FoxProExtractor extends LanguageExtractor {
+  get languageName() { return 'foxpro'; }
+  get fileExtensions() { return ['.prg', '.scx']; }
+
+  extractSymbols(tree, source, filePath) {
+    return this._scan(source, filePath).symbols;
+  }
+
+  extractReferences(tree, source, filePath) {
+    return this._scan(source, filePath).refs;
+  }
+
+  // Logical lines: comments dropped, `;` continuations joined onto the first line
+  _lines(source) {
+    const out = [];
+    const raw = source.split(/\r?\n/);
+    for (let i = 0; i < raw.length; i++) {
+      const line = i + 1;
+      let text = raw[i].trim();
+      while (text.endsWith(';') && i + 1 < raw.length) text = text.slice(0, -1).trimEnd() + ' ' + raw[++i].trim();
+      if (!text || text.startsWith('*') || /^NOTE\b/i.test(text)) continue;
+      text = text.replace(/&&.*$/, '').trim();
+      if (text) out.push({ text, line });
+    }
+    return out;
+  }
+
+  _scan(source, filePath) {
+    if (this._cached && this._cached.source === source && this._cached.filePath === filePath) return this._cached;
+    const symbols = [];
+    const refs = [];
+    const lines = source ? this._lines(source) : [];
+    const lastLine = source ? source.split(/\r?\n/).length : 1;
+
+    // The program or form itself, which `DO` and `DO FORM` run
+    const program = stem(filePath);
+    const form = /\.scx$/i.test(filePath);
+    symbols.push(this.makeSymbol(program, 'module', 1, lastLine, {
+      signature: `${form ? 'form' : 'program'} ${program}`,
+      isExported: true,
+    }));
+
+    let cls = null; // { symbol, name }
+    let proc = null; // { symbol, qualified, params: whether the signature lists them }
+    let prevLine = 1;
+    const close = (open, line) => { if (open) open.symbol.line_end = Math.max(open.symbol.line_start, line); };
+
+    for (const { text, line } of lines) {
+      const scope = proc ? proc.qualified : (cls ? cls.name : program);
+
+      const classMatch = text.match(CLASS_RE);
+      if (classMatch) {
+        close(proc, prevLine);
+        close(cls, prevLine);
+        proc = null;
+        const [, name, parent, lib] = classMatch;
+        const symbol = this.makeSymbol(name, 'class', line, line, {
+          signature: `DEFINE CLASS ${name} AS ${parent}${lib ? ` OF ${lib}` : ''}`,
+          // A form's objects are only reached through the form
+          isExported: !form,
+        });
+        symbols.push(symbol);
+        cls = { symbol, name };
+        refs.push(this.makeReference(parent, 'inherits', line, {
+          sourceName: name, importPath: lib ? unquote(lib) : null,
+        }));
+        prevLine = line;
+        continue;
+      }
+
+      if (END_CLASS_RE.test(text)) {
+        close(proc, prevLine);
+        close(cls, line);
+        proc = null;
+        cls = null;
+        prevLine = line;
+        continue;
+      }
+
+      const procMatch = text.match(PROC_RE);
+      if (procMatch) {
+        close(proc, prevLine);
+        const [, hidden, keyword, fullName, params] = procMatch;
+        // `PROCEDURE cmdOK.Click` in a class: a method of one of its contained objects
+        const segments = fullName.split('.');
+        const name = segments.pop();
+        const owner = cls ? [cls.name, ...segments].join('.') : null;
+        const qualified = owner ? `${owner}.${name}` : name;
+        const kind = cls ? 'method' : 'function';
+        const word = /^F/i.test(keyword) ? 'FUNCTION' : 'PROCEDURE';
+        const symbol = this.makeSymbol(name, kind, line, line, {
+          qualifiedName: qualified,
+          signature: `${word} ${fullName}(${(params || '').trim()})`,
+          visibility: hidden ? (/^H/i.test(hidden) ? 'private' : 'protected') : 'public',
+          isExported: !hidden && !(cls && EVENTS.has(name.toLowerCase())),
+          parentName: owner,
+        });
+        symbols.push(symbol);
+        proc = { symbol, qualified, params: params != null };
+        prevLine = line;
+        continue;
+      }
+
+      if (END_PROC_RE.test(text)) {
+        close(proc, line);
+        proc = null;
+        prevLine = line;
+        continue;
+      }
+
+      // LPARAMETERS as the first statement complete the signature
+      if (proc && !proc.params) {
+        proc.params = true;
+        const paramsMatch = text.match(PARAMS_RE);
+        if (paramsMatch) proc.symbol.signature = proc.symbol.signature.replace(/\(\)$/, `(${paramsMatch[1].trim()})`);
+      }
+
+      const addMatch = cls && !proc && text.match(ADD_OBJECT_RE);
+      if (addMatch) {
+        const [, path, objClass, lib] = addMatch;
+        const segments = path.split('.');
+        const name = segments.pop();
+        const owner = [cls.name, ...segments].join('.');
+        symbols.push(this.makeSymbol(name, 'property', line, line, {
+          qualifiedName: `${owner}.${name}`,
+          signature: `ADD OBJECT ${path} AS ${objClass}`,
+          parentName: owner,
+        }));
+        refs.push(this.makeReference(objClass, 'call', line, {
+          sourceName: cls.name, importPath: lib ? unquote(lib) : null,
+        }));
+        prevLine = line;
+        continue;
+      }
+
+      this._extractLineRefs(text, line, scope, cls, refs);
+      prevLine = line;
+    }
+
+    close(proc, prevLine);
+    close(cls, prevLine);
+    this._cached = { source, filePath, symbols, refs };
+    return this._cached;
+  }
+
+  _extractLineRefs(text, line, scope, cls, refs) {
+    const ref = (target, kind, importPath = null, receiverType = null) => {
+      refs.push(this.makeReference(target, kind, line, { sourceName: scope, importPath, receiverType }));
+    };
+
+    const formMatch = text.match(DO_FORM_RE);
+    if (formMatch) {
+      ref(stem(formMatch[1]), 'call', unquote(formMatch[1]));
+      return;
+    }
+    const doMatch = text.match(DO_RE);
+    if (doMatch) {
+      const [, target, lib] = doMatch;
+      // `DO prog.prg` runs a program, `DO proc IN lib` a procedure of one
+      const isFile = /[.\\/]/.test(unquote(target));
+      ref(isFile ? stem(target) : target, 'call', lib ? unquote(lib) : (isFile ? unquote(target) : null));
+    }
+    const libMatch = text.match(SET_LIBRARY_RE);
+    if (libMatch) {
+      for (const spec of libMatch[1].replace(/\bADDITIVE\b/i, '').split(',')) {
+        if (spec.trim()) ref(stem(spec.trim()), 'import', unquote(spec.trim()));
+      }
+      return;
+    }
+
+    for (const m of text.matchAll(CREATE_RE)) {
+      ref(m[1], 'call', m[2] || null);
+    }
+
+    // Function and method calls, outside string literals
+    const code = text.replace(/"[^"]*"|'[^']*'/g, '""');
+    for (const m of code.matchAll(MEMBER_CALL_RE)) {
+      const receiver = m[1].toLowerCase();
+      ref(m[2], 'call', null, cls && (receiver === 'this' || receiver === 'thisform') ? cls.name : null);
+    }
+    for (const m of code.matchAll(CALL_RE)) {
+      if (!KEYWORDS.has(m[1].toLowerCase())) ref(m[1], 'call');
+    }
+  }
+}
+
+/**
+ * The class listing of a form: one `DEFINE CLASS` per top-level object
+ * (form, formset, data environment) with an `ADD OBJECT` per control it
+ * contains, then the method code of each, control methods named
+ * `PROCEDURE <control path>.<method>`.
+ * @param {Buffer} scx - The form's DBF table
+ * @param {Buffer|null} sct - Its memo file
+ * @returns {string}
+ */
+export function scxSource(scx, sct) {
+  const records = readDbf(scx, sct).filter(r => (r.PLATFORM || '').trim().toUpperCase() === 'WINDOWS');
+  const field = (r, name) => (r[name] || '').replace(/\r\n?/g, '\n').trim();
+  const out = [];
+  for (const top of records.filter(r => !field(r, 'PARENT') && field(r, 'OBJNAME'))) {
+    const topName = field(top, 'OBJNAME');
+    const children = records
+      .filter(r => r !== top && (field(r, 'PARENT') === topName || field(r, 'PARENT').startsWith(topName + '.')))
+      .map(r => ({ record: r, path: [field(r, 'PARENT').slice(topName.length + 1), field(r, 'OBJNAME')].filter(Boolean).join('.') }));
+    const classloc = field(top, 'CLASSLOC');
+    out.push(`DEFINE CLASS ${topName} AS ${field(top, 'CLASS') || field(top, 'BASECLASS')}${classloc ? ` OF "${classloc}"` : ''}`);
+    for (const { record, path } of children) {
+      const loc = field(record, 'CLASSLOC');
+      out.push(`ADD OBJECT ${path} AS ${field(record, 'CLASS') || field(record, 'BASECLASS')}${loc ? ` OF "${loc}"` : ''}`);
+    }
+    if (field(top, 'METHODS')) out.push(field(top, 'METHODS'));
+    for (const { record, path } of children) {
+      const methods = field(record, 'METHODS');
+      if (methods) out.push(methods.replace(PROC_LINE_RE, (m, lead, keyword) => `${lead}${keyword} ${path}.`));
+    }
+    out.push('ENDDEFINE', '');
+  }
+  return out.join('\n');
+}
+
+// Rows of a FoxPro DBF table as field name -> text, memo fields read from the FPT memo file
+function readDbf(dbf, fpt) {
+  if (!dbf || dbf.length < 32) return [];
+  const count = dbf.readUInt32LE(4);
+  const headerLength = dbf.readUInt16LE(8);
+  const recordLength = dbf.readUInt16LE(10);
+  const fields = [];
+  let offset = 1; // after the deletion flag
+  for (let pos = 32; pos + 32 <= headerLength && dbf[pos] !== 0x0d; pos += 32) {
+    const name = dbf.toString('latin1', pos, pos + 11).replace(/\0.*$/s, '');
+    const length = dbf[pos + 16];
+    fields.push({ name, type: String.fromCharCode(dbf[pos + 11]), offset, length });
+    offset += length;
+  }
+  const blockSize = fpt && fpt.length >= 8 ? fpt.readUInt16BE(6) : 0;
+  const memo = (raw) => {
+    const block = raw.length === 4 ? raw.readUInt32LE(0) : parseInt(raw.toString('latin1').trim(), 10);
+    if (!block || !blockSize) return '';
+    const start = block * blockSize;
+    if (start + 8 > fpt.length) return '';
+    return fpt.toString('latin1', start + 8, Math.min(fpt.length, start + 8 + fpt.readUInt32BE(start + 4)));
+  };
+  const rows = [];
+  for (let i = 0; i < count; i++) {
+    const start = headerLength + i * recordLength;
+    if (start + recordLength > dbf.length) break;
+    if (dbf[start] === 0x2a) continue; // deleted
+    const row = {};
+    for (const f of fields) {
+      const raw = dbf.subarray(start + f.offset, start + f.offset + f.length);
+      row[f.name] = f.type === 'M' ? memo(raw) : raw.toString('latin1').trimEnd();
+    }
+    rows.push(row);
+  }
+  return rows;
+}
@@ -1,6 +1,6 @@
 /**
  * Generic fallback extractor for any tree-sitter grammar.
- * Used for Ruby, PHP, C#, Kotlin, Swift, Scala, etc.
+ * Used for C#, Kotlin, Swift, Scala, etc.
  */
 
 import { LanguageExtractor } from './base.js';
@@ -4,6 +4,8 @@
 
 import { LanguageExtractor } from './base.js';
 
+const _FUNC_NODES = new Set(['function_declaration', 'method_declaration', 'func_literal']);
+
 export class GoExtractor extends LanguageExtractor {
   get languageName() { return 'go'; }
   get fileExtensions() { return ['.go']; }
@@ -17,7 +19,10 @@ export class GoExtractor extends LanguageExtractor {
 
   extractReferences(tree, source, filePath) {
     const refs = [];
+    this._packageImports = new Map(); // package name in this file -> import path
+    this._typeCache = new Map();
     this._walkRefs(tree.rootNode, source, refs, null);
+    this._typeCache = null;
     refs.push(...(this._pendingInherits || []));
     this._pendingInherits = [];
     return refs;
@@ -301,6 +306,7 @@ export class GoExtractor extends LanguageExtractor {
           let target = path.includes('/') ? path.split('/').pop() : path;
           const nameNode = child.childForFieldName('name');
           if (nameNode) target = this.nodeText(nameNode, source);
+          this._packageImports.set(nameNode ? target : this._packageName(path), path);
           refs.push(this.makeReference(target, 'import',
             child.startPosition.row + 1, { sourceName: scopeName, importPath: path }));
         }
@@ -309,27 +315,166 @@ export class GoExtractor extends LanguageExtractor {
       } else if (child.type === 'interpreted_string_literal') {
         const path = this.nodeText(child, source).replace(/^"|"$/g, '');
         const target = path.includes('/') ? path.split('/').pop() : path;
+        this._packageImports.set(this._packageName(path), path);
         refs.push(this.makeReference(target, 'import',
           child.startPosition.row + 1, { sourceName: scopeName, importPath: path }));
       }
     }
   }
 
+  /**
+   * Package name an import path is referred to by when not aliased: the last
+   * element, skipping a major-version suffix (`/v2`) and `.vN` (gopkg.in).
+   */
+  _packageName(path) {
+    const parts = path.split('/');
+    let last = parts.pop();
+    if (/^v\d+$/.test(last) && parts.length) last = parts.pop();
+    return last.replace(/\.v\d+$/, '').replace(/^go-/, '');
+  }
+
   _extractCall(node, source, refs, scopeName) {
     const funcNode = node.childForFieldName('function');
     if (!funcNode) return;
 
     let name;
+    let importPath = null;
+    let receiverType = null;
     if (funcNode.type === 'selector_expression') {
       const field = funcNode.childForFieldName('field');
       name = field ? this.nodeText(field, source) : this.nodeText(funcNode, source);
+      // pkg.Func(): remember which import the package qualifier names
+      const operand = funcNode.childForFieldName('operand');
+      if (operand && operand.type === 'identifier' && this._packageImports) {
+        importPath = this._packageImports.get(this.nodeText(operand, source)) || null;
+      }
+      if (!importPath) receiverType = this._receiverType(operand, source);
     } else {
       name = this.nodeText(funcNode, source);
     }
 
     refs.push(this.makeReference(name, 'call',
-      funcNode.startPosition.row + 1, { sourceName: scopeName }));
+      funcNode.startPosition.row + 1, { sourceName: scopeName, importPath, receiverType }));
     const args = node.childForFieldName('arguments');
     if (args) this._walkRefs(args, source, refs, scopeName);
   }
+
+  // ---- Receiver types ----
+
+  /**
+   * Type a method call's operand has: the receiver, a parameter or a local
+   * (`x := &T{}`, `T{}`, `new(T)`, `var x T`), or a field of a struct
+   * declared in this file.
+   */
+  _receiverType(operand, source) {
+    if (!operand || !this._typeCache) return null;
+    if (operand.type === 'identifier') {
+      const name = this.nodeText(operand, source);
+      for (let scope = this.ancestor(operand, _FUNC_NODES); scope; scope = this.ancestor(scope, _FUNC_NODES)) {
+        const type = this._localTypes(scope, source).get(name);
+        if (type) return type;
+      }
+      return null;
+    }
+    if (operand.type === 'selector_expression') {
+      const owner = this._receiverType(operand.childForFieldName('operand'), source);
+      const field = operand.childForFieldName('field');
+      const fields = owner && field ? this._structFields(operand, source).get(owner) : null;
+      return fields ? fields.get(this.nodeText(field, source)) || null : null;
+    }
+    return null;
+  }
+
+  _cached(kind, node, build) {
+    const key = `${kind}:${node.startIndex}:${node.endIndex}`;
+    if (!this._typeCache.has(key)) this._typeCache.set(key, build());
+    return this._typeCache.get(key);
+  }
+
+  // Type an expression constructs: `T{}`, `&T{}` or `new(T)`
+  _constructedType(expr, source) {
+    if (!expr) return null;
+    if (expr.type === 'unary_expression') return this._constructedType(expr.childForFieldName('operand'), source);
+    if (expr.type === 'composite_literal') {
+      const type = expr.childForFieldName('type');
+      return type ? this.typeName(this.nodeText(type, source)) : null;
+    }
+    if (expr.type === 'call_expression') {
+      const fn = expr.childForFieldName('function');
+      const args = expr.childForFieldName('arguments');
+      if (fn && this.nodeText(fn, source) === 'new' && args && args.namedChildren.length === 1) {
+        return this.typeName(this.nodeText(args.namedChildren[0], source));
+      }
+    }
+    return null;
+  }
+
+  // Names a parameter_declaration or var_spec declares, with its written type
+  _declare(decl, source, types) {
+    const typeNode = decl.childForFieldName('type');
+    const type = typeNode ? this.typeName(this.nodeText(typeNode, source)) : null;
+    if (!type) return;
+    for (const child of decl.namedChildren) {
+      if (child.type === 'identifier' && !types.has(this.nodeText(child, source))) types.set(this.nodeText(child, source), type);
+    }
+  }
+
+  // Receiver, parameters and locals of a function, method or closure
+  _localTypes(scope, source) {
+    return this._cached('locals', scope, () => {
+      const types = new Map();
+      for (const field of ['receiver', 'parameters']) {
+        const list = scope.childForFieldName(field);
+        for (const param of list ? list.namedChildren : []) {
+          if (param.type === 'parameter_declaration') this._declare(param, source, types);
+        }
+      }
+      const visit = (node) => {
+        for (const child of node.namedChildren) {
+          if (_FUNC_NODES.has(child.type)) continue;
+          if (child.type === 'var_spec') {
+            this._declare(child, source, types);
+          } else if (child.type === 'short_var_declaration') {
+            const left = child.childForFieldName('left');
+            const right = child.childForFieldName('right');
+            const names = left ? left.namedChildren : [];
+            const values = right ? right.namedChildren : [];
+            names.forEach((n, i) => {
+              const type = this._constructedType(values[i], source);
+              if (n.type === 'identifier' && type && !types.has(this.nodeText(n, source))) types.set(this.nodeText(n, source), type);
+            });
+          }
+          visit(child);
+        }
+      };
+      const body = scope.childForFieldName('body');
+      if (body) visit(body);
+      return types;
+    });
+  }
+
+  // Struct name -> field name -> field type, for the structs of the file
+  _structFields(node, source) {
+    let root = node;
+    while (root.parent) root = root.parent;
+    return this._cached('structs', root, () => {
+      const structs = new Map();
+      for (const spec of root.descendantsOfType('type_spec')) {
+        const nameNode = spec.childForFieldName('name');
+        const typeNode = spec.childForFieldName('type');
+        if (!nameNode || !typeNode || typeNode.type !== 'struct_type') continue;
+        const fields = new Map();
+        for (const field of typeNode.descendantsOfType('field_declaration')) {
+          if (field.parent.parent.startIndex !== typeNode.startIndex) continue; // not a nested struct's
+          const type = this.typeName(this.nodeText(field.childForFieldName('type'), source));
+          if (!type) continue;
+          for (const child of field.namedChildren) {
+            if (child.type === 'field_identifier') fields.set(this.nodeText(child, source), type);
+          }
+        }
+        structs.set(this.nodeText(nameNode, source), fields);
+      }
+      return structs;
+    });
+  }
 }
@@ -4,6 +4,9 @@
 
 import { LanguageExtractor } from './base.js';
 
+const _TYPE_NODES = new Set(['class_declaration', 'interface_declaration', 'enum_declaration', 'record_declaration']);
+const _METHOD_NODES = new Set(['method_declaration', 'constructor_declaration', 'lambda_expression']);
+
 export class JavaExtractor extends LanguageExtractor {
   get languageName() { return 'java'; }
   get fileExtensions() { return ['.java']; }
@@ -17,7 +20,9 @@ export class JavaExtractor extends LanguageExtractor {
 
   extractReferences(tree, source, filePath) {
     const refs = [];
+    this._typeCache = new Map();
     this._walkRefs(tree.rootNode, source, refs, null);
+    this._typeCache = null;
     refs.push(...(this._pendingInherits || []));
     this._pendingInherits = [];
     return refs;
@@ -339,7 +344,7 @@ export class JavaExtractor extends LanguageExtractor {
     if (objNode) name = `${this.nodeText(objNode, source)}.${name}`;
 
     refs.push(this.makeReference(name, 'call',
-      node.startPosition.row + 1, { sourceName: scopeName }));
+      node.startPosition.row + 1, { sourceName: scopeName, receiverType: this._receiverType(node, objNode, source) }));
     const args = node.childForFieldName('arguments');
     if (args) this._walkRefs(args, source, refs, scopeName);
   }
@@ -353,4 +358,92 @@ export class JavaExtractor extends LanguageExtractor {
     const args = node.childForFieldName('arguments');
     if (args) this._walkRefs(args, source, refs, scopeName);
   }
+
+  // ---- Receiver types ----
+
+  /**
+   * Class a method call's receiver is an instance of: the enclosing class for
+   * `this` and unqualified calls, else the declared type of a local,
+   * parameter or field.
+   */
+  _receiverType(callNode, objNode, source) {
+    if (!this._typeCache) return null;
+    const cls = this.ancestor(callNode, _TYPE_NODES);
+    if (!objNode || objNode.type === 'this') {
+      const nameNode = cls && cls.childForFieldName('name');
+      return nameNode ? this.nodeText(nameNode, source) : null;
+    }
+    if (objNode.type === 'identifier') {
+      const name = this.nodeText(objNode, source);
+      for (let scope = this.ancestor(objNode, _METHOD_NODES); scope; scope = this.ancestor(scope, _METHOD_NODES)) {
+        const type = this._localTypes(scope, source).get(name);
+        if (type) return type;
+      }
+      return cls ? this._fieldTypes(cls, source).get(name) || null : null;
+    }
+    if (objNode.type === 'field_access') {
+      const obj = objNode.childForFieldName('object');
+      const field = objNode.childForFieldName('field');
+      if (obj && obj.type === 'this' && field && cls) return this._fieldTypes(cls, source).get(this.nodeText(field, source)) || null;
+    }
+    return null;
+  }
+
+  _cached(kind, node, build) {
+    const key = `${kind}:${node.startIndex}:${node.endIndex}`;
+    if (!this._typeCache.has(key)) this._typeCache.set(key, build());
+    return this._typeCache.get(key);
+  }
+
+  // Declared type of a variable declaration; `var` takes the constructed class
+  _declaredType(typeNode, declarator, source) {
+    if (!typeNode) return null;
+    if (this.nodeText(typeNode, source) !== 'var') return this.typeName(this.nodeText(typeNode, source));
+    const value = declarator && declarator.childForFieldName('value');
+    const created = value && value.type === 'object_creation_expression' ? value.childForFieldName('type') : null;
+    return created ? this.typeName(this.nodeText(created, source)) : null;
+  }
+
+  // Parameters and local variables of a method, constructor or lambda
+  _localTypes(scope, source) {
+    return this._cached('locals', scope, () => {
+      const types = new Map();
+      const params = scope.childForFieldName('parameters');
+      for (const param of params ? params.namedChildren : []) {
+        const nameNode = param.childForFieldName('name');
+        const type = this._declaredType(param.childForFieldName('type'), null, source);
+        if (nameNode && type) types.set(this.nodeText(nameNode, source), type);
+      }
+      const visit = (node) => {
+        for (const child of node.namedChildren) {
+          if (_METHOD_NODES.has(child.type) || _TYPE_NODES.has(child.type)) continue;
+          if (child.type === 'local_variable_declaration') this._collectDeclarators(child, source, types);
+          visit(child);
+        }
+      };
+      visit(scope.childForFieldName('body') || scope);
+      return types;
+    });
+  }
+
+  _fieldTypes(cls, source) {
+    return this._cached('fields', cls, () => {
+      const types = new Map();
+      const body = cls.childForFieldName('body');
+      for (const member of body ? body.namedChildren : []) {
+        if (member.type === 'field_declaration') this._collectDeclarators(member, source, types);
+      }
+      return types;
+    });
+  }
+
+  _collectDeclarators(decl, source, types) {
+    const typeNode = decl.childForFieldName('type');
+    for (const declarator of decl.namedChildren) {
+      if (declarator.type !== 'variable_declarator') continue;
+      const nameNode = declarator.childForFieldName('name');
+      const type = this._declaredType(typeNode, declarator, source);
+      if (nameNode && type && !types.has(this.nodeText(nameNode, source))) types.set(this.nodeText(nameNode, source), type);
+    }
+  }
 }
@@ -5,6 +5,12 @@
 import { basename } from 'node:path';
 import { LanguageExtractor } from './base.js';
 
+const _CLASS_NODES = new Set(['class_declaration', 'class', 'abstract_class_declaration']);
+const _SCOPE_NODES = new Set([
+  'function_declaration', 'generator_function_declaration', 'function_expression',
+  'function', 'arrow_function', 'method_definition', 'program',
+]);
+
 const _JS_KEYWORDS = new Set([
   'true', 'false', 'null', 'undefined', 'this', 'super', 'arguments',
   'new', 'void', 'typeof', 'instanceof', 'in', 'of', 'async', 'await',
@@ -19,12 +25,17 @@ export class JavaScriptExtractor extends LanguageExtractor {
     const symbols = [];
     this._pendingInherits = [];
     this._walkSymbols(tree.rootNode, source, filePath, symbols, null, false);
+    this._extractBarrel(tree.rootNode, source, filePath, symbols);
     return symbols;
   }
 
   extractReferences(tree, source, filePath) {
     const refs = [];
+    this._typeCache = new Map();
+    this._importBindings = this._collectImportBindings(tree.rootNode, source);
     this._walkRefs(tree.rootNode, source, refs, null);
+    this._typeCache = null;
+    this._importBindings = null;
     refs.push(...(this._pendingInherits || []));
     this._pendingInherits = [];
     return refs;
@@ -422,6 +433,31 @@ export class JavaScriptExtractor extends LanguageExtractor {
     return names;
   }
 
+  // A module that re-exports names gets a symbol of its own, spanning the
+  // file, for its reexport references to run from: named after the file, or
+  // after its directory for an index barrel
+  _extractBarrel(root, source, filePath, symbols) {
+    if (!root.children.some(c => c.type === 'export_statement' && this._isReexport(c, source))) return;
+    const parts = filePath.replace(/\\/g, '/').split('/');
+    let name = parts[parts.length - 1].replace(/\.[^.]+$/, '');
+    if (name === 'index' && parts.length > 1) name = parts[parts.length - 2];
+    symbols.push(this.makeSymbol(name, 'module', 1, root.endPosition.row + 1));
+  }
+
+  // `export ... from '...'`, or a local `export { a as b }`
+  _isReexport(node, source) {
+    if (node.childForFieldName('source')) return true;
+    const clause = node.children.find(c => c.type === 'export_clause');
+    return Boolean(clause && clause.children.some(spec => this._renamedExport(spec, source)));
+  }
+
+  // A local export under another name: a default export names nothing to bind
+  _renamedExport(spec, source) {
+    if (spec.type !== 'export_specifier') return false;
+    const alias = spec.childForFieldName('alias');
+    return Boolean(alias && this.nodeText(alias, source) !== 'default');
+  }
+
   // ---- Reference extraction ----
 
   _walkRefs(node, source, refs, scopeName) {
@@ -429,6 +465,7 @@ export class JavaScriptExtractor extends LanguageExtractor {
       if (child.type === 'import_statement') {
         this._extractEsmImport(child, source, refs, scopeName);
       } else if (child.type === 'export_statement') {
+        this._extractReexports(child, source, refs);
         this._walkRefs(child, source, refs, scopeName);
       } else if (child.type === 'call_expression') {
         this._extractCall(child, source, refs, scopeName);
@@ -471,6 +508,70 @@ export class JavaScriptExtractor extends LanguageExtractor {
     }
   }
 
+  // Re-exports become `reexport` references: the target is the name in the
+  // module it comes from (`*` for all of them), the source the name it is
+  // exported as (`*` for a plain `export *`)
+  _extractReexports(node, source, refs) {
+    if (!this._isReexport(node, source)) return;
+    const sourceNode = node.childForFieldName('source');
+    const importPath = sourceNode ? this.nodeText(sourceNode, source).replace(/^['"]|['"]$/g, '') : null;
+    const line = node.startPosition.row + 1;
+    for (const child of node.children) {
+      if (child.type === '*' && importPath) {
+        refs.push(this.makeReference('*', 'reexport', line, { sourceName: '*', importPath }));
+      } else if (child.type === 'namespace_export' && importPath) {
+        const alias = child.children.find(c => c.type === 'identifier' || c.type === 'string');
+        if (alias) {
+          refs.push(this.makeReference('*', 'reexport', line,
+            { sourceName: this.nodeText(alias, source).replace(/^['"]|['"]$/g, ''), importPath }));
+        }
+      } else if (child.type === 'export_clause') {
+        for (const spec of child.children) {
+          if (spec.type !== 'export_specifier') continue;
+          const nameNode = spec.childForFieldName('name');
+          const aliasNode = spec.childForFieldName('alias');
+          if (!nameNode || (!importPath && !this._renamedExport(spec, source))) continue;
+          const name = this.nodeText(nameNode, source);
+          const alias = aliasNode ? this.nodeText(aliasNode, source) : name;
+          // A renamed import passes on the name of the module it came from
+          const imported = importPath ? null : this._importBindings?.get(name);
+          refs.push(imported
+            ? this.makeReference(imported.name, 'reexport', line, { sourceName: alias, importPath: imported.importPath })
+            : this.makeReference(name, 'reexport', line, { sourceName: alias, importPath }));
+        }
+      }
+    }
+  }
+
+  // Local name -> the name and module it is imported from (`*` for a namespace)
+  _collectImportBindings(root, source) {
+    const bindings = new Map();
+    for (const node of root.children) {
+      if (node.type !== 'import_statement') continue;
+      const sourceNode = node.childForFieldName('source');
+      const clause = node.children.find(c => c.type === 'import_clause');
+      if (!sourceNode || !clause) continue;
+      const importPath = this.nodeText(sourceNode, source).replace(/^['"]|['"]$/g, '');
+      for (const sub of clause.children) {
+        if (sub.type === 'identifier') {
+          bindings.set(this.nodeText(sub, source), { name: 'default', importPath });
+        } else if (sub.type === 'namespace_import') {
+          const id = sub.children.find(c => c.type === 'identifier');
+          if (id) bindings.set(this.nodeText(id, source), { name: '*', importPath });
+        } else if (sub.type === 'named_imports') {
+          for (const spec of sub.children) {
+            if (spec.type !== 'import_specifier') continue;
+            const nameNode = spec.childForFieldName('name');
+            const aliasNode = spec.childForFieldName('alias');
+            if (!nameNode) continue;
+            bindings.set(this.nodeText(aliasNode || nameNode, source), { name: this.nodeText(nameNode, source), importPath });
+          }
+        }
+      }
+    }
+    return bindings;
+  }
+
   _resolveSalesforceImport(path) {
     if (!path.startsWith('@salesforce/')) return null;
     const rest = path.slice('@salesforce/'.length);
@@ -535,9 +636,11 @@ export class JavaScriptExtractor extends LanguageExtractor {
     if (!funcNode) return;
 
     let name;
+    let receiverType = null;
     if (funcNode.type === 'member_expression') {
       const prop = funcNode.childForFieldName('property');
       name = prop ? this.nodeText(prop, source) : this.nodeText(funcNode, source);
+      receiverType = this._receiverType(funcNode.childForFieldName('object'), source);
     } else {
       name = this.nodeText(funcNode, source);
     }
@@ -561,7 +664,7 @@ export class JavaScriptExtractor extends LanguageExtractor {
     }
 
     refs.push(this.makeReference(name, 'call',
-      node.startPosition.row + 1, { sourceName: scopeName }));
+      node.startPosition.row + 1, { sourceName: scopeName, receiverType }));
 
     const args = node.childForFieldName('arguments');
     if (args) this._walkRefs(args, source, refs, scopeName);
@@ -585,4 +688,130 @@ export class JavaScriptExtractor extends LanguageExtractor {
     const args = node.childForFieldName('arguments');
     if (args) this._walkRefs(args, source, refs, scopeName);
   }
+
+  // ---- Receiver types ----
+
+  /**
+   * Class a method call's receiver is an instance of: `this`, a `this.x` field
+   * or a local variable whose type is annotated or constructed with `new`.
+   */
+  _receiverType(objNode, source) {
+    if (!objNode || !this._typeCache) return null;
+    if (objNode.type === 'this') {
+      const cls = this.ancestor(objNode, _CLASS_NODES);
+      const nameNode = cls && cls.childForFieldName('name');
+      return nameNode ? this.nodeText(nameNode, source) : null;
+    }
+    if (objNode.type === 'member_expression') {
+      const obj = objNode.childForFieldName('object');
+      const prop = objNode.childForFieldName('property');
+      if (!obj || obj.type !== 'this' || !prop) return null;
+      const cls = this.ancestor(objNode, _CLASS_NODES);
+      return cls ? this._fieldTypes(cls, source).get(this.nodeText(prop, source)) || null : null;
+    }
+    if (objNode.type === 'identifier') {
+      const name = this.nodeText(objNode, source);
+      for (let scope = this.ancestor(objNode, _SCOPE_NODES); scope; scope = this.ancestor(scope, _SCOPE_NODES)) {
+        const type = this._localTypes(scope, source).get(name);
+        if (type) return type;
+      }
+    }
+    return null;
+  }
+
+  _cached(kind, node, build) {
+    const key = `${kind}:${node.startIndex}:${node.endIndex}`;
+    if (!this._typeCache.has(key)) this._typeCache.set(key, build());
+    return this._typeCache.get(key);
+  }
+
+  // Type named by an annotation (`: Repo`) or a construction (`new Repo()`)
+  _declaredType(typeNode, valueNode, source) {
+    if (typeNode) return this.typeName(this.nodeText(typeNode, source));
+    if (valueNode && valueNode.type === 'new_expression') {
+      const ctor = valueNode.childForFieldName('constructor');
+      return ctor ? this.typeName(this.nodeText(ctor, source)) : null;
+    }
+    return null;
+  }
+
+  // Variables and parameters a scope declares, with their types
+  _localTypes(scope, source) {
+    return this._cached('locals', scope, () => {
+      const types = new Map();
+      const params = scope.childForFieldName('parameters');
+      for (const param of params ? params.namedChildren : []) {
+        const pattern = param.childForFieldName('pattern');
+        const type = this._declaredType(param.childForFieldName('type'), null, source);
+        if (pattern && pattern.type === 'identifier' && type) types.set(this.nodeText(pattern, source), type);
+      }
+      const visit = (node) => {
+        for (const child of node.namedChildren) {
+          if (_SCOPE_NODES.has(child.type) || _CLASS_NODES.has(child.type)) continue;
+          if (child.type === 'variable_declarator') {
+            const nameNode = child.childForFieldName('name');
+            const type = this._declaredType(child.childForFieldName('type'), child.childForFieldName('value'), source);
+            if (nameNode && nameNode.type === 'identifier' && type && !types.has(this.nodeText(nameNode, source))) {
+              types.set(this.nodeText(nameNode, source), type);
+            }
+          }
+          visit(child);
+        }
+      };
+      visit(scope.childForFieldName('body') || scope);
+      return types;
+    });
+  }
+
+  // Fields of a class: declared, constructor parameter properties and `this.x = ...`
+  _fieldTypes(cls, source) {
+    return this._cached('fields', cls, () => {
+      const types = new Map();
+      const body = cls.childForFieldName('body');
+      for (const member of body ? body.namedChildren : []) {
+        if (member.type === 'public_field_definition' || member.type === 'field_definition') {
+          const nameNode = member.childForFieldName('name') || member.childForFieldName('property');
+          const type = this._declaredType(member.childForFieldName('type'), member.childForFieldName('value'), source);
+          if (nameNode && type) types.set(this.nodeText(nameNode, source), type);
+        } else if (member.type === 'method_definition') {
+          const nameNode = member.childForFieldName('name');
+          const params = member.childForFieldName('parameters');
+          if (!nameNode || this.nodeText(nameNode, source) !== 'constructor' || !params) continue;
+          for (const param of params.namedChildren) {
+            if (!param.children.some(c => c.type === 'accessibility_modifier' || c.type === 'readonly')) continue;
+            const pattern = param.childForFieldName('pattern');
+            const type = this._declaredType(param.childForFieldName('type'), null, source);
+            if (pattern && type) types.set(this.nodeText(pattern, source), type);
+          }
+        }
+      }
+      const visit = (node) => {
+        for (const child of node.namedChildren) {
+          if (_CLASS_NODES.has(child.type)) continue;
+          if (child.type === 'assignment_expression') this._fieldAssignment(child, source, types);
+          visit(child);
+        }
+      };
+      if (body) visit(body);
+      return types;
+    });
+  }
+
+  // `this.x = new T()`, or `this.x = param` for a typed parameter
+  _fieldAssignment(node, source, types) {
+    const left = node.childForFieldName('left');
+    const right = node.childForFieldName('right');
+    if (!left || !right || left.type !== 'member_expression') return;
+    const obj = left.childForFieldName('object');
+    const prop = left.childForFieldName('property');
+    if (!obj || obj.type !== 'this' || !prop) return;
+    const field = this.nodeText(prop, source);
+    if (types.has(field)) return;
+    let type = this._declaredType(null, right, source);
+    if (!type && right.type === 'identifier') {
+      const scope = this.ancestor(node, _SCOPE_NODES);
+      type = scope ? this._localTypes(scope, source).get(this.nodeText(right, source)) : null;
+    }
+    if (type) types.set(field, type);
+  }
 }
@@ -0,0 +1,557 @@
+/**
+ * PHP symbol and reference extractor.
+ *
+ * Classes, interfaces, traits, enums and functions are qualified by their
+ * namespace (`App\Http\Controllers\UserController`), members with `::`
+ * (`App\Models\User::save`, `App\Models\User::$name`). Class names in code
+ * are resolved through the file's `use` imports to the fully qualified name,
+ * which references carry as their import path for the PSR-4 resolver.
+ */
+
+import { LanguageExtractor } from './base.js';
+
+const _TYPE_KINDS = {
+  class_declaration: 'class',
+  interface_declaration: 'interface',
+  trait_declaration: 'trait',
+  enum_declaration: 'enum',
+};
+const _FUNCTION_NODES = new Set(['method_declaration', 'function_definition', 'anonymous_function', 'arrow_function']);
+const _MODIFIERS = new Set([
+  'visibility_modifier', 'static_modifier', 'abstract_modifier', 'final_modifier', 'readonly_modifier',
+]);
+const _RELATIVE = new Set(['self', 'static', 'parent']);
+
+export class PhpExtractor extends LanguageExtractor {
+  get languageName() { return 'php'; }
+  get fileExtensions() { return ['.php']; }
+
+  extractSymbols(tree, source, filePath) {
+    const symbols = [];
+    this._namespace = '';
+    this._walkSymbols(tree.rootNode, source, symbols, null);
+    return symbols;
+  }
+
+  extractReferences(tree, source, filePath) {
+    const refs = [];
+    this._namespace = '';
+    this._uses = { class: new Map(), function: new Map(), const: new Map() };
+    this._typeCache = new Map();
+    this._walkRefs(tree.rootNode, source, refs, { cls: null, parent: null, func: null });
+    this._typeCache = null;
+    return refs;
+  }
+
+  getDocstring(node, source) {
+    const prev = node.previousNamedSibling;
+    if (prev && prev.type === 'comment') {
+      let text = this.nodeText(prev, source).trim();
+      if (text.startsWith('/**')) {
+        text = text.slice(3);
+        if (text.endsWith('*/')) text = text.slice(0, -2);
+        return text.trim() || null;
+      }
+    }
+    return null;
+  }
+
+  _qualify(name) {
+    return this._namespace ? `${this._namespace}\\${name}` : name;
+  }
+
+  _getVisibility(node, source) {
+    for (const child of node.children) {
+      if (child.type === 'visibility_modifier') return this.nodeText(child, source);
+    }
+    return 'public';
+  }
+
+  _modifiers(node, source) {
+    return node.children.filter(c => _MODIFIERS.has(c.type)).map(c => this.nodeText(c, source)).join(' ');
+  }
+
+  // ---- Symbol extraction ----
+
+  _walkSymbols(node, source, symbols, parentName) {
+    for (const child of node.namedChildren) {
+      if (child.type === 'namespace_definition') {
+        this._extractNamespace(child, source, symbols);
+      } else if (_TYPE_KINDS[child.type]) {
+        this._extractType(child, source, symbols);
+      } else if (child.type === 'function_definition') {
+        this._extractFunction(child, source, symbols);
+      } else if (child.type === 'method_declaration') {
+        this._extractMethod(child, source, symbols, parentName);
+      } else if (child.type === 'property_declaration') {
+        this._extractProperty(child, source, symbols, parentName);
+      } else if (child.type === 'const_declaration') {
+        this._extractConstants(child, source, symbols, parentName);
+      } else if (child.type === 'enum_case' && parentName) {
+        const nameNode = child.childForFieldName('name');
+        if (nameNode) {
+          const name = this.nodeText(nameNode, source);
+          symbols.push(this.makeSymbol(name, 'constant', child.startPosition.row + 1, child.endPosition.row + 1, {
+            qualifiedName: `${parentName}::${name}`,
+            signature: this.getSignature(child, source).replace(/;$/, ''),
+            isExported: true,
+            parentName,
+          }));
+        }
+      } else if (!parentName && !_FUNCTION_NODES.has(child.type)) {
+        // Functions declared conditionally: `if (!function_exists('x')) { function x() {} }`
+        this._walkSymbols(child, source, symbols, null);
+      }
+    }
+  }
+
+  _extractNamespace(node, source, symbols) {
+    const nameNode = node.childForFieldName('name');
+    this._namespace = nameNode ? this.nodeText(nameNode, source) : '';
+    if (nameNode) {
+      symbols.push(this.makeSymbol(this._namespace, 'module', node.startPosition.row + 1, node.startPosition.row + 1, {
+        signature: `namespace ${this._namespace}`,
+        isExported: true,
+      }));
+    }
+    const body = node.childForFieldName('body');
+    if (body) this._walkSymbols(body, source, symbols, null);
+  }
+
+  _extractType(node, source, symbols) {
+    const nameNode = node.childForFieldName('name');
+    if (!nameNode) return;
+    const name = this.nodeText(nameNode, source);
+    const kind = _TYPE_KINDS[node.type];
+    const qualified = this._qualify(name);
+
+    let sig = `${kind} ${name}`;
+    const modifiers = this._modifiers(node, source);
+    if (modifiers) sig = `${modifiers} ${sig}`;
+    for (const child of node.namedChildren) {
+      if (child.type === 'base_clause' || child.type === 'class_interface_clause') sig += ` ${this.nodeText(child, source)}`;
+    }
+
+    symbols.push(this.makeSymbol(name, kind, node.startPosition.row + 1, node.endPosition.row + 1, {
+      qualifiedName: qualified,
+      signature: sig,
+      docstring: this.getDocstring(node, source),
+      isExported: true,
+    }));
+
+    const body = node.childForFieldName('body');
+    if (body) this._walkSymbols(body, source, symbols, qualified);
+  }
+
+  _functionSignature(node, source, name) {
+    const params = node.childForFieldName('parameters');
+    const ret = node.childForFieldName('return_type');
+    let sig = `function ${name}${params ? this.nodeText(params, source) : '()'}`;
+    if (ret) sig += `: ${this.nodeText(ret, source)}`;
+    const modifiers = this._modifiers(node, source);
+    return modifiers ? `${modifiers} ${sig}` : sig;
+  }
+
+  _extractFunction(node, source, symbols) {
+    const nameNode = node.childForFieldName('name');
+    if (!nameNode) return;
+    const name = this.nodeText(nameNode, source);
+    symbols.push(this.makeSymbol(name, 'function', node.startPosition.row + 1, node.endPosition.row + 1, {
+      qualifiedName: this._qualify(name),
+      signature: this._functionSignature(node, source, name),
+      docstring: this.getDocstring(node, source),
+      isExported: true,
+    }));
+  }
+
+  _extractMethod(node, source, symbols, parentName) {
+    const nameNode = node.childForFieldName('name');
+    if (!nameNode || !parentName) return;
+    const name = this.nodeText(nameNode, source);
+    const vis = this._getVisibility(node, source);
+    symbols.push(this.makeSymbol(name, name === '__construct' ? 'constructor' : 'method',
+      node.startPosition.row + 1, node.endPosition.row + 1, {
+        qualifiedName: `${parentName}::${name}`,
+        signature: this._functionSignature(node, source, name),
+        docstring: this.getDocstring(node, source),
+        visibility: vis,
+        isExported: vis === 'public',
+        parentName,
+      }));
+
+    // Constructor property promotion: `public function __construct(private Mailer $mailer)`
+    const params = node.childForFieldName('parameters');
+    for (const param of params ? params.namedChildren : []) {
+      if (param.type !== 'property_promotion_parameter') continue;
+      const varNode = param.childForFieldName('name');
+      if (!varNode) continue;
+      const prop = this.nodeText(varNode, source);
+      const visNode = param.childForFieldName('visibility');
+      const propVis = visNode ? this.nodeText(visNode, source) : 'public';
+      symbols.push(this.makeSymbol(prop, 'property', param.startPosition.row + 1, param.endPosition.row + 1, {
+        qualifiedName: `${parentName}::${prop}`,
+        signature: this.nodeText(param, source),
+        visibility: propVis,
+        isExported: propVis === 'public',
+        parentName,
+      }));
+    }
+  }
+
+  _extractProperty(node, source, symbols, parentName) {
+    if (!parentName) return;
+    const vis = this._getVisibility(node, source);
+    const typeNode = node.childForFieldName('type');
+    const prefix = [this._modifiers(node, source), typeNode ? this.nodeText(typeNode, source) : ''].filter(Boolean).join(' ');
+    for (const element of node.namedChildren) {
+      if (element.type !== 'property_element') continue;
+      const varNode = element.childForFieldName('name');
+      if (!varNode) continue;
+      const name = this.nodeText(varNode, source);
+      const value = element.childForFieldName('default_value');
+      symbols.push(this.makeSymbol(name, 'property', node.startPosition.row + 1, node.endPosition.row + 1, {
+        qualifiedName: `${parentName}::${name}`,
+        signature: prefix ? `${prefix} ${name}` : name,
+        docstring: this.getDocstring(node, source),
+        visibility: vis,
+        isExported: vis === 'public',
+        parentName,
+        defaultValue: value ? this.nodeText(value, source) : null,
+      }));
+    }
+  }
+
+  _extractConstants(node, source, symbols, parentName) {
+    const vis = this._getVisibility(node, source);
+    for (const element of node.namedChildren) {
+      if (element.type !== 'const_element') continue;
+      const nameNode = element.namedChildren.find(c => c.type === 'name');
+      if (!nameNode) continue;
+      const name = this.nodeText(nameNode, source);
+      symbols.push(this.makeSymbol(name, 'constant', node.startPosition.row + 1, node.endPosition.row + 1, {
+        qualifiedName: parentName ? `${parentName}::${name}` : this._qualify(name),
+        signature: `const ${this.nodeText(element, source)}`,
+        docstring: this.getDocstring(node, source),
+        visibility: vis,
+        isExported: vis === 'public',
+        parentName,
+      }));
+    }
+  }
+
+  // ---- Name resolution ----
+
+  /**
+   * Fully qualified name of a class as written, by PHP's rules: a leading
+   * backslash is absolute, a first segment matching a `use` alias expands to
+   * the imported name, anything else is relative to the current namespace.
+   */
+  _className(text, ctx) {
+    if (text.startsWith('\\')) return text.slice(1);
+    if (text === 'self' || text === 'static') return ctx.cls;
+    if (text === 'parent') return ctx.parent;
+    const [first, ...rest] = text.split('\\');
+    const imported = this._uses.class.get(first.toLowerCase());
+    if (imported) return [imported, ...rest].join('\\');
+    return this._qualify(text);
+  }
+
+  // Unqualified function calls fall back to the global function at runtime
+  _functionName(text) {
+    if (text.startsWith('\\')) return text.slice(1);
+    if (!text.includes('\\')) return this._uses.function.get(text.toLowerCase()) || text;
+    const [first, ...rest] = text.split('\\');
+    const imported = this._uses.class.get(first.toLowerCase());
+    return imported ? [imported, ...rest].join('\\') : this._qualify(text);
+  }
+
+  _classRef(nameNode, kind, source, refs, ctx) {
+    const cls = this._className(this.nodeText(nameNode, source), ctx);
+    if (!cls) return;
+    refs.push(this.makeReference(cls, kind, nameNode.startPosition.row + 1, { sourceName: ctx.func || ctx.cls, importPath: cls }));
+  }
+
+  // ---- Reference extraction ----
+
+  _walkRefs(node, source, refs, ctx) {
+    for (const child of node.namedChildren) this._visitRef(child, source, refs, ctx);
+  }
+
+  _visitRef(node, source, refs, ctx) {
+    const sourceName = ctx.func || ctx.cls;
+    const line = node.startPosition.row + 1;
+
+    switch (node.type) {
+      case 'namespace_definition': {
+        const nameNode = node.childForFieldName('name');
+        this._namespace = nameNode ? this.nodeText(nameNode, source) : '';
+        this._uses = { class: new Map(), function: new Map(), const: new Map() };
+        const body = node.childForFieldName('body');
+        if (body) this._walkRefs(body, source, refs, ctx);
+        return;
+      }
+      case 'namespace_use_declaration':
+        this._extractUse(node, source, refs, ctx);
+        return;
+      case 'class_declaration':
+      case 'interface_declaration':
+      case 'trait_declaration':
+      case 'enum_declaration': {
+        const nameNode = node.childForFieldName('name');
+        if (!nameNode) return;
+        const cls = this._qualify(this.nodeText(nameNode, source));
+        const base = node.namedChildren.find(c => c.type === 'base_clause');
+        const parentNode = base && base.namedChildren[0];
+        const inner = { cls, parent: parentNode ? this._className(this.nodeText(parentNode, source), ctx) : null, func: null };
+        for (const child of node.namedChildren) {
+          if (child.type !== 'base_clause' && child.type !== 'class_interface_clause') continue;
+          // An interface's `extends` lists the interfaces it inherits
+          const kind = child.type === 'base_clause' ? 'inherits' : 'implements';
+          for (const n of child.namedChildren) this._classRef(n, kind, source, refs, inner);
+        }
+        const body = node.childForFieldName('body');
+        if (body) this._walkRefs(body, source, refs, inner);
+        return;
+      }
+      case 'use_declaration':
+        // Traits a class uses; the `{ ... insteadof ... }` list only picks among them
+        for (const n of node.namedChildren) {
+          if (n.type === 'name' || n.type === 'qualified_name') this._classRef(n, 'uses_trait', source, refs, ctx);
+        }
+        return;
+      case 'method_declaration':
+      case 'function_definition': {
+        const nameNode = node.childForFieldName('name');
+        if (!nameNode) return;
+        const name = this.nodeText(nameNode, source);
+        const func = ctx.cls ? `${ctx.cls}::${name}` : this._qualify(name);
+        this._walkRefs(node, source, refs, { ...ctx, func });
+        return;
+      }
+      case 'named_type': {
+        // Parameter, return, property and caught exception types
+        const nameNode = node.namedChildren[0];
+        if (nameNode && !_RELATIVE.has(this.nodeText(nameNode, source))) this._classRef(nameNode, 'reference', source, refs, ctx);
+        return;
+      }
+      case 'object_creation_expression': {
+        const nameNode = node.namedChildren[0];
+        if (nameNode && (nameNode.type === 'name' || nameNode.type === 'qualified_name')) {
+          this._classRef(nameNode, 'call', source, refs, ctx);
+          this._walkRefs(node, source, refs, ctx);
+          return;
+        }
+        break;
+      }
+      case 'function_call_expression': {
+        const fn = node.childForFieldName('function');
+        if (fn && (fn.type === 'name' || fn.type === 'qualified_name')) {
+          refs.push(this.makeReference(this._functionName(this.nodeText(fn, source)), 'call', line, { sourceName }));
+          const args = node.childForFieldName('arguments');
+          if (args) this._walkRefs(args, source, refs, ctx);
+          return;
+        }
+        break;
+      }
+      case 'scoped_call_expression':
+        this._extractStaticCall(node, source, refs, ctx);
+        return;
+      case 'member_call_expression':
+      case 'nullsafe_member_call_expression': {
+        const obj = node.childForFieldName('object');
+        const nameNode = node.childForFieldName('name');
+        if (obj && nameNode && nameNode.type === 'name') {
+          refs.push(this.makeReference(`${this.nodeText(obj, source)}->${this.nodeText(nameNode, source)}`, 'call', line, {
+            sourceName, receiverType: this._receiverType(obj, source, ctx),
+          }));
+          this._visitRef(obj, source, refs, ctx);
+          const args = node.childForFieldName('arguments');
+          if (args) this._walkRefs(args, source, refs, ctx);
+          return;
+        }
+        break;
+      }
+      case 'class_constant_access_expression':
+      case 'scoped_property_access_expression': {
+        // `User::class`, `Status::Open`, `Config::$cache`
+        const scope = node.namedChildren[0];
+        if (scope && (scope.type === 'name' || scope.type === 'qualified_name' || scope.type === 'relative_scope')) {
+          const cls = this._className(this.nodeText(scope, source), ctx);
+          const member = node.namedChildren[1];
+          const memberName = member ? this.nodeText(member, source) : 'class';
+          if (cls) {
+            refs.push(this.makeReference(memberName === 'class' || node.type === 'scoped_property_access_expression' ? cls : `${cls}::${memberName}`,
+              'reference', line, { sourceName, importPath: cls }));
+          }
+          return;
+        }
+        break;
+      }
+      case 'binary_expression': {
+        // `$x instanceof User`
+        const right = node.childForFieldName('right');
+        const operator = node.childForFieldName('operator');
+        if (right && operator && operator.type === 'instanceof' && (right.type === 'name' || right.type === 'qualified_name')) {
+          this._visitRef(node.childForFieldName('left'), source, refs, ctx);
+          this._classRef(right, 'reference', source, refs, ctx);
+          return;
+        }
+        break;
+      }
+      default:
+        break;
+    }
+    this._walkRefs(node, source, refs, ctx);
+  }
+
+  _extractUse(node, source, refs, ctx) {
+    const kind = node.children.some(c => c.type === 'function') ? 'function'
+      : node.children.some(c => c.type === 'const') ? 'const' : 'class';
+    const group = node.childForFieldName('body');
+    const prefixNode = group ? node.namedChildren.find(c => c.type === 'namespace_name') : null;
+    const prefix = prefixNode ? this.nodeText(prefixNode, source).replace(/^\\/, '') : '';
+    for (const clause of (group || node).namedChildren) {
+      if (clause.type !== 'namespace_use_clause') continue;
+      const target = clause.namedChildren.find(c => c.type === 'name' || c.type === 'qualified_name');
+      if (!target) continue;
+      const name = this.nodeText(target, source).replace(/^\\/, '');
+      const full = prefix ? `${prefix}\\${name}` : name;
+      const aliasNode = clause.childForFieldName('alias');
+      const alias = aliasNode ? this.nodeText(aliasNode, source) : full.split('\\').pop();
+      // Group uses may mark each clause: `use App\{function f, const C}`
+      const clauseKind = clause.children.some(c => c.type === 'function') ? 'function'
+        : clause.children.some(c => c.type === 'const') ? 'const' : kind;
+      this._uses[clauseKind].set(alias.toLowerCase(), full);
+      refs.push(this.makeReference(full, 'import', clause.startPosition.row + 1, {
+        sourceName: ctx.func || ctx.cls, importPath: full,
+      }));
+    }
+  }
+
+  _extractStaticCall(node, source, refs, ctx) {
+    const scope = node.childForFieldName('scope');
+    const nameNode = node.childForFieldName('name');
+    const args = node.childForFieldName('arguments');
+    const line = node.startPosition.row + 1;
+    const sourceName = ctx.func || ctx.cls;
+    if (scope && nameNode && nameNode.type === 'name') {
+      const method = this.nodeText(nameNode, source);
+      const scopeText = this.nodeText(scope, source);
+      if (scopeText === 'parent') {
+        // The parent's implementation, or one it inherits
+        refs.push(this.makeReference(`${ctx.parent || 'parent'}::${method}`, 'call', line, {
+          sourceName, importPath: ctx.parent, receiverType: ctx.parent,
+        }));
+      } else if (scope.type === 'relative_scope' || scope.type === 'name' || scope.type === 'qualified_name') {
+        const cls = this._className(scopeText, ctx);
+        if (cls) {
+          refs.push(this.makeReference(`${cls}::${method}`, 'call', line, {
+            sourceName, importPath: scope.type === 'relative_scope' ? null : cls, receiverType: cls,
+          }));
+        }
+      } else {
+        refs.push(this.makeReference(`${scopeText}::${method}`, 'call', line, { sourceName }));
+        this._visitRef(scope, source, refs, ctx);
+      }
+    }
+    if (args) this._walkRefs(args, source, refs, ctx);
+  }
+
+  // ---- Receiver types ----
+
+  /**
+   * Fully qualified class a method call's receiver is an instance of: the
+   * enclosing class for `$this`, else the declared type of a parameter or
+   * property or the class a variable was assigned with `new`.
+   */
+  _receiverType(obj, source, ctx) {
+    if (!this._typeCache) return null;
+    if (obj.type === 'variable_name') {
+      const name = this.nodeText(obj, source);
+      if (name === '$this') return ctx.cls;
+      const func = this.ancestor(obj, _FUNCTION_NODES);
+      return func ? this._localTypes(func, source, ctx).get(name) || null : null;
+    }
+    if (obj.type === 'member_access_expression') {
+      const inner = obj.childForFieldName('object');
+      const prop = obj.childForFieldName('name');
+      if (inner && prop && this.nodeText(inner, source) === '$this') {
+        const cls = this.ancestor(obj, new Set(Object.keys(_TYPE_KINDS)));
+        return cls ? this._propertyTypes(cls, source, ctx).get(`$${this.nodeText(prop, source)}`) || null : null;
+      }
+    }
+    return null;
+  }
+
+  _cached(kind, node, build) {
+    const key = `${kind}:${node.startIndex}:${node.endIndex}`;
+    if (!this._typeCache.has(key)) this._typeCache.set(key, build());
+    return this._typeCache.get(key);
+  }
+
+  // The class a type hint names, or null for builtins and unions
+  _hintedType(typeNode, source, ctx) {
+    if (!typeNode) return null;
+    const named = typeNode.type === 'optional_type' ? typeNode.namedChildren[0] : typeNode;
+    if (!named || named.type !== 'named_type') return null;
+    return this._className(this.nodeText(named, source), ctx);
+  }
+
+  // Typed parameters and variables assigned with `new`
+  _localTypes(func, source, ctx) {
+    return this._cached('locals', func, () => {
+      const types = new Map();
+      const params = func.childForFieldName('parameters');
+      for (const param of params ? params.namedChildren : []) {
+        const nameNode = param.childForFieldName('name');
+        const type = this._hintedType(param.childForFieldName('type'), source, ctx);
+        if (nameNode && type) types.set(this.nodeText(nameNode, source), type);
+      }
+      const visit = (node) => {
+        for (const child of node.namedChildren) {
+          if (_FUNCTION_NODES.has(child.type)) continue;
+          if (child.type === 'assignment_expression') {
+            const left = child.childForFieldName('left');
+            const right = child.childForFieldName('right');
+            const created = right && right.type === 'object_creation_expression' ? right.namedChildren[0] : null;
+            if (left && left.type === 'variable_name' && created && (created.type === 'name' || created.type === 'qualified_name')) {
+              const cls = this._className(this.nodeText(created, source), ctx);
+              const name = this.nodeText(left, source);
+              if (cls && !types.has(name)) types.set(name, cls);
+            }
+          }
+          visit(child);
+        }
+      };
+      const body = func.childForFieldName('body');
+      if (body) visit(body);
+      return types;
+    });
+  }
+
+  // Declared types of a class's properties, promoted constructor parameters included
+  _propertyTypes(cls, source, ctx) {
+    return this._cached('properties', cls, () => {
+      const types = new Map();
+      const body = cls.childForFieldName('body');
+      for (const member of body ? body.namedChildren : []) {
+        if (member.type === 'property_declaration') {
+          const type = this._hintedType(member.childForFieldName('type'), source, ctx);
+          for (const element of member.namedChildren) {
+            const nameNode = element.type === 'property_element' ? element.childForFieldName('name') : null;
+            if (nameNode && type) types.set(this.nodeText(nameNode, source), type);
+          }
+        } else if (member.type === 'method_declaration') {
+          const params = member.childForFieldName('parameters');
+          for (const param of params ? params.namedChildren : []) {
+            if (param.type !== 'property_promotion_parameter') continue;
+            const nameNode = param.childForFieldName('name');
+            const type = this._hintedType(param.childForFieldName('type'), source, ctx);
+            if (nameNode && type) types.set(this.nodeText(nameNode, source), type);
+          }
+        }
+      }
+      return types;
+    });
+  }
+}
@@ -0,0 +1,236 @@
+/**
+ * Third-party extractor plugins: languages roam does not ship, added without
+ * forking it.
+ *
+ * A plugin is an ES module whose default export is one plugin definition or
+ * an array of them:
+ *   {
+ *     language: 'mydsl',             // new language name
+ *     extensions: ['.dsl'],          // file extensions it claims
+ *     grammar: 'tree-sitter-mydsl',  // optional tree-sitter grammar package,
+ *                                    //   resolved from the plugin file
+ *     extractor: MyDslExtractor,     // LanguageExtractor subclass, or a factory
+ *   }                                //   ({ LanguageExtractor }) => subclass
+ *
+ * Without a grammar the extractor gets a null tree and the file's source, like
+ * the regex-only built-ins. Plugins are found, in this order, in the project
+ * config's `extractors` list (paths starting with ./ relative to the root, or
+ * package names), as `roam-extractor-*` packages in the project's
+ * node_modules, and as `.roam/extractors/*.js` files.
+ */
+
+import { existsSync, readdirSync, readFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import { isAbsolute, join, resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { LanguageExtractor } from './base.js';
+
+export const PLUGIN_DIR = '.roam/extractors';
+export const PLUGIN_PACKAGE_PREFIX = 'roam-extractor-';
+
+const _LANGUAGE_RE = /^[a-z][a-z0-9_]*$/;
+const _EXTENSION_RE = /^\.[\w.-]+$/;
+const _REQUIRED_METHODS = ['extractSymbols', 'extractReferences'];
+
+// Entry module of an installed package, from its package.json
+function packageEntry(dir) {
+  let pkg;
+  try {
+    pkg = JSON.parse(readFileSync(join(dir, 'package.json'), 'utf-8'));
+  } catch {
+    return null;
+  }
+  let entry = pkg.exports;
+  if (entry && typeof entry === 'object' && '.' in entry) entry = entry['.'];
+  if (entry && typeof entry === 'object') entry = entry.import ?? entry.default ?? entry.node ?? entry.require;
+  return join(dir, typeof entry === 'string' ? entry : (pkg.main || 'index.js'));
+}
+
+// roam-extractor-* and @scope/roam-extractor-* package names in node_modules
+function pluginPackages(root) {
+  const modules = join(root, 'node_modules');
+  const names = [];
+  let entries;
+  try {
+    entries = readdirSync(modules).sort();
+  } catch {
+    return names;
+  }
+  for (const name of entries) {
+    if (name.startsWith(PLUGIN_PACKAGE_PREFIX)) {
+      names.push(name);
+    } else if (name.startsWith('@')) {
+      let scoped = [];
+      try { scoped = readdirSync(join(modules, name)).sort(); } catch {}
+      for (const sub of scoped) {
+        if (sub.startsWith(PLUGIN_PACKAGE_PREFIX)) names.push(`${name}/${sub}`);
+      }
+    }
+  }
+  return names;
+}
+
+/**
+ * Locate the project's extractor plugins without loading them. A plugin that
+ * cannot be found carries the reason in `error` instead of a path.
+ * @param {string} root - Absolute project root
+ * @param {{ extractors?: string[], source?: string|null }} [config] - loadProjectConfig() result
+ * @returns {{ source: string, path: string|null, error?: string }[]}
+ */
+export function findPlugins(root, config = {}) {
+  const found = [];
+  const seen = new Set();
+  const add = (source, path, error) => {
+    if (error) {
+      found.push({ source, path: null, error });
+    } else if (!seen.has(path)) {
+      seen.add(path);
+      found.push({ source, path });
+    }
+  };
+
+  for (const entry of config.extractors || []) {
+    const source = `${config.source || 'config'} extractors: ${entry}`;
+    if (entry.startsWith('.') || isAbsolute(entry)) {
+      const path = resolve(root, entry);
+      if (existsSync(path)) add(source, path);
+      else add(source, null, 'file not found');
+    } else {
+      const path = packageEntry(join(root, 'node_modules', entry));
+      if (path) add(source, path);
+      else add(source, null, 'package not installed');
+    }
+  }
+
+  for (const name of pluginPackages(root)) {
+    const path = packageEntry(join(root, 'node_modules', name));
+    if (path) add(`package ${name}`, path);
+    else add(`package ${name}`, null, 'unreadable package.json');
+  }
+
+  let files = [];
+  try { files = readdirSync(join(root, PLUGIN_DIR)).sort(); } catch {}
+  for (const name of files) {
+    if (/\.m?js$/.test(name)) add(`${PLUGIN_DIR}/${name}`, join(root, PLUGIN_DIR, name));
+  }
+  return found;
+}
+
+// The extractor class of a plugin: the class itself, or what its factory returns
+function extractorClass(value) {
+  if (typeof value !== 'function') return null;
+  if (/^class\b/.test(Function.prototype.toString.call(value))) return value;
+  const cls = value({ LanguageExtractor });
+  return typeof cls === 'function' && cls.prototype ? cls : null;
+}
+
+function implemented(cls, method) {
+  const fn = cls.prototype[method];
+  return typeof fn === 'function' && fn !== LanguageExtractor.prototype[method];
+}
+
+/**
+ * Check a plugin definition and normalize it for registration.
+ * @param {object} def - A plugin module's export
+ * @param {string} path - The plugin module, which its grammar is resolved from
+ * @param {object} [taken]
+ * @param {Set<string>} [taken.languages] - Language names already in use
+ * @param {Record<string, string>} [taken.extensions] - Extension -> language already mapped
+ * @returns {{ language: string, extensions: string[], grammar: string|null, Extractor: Function }}
+ * @throws {Error} naming what is wrong with the definition
+ */
+export function validatePlugin(def, path, { languages = new Set(), extensions = {} } = {}) {
+  if (!def || typeof def !== 'object') throw new Error('plugin must export an object');
+  const { language } = def;
+  if (typeof language !== 'string' || !_LANGUAGE_RE.test(language)) {
+    throw new Error(`invalid language name ${JSON.stringify(language)}`);
+  }
+  if (languages.has(language)) throw new Error(`${language}: language is already registered`);
+
+  if (!Array.isArray(def.extensions) || !def.extensions.length) {
+    throw new Error(`${language}: extensions must be a non-empty array`);
+  }
+  const exts = [];
+  for (const ext of def.extensions) {
+    if (typeof ext !== 'string' || !_EXTENSION_RE.test(ext)) {
+      throw new Error(`${language}: invalid extension ${JSON.stringify(ext)}`);
+    }
+    const lower = ext.toLowerCase();
+    if (extensions[lower]) throw new Error(`${language}: ${lower} is already mapped to ${extensions[lower]}`);
+    exts.push(lower);
+  }
+
+  let grammar = null;
+  if (def.grammar != null) {
+    if (typeof def.grammar !== 'string') throw new Error(`${language}: grammar must be a package name`);
+    try {
+      grammar = createRequire(path).resolve(def.grammar);
+    } catch {
+      throw new Error(`${language}: grammar ${def.grammar} not found`);
+    }
+  }
+
+  let Extractor;
+  try {
+    Extractor = extractorClass(def.extractor);
+  } catch (e) {
+    throw new Error(`${language}: extractor factory failed: ${e.message}`);
+  }
+  if (!Extractor) {
+    throw new Error(`${language}: extractor must be a LanguageExtractor subclass or a factory returning one`);
+  }
+  const missing = _REQUIRED_METHODS.filter(m => !implemented(Extractor, m));
+  if (missing.length) throw new Error(`${language}: extractor does not implement ${missing.join(', ')}`);
+  try {
+    new Extractor();
+  } catch (e) {
+    throw new Error(`${language}: extractor constructor failed: ${e.message}`);
+  }
+  return { language, extensions: exts, grammar, Extractor };
+}
+
+/**
+ * Import and validate plugins. A failing plugin is reported and skipped; the
+ * rest still load. Later plugins cannot take an earlier one's language or
+ * extensions.
+ * @param {{ source: string, path: string|null, error?: string }[]} found - findPlugins() result
+ * @param {object} [taken] - Languages and extensions in use, as for validatePlugin()
+ * @returns {Promise<{ plugins: object[], errors: { source: string, error: string }[] }>}
+ *   plugins: validatePlugin() results with their `source`
+ */
+export async function loadPlugins(found, { languages = new Set(), extensions = {} } = {}) {
+  const plugins = [];
+  const errors = [];
+  const taken = { languages: new Set(languages), extensions: { ...extensions } };
+
+  for (const { source, path, error } of found) {
+    if (error) {
+      errors.push({ source, error });
+      continue;
+    }
+    let mod;
+    try {
+      mod = await import(pathToFileURL(path).href);
+    } catch (e) {
+      errors.push({ source, error: `import failed: ${e.message}` });
+      continue;
+    }
+    if (mod.default == null) {
+      errors.push({ source, error: 'no default export' });
+      continue;
+    }
+    for (const def of [].concat(mod.default)) {
+      let plugin;
+      try {
+        plugin = validatePlugin(def, path, taken);
+      } catch (e) {
+        errors.push({ source, error: e.message });
+        continue;
+      }
+      taken.languages.add(plugin.language);
+      for (const ext of plugin.extensions) taken.extensions[ext] = plugin.language;
+      plugins.push({ ...plugin, source });
+    }
+  }
+  return { plugins, errors };
+}
@@ -12,6 +12,8 @@
 
 import { LanguageExtractor } from './base.js';
 
+const _FUNCTION_NODES = new Set(['function_definition', 'lambda']);
+
 const BUILTIN_TYPES = new Set([
   'int', 'str', 'float', 'bool', 'bytes', 'None',
   'list', 'dict', 'set', 'tuple', 'type', 'object',
@@ -31,7 +33,9 @@ export class PythonExtractor extends LanguageExtractor {
 
   extractReferences(tree, source, filePath) {
     const refs = [];
+    this._typeCache = new Map();
     this._walkRefs(tree.rootNode, source, filePath, refs, null);
+    this._typeCache = null;
     // Add inheritance references collected during symbol extraction
     for (const info of (this._pendingInherits || [])) {
       refs.push(this.makeReference(info.base_name, 'inherits', info.line, { sourceName: info.class_name }));
@@ -573,13 +577,15 @@ export class PythonExtractor extends LanguageExtractor {
   _extractFromImport(node, source, refs, scopeName) {
     const moduleNode = node.childForFieldName('module_name');
     const modPath = moduleNode ? this.nodeText(moduleNode, source) : '';
+    // `from . import x` is `.x`, not `..x` (which would be the parent package)
+    const qualify = name => (!modPath ? name : modPath.endsWith('.') ? modPath + name : `${modPath}.${name}`);
 
     for (const child of node.children) {
       if (child.type === 'dotted_name' && child !== moduleNode) {
         const name = this.nodeText(child, source);
         refs.push(this.makeReference(name, 'import', child.startPosition.row + 1, {
           sourceName: scopeName,
-          importPath: modPath ? `${modPath}.${name}` : name,
+          importPath: qualify(name),
         }));
       } else if (child.type === 'aliased_import') {
         const nameNode = child.childForFieldName('name');
@@ -587,13 +593,13 @@ export class PythonExtractor extends LanguageExtractor {
           const name = this.nodeText(nameNode, source);
           refs.push(this.makeReference(name, 'import', child.startPosition.row + 1, {
             sourceName: scopeName,
-            importPath: modPath ? `${modPath}.${name}` : name,
+            importPath: qualify(name),
           }));
         }
       } else if (child.type === 'wildcard_import') {
         refs.push(this.makeReference('*', 'import', child.startPosition.row + 1, {
           sourceName: scopeName,
-          importPath: modPath ? `${modPath}.*` : '*',
+          importPath: qualify('*'),
         }));
       }
     }
@@ -604,7 +610,10 @@ export class PythonExtractor extends LanguageExtractor {
     if (!funcNode) return;
 
     const name = this.nodeText(funcNode, source);
-    refs.push(this.makeReference(name, 'call', funcNode.startPosition.row + 1, { sourceName: scopeName }));
+    const receiverType = funcNode.type === 'attribute'
+      ? this._receiverType(funcNode.childForFieldName('object'), source)
+      : null;
+    refs.push(this.makeReference(name, 'call', funcNode.startPosition.row + 1, { sourceName: scopeName, receiverType }));
 
     // Recurse into arguments for nested calls
     const args = node.childForFieldName('arguments');
@@ -612,4 +621,150 @@ export class PythonExtractor extends LanguageExtractor {
       this._walkRefs(args, source, '', refs, scopeName);
     }
   }
+
+  // ---- Receiver types ----
+
+  /**
+   * Class a method call's receiver is an instance of: `self`, a `self.x`
+   * attribute or a local whose type is annotated or set by calling a class.
+   */
+  _receiverType(objNode, source) {
+    if (!objNode || !this._typeCache) return null;
+    const func = this.ancestor(objNode, _FUNCTION_NODES);
+    const cls = func && this._methodClass(func);
+    if (objNode.type === 'identifier') {
+      const name = this.nodeText(objNode, source);
+      for (let scope = func; scope; scope = this.ancestor(scope, _FUNCTION_NODES)) {
+        const type = this._localTypes(scope, source).get(name);
+        if (type) return type;
+      }
+      if (cls && name === this._detectSelfName(func, source)) return this.nodeText(cls.childForFieldName('name'), source);
+      const module = this.ancestor(objNode, new Set(['module']));
+      return module ? this._localTypes(module, source).get(name) || null : null;
+    }
+    if (objNode.type === 'attribute' && cls) {
+      const obj = objNode.childForFieldName('object');
+      const attr = objNode.childForFieldName('attribute');
+      if (obj && attr && obj.type === 'identifier' && this.nodeText(obj, source) === this._detectSelfName(func, source)) {
+        return this._fieldTypes(cls, source).get(this.nodeText(attr, source)) || null;
+      }
+    }
+    return null;
+  }
+
+  // The class a function is defined directly in, when it is a method
+  _methodClass(func) {
+    let node = func.parent;
+    if (node && node.type === 'decorated_definition') node = node.parent;
+    node = node && node.parent;
+    return node && node.type === 'class_definition' ? node : null;
+  }
+
+  _cached(kind, node, build) {
+    const key = `${kind}:${node.startIndex}:${node.endIndex}`;
+    if (!this._typeCache.has(key)) this._typeCache.set(key, build());
+    return this._typeCache.get(key);
+  }
+
+  // Class an annotation names: `Optional[Repo]`, `Repo | None` and `"Repo"` -> `Repo`
+  _annotationType(typeNode, source) {
+    if (!typeNode) return null;
+    let text = this.nodeText(typeNode, source).replace(/["']/g, '').trim();
+    const optional = text.match(/^(?:typing\.)?Optional\[(.*)\]$/s);
+    if (optional) text = optional[1];
+    const name = this.typeName(text);
+    return name && !BUILTIN_TYPES.has(name) ? name : null;
+  }
+
+  // Type an assignment gives its target: the annotation, else a `Class(...)` call
+  _assignedType(assignNode, source) {
+    const annotated = this._annotationType(assignNode.childForFieldName('type'), source);
+    if (annotated) return annotated;
+    const right = assignNode.childForFieldName('right');
+    if (!right || right.type !== 'call') return null;
+    const callee = right.childForFieldName('function');
+    const name = callee ? this.typeName(this.nodeText(callee, source)) : null;
+    return name && /^[A-Z]/.test(name) ? name : null;
+  }
+
+  _paramTypes(func, source) {
+    const types = new Map();
+    const params = func.childForFieldName('parameters');
+    for (const param of params ? params.namedChildren : []) {
+      if (param.type !== 'typed_parameter' && param.type !== 'typed_default_parameter') continue;
+      const nameNode = param.childForFieldName('name') || param.namedChildren.find(c => c.type === 'identifier');
+      const type = this._annotationType(param.childForFieldName('type'), source);
+      if (nameNode && type) types.set(this.nodeText(nameNode, source), type);
+    }
+    return types;
+  }
+
+  // Parameters and plain-name assignments of a function or module
+  _localTypes(scope, source) {
+    return this._cached('locals', scope, () => {
+      const types = scope.type === 'module' ? new Map() : this._paramTypes(scope, source);
+      const visit = (node) => {
+        for (const child of node.namedChildren) {
+          if (_FUNCTION_NODES.has(child.type) || child.type === 'class_definition') continue;
+          if (child.type === 'assignment') {
+            const left = child.childForFieldName('left');
+            const type = this._assignedType(child, source);
+            if (left && left.type === 'identifier' && type && !types.has(this.nodeText(left, source))) {
+              types.set(this.nodeText(left, source), type);
+            }
+          }
+          visit(child);
+        }
+      };
+      visit(scope.childForFieldName('body') || scope);
+      return types;
+    });
+  }
+
+  // Attributes of a class: annotated in its body or assigned on self in its methods
+  _fieldTypes(cls, source) {
+    return this._cached('fields', cls, () => {
+      const types = new Map();
+      const body = cls.childForFieldName('body');
+      if (!body) return types;
+      for (const stmt of body.namedChildren) {
+        const assign = stmt.type === 'expression_statement' ? stmt.namedChildren.find(c => c.type === 'assignment') : null;
+        const left = assign && assign.childForFieldName('left');
+        const type = assign && this._annotationType(assign.childForFieldName('type'), source);
+        if (left && left.type === 'identifier' && type) types.set(this.nodeText(left, source), type);
+      }
+      const methods = body.namedChildren
+        .map(c => (c.type === 'decorated_definition' ? c.childForFieldName('definition') : c))
+        .filter(c => c && c.type === 'function_definition');
+      for (const method of methods) {
+        const selfName = this._detectSelfName(method, source);
+        const params = this._paramTypes(method, source);
+        const visit = (node) => {
+          for (const child of node.namedChildren) {
+            if (_FUNCTION_NODES.has(child.type) || child.type === 'class_definition') continue;
+            if (child.type === 'assignment') this._selfAssignment(child, source, selfName, params, types);
+            visit(child);
+          }
+        };
+        const methodBody = method.childForFieldName('body');
+        if (methodBody) visit(methodBody);
+      }
+      return types;
+    });
+  }
+
+  // `self.x = Repo()`, `self.x: Repo = ...` or `self.x = param` for an annotated parameter
+  _selfAssignment(node, source, selfName, params, types) {
+    const left = node.childForFieldName('left');
+    if (!left || left.type !== 'attribute') return;
+    const obj = left.childForFieldName('object');
+    const attr = left.childForFieldName('attribute');
+    if (!obj || !attr || this.nodeText(obj, source) !== selfName) return;
+    const field = this.nodeText(attr, source);
+    if (types.has(field)) return;
+    const right = node.childForFieldName('right');
+    const type = this._assignedType(node, source)
+      || (right && right.type === 'identifier' ? params.get(this.nodeText(right, source)) : null);
+    if (type) types.set(field, type);
+  }
 }
@@ -0,0 +1,42 @@
+; C# symbols and references for the query extractor (see ../query.js)
+
+(namespace_declaration name: (_) @name) @definition.module
+(file_scoped_namespace_declaration name: (_) @name) @definition.module
+
+((comment)* @doc . (class_declaration name: (identifier) @name) @definition.class)
+((comment)* @doc . (record_declaration name: (identifier) @name) @definition.class)
+((comment)* @doc . (struct_declaration name: (identifier) @name) @definition.struct)
+((comment)* @doc . (interface_declaration name: (identifier) @name) @definition.interface)
+((comment)* @doc . (enum_declaration name: (identifier) @name) @definition.enum)
+(delegate_declaration name: (identifier) @name) @definition.type
+
+((comment)* @doc . (method_declaration name: (identifier) @name) @definition.method)
+((comment)* @doc . (constructor_declaration name: (identifier) @name) @definition.constructor)
+((comment)* @doc . (property_declaration name: (identifier) @name) @definition.property)
+(enum_member_declaration name: (identifier) @name) @definition.constant
+(field_declaration
+  (modifier "const")
+  (variable_declaration (variable_declarator name: (identifier) @name))) @definition.constant
+(field_declaration
+  (variable_declaration (variable_declarator name: (identifier) @name))) @definition.field
+
+(using_directive (qualified_name) @name) @reference.import
+(using_directive (identifier) @name .) @reference.import
+
+; Base lists do not say which entry is the class; interfaces are I-prefixed by convention
+(_ (base_list (identifier) @name) (#match? @name "^I[A-Z]")) @reference.implements
+(_ (base_list (identifier) @name) (#not-match? @name "^I[A-Z]")) @reference.inherits
+(_ (base_list (generic_name (identifier) @name))) @reference.implements
+
+(object_creation_expression type: (identifier) @name) @reference.call
+(object_creation_expression type: (generic_name (identifier) @name)) @reference.call
+(invocation_expression function: (identifier) @name) @reference.call
+(invocation_expression
+  function: (member_access_expression expression: (_) @receiver name: (identifier) @name)) @reference.call
+
+(parameter type: (identifier) @name) @reference.type
+(variable_declaration type: (identifier) @name) @reference.type
+(method_declaration returns: (identifier) @name) @reference.type
+(property_declaration type: (identifier) @name) @reference.type
+(type_argument_list (identifier) @name) @reference.type
+(attribute name: (identifier) @name) @reference.type
@@ -0,0 +1,30 @@
+; Kotlin symbols and references for the query extractor (see ../query.js)
+
+((multiline_comment)? @doc . (class_declaration "interface" (type_identifier) @name) @definition.interface)
+((multiline_comment)? @doc . (class_declaration (type_identifier) @name (enum_class_body)) @definition.enum)
+((multiline_comment)? @doc . (class_declaration (type_identifier) @name) @definition.class)
+((multiline_comment)? @doc . (object_declaration (type_identifier) @name) @definition.object)
+(companion_object (type_identifier)? @name) @definition.object
+
+((multiline_comment)? @doc . (function_declaration (simple_identifier) @name) @definition.function)
+; Properties of classes and files, not local variables
+(class_body (property_declaration (variable_declaration (simple_identifier) @name)) @definition.property)
+(source_file (property_declaration (variable_declaration (simple_identifier) @name)) @definition.property)
+(class_parameter (binding_pattern_kind) (simple_identifier) @name) @definition.property
+(enum_entry (simple_identifier) @name) @definition.constant
+(type_alias (type_identifier) @name) @definition.type
+
+(import_header (identifier) @name) @reference.import
+
+(delegation_specifier (constructor_invocation (user_type (type_identifier) @name))) @reference.inherits
+(delegation_specifier (user_type (type_identifier) @name)) @reference.implements
+
+(call_expression (simple_identifier) @name) @reference.call
+(call_expression
+  (navigation_expression (_) @receiver (navigation_suffix (simple_identifier) @name))) @reference.call
+
+(parameter (user_type (type_identifier) @name)) @reference.type
+(function_declaration (user_type (type_identifier) @name)) @reference.type
+(property_declaration (user_type (type_identifier) @name)) @reference.type
+(variable_declaration (user_type (type_identifier) @name)) @reference.type
+(type_arguments (type_projection (user_type (type_identifier) @name))) @reference.type
@@ -0,0 +1,43 @@
+; Scala symbols and references for the query extractor (see ../query.js)
+
+(package_clause name: (_) @name) @definition.module
+
+((block_comment)? @doc . (class_definition name: (identifier) @name) @definition.class)
+((block_comment)? @doc . (object_definition name: (identifier) @name) @definition.object)
+((block_comment)? @doc . (trait_definition name: (identifier) @name) @definition.trait)
+((block_comment)? @doc . (enum_definition name: (identifier) @name) @definition.enum)
+(simple_enum_case name: (identifier) @name) @definition.constant
+(full_enum_case name: (identifier) @name) @definition.constant
+(type_definition name: (type_identifier) @name) @definition.type
+
+((block_comment)? @doc . (function_definition name: (identifier) @name) @definition.function)
+((block_comment)? @doc . (function_declaration name: (identifier) @name) @definition.function)
+
+; Members and top-level values, not locals
+(template_body (val_definition pattern: (identifier) @name) @definition.property)
+(template_body (var_definition pattern: (identifier) @name) @definition.property)
+(template_body (val_declaration name: (identifier) @name) @definition.property)
+(compilation_unit (val_definition pattern: (identifier) @name) @definition.constant)
+(class_parameter (_)? name: (identifier) @name) @definition.property
+
+; Path segments are sibling nodes, so @path marks the first and last and the
+; import path is the text between; a selector's path is the package it names
+(import_declaration . (identifier) @name .) @reference.import
+(import_declaration . (identifier) @path (identifier) @path @name .) @reference.import
+(import_declaration . (identifier) @path (identifier)? @path . (namespace_selectors (identifier) @name)) @reference.import
+(import_declaration . (identifier) @path (identifier)? @path .
+  (namespace_selectors (arrow_renamed_identifier name: (identifier) @name))) @reference.import
+
+; A repeated field matches only its first node, so the `with` types are matched positionally
+(extends_clause (type_identifier) @name) @reference.inherits
+(extends_clause (generic_type type: (type_identifier) @name)) @reference.inherits
+
+(instance_expression (type_identifier) @name) @reference.call
+(call_expression function: (identifier) @name) @reference.call
+(call_expression function: (field_expression value: (_) @receiver field: (identifier) @name)) @reference.call
+
+(parameter type: (type_identifier) @name) @reference.type
+(function_definition return_type: (type_identifier) @name) @reference.type
+(function_declaration return_type: (type_identifier) @name) @reference.type
+(val_definition type: (type_identifier) @name) @reference.type
+(type_arguments (type_identifier) @name) @reference.type
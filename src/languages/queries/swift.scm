@@ -0,0 +1,34 @@
+; Swift symbols and references for the query extractor (see ../query.js)
+
+((comment)* @doc . (class_declaration declaration_kind: "class" name: (type_identifier) @name) @definition.class)
+((comment)* @doc . (class_declaration declaration_kind: "actor" name: (type_identifier) @name) @definition.class)
+((comment)* @doc . (class_declaration declaration_kind: "struct" name: (type_identifier) @name) @definition.struct)
+((comment)* @doc . (class_declaration declaration_kind: "enum" name: (type_identifier) @name) @definition.enum)
+((comment)* @doc . (protocol_declaration name: (type_identifier) @name) @definition.interface)
+; Extensions add to a type declared elsewhere
+(class_declaration declaration_kind: "extension" name: (user_type (type_identifier) @name)) @scope
+(typealias_declaration name: (type_identifier) @name) @definition.type
+
+((comment)* @doc . (function_declaration name: (simple_identifier) @name) @definition.function)
+((comment)* @doc . (protocol_function_declaration name: (simple_identifier) @name) @definition.method)
+(init_declaration "init" @name) @definition.constructor
+(enum_entry (simple_identifier) @name) @definition.constant
+
+; Members and globals, not locals
+(class_body (property_declaration name: (pattern bound_identifier: (simple_identifier) @name)) @definition.property)
+(source_file (property_declaration name: (pattern bound_identifier: (simple_identifier) @name)) @definition.variable)
+(protocol_body (protocol_property_declaration name: (pattern bound_identifier: (simple_identifier) @name)) @definition.property)
+
+(import_declaration (identifier) @name) @reference.import
+
+; The superclass, if any, comes first, but nothing marks a class from a protocol
+(inheritance_specifier inherits_from: (user_type (type_identifier) @name)) @reference.inherits
+
+(call_expression (simple_identifier) @name) @reference.call
+(call_expression
+  (navigation_expression target: (_) @receiver suffix: (navigation_suffix suffix: (simple_identifier) @name))) @reference.call
+
+(parameter (user_type (type_identifier) @name)) @reference.type
+(type_annotation (user_type (type_identifier) @name)) @reference.type
+(function_declaration (user_type (type_identifier) @name)) @reference.type
+(type_arguments (user_type (type_identifier) @name)) @reference.type
@@ -0,0 +1,342 @@
+/**
+ * Query-driven extractor: symbols and references from tree-sitter tags-style
+ * .scm queries instead of hand-written AST walking.
+ *
+ * Captures:
+ *   @definition.<kind> - a declaration; its node's lines are the symbol's lines.
+ *     roam's kinds (function, method, class, interface, struct, ...) plus the
+ *     tags names macro, type, object and namespace
+ *   @reference.<kind>  - a use. The tags kinds call/send, class/type/interface
+ *     and implementation, plus roam's import, inherits, implements and uses_trait
+ *   @name     - the declared or referenced name (required)
+ *   @doc      - comments documenting a definition
+ *   @receiver - a call's receiver, kept in the target name (`repo.save`) when
+ *     it is a name or member chain; `new Invoice().total` is just `total`
+ *   @path     - an import's module path, when it is not @name itself; several
+ *     captures (`acme`, `util`, `Helper`) give the text they span
+ *   @scope    - qualifies the definitions inside it by its @name without being
+ *     a symbol (a Swift `extension`)
+ *
+ * Definitions nest by node range: one inside another is qualified by it
+ * (`Outer.inner`), and a function inside a class-like definition is a method.
+ * The tags-only directives #strip!, #select-adjacent! and #set-adjacent! are
+ * accepted and ignored; @doc comments are always cut to the run adjacent to
+ * their definition and stripped of comment markers.
+ */
+
+import { readFileSync } from 'node:fs';
+import Parser from 'tree-sitter';
+import { GenericExtractor } from './generic.js';
+
+const { Query } = Parser;
+
+const _DEFINITION_KINDS = new Map([
+  ['macro', 'function'],
+  ['type', 'type_alias'],
+  ['object', 'class'],
+  ['namespace', 'module'],
+]);
+
+const _REFERENCE_KINDS = new Map([
+  ['send', 'call'],
+  ['class', 'reference'],
+  ['type', 'reference'],
+  ['interface', 'reference'],
+  ['implementation', 'implements'],
+]);
+
+// Definitions whose functions are methods
+const _CLASS_KINDS = new Set(['class', 'interface', 'struct', 'trait', 'enum', 'object']);
+
+const _RECEIVER_RE = /^[\w$]+(?:\.[\w$]+)*$/;
+
+const _TAGS_DIRECTIVE_RE = /\(#(?:strip|select-adjacent|set-adjacent)!(?:\s+(?:"(?:[^"\\]|\\.)*"|@[\w.-]+))*\s*\)/g;
+
+/**
+ * The query file shipped for a language, if any.
+ * @param {string} language
+ * @returns {string|null}
+ */
+export function bundledQuery(language) {
+  try {
+    return readFileSync(new URL(`./queries/${language}.scm`, import.meta.url), 'utf-8');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether a custom query file adds to the language's extraction rather than
+ * replacing it: its first line is `; extends`.
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function extendsBase(text) {
+  const first = text.split('\n').find(line => line.trim());
+  return !!first && /^\s*;+\s*extends\b/.test(first);
+}
+
+/**
+ * Split query source into its top-level patterns.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function splitPatterns(text) {
+  const patterns = [];
+  let depth = 0;
+  let start = -1;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (c === ';') {
+      while (i < text.length && text[i] !== '\n') i++;
+    } else if (c === '"') {
+      if (depth === 0 && start < 0) start = i;
+      for (i++; i < text.length && text[i] !== '"'; i++) {
+        if (text[i] === '\\') i++;
+      }
+    } else if (c === '(' || c === '[') {
+      if (depth === 0) {
+        if (start >= 0) patterns.push(text.slice(start, i).trim());
+        start = i;
+      }
+      depth++;
+    } else if (c === ')' || c === ']') {
+      depth--;
+    }
+  }
+  if (start >= 0) patterns.push(text.slice(start).trim());
+  return patterns.filter(Boolean);
+}
+
+/**
+ * Compile query source for a grammar. Patterns the grammar rejects (a node
+ * type renamed between grammar versions, say) are dropped with a warning
+ * rather than failing the whole query.
+ * @param {object} language - tree-sitter Language
+ * @param {string} text
+ * @param {string} [label] - Names the query in warnings
+ * @returns {Query|null} null when no pattern compiles
+ */
+export function compileQuery(language, text, label = 'query') {
+  const source = text.replace(_TAGS_DIRECTIVE_RE, '');
+  try {
+    return new Query(language, source);
+  } catch {}
+
+  const kept = [];
+  const errors = [];
+  const patterns = splitPatterns(source);
+  for (const pattern of patterns) {
+    try {
+      new Query(language, pattern);
+      kept.push(pattern);
+    } catch (e) {
+      errors.push(e.message);
+    }
+  }
+  process.stderr.write(`Warning: skipped ${errors.length} of ${patterns.length} patterns in ${label}: ${errors[0]}\n`);
+  if (!kept.length) return null;
+  try {
+    return new Query(language, kept.join('\n'));
+  } catch {
+    return null;
+  }
+}
+
+// Whether node `outer` strictly contains `inner`
+function encloses(outer, inner) {
+  return outer.startIndex <= inner.startIndex && inner.endIndex <= outer.endIndex
+    && (outer.startIndex !== inner.startIndex || outer.endIndex !== inner.endIndex);
+}
+
+export class QueryExtractor extends GenericExtractor {
+  /**
+   * @param {string} language
+   * @param {string} queryText - .scm source
+   * @param {object} [opts]
+   * @param {import('./base.js').LanguageExtractor|null} [opts.base] - Extractor whose
+   *   results the query's are added to
+   */
+  constructor(language, queryText, { base = null } = {}) {
+    super(language);
+    this._queryText = queryText;
+    this._base = base;
+    this._queries = new Map(); // tree-sitter Language -> Query|null
+    this._last = null;
+  }
+
+  extractSymbols(tree, source, filePath) {
+    const { symbols } = this._analyze(tree, source);
+    if (!this._base) return symbols;
+    const out = this._base.extractSymbols(tree, source, filePath);
+    const seen = new Set(out.map(s => `${s.name}:${s.line_start}`));
+    return out.concat(symbols.filter(s => !seen.has(`${s.name}:${s.line_start}`)));
+  }
+
+  extractReferences(tree, source, filePath) {
+    const { refs } = this._analyze(tree, source);
+    if (!this._base) return refs;
+    const out = this._base.extractReferences(tree, source, filePath);
+    const key = r => `${r.kind}:${r.target_name}:${r.line}`;
+    const seen = new Set(out.map(key));
+    return out.concat(refs.filter(r => !seen.has(key(r))));
+  }
+
+  _query(tree) {
+    const language = tree.language;
+    if (!this._queries.has(language)) {
+      this._queries.set(language, compileQuery(language, this._queryText, `${this.languageName} queries`));
+    }
+    return this._queries.get(language);
+  }
+
+  // Symbols and references of a tree, computed once for both extract calls
+  _analyze(tree, source) {
+    if (this._last && this._last.tree === tree) return this._last;
+    const query = tree && this._query(tree);
+    const result = { tree, symbols: [], refs: [] };
+    if (query) {
+      const { defs, uses } = this._collect(query, tree);
+      result.symbols = this._symbols(defs, source);
+      result.refs = this._references(uses, defs, source);
+    }
+    this._last = result;
+    return result;
+  }
+
+  _collect(query, tree) {
+    const defs = new Map(); // node range -> definition
+    const uses = [];
+    for (const match of query.matches(tree.rootNode)) {
+      let main = null;
+      let nameNode = null;
+      let receiver = null;
+      const paths = [];
+      const docs = [];
+      for (const { name, node } of match.captures) {
+        if (name === 'name') nameNode = node;
+        else if (name === 'doc') docs.push(node);
+        else if (name === 'receiver') receiver = node;
+        else if (name === 'path') paths.push(node);
+        else if (name === 'scope' || name.startsWith('definition.') || name.startsWith('reference.')) {
+          main = { capture: name, node };
+        }
+      }
+      if (!main || !nameNode) continue;
+
+      const { capture, node } = main;
+      if (capture.startsWith('reference.')) {
+        uses.push({ kind: capture.slice('reference.'.length), node, nameNode, receiver, paths });
+        continue;
+      }
+      // The earliest pattern to match a declaration decides what it is;
+      // one node can declare several names (`case a, b`)
+      const key = `${node.startIndex}:${node.endIndex}:${nameNode.startIndex}`;
+      const seen = defs.get(key);
+      if (seen && seen.pattern <= match.pattern) continue;
+      defs.set(key, {
+        kind: capture === 'scope' ? null : capture.slice('definition.'.length),
+        node, nameNode, docs, pattern: match.pattern,
+      });
+    }
+    const sorted = [...defs.values()]
+      .sort((a, b) => a.node.startIndex - b.node.startIndex || b.node.endIndex - a.node.endIndex);
+    return { defs: sorted, uses };
+  }
+
+  _symbols(defs, source) {
+    const symbols = [];
+    const open = [];
+    for (const def of defs) {
+      // Pop what does not enclose this definition, including another name the same node declares
+      while (open.length && !encloses(open[open.length - 1].node, def.node)) open.pop();
+      const parent = open.length ? open[open.length - 1] : null;
+      const name = this.nodeText(def.nameNode, source);
+      def.qualified = parent ? `${parent.qualified}.${name}` : name;
+      open.push(def);
+      if (!def.kind) {
+        def.kind = 'class';
+        def.scope = true;
+        continue;
+      }
+
+      let kind = _DEFINITION_KINDS.get(def.kind) || def.kind;
+      if (kind === 'function' && parent && _CLASS_KINDS.has(parent.kind)) kind = 'method';
+      def.kind = kind;
+      const signature = this.getSignature(def.node, source);
+      const vis = this._visibility(def, source);
+      symbols.push(this.makeSymbol(name, kind, def.node.startPosition.row + 1, def.node.endPosition.row + 1, {
+        qualifiedName: def.qualified,
+        signature,
+        docstring: this._doc(def, source),
+        visibility: vis,
+        isExported: vis === 'public',
+        parentName: parent ? parent.qualified : null,
+      }));
+    }
+    return symbols;
+  }
+
+  _references(uses, defs, source) {
+    const refs = [];
+    const seen = new Set();
+    for (const use of uses) {
+      const kind = _REFERENCE_KINDS.get(use.kind) || use.kind;
+      let target = this.nodeText(use.nameNode, source).replace(/^["'`]|["'`]$/g, '');
+      let importPath = null;
+      if (kind === 'import') {
+        importPath = use.paths.length
+          ? source.slice(Math.min(...use.paths.map(n => n.startIndex)), Math.max(...use.paths.map(n => n.endIndex)))
+            .replace(/^["'`<]|["'`>]$/g, '')
+          : target;
+        target = target.split(/\.|::|\/|\\/).filter(Boolean).pop() || target;
+      } else if (use.receiver) {
+        const receiver = this.nodeText(use.receiver, source);
+        if (_RECEIVER_RE.test(receiver)) target = `${receiver}.${target}`;
+      }
+      const line = use.node.startPosition.row + 1;
+      const key = `${kind}:${target}:${line}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      // Innermost symbol around the use
+      let owner = null;
+      for (const def of defs) {
+        if (def.node.startIndex > use.node.startIndex) break;
+        if (!def.scope && def.node.endIndex >= use.node.endIndex) owner = def;
+      }
+      refs.push(this.makeReference(target, kind, line, {
+        sourceName: owner ? owner.qualified : null,
+        importPath,
+      }));
+    }
+    return refs;
+  }
+
+  _visibility(def, source) {
+    const head = source.slice(def.node.startIndex, def.nameNode.startIndex);
+    const m = head.match(/\b(private|protected|internal|fileprivate)\b/);
+    return m ? m[1] : 'public';
+  }
+
+  _doc(def, source) {
+    if (!def.docs.length) return this.getDocstring(def.node, source);
+    // Only the comments directly above the definition
+    const docs = [...def.docs].sort((a, b) => a.startIndex - b.startIndex);
+    const run = [];
+    let row = def.node.startPosition.row;
+    for (let i = docs.length - 1; i >= 0; i--) {
+      if (docs[i].endIndex > def.node.startIndex || row - docs[i].endPosition.row > 1) break;
+      run.unshift(docs[i]);
+      row = docs[i].startPosition.row;
+    }
+    const text = run
+      .map(n => this.nodeText(n, source))
+      .join('\n')
+      .split('\n')
+      .map(line => line.trim().replace(/^(?:\/\*\*?|\*\/|\*|\/\/[/!]?|#)\s?/, '').replace(/\s*\*\/$/, ''))
+      .join('\n')
+      .trim();
+    return text || null;
+  }
+}
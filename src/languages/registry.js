@@ -3,7 +3,11 @@
  */
 
 import { extname } from 'node:path';
-import { GRAMMAR_ALIASES, REGEX_ONLY_LANGUAGES } from '../index/parser.js';
+import {
+  GRAMMAR_ALIASES, REGEX_ONLY_LANGUAGES, EXTENSION_MAP as PARSER_EXTENSION_MAP,
+  registerLanguage, unregisterLanguage,
+} from '../index/parser.js';
+import { loadPlugins } from './plugins.js';
 
 // Map file extension -> language key
 const EXTENSION_MAP = {
@@ -82,6 +86,16 @@ const _extractorCache = new Map();
 // Loaded extractor classes (populated by initExtractors)
 const _extractorClasses = {};
 
+// Query module (populated by initExtractors)
+let _query = null;
+
+// Project query files by language (set by initExtractors)
+let _customQueries = {};
+
+// Registered extractor plugins and the ones that failed (set by initExtractors)
+let _plugins = [];
+let _pluginErrors = [];
+
 async function _loadExtractors() {
   const [
     { PythonExtractor },
@@ -97,6 +111,10 @@ async function _loadExtractors() {
     { VisualForceExtractor },
     { SfxmlExtractor },
     { ProtobufExtractor },
+    { FoxProExtractor },
+    { RubyExtractor },
+    { PhpExtractor },
+    query,
   ] = await Promise.all([
     import('./python.js'),
     import('./javascript.js'),
@@ -111,6 +129,10 @@ async function _loadExtractors() {
     import('./visualforce.js'),
     import('./sfxml.js'),
     import('./protobuf.js'),
+    import('./foxpro.js'),
+    import('./ruby.js'),
+    import('./php.js'),
+    import('./query.js'),
   ]);
 
   _extractorClasses.python = PythonExtractor;
@@ -127,7 +149,11 @@ async function _loadExtractors() {
   _extractorClasses.visualforce = VisualForceExtractor;
   _extractorClasses.sfxml = SfxmlExtractor;
   _extractorClasses.protobuf = ProtobufExtractor;
+  _extractorClasses.foxpro = FoxProExtractor;
+  _extractorClasses.ruby = RubyExtractor;
+  _extractorClasses.php = PhpExtractor;
   _extractorClasses.GenericExtractor = GenericExtractor;
+  _query = query;
 }
 
 /**
@@ -160,17 +186,94 @@ export function getExtractor(language) {
     }
   }
 
+  if (extractor && !REGEX_ONLY_LANGUAGES.has(language)) {
+    extractor = _withQueries(language, extractor);
+  }
+
   if (extractor) {
     _extractorCache.set(language, extractor);
   }
   return extractor;
 }
 
+/**
+ * Wrap an extractor in the language's query files: the shipped queries replace
+ * the generic AST walk, and a project query file replaces whatever extraction
+ * the language has, or adds to it when it starts with `; extends`.
+ * @param {string} language
+ * @param {import('./base.js').LanguageExtractor} extractor
+ * @returns {import('./base.js').LanguageExtractor}
+ */
+function _withQueries(language, extractor) {
+  const { QueryExtractor, bundledQuery, extendsBase } = _query;
+  const generic = extractor instanceof _extractorClasses.GenericExtractor;
+  const bundled = generic ? bundledQuery(language) : null;
+  const custom = _customQueries[language];
+
+  if (custom == null) {
+    return bundled ? new QueryExtractor(language, bundled) : extractor;
+  }
+  if (!extendsBase(custom)) return new QueryExtractor(language, custom);
+  // Earlier patterns win for a declaration both match, so the project's go first
+  if (bundled) return new QueryExtractor(language, `${custom}\n${bundled}`);
+  return new QueryExtractor(language, custom, { base: extractor });
+}
+
+/**
+ * Replace the registered plugins: the previous ones' languages are removed
+ * before the new ones are validated against the built-ins.
+ * @param {{ source: string, path: string|null, error?: string }[]} found - findPlugins() result
+ */
+async function _loadPlugins(found) {
+  for (const { language, extensions } of _plugins) {
+    SUPPORTED_LANGUAGES.delete(language);
+    for (const ext of extensions) delete EXTENSION_MAP[ext];
+    delete _extractorClasses[language];
+    unregisterLanguage(language);
+  }
+
+  const { plugins, errors } = await loadPlugins(found, {
+    languages: new Set([
+      ...SUPPORTED_LANGUAGES, ...Object.keys(GRAMMAR_ALIASES), ...Object.values(PARSER_EXTENSION_MAP),
+    ]),
+    extensions: { ...PARSER_EXTENSION_MAP, ...EXTENSION_MAP },
+  });
+  for (const { language, extensions, grammar, Extractor } of plugins) {
+    SUPPORTED_LANGUAGES.add(language);
+    for (const ext of extensions) EXTENSION_MAP[ext] = language;
+    _extractorClasses[language] = Extractor;
+    registerLanguage(language, { extensions, grammar });
+  }
+  _plugins = plugins;
+  _pluginErrors = errors;
+}
+
 /**
  * Initialize extractor modules (must be called before getExtractor).
+ * @param {object} [opts]
+ * @param {Record<string, string>} [opts.queries] - Project query files by
+ *   language (.roam/queries/<lang>.scm)
+ * @param {{ source: string, path: string|null, error?: string }[]} [opts.plugins] -
+ *   Extractor plugins to register (findPlugins() result)
  */
-export async function initExtractors() {
+export async function initExtractors({ queries = {}, plugins = [] } = {}) {
   await _loadExtractors();
+  _customQueries = queries;
+  await _loadPlugins(plugins);
+  _extractorCache.clear();
+}
+
+/**
+ * The extractor plugins registered by the last initExtractors(), and the
+ * ones that failed to load.
+ * @returns {{ plugins: { language: string, extensions: string[], grammar: string|null, source: string }[],
+ *   errors: { source: string, error: string }[] }}
+ */
+export function getPluginStatus() {
+  return {
+    plugins: _plugins.map(({ language, extensions, grammar, source }) => ({ language, extensions, grammar, source })),
+    errors: _pluginErrors.map(e => ({ ...e })),
+  };
 }
 
 /**
@@ -0,0 +1,490 @@
+/**
+ * Ruby symbol and reference extractor.
+ *
+ * Modules and classes nest as namespaces (`Billing::Invoice`), instance
+ * methods are qualified with `#` and singleton methods with `.`
+ * (`Billing::Invoice#total`, `Billing::Invoice.build`). Mixins become
+ * `uses_trait` references, and the Rails DSLs that name methods or models
+ * (`before_action :load`, `has_many :line_items`) reference them.
+ */
+
+import { LanguageExtractor } from './base.js';
+
+const _SCOPE_NODES = new Set(['class', 'module']);
+const _METHOD_NODES = new Set(['method', 'singleton_method']);
+const _PARAM_NODES = new Set(['method_parameters', 'block_parameters', 'lambda_parameters', 'exception_variable']);
+const _VISIBILITIES = new Set(['public', 'private', 'protected']);
+const _ATTRS = new Set(['attr_reader', 'attr_writer', 'attr_accessor']);
+const _MIXINS = new Set(['include', 'extend', 'prepend']);
+const _IMPORTS = new Set(['require', 'require_relative', 'load']);
+const _ASSOCIATIONS = new Set(['has_many', 'has_one', 'belongs_to', 'has_and_belongs_to_many']);
+// DSL calls whose symbol arguments name methods of the class
+const _CALLBACK_RE = /^(?:(?:skip|prepend|append)_)?(?:before|after|around)_\w+$|^(?:validate|helper_method)$/;
+
+/** `billing/line_items` -> `Billing::LineItems` */
+function camelize(path) {
+  return path.split('/').map(part => part.replace(/(?:^|_)([a-z\d])/g, (_, c) => c.toUpperCase())).join('::');
+}
+
+function singularize(word) {
+  if (/ies$/.test(word)) return word.slice(0, -3) + 'y';
+  if (/(?:ss|sh|ch|x|z)es$/.test(word)) return word.slice(0, -2);
+  if (/[^s]s$/.test(word)) return word.slice(0, -1);
+  return word;
+}
+
+export class RubyExtractor extends LanguageExtractor {
+  get languageName() { return 'ruby'; }
+  get fileExtensions() { return ['.rb']; }
+
+  extractSymbols(tree, source, filePath) {
+    const symbols = [];
+    this._walkSymbols(tree.rootNode, source, symbols, null, false);
+    return symbols;
+  }
+
+  extractReferences(tree, source, filePath) {
+    const refs = [];
+    this._typeCache = new Map();
+    this._walkRefs(tree.rootNode, source, refs, { scope: null, singleton: false, method: null });
+    this._typeCache = null;
+    return refs;
+  }
+
+  getDocstring(node, source) {
+    const lines = [];
+    let row = node.startPosition.row;
+    // Comments above the first statement of a body sit before the body node
+    let prev = node.previousSibling || (node.parent && node.parent.type === 'body_statement' ? node.parent.previousSibling : null);
+    for (; prev && prev.type === 'comment' && prev.endPosition.row === row - 1; prev = prev.previousSibling) {
+      lines.unshift(this.nodeText(prev, source).replace(/^#\s?/, ''));
+      row = prev.startPosition.row;
+    }
+    return lines.join('\n').trim() || null;
+  }
+
+  _qualify(scope, nameNode, source) {
+    const name = this.nodeText(nameNode, source).replace(/^::/, '');
+    return scope ? `${scope}::${name}` : name;
+  }
+
+  _methodName(scope, singleton, name) {
+    if (!scope) return name;
+    return `${scope}${singleton ? '.' : '#'}${name}`;
+  }
+
+  _symbolArgs(call, source) {
+    const args = call.childForFieldName('arguments');
+    return (args ? args.namedChildren : [])
+      .filter(a => a.type === 'simple_symbol')
+      .map(a => this.nodeText(a, source).slice(1));
+  }
+
+  // ---- Symbol extraction ----
+
+  _walkSymbols(node, source, symbols, scope, singleton) {
+    let visibility = 'public';
+    const explicit = new Map(); // method qualified name -> visibility set by `private :name`
+    const first = symbols.length;
+
+    const visit = (child, vis) => {
+      if (child.type === 'module' || child.type === 'class') {
+        this._extractScope(child, source, symbols, scope);
+      } else if (child.type === 'singleton_class') {
+        const body = child.childForFieldName('body');
+        if (body) this._walkSymbols(body, source, symbols, scope, true);
+      } else if (child.type === 'method') {
+        this._extractMethod(child, source, symbols, scope, singleton, vis);
+      } else if (child.type === 'singleton_method') {
+        this._extractMethod(child, source, symbols, scope, true, 'public');
+      } else if (child.type === 'assignment') {
+        this._extractConstant(child, source, symbols, scope);
+      } else if (child.type === 'identifier' && scope && _VISIBILITIES.has(this.nodeText(child, source))) {
+        visibility = this.nodeText(child, source);
+      } else if (child.type === 'call' && !child.childForFieldName('receiver')) {
+        this._extractCallSymbols(child, source, symbols, scope, singleton, vis, visit, explicit);
+      }
+    };
+    for (const child of node.namedChildren) visit(child, visibility);
+
+    for (let i = first; i < symbols.length; i++) {
+      const vis = explicit.get(symbols[i].qualified_name);
+      if (vis) Object.assign(symbols[i], { visibility: vis, is_exported: vis === 'public' });
+    }
+
+    // A method defined twice (`attr_accessor :total`, then `def total`) is one
+    // method, and Ruby keeps the last definition
+    const last = new Map();
+    for (let i = first; i < symbols.length; i++) {
+      if (symbols[i].kind === 'method') last.set(symbols[i].qualified_name, i);
+    }
+    const kept = symbols.slice(first).filter((sym, k) => sym.kind !== 'method' || last.get(sym.qualified_name) === first + k);
+    symbols.splice(first, symbols.length - first, ...kept);
+  }
+
+  _extractScope(node, source, symbols, scope) {
+    const nameNode = node.childForFieldName('name');
+    if (!nameNode) return;
+    const qualified = this._qualify(scope, nameNode, source);
+    const name = qualified.split('::').pop();
+    const superclass = node.childForFieldName('superclass');
+    let sig = `${node.type} ${this.nodeText(nameNode, source)}`;
+    if (superclass) sig += ` ${this.nodeText(superclass, source)}`;
+
+    symbols.push(this.makeSymbol(name, node.type, node.startPosition.row + 1, node.endPosition.row + 1, {
+      qualifiedName: qualified,
+      signature: sig,
+      docstring: this.getDocstring(node, source),
+      isExported: true,
+      parentName: scope,
+    }));
+    const body = node.childForFieldName('body');
+    if (body) this._walkSymbols(body, source, symbols, qualified, false);
+  }
+
+  _extractMethod(node, source, symbols, scope, singleton, visibility) {
+    const nameNode = node.childForFieldName('name');
+    if (!nameNode) return;
+    const name = this.nodeText(nameNode, source);
+    // `initialize` is always private: `new` calls it
+    const vis = name === 'initialize' ? 'private' : visibility;
+    const params = node.childForFieldName('parameters');
+    const sig = `def ${singleton ? 'self.' : ''}${name}${params ? this.nodeText(params, source) : ''}`;
+
+    symbols.push(this.makeSymbol(name, scope ? 'method' : 'function', node.startPosition.row + 1, node.endPosition.row + 1, {
+      qualifiedName: this._methodName(scope, singleton, name),
+      signature: sig,
+      docstring: this.getDocstring(node, source),
+      visibility: vis,
+      isExported: vis === 'public',
+      parentName: scope,
+    }));
+  }
+
+  _extractConstant(node, source, symbols, scope) {
+    const left = node.childForFieldName('left');
+    if (!left || left.type !== 'constant') return;
+    const name = this.nodeText(left, source);
+    symbols.push(this.makeSymbol(name, 'constant', node.startPosition.row + 1, node.endPosition.row + 1, {
+      qualifiedName: scope ? `${scope}::${name}` : name,
+      signature: this.getSignature(node, source),
+      docstring: this.getDocstring(node, source),
+      isExported: true,
+      parentName: scope,
+    }));
+  }
+
+  // Receiverless calls in a body that define methods or change their visibility
+  _extractCallSymbols(node, source, symbols, scope, singleton, visibility, visit, explicit) {
+    const methodNode = node.childForFieldName('method');
+    if (!methodNode || !scope) return;
+    const method = this.nodeText(methodNode, source);
+    const line = node.startPosition.row + 1;
+    const args = node.childForFieldName('arguments');
+
+    if (_VISIBILITIES.has(method) || method === 'private_class_method') {
+      // `private def x`, `private attr_reader :y` or `private :x, :y`
+      const vis = method === 'private_class_method' ? 'private' : method;
+      for (const arg of args ? args.namedChildren : []) {
+        if (arg.type === 'simple_symbol') {
+          explicit.set(this._methodName(scope, singleton || method === 'private_class_method', this.nodeText(arg, source).slice(1)), vis);
+        } else {
+          visit(arg, vis);
+        }
+      }
+    } else if (_ATTRS.has(method)) {
+      for (const attr of this._symbolArgs(node, source)) {
+        const names = method === 'attr_reader' ? [attr] : method === 'attr_writer' ? [`${attr}=`] : [attr, `${attr}=`];
+        for (const name of names) {
+          symbols.push(this.makeSymbol(name, 'method', line, node.endPosition.row + 1, {
+            qualifiedName: this._methodName(scope, singleton, name),
+            signature: `${method} :${attr}`,
+            visibility,
+            isExported: visibility === 'public',
+            parentName: scope,
+          }));
+        }
+      }
+    } else if (method === 'scope' || method === 'define_method') {
+      const [name] = this._symbolArgs(node, source);
+      if (!name) return;
+      symbols.push(this.makeSymbol(name, 'method', line, node.endPosition.row + 1, {
+        qualifiedName: this._methodName(scope, singleton || method === 'scope', name),
+        signature: `${method} :${name}`,
+        visibility,
+        isExported: visibility === 'public',
+        parentName: scope,
+      }));
+    } else {
+      // Concern blocks: `included do ... end` and `class_methods do ... end`
+      const block = node.childForFieldName('block');
+      const body = block && block.childForFieldName('body');
+      if (body && (method === 'included' || method === 'class_methods')) {
+        this._walkSymbols(body, source, symbols, scope, method === 'class_methods');
+      }
+    }
+  }
+
+  // ---- Reference extraction ----
+
+  _walkRefs(node, source, refs, ctx) {
+    for (const child of node.namedChildren) this._visitRef(child, source, refs, ctx);
+  }
+
+  _visitRef(node, source, refs, ctx) {
+    const line = node.startPosition.row + 1;
+    const sourceName = ctx.method || ctx.scope;
+
+    switch (node.type) {
+      case 'module':
+      case 'class': {
+        const nameNode = node.childForFieldName('name');
+        if (!nameNode) return;
+        const scope = this._qualify(ctx.scope, nameNode, source);
+        const superclass = node.childForFieldName('superclass');
+        const parent = superclass && superclass.namedChildren[0];
+        if (parent && parent.type === 'call') {
+          this._visitRef(parent, source, refs, ctx); // `class Point < Struct.new(:x, :y)`
+        } else if (parent) {
+          refs.push(this.makeReference(this.nodeText(parent, source).replace(/^::/, ''), 'inherits', line, { sourceName: scope }));
+        }
+        const body = node.childForFieldName('body');
+        if (body) this._walkRefs(body, source, refs, { scope, singleton: false, method: null });
+        return;
+      }
+      case 'singleton_class': {
+        const body = node.childForFieldName('body');
+        if (body) this._walkRefs(body, source, refs, { ...ctx, singleton: true });
+        return;
+      }
+      case 'method':
+      case 'singleton_method': {
+        const nameNode = node.childForFieldName('name');
+        if (!nameNode) return;
+        const singleton = ctx.singleton || node.type === 'singleton_method';
+        const method = this._methodName(ctx.scope, singleton, this.nodeText(nameNode, source));
+        const body = node.childForFieldName('body');
+        if (body) this._visitRef(body, source, refs, { ...ctx, singleton, method });
+        return;
+      }
+      case 'call':
+        this._extractCall(node, source, refs, ctx);
+        return;
+      case 'assignment':
+      case 'operator_assignment': {
+        const left = node.childForFieldName('left');
+        const right = node.childForFieldName('right');
+        if (left && left.type === 'call') {
+          // `self.total = x` calls the writer `total=`
+          const methodNode = left.childForFieldName('method');
+          const receiver = left.childForFieldName('receiver');
+          if (methodNode) {
+            refs.push(this.makeReference(`${this.nodeText(methodNode, source)}=`, 'call', line, {
+              sourceName, receiverType: this._receiverType(left, receiver, source),
+            }));
+          }
+          if (receiver) this._visitRef(receiver, source, refs, ctx);
+        } else if (left && left.type !== 'constant') {
+          this._visitRef(left, source, refs, ctx);
+        }
+        if (right) this._visitRef(right, source, refs, ctx);
+        return;
+      }
+      case 'constant':
+      case 'scope_resolution':
+        refs.push(this.makeReference(this.nodeText(node, source).replace(/^::/, ''), 'reference', line, { sourceName }));
+        return;
+      case 'identifier': {
+        // A bare name in a method body that no parameter or assignment binds is a call
+        if (!ctx.method) return;
+        const name = this.nodeText(node, source);
+        const scope = this.ancestor(node, _METHOD_NODES);
+        if (scope && !this._locals(scope, source).has(name)) {
+          refs.push(this.makeReference(name, 'call', line, { sourceName, receiverType: this._receiverType(node, null, source) }));
+        }
+        return;
+      }
+      default:
+        if (_PARAM_NODES.has(node.type)) return;
+        this._walkRefs(node, source, refs, ctx);
+    }
+  }
+
+  _extractCall(node, source, refs, ctx) {
+    const methodNode = node.childForFieldName('method');
+    const receiver = node.childForFieldName('receiver');
+    const args = node.childForFieldName('arguments');
+    const block = node.childForFieldName('block');
+    const line = node.startPosition.row + 1;
+    const sourceName = ctx.method || ctx.scope;
+    const method = methodNode ? this.nodeText(methodNode, source) : '';
+
+    if (!receiver && _IMPORTS.has(method)) {
+      const path = args && args.namedChildren[0];
+      if (path && path.type === 'string') {
+        const importPath = this.nodeText(path, source).slice(1, -1);
+        refs.push(this.makeReference(camelize(importPath.replace(/\.rb$/, '').split('/').pop()), 'import', line, {
+          sourceName, importPath,
+        }));
+        return;
+      }
+    } else if (!receiver && method === 'autoload') {
+      const [name, path] = args ? args.namedChildren : [];
+      if (name && name.type === 'simple_symbol' && path && path.type === 'string') {
+        refs.push(this.makeReference(this.nodeText(name, source).slice(1), 'import', line, {
+          sourceName, importPath: this.nodeText(path, source).slice(1, -1),
+        }));
+        return;
+      }
+    } else if (!receiver && _MIXINS.has(method)) {
+      for (const arg of args ? args.namedChildren : []) {
+        if (arg.type === 'constant' || arg.type === 'scope_resolution') {
+          refs.push(this.makeReference(this.nodeText(arg, source).replace(/^::/, ''), 'uses_trait', line, { sourceName }));
+        }
+      }
+      return;
+    } else if (!receiver && ctx.scope && !ctx.method) {
+      this._extractDsl(node, method, source, refs, ctx);
+    }
+
+    if (methodNode) {
+      if (method === 'new' && receiver && (receiver.type === 'constant' || receiver.type === 'scope_resolution')) {
+        refs.push(this.makeReference(this.nodeText(receiver, source).replace(/^::/, ''), 'call', line, { sourceName }));
+      } else {
+        const name = receiver && receiver.type !== 'self' ? `${this.nodeText(receiver, source)}.${method}` : method;
+        refs.push(this.makeReference(name, 'call', line, {
+          sourceName, receiverType: this._receiverType(node, receiver, source),
+        }));
+        if (receiver) this._visitRef(receiver, source, refs, ctx);
+      }
+    }
+    if (args) this._walkRefs(args, source, refs, ctx);
+    if (block) this._walkRefs(block, source, refs, ctx);
+  }
+
+  // Class-body DSL calls: callbacks and validations name methods, associations models
+  _extractDsl(node, method, source, refs, ctx) {
+    const line = node.startPosition.row + 1;
+    const cls = ctx.scope.split('::').pop();
+    const args = node.childForFieldName('arguments');
+    const methodRef = name => refs.push(this.makeReference(name, 'call', line, { sourceName: ctx.scope, receiverType: cls }));
+
+    if (_CALLBACK_RE.test(method)) {
+      for (const name of this._symbolArgs(node, source)) methodRef(name);
+    }
+    const options = new Map();
+    for (const arg of args ? args.namedChildren : []) {
+      if (arg.type !== 'pair') continue;
+      const key = arg.childForFieldName('key');
+      const value = arg.childForFieldName('value');
+      if (key && value) options.set(this.nodeText(key, source).replace(/^:|:$/g, ''), value);
+    }
+    // `if: :draft?`, `unless: [:a, :b]`
+    for (const option of ['if', 'unless']) {
+      const value = options.get(option);
+      const names = !value ? [] : value.type === 'array' ? value.namedChildren : [value];
+      for (const n of names) {
+        if (n.type === 'simple_symbol') methodRef(this.nodeText(n, source).slice(1));
+      }
+    }
+    if (_ASSOCIATIONS.has(method)) {
+      const [name] = this._symbolArgs(node, source);
+      const className = options.get('class_name');
+      const polymorphic = options.get('polymorphic');
+      if (!name || (polymorphic && this.nodeText(polymorphic, source) === 'true')) return;
+      const target = className && className.type === 'string'
+        ? this.nodeText(className, source).slice(1, -1).replace(/^::/, '')
+        : camelize(method === 'has_many' || method === 'has_and_belongs_to_many' ? singularize(name) : name);
+      refs.push(this.makeReference(target, 'reference', line, { sourceName: ctx.scope }));
+    }
+  }
+
+  // ---- Receiver types ----
+
+  /**
+   * Class a method call's receiver is an instance of: the enclosing class for
+   * `self` and receiverless calls, the class itself for `Invoice.build`, else
+   * the class a local or instance variable was set to with `Foo.new`.
+   */
+  _receiverType(node, receiver, source) {
+    if (!this._typeCache) return null;
+    const cls = this.ancestor(node, _SCOPE_NODES);
+    if (!receiver || receiver.type === 'self') {
+      const nameNode = cls && cls.childForFieldName('name');
+      return nameNode ? this.typeName(this.nodeText(nameNode, source)) : null;
+    }
+    if (receiver.type === 'constant' || receiver.type === 'scope_resolution') return this.typeName(this.nodeText(receiver, source));
+    const created = this._createdType(receiver, source);
+    if (created) return created;
+    if (receiver.type === 'identifier') {
+      const scope = this.ancestor(receiver, _METHOD_NODES);
+      return scope ? this._assignedTypes(scope, source).get(this.nodeText(receiver, source)) || null : null;
+    }
+    if (receiver.type === 'instance_variable' && cls) {
+      return this._assignedTypes(cls, source).get(this.nodeText(receiver, source)) || null;
+    }
+    return null;
+  }
+
+  // `Foo.new(...)` -> `Foo`
+  _createdType(node, source) {
+    if (!node || node.type !== 'call') return null;
+    const method = node.childForFieldName('method');
+    const receiver = node.childForFieldName('receiver');
+    if (!method || this.nodeText(method, source) !== 'new' || !receiver) return null;
+    if (receiver.type !== 'constant' && receiver.type !== 'scope_resolution') return null;
+    return this.typeName(this.nodeText(receiver, source));
+  }
+
+  _cached(kind, node, build) {
+    const key = `${kind}:${node.startIndex}:${node.endIndex}`;
+    if (!this._typeCache.has(key)) this._typeCache.set(key, build());
+    return this._typeCache.get(key);
+  }
+
+  // Variables (locals, or instance variables across a class) set to `Foo.new`
+  _assignedTypes(scope, source) {
+    return this._cached('types', scope, () => {
+      const types = new Map();
+      const visit = (node) => {
+        for (const child of node.namedChildren) {
+          if (child.type === 'assignment') {
+            const left = child.childForFieldName('left');
+            const type = this._createdType(child.childForFieldName('right'), source);
+            if (left && type && !types.has(this.nodeText(left, source))) types.set(this.nodeText(left, source), type);
+          }
+          if (!_SCOPE_NODES.has(child.type)) visit(child);
+        }
+      };
+      visit(scope);
+      return types;
+    });
+  }
+
+  // Names a method binds: parameters, block parameters, assignments and rescue variables
+  _locals(scope, source) {
+    return this._cached('locals', scope, () => {
+      const names = new Set();
+      const collect = (node) => {
+        if (node.type === 'identifier') names.add(this.nodeText(node, source));
+        for (const child of node.namedChildren) collect(child);
+      };
+      const visit = (node) => {
+        for (const child of node.namedChildren) {
+          if (_PARAM_NODES.has(child.type)) {
+            collect(child);
+          } else if (child.type === 'assignment' || child.type === 'operator_assignment') {
+            const left = child.childForFieldName('left');
+            if (left && (left.type === 'identifier' || left.type === 'left_assignment_list')) collect(left);
+          } else if (child.type === 'for') {
+            const pattern = child.childForFieldName('pattern');
+            if (pattern) collect(pattern);
+          }
+          visit(child);
+        }
+      };
+      visit(scope);
+      return names;
+    });
+  }
+}
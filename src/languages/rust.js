@@ -4,6 +4,48 @@
 
 import { LanguageExtractor } from './base.js';
 
+/**
+ * Flatten a `use` tree into one entry per imported path.
+ * `a::{b::C, D as E, self, *}` gives a::b::C (C), a::D (E), a (a) and a::* (*).
+ * @param {string} text - The use argument, without `use`, visibility or `;`
+ * @returns {{ path: string, alias: string }[]}
+ */
+export function expandUseTree(text) {
+  const out = [];
+  const walk = (prefix, tree) => {
+    tree = tree.trim();
+    if (!tree) return;
+    const brace = tree.indexOf('{');
+    if (brace >= 0 && tree.endsWith('}')) {
+      const base = tree.slice(0, brace).replace(/::\s*$/, '').trim();
+      const inner = tree.slice(brace + 1, -1);
+      const next = [prefix, base].filter(Boolean).join('::');
+      // Split the list on top-level commas only
+      let depth = 0;
+      let start = 0;
+      for (let i = 0; i <= inner.length; i++) {
+        const ch = inner[i];
+        if (ch === '{') depth++;
+        else if (ch === '}') depth--;
+        else if ((ch === ',' && depth === 0) || i === inner.length) {
+          walk(next, inner.slice(start, i));
+          start = i + 1;
+        }
+      }
+      return;
+    }
+    const [path, alias] = tree.split(/\s+as\s+/).map(p => p.trim());
+    if (path === 'self') {
+      out.push({ path: prefix, alias: alias || prefix.split('::').pop() });
+      return;
+    }
+    const full = [prefix, path].filter(Boolean).join('::');
+    out.push({ path: full, alias: alias || full.split('::').pop() });
+  };
+  walk('', text.replace(/\s+/g, ' '));
+  return out;
+}
+
 export class RustExtractor extends LanguageExtractor {
   get languageName() { return 'rust'; }
   get fileExtensions() { return ['.rs']; }
@@ -16,6 +58,7 @@ export class RustExtractor extends LanguageExtractor {
 
   extractReferences(tree, source, filePath) {
     const refs = [];
+    this._useNames = new Map(); // name brought in by `use` -> its full path
     this._walkRefs(tree.rootNode, source, refs, null);
     return refs;
   }
@@ -391,10 +434,11 @@ export class RustExtractor extends LanguageExtractor {
     for (const child of node.children) {
       if (['use_as_clause', 'use_list', 'scoped_use_list',
         'scoped_identifier', 'identifier', 'use_wildcard'].includes(child.type)) {
-        const path = this.nodeText(child, source);
-        let target = path.includes('::') ? path.split('::').pop() : path;
-        target = target.replace(/[{}*,\s]/g, '');
-        if (target) {
+        for (const { path, alias } of expandUseTree(this.nodeText(child, source))) {
+          // The imported item's own name; an alias only matters for later paths
+          const target = path.split('::').pop();
+          if (!target) continue;
+          if (alias !== '*') this._useNames.set(alias, path);
           refs.push(this.makeReference(target, 'import',
             node.startPosition.row + 1, { sourceName: scopeName, importPath: path }));
         }
@@ -402,20 +446,31 @@ export class RustExtractor extends LanguageExtractor {
     }
   }
 
+  /**
+   * Full path of a `a::b::c` call, expanding a first segment brought in by `use`.
+   */
+  _qualifiedPath(path) {
+    const segs = path.split('::');
+    const used = this._useNames && this._useNames.get(segs[0]);
+    return used ? [used, ...segs.slice(1)].join('::') : path;
+  }
+
   _extractCall(node, source, refs, scopeName) {
     const funcNode = node.childForFieldName('function');
     if (!funcNode) return;
 
     let name;
+    let importPath = null;
     if (funcNode.type === 'field_expression') {
       const field = funcNode.childForFieldName('field');
       name = field ? this.nodeText(field, source) : this.nodeText(funcNode, source);
     } else {
       name = this.nodeText(funcNode, source);
+      if (funcNode.type === 'scoped_identifier') importPath = this._qualifiedPath(name);
     }
 
     refs.push(this.makeReference(name, 'call',
-      funcNode.startPosition.row + 1, { sourceName: scopeName }));
+      funcNode.startPosition.row + 1, { sourceName: scopeName, importPath }));
     const args = node.childForFieldName('arguments');
     if (args) this._walkRefs(args, source, refs, scopeName);
   }
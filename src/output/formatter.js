@@ -24,6 +24,7 @@ export const KIND_ABBREV = {
   field: 'field',
   constructor: 'ctor',
   decorator: 'deco',
+  external: 'ext',
 };
 
 export function abbrevKind(kind) {
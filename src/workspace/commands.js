@@ -168,5 +168,6 @@ export async function executeIndex(opts, globalOpts) {
   await indexWorkspace(root, {
     force: opts.force || false,
     verbose: opts.verbose || false,
+    jobs: opts.jobs,
   });
 }
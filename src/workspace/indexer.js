@@ -5,50 +5,31 @@
 
 import { resolve, join } from 'node:path';
 import { loadWorkspaceConfig, resolveRepoPaths } from './config.js';
-import { openDb } from '../db/connection.js';
+import { openDb, setMeta } from '../db/connection.js';
+import { VERSION } from '../index.js';
 import { discoverFiles } from '../index/discovery.js';
-import { detectLanguage, parseFile } from '../index/parser.js';
-import { getExtractor, initExtractors } from '../languages/registry.js';
-import { extractSymbols, extractReferences } from '../index/symbols.js';
-import { classifyFile } from '../index/file-roles.js';
+import { loadProjectConfig, languageOverride, loadQueryFiles } from '../index/project-config.js';
+import { detectLanguage } from '../index/parser.js';
+import { initExtractors, getPluginStatus } from '../languages/registry.js';
+import { findPlugins } from '../languages/plugins.js';
+import { processFiles, resolveJobs } from '../index/worker-pool.js';
+import { storeSymbolMetrics } from '../index/complexity.js';
 import { resolveReferences } from '../index/relations.js';
 import { buildSymbolGraph } from '../graph/builder.js';
 import { storeMetrics } from '../graph/pagerank.js';
 import { detectClusters, labelClusters, storeClusters } from '../graph/clusters.js';
 import { collectGitStats } from '../index/git-stats.js';
-import { fileHash } from '../index/incremental.js';
-import { readFileSync, statSync } from 'node:fs';
 
 function log(msg) { console.log(msg); }
 
-function countLines(source) {
-  if (!source) return 0;
-  return source.split('\n').length;
-}
-
-function computeStructuralComplexity(source) {
-  if (!source) return 0;
-  const lines = source.split('\n');
-  let totalIndent = 0;
-  let maxIndent = 0;
-  let counted = 0;
-  for (const line of lines) {
-    if (!line.trim()) continue;
-    const indent = line.match(/^(\s*)/)[1].length;
-    totalIndent += indent;
-    if (indent > maxIndent) maxIndent = indent;
-    counted++;
-  }
-  return counted ? totalIndent / counted : 0;
-}
-
 /**
  * Index all repos in a workspace.
  * @param {string} root - Workspace root directory
- * @param {object} opts - { force: boolean, verbose: boolean }
+ * @param {object} opts - { force: boolean, verbose: boolean, jobs: number }
  */
 export async function indexWorkspace(root, opts = {}) {
   const { force = false, verbose = false } = opts;
+  const jobs = resolveJobs(opts.jobs);
   const config = loadWorkspaceConfig(root);
   if (!config) {
     throw new Error('No workspace configuration found. Run "roam workspace init" first.');
@@ -90,7 +71,9 @@ export async function indexWorkspace(root, opts = {}) {
        line_start, line_end, docstring, visibility, is_exported, parent_id, default_value)
        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
     );
-    const findParent = db.prepare('SELECT id FROM symbols WHERE file_id = ? AND name = ?');
+    const findParent = db.prepare(
+      'SELECT id FROM symbols WHERE file_id = ? AND ? IN (qualified_name, name) ORDER BY qualified_name = ? DESC, id LIMIT 1'
+    );
 
     const allSymbolRows = new Map();
     const allReferences = [];
@@ -100,55 +83,39 @@ export async function indexWorkspace(root, opts = {}) {
     for (const repo of validRepos) {
       log(`\nIndexing repo: ${repo.alias} (${repo.absPath})`);
 
-      const files = discoverFiles(repo.absPath);
+      const config = loadProjectConfig(repo.absPath);
+      const queries = loadQueryFiles(repo.absPath);
+      const plugins = findPlugins(repo.absPath, config);
+      await initExtractors({ queries, plugins });
+      for (const { source, error } of getPluginStatus().errors) {
+        log(`  Warning: extractor plugin ${source} not loaded: ${error}`);
+      }
+      const excluded = new Map();
+      const files = discoverFiles(repo.absPath, { config, excluded });
       log(`  Found ${files.length} files`);
-
-      for (const relPath of files) {
-        const fullPath = join(repo.absPath, relPath);
-        const aliasedPath = `${repo.alias}/${relPath}`;
-        const language = detectLanguage(relPath);
-
-        let source;
-        try {
-          source = readFileSync(fullPath, 'utf-8');
-        } catch {
-          continue;
+      if (verbose) {
+        for (const [rule, count] of [...excluded].sort((a, b) => b[1] - a[1])) {
+          log(`  Excluded ${count} by ${rule}`);
         }
+      }
 
-        const lineCount = countLines(source);
-        const complexity = computeStructuralComplexity(source);
-        let mtime = null;
-        try { mtime = statSync(fullPath).mtimeMs / 1000; } catch {}
-        let fhash;
-        try { fhash = fileHash(fullPath); } catch { fhash = null; }
-
-        const contentHead = source.slice(0, 2048);
-        const fileRole = classifyFile(relPath, contentHead);
+      const tasks = files.map(relPath => ({
+        fullPath: join(repo.absPath, relPath),
+        relPath,
+        language: languageOverride(config, relPath) || detectLanguage(relPath),
+        extractPath: `${repo.alias}/${relPath}`,
+      }));
 
-        const fileResult = insertFile.run(aliasedPath, language, fileRole, fhash, mtime, lineCount);
+      const storeFile = db.transaction((res, aliasedPath) => {
+        const fileResult = insertFile.run(aliasedPath, res.language, res.fileRole, res.hash, res.mtime, res.lineCount);
         const fileId = Number(fileResult.lastInsertRowid);
-        insertFileStats.run(fileId, complexity);
-
-        const [tree, parsedSource, lang] = parseFile(fullPath, language);
-        if (tree == null && parsedSource == null) {
-          totalFiles++;
-          continue;
-        }
-
-        let extractor = null;
-        if (lang) {
-          try { extractor = getExtractor(lang); } catch {}
-        }
-        if (!extractor) {
-          totalFiles++;
-          continue;
-        }
+        insertFileStats.run(fileId, res.complexity);
 
-        const symbols = extractSymbols(tree, parsedSource, aliasedPath, extractor);
-        for (const sym of symbols) {
+        const symbolIds = [];
+        for (const sym of res.symbols) {
           let parentId = null;
           if (sym.parent_name) {
-            const parentRow = findParent.get(fileId, sym.parent_name);
+            const parentRow = findParent.get(fileId, sym.parent_name, sym.parent_name);
             if (parentRow) parentId = parentRow.id;
           }
 
@@ -161,6 +128,7 @@ export async function indexWorkspace(root, opts = {}) {
             sym.default_value,
           );
           const symId = Number(symResult.lastInsertRowid);
+          symbolIds.push(symId);
           allSymbolRows.set(symId, {
             id: symId, file_id: fileId, file_path: aliasedPath,
             name: sym.name, qualified_name: sym.qualified_name,
@@ -170,11 +138,13 @@ export async function indexWorkspace(root, opts = {}) {
           totalSymbols++;
         }
 
-        const refs = extractReferences(tree, parsedSource, aliasedPath, extractor);
-        for (const ref of refs) {
-          ref.source_file = aliasedPath;
-        }
-        allReferences.push(...refs);
+        storeSymbolMetrics(db, res.symbolMetrics.map(m => ({ symbolId: symbolIds[m.index], metrics: m.metrics })));
+      });
+
+      for await (const res of processFiles(tasks, { jobs, queries, plugins })) {
+        if (res.readError) continue;
+        storeFile(res, `${repo.alias}/${res.relPath}`);
+        allReferences.push(...res.references);
         totalFiles++;
       }
 
@@ -202,12 +172,12 @@ export async function indexWorkspace(root, opts = {}) {
     // Resolve and store edges
     const resolved = resolveReferences(allReferences, symbolsByName, filesByPath);
     const insertEdge = db.prepare(
-      'INSERT INTO edges (source_id, target_id, kind, line) VALUES (?, ?, ?, ?)'
+      'INSERT INTO edges (source_id, target_id, kind, line, resolution, confidence) VALUES (?, ?, ?, ?, ?, ?)'
     );
     let edgeCount = 0;
     for (const edge of resolved) {
       try {
-        insertEdge.run(edge.source_id, edge.target_id, edge.kind, edge.line);
+        insertEdge.run(edge.source_id, edge.target_id, edge.kind, edge.line, edge.resolution, edge.confidence);
         edgeCount++;
       } catch {}
     }
@@ -227,6 +197,9 @@ export async function indexWorkspace(root, opts = {}) {
       storeClusters(db, clusters, labels);
     } catch {}
 
+    setMeta(db, 'roam_version', VERSION);
+    setMeta(db, 'indexed_at', new Date().toISOString());
+
     log(`\nWorkspace indexed: ${totalFiles} files, ${totalSymbols} symbols, ${edgeCount} edges`);
   } finally {
     db.close();
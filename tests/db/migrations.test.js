@@ -0,0 +1,108 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import Database from 'better-sqlite3';
+import { openDb, getMeta } from '../../src/db/connection.js';
+import { migrate, getSchemaVersion, SCHEMA_VERSION, MIGRATIONS } from '../../src/db/migrations.js';
+import { mkdirSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+
+const testDir = join(tmpdir(), `roam-migrate-test-${Date.now()}`);
+const dbPath = join(testDir, 'index.db');
+
+function createLegacyDb() {
+  mkdirSync(testDir, { recursive: true });
+  const db = new Database(dbPath);
+  db.exec(`
+    CREATE TABLE files (id INTEGER PRIMARY KEY AUTOINCREMENT, path TEXT NOT NULL UNIQUE,
+      language TEXT, hash TEXT, mtime REAL, line_count INTEGER DEFAULT 0);
+    CREATE TABLE symbols (id INTEGER PRIMARY KEY AUTOINCREMENT,
+      file_id INTEGER NOT NULL REFERENCES files(id) ON DELETE CASCADE,
+      name TEXT NOT NULL, qualified_name TEXT, kind TEXT NOT NULL, signature TEXT,
+      line_start INTEGER, line_end INTEGER, docstring TEXT, visibility TEXT DEFAULT 'public',
+      is_exported INTEGER DEFAULT 1, parent_id INTEGER REFERENCES symbols(id) ON DELETE SET NULL);
+    CREATE TABLE symbol_metrics (symbol_id INTEGER PRIMARY KEY REFERENCES symbols(id) ON DELETE CASCADE,
+      cognitive_complexity REAL DEFAULT 0, nesting_depth INTEGER DEFAULT 0, param_count INTEGER DEFAULT 0,
+      line_count INTEGER DEFAULT 0, return_count INTEGER DEFAULT 0, bool_op_count INTEGER DEFAULT 0,
+      callback_depth INTEGER DEFAULT 0);
+    CREATE TABLE edges (id INTEGER PRIMARY KEY AUTOINCREMENT, source_id INTEGER NOT NULL,
+      target_id INTEGER NOT NULL, kind TEXT NOT NULL, line INTEGER);
+    CREATE TABLE refs (id INTEGER PRIMARY KEY AUTOINCREMENT,
+      file_id INTEGER NOT NULL REFERENCES files(id) ON DELETE CASCADE, source_name TEXT,
+      target_name TEXT NOT NULL, kind TEXT NOT NULL, line INTEGER, import_path TEXT);
+    INSERT INTO files (path, language) VALUES ('a.js', 'javascript');
+    INSERT INTO symbols (file_id, name, kind) VALUES (1, 'alpha', 'function');
+    INSERT INTO symbol_metrics (symbol_id, cognitive_complexity) VALUES (1, 3);
+  `);
+  db.close();
+}
+
+afterEach(() => {
+  rmSync(testDir, { recursive: true, force: true });
+});
+
+describe('schema migrations', () => {
+  it('numbers migrations in strictly increasing order', () => {
+    const versions = MIGRATIONS.map(m => m.version);
+    expect(versions).toEqual([...versions].sort((a, b) => a - b));
+    expect(new Set(versions).size).toBe(versions.length);
+  });
+
+  it('stamps a fresh database with the current version', () => {
+    mkdirSync(testDir, { recursive: true });
+    const db = openDb({ dbPath });
+    try {
+      expect(getSchemaVersion(db)).toBe(SCHEMA_VERSION);
+      expect(migrate(db)).toEqual({ from: SCHEMA_VERSION, to: SCHEMA_VERSION });
+    } finally {
+      db.close();
+    }
+  });
+
+  it('upgrades a pre-versioning index and backfills data', () => {
+    createLegacyDb();
+    const db = openDb({ dbPath });
+    try {
+      expect(getMeta(db, 'schema_version')).toBe(String(SCHEMA_VERSION));
+      const cols = db.prepare('PRAGMA table_info(files)').all().map(c => c.name);
+      expect(cols).toContain('file_role');
+      const edgeCols = db.prepare('PRAGMA table_info(edges)').all().map(c => c.name);
+      expect(edgeCols).toEqual(expect.arrayContaining(['resolution', 'confidence']));
+      expect(db.prepare('PRAGMA table_info(refs)').all().map(c => c.name)).toContain('receiver_type');
+      const row = db.prepare('SELECT cognitive_complexity, halstead_volume FROM symbol_metrics').get();
+      expect(row).toEqual({ cognitive_complexity: 3, halstead_volume: 0 });
+      expect(db.prepare('SELECT name FROM symbols').get().name).toBe('alpha');
+    } finally {
+      db.close();
+    }
+  });
+
+  it('upgrades through a read-only open', () => {
+    createLegacyDb();
+    const db = openDb({ readonly: true, dbPath });
+    try {
+      expect(getSchemaVersion(db)).toBe(SCHEMA_VERSION);
+    } finally {
+      db.close();
+    }
+  });
+
+  it('refuses an index from a newer schema', () => {
+    mkdirSync(testDir, { recursive: true });
+    const db = openDb({ dbPath });
+    db.prepare("UPDATE meta SET value = ? WHERE key = 'schema_version'").run(String(SCHEMA_VERSION + 1));
+    db.prepare("INSERT INTO meta (key, value) VALUES ('roam_version', '99.0.0')").run();
+    db.close();
+
+    for (const readonly of [false, true]) {
+      let error = null;
+      try {
+        openDb({ readonly, dbPath }).close();
+      } catch (e) {
+        error = e;
+      }
+      expect(error?.code).toBe('ROAM_INCOMPATIBLE_SCHEMA');
+      expect(error.message).toContain('roam 99.0.0');
+      expect(error.message).toContain('roam index --force');
+    }
+  });
+});
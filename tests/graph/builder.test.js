@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import { buildSymbolGraph, buildFileGraph } from '../../src/graph/builder.js';
+import { buildReverseAdj, dispatchBases } from '../../src/commands/graph-helpers.js';
+import { createSeededDb } from '../helpers/db-fixture.js';
+
+describe('graph builders with a confidence threshold', () => {
+  function seeded() {
+    const db = createSeededDb();
+    // App -> Logger was a guess; edges without a confidence count as certain
+    db.prepare('UPDATE edges SET resolution = ?, confidence = ? WHERE source_id = 1 AND target_id = 3').run('guess', 0.5);
+    return db;
+  }
+
+  it('keeps every edge by default', () => {
+    const db = seeded();
+    try {
+      expect(buildSymbolGraph(db).size).toBe(5);
+      expect(buildFileGraph(db).size).toBe(3);
+    } finally {
+      db.close();
+    }
+  });
+
+  it('drops symbol edges below the threshold', () => {
+    const db = seeded();
+    try {
+      const G = buildSymbolGraph(db, { minConfidence: 0.8 });
+      expect(G.hasEdge(1, 3)).toBe(false);
+      expect(G.hasEdge(1, 6)).toBe(true);
+    } finally {
+      db.close();
+    }
+  });
+
+  it('aggregates file edges from the symbol edges that pass', () => {
+    const db = seeded();
+    try {
+      const G = buildFileGraph(db, { minConfidence: 0.8 });
+      expect(G.hasEdge(1, 2)).toBe(false);
+      expect(G.getEdgeAttributes(1, 3)).toEqual({ kind: 'imports', symbol_count: 1 });
+    } finally {
+      db.close();
+    }
+  });
+});
+
+describe('dispatch through overrides', () => {
+  function seeded() {
+    const db = createSeededDb();
+    const insertSymbol = db.prepare(
+      "INSERT INTO symbols (file_id, name, qualified_name, kind, is_exported) VALUES (5, ?, ?, ?, 1)"
+    );
+    const base = Number(insertSymbol.run('area', 'Shape.area', 'method').lastInsertRowid);
+    const impl = Number(insertSymbol.run('area', 'Square.area', 'method').lastInsertRowid);
+    db.prepare('INSERT INTO edges (source_id, target_id, kind) VALUES (?, ?, ?)').run(impl, base, 'implements_method');
+    db.prepare('INSERT INTO edges (source_id, target_id, kind) VALUES (?, ?, ?)').run(2, base, 'call');
+    return { db, base, impl };
+  }
+
+  it('leads from base methods to implementations only when asked', () => {
+    const { db, base, impl } = seeded();
+    try {
+      expect(buildSymbolGraph(db).hasEdge(base, impl)).toBe(false);
+      const G = buildSymbolGraph(db, { dispatch: true });
+      expect(G.getEdgeAttributes(base, impl)).toEqual({ kind: 'dispatch' });
+      expect(buildReverseAdj(db, { dispatch: true }).get(impl)).toEqual(new Set([base]));
+    } finally {
+      db.close();
+    }
+  });
+
+  it('finds the methods an override could be dispatched through', () => {
+    const { db, base, impl } = seeded();
+    try {
+      expect(dispatchBases(db, [impl])).toEqual(new Set([base]));
+      expect(dispatchBases(db, [base])).toEqual(new Set());
+    } finally {
+      db.close();
+    }
+  });
+});
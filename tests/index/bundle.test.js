@@ -0,0 +1,111 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { exportBundle, importBundle, readBundleManifest, rebasePaths } from '../../src/index/bundle.js';
+import { Indexer } from '../../src/index/indexer.js';
+import { openDb, getMeta } from '../../src/db/connection.js';
+import { SCHEMA_VERSION } from '../../src/db/migrations.js';
+import { createTestDb } from '../helpers/db-fixture.js';
+import { mkdirSync, writeFileSync, readFileSync, rmSync, cpSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { gzipSync } from 'node:zlib';
+
+describe('index bundles', () => {
+  const base = join(tmpdir(), `roam-bundle-test-${Date.now()}`);
+  const origin = join(base, 'origin');
+  const clone = join(base, 'clone');
+  const bundle = join(base, 'index.roam');
+
+  beforeAll(async () => {
+    mkdirSync(join(origin, 'src'), { recursive: true });
+    writeFileSync(join(origin, 'src', 'a.js'), "import { beta } from './b.js';\nexport function alpha() { return beta(); }\n");
+    writeFileSync(join(origin, 'src', 'b.js'), 'export function beta() { return 1; }\n');
+    await new Indexer(origin).run();
+  });
+
+  afterAll(() => {
+    rmSync(base, { recursive: true, force: true });
+  });
+
+  it('exports a manifest with the roam and schema versions', async () => {
+    const manifest = await exportBundle(origin, bundle);
+    expect(manifest.schema_version).toBe(SCHEMA_VERSION);
+    expect(manifest.files).toBe(2);
+    expect(manifest.root).toBe(origin);
+    expect(await readBundleManifest(bundle)).toEqual(manifest);
+  });
+
+  it('imports into another checkout and reprocesses only local changes', async () => {
+    mkdirSync(clone, { recursive: true });
+    cpSync(join(origin, 'src'), join(clone, 'src'), { recursive: true });
+    writeFileSync(join(clone, 'src', 'b.js'), 'export function beta() { return 1; }\nexport function gamma() {}\n');
+
+    const { adopted } = await importBundle(clone, bundle);
+    expect(adopted).toBe(1);
+
+    const db = openDb({ readonly: true, projectRoot: clone });
+    try {
+      expect(getMeta(db, 'bundle_roam_version')).toBeTruthy();
+      expect(db.prepare("SELECT COUNT(*) AS cnt FROM symbols WHERE name = 'gamma'").get().cnt).toBe(0);
+    } finally {
+      db.close();
+    }
+
+    expect(await new Indexer(clone).run()).toBe('indexed');
+    const after = openDb({ readonly: true, projectRoot: clone });
+    try {
+      expect(after.prepare("SELECT COUNT(*) AS cnt FROM symbols WHERE name = 'gamma'").get().cnt).toBe(1);
+      expect(after.prepare('SELECT COUNT(*) AS cnt FROM edges').get().cnt).toBeGreaterThan(0);
+    } finally {
+      after.close();
+    }
+  });
+
+  it('counts only project files, not external stubs, when matching the working tree', async () => {
+    const scoped = join(base, 'scoped');
+    const copy = join(base, 'scoped-copy');
+    const scopedBundle = join(base, 'scoped.roam');
+    for (const dir of [scoped, copy]) {
+      mkdirSync(join(dir, 'src'), { recursive: true });
+      mkdirSync(join(dir, 'lib'), { recursive: true });
+      writeFileSync(join(dir, 'src', 'a.js'), "import { helper } from '../lib/util.js';\nexport function alpha() { return helper(); }\n");
+      writeFileSync(join(dir, 'lib', 'util.js'), 'export function helper() { return 1; }\n');
+    }
+    await new Indexer(scoped, { scope: ['src'], quiet: true }).run();
+    await exportBundle(scoped, scopedBundle);
+
+    const { adopted, files, manifest } = await importBundle(copy, scopedBundle);
+    expect(manifest.files).toBe(2); // src/a.js and the lib/util.js stub
+    expect([adopted, files]).toEqual([1, 1]);
+  });
+
+  it('rejects files that are not bundles', async () => {
+    const junk = join(base, 'junk.roam');
+    writeFileSync(junk, 'plain text');
+    await expect(importBundle(clone, junk)).rejects.toMatchObject({ code: 'ROAM_INVALID_BUNDLE' });
+  });
+
+  it('rejects bundles from a newer schema without touching the index', async () => {
+    const before = readFileSync(join(clone, '.roam', 'index.db'));
+    const newer = join(base, 'newer.roam');
+    const manifest = { ...(await readBundleManifest(bundle)), schema_version: SCHEMA_VERSION + 1 };
+    writeFileSync(newer, gzipSync(Buffer.from(JSON.stringify(manifest) + '\nnot a database')));
+    await expect(importBundle(clone, newer)).rejects.toMatchObject({ code: 'ROAM_INCOMPATIBLE_SCHEMA' });
+    expect(readFileSync(join(clone, '.roam', 'index.db')).equals(before)).toBe(true);
+  });
+});
+
+describe('rebasePaths', () => {
+  it('rewrites absolute paths under the old root only', () => {
+    const db = createTestDb();
+    try {
+      db.prepare('INSERT INTO meta (key, value) VALUES (?, ?), (?, ?), (?, ?)').run(
+        'a', '/ci/work/repo/src/x.js', 'b', '/ci/work/repo', 'c', '/ci/work/repository/y.js',
+      );
+      expect(rebasePaths(db, '/ci/work/repo', '/home/me/repo')).toBe(2);
+      const rows = Object.fromEntries(db.prepare('SELECT key, value FROM meta').all().map(r => [r.key, r.value]));
+      expect(rows).toEqual({ a: '/home/me/repo/src/x.js', b: '/home/me/repo', c: '/ci/work/repository/y.js' });
+    } finally {
+      db.close();
+    }
+  });
+});
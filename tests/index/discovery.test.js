@@ -64,4 +64,30 @@ describe('discoverFiles', () => {
       cleanup();
     }
   });
+
+  it('applies project config include/exclude rules and reports exclusions', () => {
+    setup();
+    try {
+      mkdirSync(join(testDir, 'fixtures'), { recursive: true });
+      mkdirSync(join(testDir, 'build'), { recursive: true });
+      writeFileSync(join(testDir, 'fixtures', 'sample.js'), 'x');
+      writeFileSync(join(testDir, 'build', 'real.js'), 'y');
+      writeFileSync(join(testDir, 'src', 'big.js'), 'z'.repeat(200));
+      writeFileSync(join(testDir, 'roam.config.json'), JSON.stringify({
+        include: ['build/**'],
+        exclude: ['fixtures/**'],
+        max_file_size: 100,
+      }));
+      const excluded = new Map();
+      const files = discoverFiles(testDir, { excluded });
+      expect(files).toContain('build/real.js');
+      expect(files).not.toContain('fixtures/sample.js');
+      expect(files).not.toContain('src/big.js');
+      expect(files).toContain('src/app.js');
+      expect(excluded.get('roam.config.json exclude fixtures/**')).toBe(1);
+      expect(excluded.get('max_file_size 100')).toBe(1);
+    } finally {
+      cleanup();
+    }
+  });
 });
@@ -0,0 +1,119 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { runDoctor, checkDanglingEdges, checkSchema, checkLock, checkExtractors } from '../../src/index/doctor.js';
+import { Indexer } from '../../src/index/indexer.js';
+import { SCHEMA_VERSION } from '../../src/db/migrations.js';
+import { createSeededDb } from '../helpers/db-fixture.js';
+import { mkdirSync, writeFileSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+
+const byName = checks => Object.fromEntries(checks.map(c => [c.name, c]));
+
+describe('doctor checks', () => {
+  it('reports dangling edges and file_edges', () => {
+    const db = createSeededDb();
+    try {
+      expect(checkDanglingEdges(db).status).toBe('ok');
+      db.pragma('foreign_keys = OFF');
+      db.prepare('INSERT INTO edges (source_id, target_id, kind) VALUES (1, 9999, ?)').run('calls');
+      db.prepare('INSERT INTO file_edges (source_file_id, target_file_id) VALUES (9999, 1)').run();
+      const res = checkDanglingEdges(db);
+      expect(res.status).toBe('fail');
+      expect(res.data).toEqual({ edges: 1, file_edges: 1 });
+    } finally {
+      db.close();
+    }
+  });
+
+  it('fails on a schema newer than this roam', () => {
+    const db = createSeededDb();
+    try {
+      db.prepare("INSERT OR REPLACE INTO meta (key, value) VALUES ('schema_version', ?)").run(String(SCHEMA_VERSION));
+      expect(checkSchema(db).status).toBe('ok');
+      db.prepare("UPDATE meta SET value = ? WHERE key = 'schema_version'").run(String(SCHEMA_VERSION + 1));
+      expect(checkSchema(db).status).toBe('fail');
+    } finally {
+      db.close();
+    }
+  });
+
+  it('only warns about missing extractors for indexed languages', async () => {
+    const res = await checkExtractors(new Map([['javascript', 3]]));
+    expect(res.status).not.toBe('warn');
+    expect(res.data.missing).toContain('yaml');
+    expect(res.data.missing).not.toContain('javascript');
+  });
+
+  it('flags a lock left by a dead process', () => {
+    const dir = join(tmpdir(), `roam-doctor-lock-${Date.now()}`);
+    mkdirSync(dir, { recursive: true });
+    try {
+      expect(checkLock(dir).status).toBe('ok');
+      writeFileSync(join(dir, 'index.lock'), String(process.pid));
+      expect(checkLock(dir).status).toBe('info');
+      writeFileSync(join(dir, 'index.lock'), '999999999');
+      expect(checkLock(dir).status).toBe('warn');
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('runDoctor', () => {
+  const testDir = join(tmpdir(), `roam-doctor-test-${Date.now()}`);
+
+  beforeAll(async () => {
+    mkdirSync(join(testDir, 'src'), { recursive: true });
+    writeFileSync(join(testDir, 'src', 'a.js'), 'export function alpha() { return 1; }\n');
+    writeFileSync(join(testDir, 'notes.yml'), 'a: 1\n');
+  });
+
+  afterAll(() => {
+    rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it('fails without an index', async () => {
+    const checks = byName(await runDoctor(testDir));
+    expect(checks.index.status).toBe('fail');
+    expect(checks.schema).toBeUndefined();
+  });
+
+  it('passes on a fresh index and detects stale files', async () => {
+    await new Indexer(testDir).run();
+    let checks = byName(await runDoctor(testDir));
+    expect(checks.index.status).toBe('ok');
+    expect(checks.schema.status).toBe('ok');
+    expect(checks['stale-files'].status).toBe('ok');
+    expect(checks.grammars.data.unsupported).toEqual([{ language: 'yaml', files: 1 }]);
+
+    writeFileSync(join(testDir, 'src', 'b.js'), 'export const b = 2;\n');
+    checks = byName(await runDoctor(testDir));
+    expect(checks['stale-files'].status).toBe('warn');
+    expect(checks['stale-files'].data.added).toEqual(['src/b.js']);
+  });
+
+  it('reports extractor plugins and the ones that fail to load', async () => {
+    const dir = join(testDir, '.roam', 'extractors');
+    mkdirSync(dir, { recursive: true });
+    writeFileSync(join(dir, 'ini.js'), [
+      'export default [',
+      "  { language: 'ini', extensions: ['.ini'], extractor: ({ LanguageExtractor }) => class extends LanguageExtractor {",
+      '    extractSymbols() { return []; }',
+      '    extractReferences() { return []; }',
+      '  } },',
+      "  { language: 'javascript', extensions: ['.jsx2'], extractor: null },",
+      '];',
+    ].join('\n'));
+    try {
+      const checks = byName(await runDoctor(testDir));
+      expect(checks['extractor-plugins'].status).toBe('warn');
+      expect(checks['extractor-plugins'].detail)
+        .toBe('failed to load: .roam/extractors/ini.js (javascript: language is already registered)');
+      expect(checks['extractor-plugins'].data.plugins.map(p => p.language)).toEqual(['ini']);
+      expect(checks.extractors.data.missing).not.toContain('ini');
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+    expect(byName(await runDoctor(testDir))['extractor-plugins']).toMatchObject({ status: 'ok', detail: 'none' });
+  });
+});
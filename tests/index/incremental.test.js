@@ -1,7 +1,9 @@
 import { describe, it, expect } from 'vitest';
 import { fileHash } from '../../src/index/incremental.js';
-import { writeFileSync, rmSync } from 'node:fs';
-import { join } from 'node:path';
+import { Indexer, EXTRACTOR_VERSION } from '../../src/index/indexer.js';
+import { openDb, getMeta, setMeta } from '../../src/db/connection.js';
+import { writeFileSync, rmSync, mkdirSync } from 'node:fs';
+import { join, dirname } from 'node:path';
 import { tmpdir } from 'node:os';
 
 describe('fileHash', () => {
@@ -29,3 +31,174 @@ describe('fileHash', () => {
     expect(() => fileHash('/nonexistent/path')).toThrow();
   });
 });
+
+describe('incremental edge resolution', () => {
+  const testDir = join(tmpdir(), `roam-incr-test-${Date.now()}`);
+
+  function write(rel, content) {
+    mkdirSync(dirname(join(testDir, rel)), { recursive: true });
+    writeFileSync(join(testDir, rel), content);
+  }
+
+  function edgeSnapshot() {
+    const db = openDb({ readonly: true, projectRoot: testDir });
+    try {
+      const edges = db.prepare(
+        `SELECT fs.path || ':' || s.name || ' -> ' || ft.path || ':' || t.name || ' ' || e.kind || '@' || e.line AS e
+         FROM edges e
+         JOIN symbols s ON e.source_id = s.id JOIN files fs ON s.file_id = fs.id
+         JOIN symbols t ON e.target_id = t.id JOIN files ft ON t.file_id = ft.id`
+      ).all().map(r => r.e).sort();
+      const fileEdges = db.prepare(
+        `SELECT a.path || ' -> ' || b.path || ' x' || fe.symbol_count AS e
+         FROM file_edges fe JOIN files a ON fe.source_file_id = a.id JOIN files b ON fe.target_file_id = b.id`
+      ).all().map(r => r.e).sort();
+      const refCount = db.prepare('SELECT COUNT(*) AS cnt FROM refs').get().cnt;
+      return { edges, fileEdges, refCount };
+    } finally {
+      db.close();
+    }
+  }
+
+  it('patches edges in place to match a full rebuild', async () => {
+    try {
+      write('src/util.js', 'export function format(x) { return String(x); }\nexport function parse(s) { return Number(s); }\n');
+      write('src/app.js', "import { format, parse } from './util.js';\nexport function main() { return format(parse('1')); }\n");
+      write('src/other.js', "import { format } from './util.js';\nexport function show(v) { return format(v); }\n");
+      write('src/leaf.js', 'export function leaf() { return 1; }\n');
+
+      const indexer = new Indexer(testDir);
+      await indexer.run({ force: true });
+      expect(edgeSnapshot().refCount).toBeGreaterThan(0);
+
+      // Move `parse` into a new file and drop leaf.js
+      write('src/util.js', 'export function format(x) { return String(x); }\n');
+      write('src/parse.js', 'export function parse(s) { return Number(s); }\n');
+      rmSync(join(testDir, 'src/leaf.js'));
+      await indexer.run();
+      const incremental = edgeSnapshot();
+
+      await indexer.run({ force: true });
+      const full = edgeSnapshot();
+
+      expect(incremental.edges).toEqual(full.edges);
+      expect(incremental.fileEdges).toEqual(full.fileEdges);
+      expect(incremental.edges).toContain('src/app.js:main -> src/parse.js:parse call@2');
+    } finally {
+      rmSync(testDir, { recursive: true, force: true });
+    }
+  });
+
+  it('keeps edges through barrels in step with their modules', async () => {
+    try {
+      write('src/ui/input.js', 'export function OldInput() { return 1; }\n');
+      write('src/ui/card.js', 'export function Card() { return 1; }\n');
+      write('src/ui/index.js', "export { OldInput as Input } from './input.js';\n");
+      write('src/app.js', "import { Input, Card } from './ui/index.js';\nexport function main() { return Input() + Card(); }\n");
+
+      const indexer = new Indexer(testDir);
+      await indexer.run({ force: true });
+
+      // Edit the renamed symbol's module, then start re-exporting another
+      write('src/ui/input.js', 'export function OldInput() { return 2; }\n');
+      await indexer.run();
+      write('src/ui/index.js', "export { OldInput as Input } from './input.js';\nexport * from './card.js';\n");
+      await indexer.run();
+      const incremental = edgeSnapshot();
+
+      await indexer.run({ force: true });
+      const full = edgeSnapshot();
+
+      expect(incremental.edges).toEqual(full.edges);
+      expect(incremental.edges).toContain('src/app.js:main -> src/ui/input.js:OldInput call@2');
+      expect(incremental.edges).toContain('src/ui/index.js:ui -> src/ui/card.js:Card reexport@2');
+    } finally {
+      rmSync(testDir, { recursive: true, force: true });
+    }
+  });
+
+  it('rebuilds an index from other extractors once, then patches it', async () => {
+    try {
+      write('src/a.js', 'export const a = 1;\n');
+      write('src/b.js', 'export const b = 2;\n');
+
+      const indexer = new Indexer(testDir, { quiet: true });
+      const discovered = [];
+      indexer.on('stage_end', e => {
+        if (e.stage === 'discovery') discovered.push([e.added, e.modified]);
+      });
+      await indexer.run({ force: true });
+      expect(edgeSnapshot().refCount).toBe(0);
+
+      // No stored references is not a reason to redo unchanged files
+      write('src/a.js', 'export const a = 3;\n');
+      await indexer.run();
+      expect(discovered.at(-1)).toEqual([0, 1]);
+
+      const db = openDb({ projectRoot: testDir });
+      try {
+        expect(getMeta(db, 'extractor_version')).toBe(String(EXTRACTOR_VERSION));
+        setMeta(db, 'extractor_version', '0');
+      } finally {
+        db.close();
+      }
+      expect(await indexer.run()).toBe('indexed');
+      expect(discovered.at(-1)).toEqual([2, 0]);
+      expect(await indexer.run()).toBe('unchanged');
+    } finally {
+      rmSync(testDir, { recursive: true, force: true });
+    }
+  });
+
+  it('re-resolves every reference when resolver settings change', async () => {
+    const tsconfig = dir => JSON.stringify({ compilerOptions: { baseUrl: '.', paths: { '@lib/*': [`src/${dir}/*`] } } });
+    try {
+      write('tsconfig.json', tsconfig('a'));
+      write('src/a/util.js', 'export function helper() { return 1; }\n');
+      write('src/b/util.js', 'export function helper() { return 2; }\n');
+      write('src/main.js', "import { helper } from '@lib/util';\nexport function main() { return helper(); }\n");
+
+      const indexer = new Indexer(testDir, { quiet: true });
+      await indexer.run();
+      expect(edgeSnapshot().edges).toContain('src/main.js:main -> src/a/util.js:helper call@2');
+
+      write('tsconfig.json', tsconfig('b'));
+      expect(await indexer.run()).toBe('indexed');
+      const { edges } = edgeSnapshot();
+      expect(edges).toContain('src/main.js:main -> src/b/util.js:helper call@2');
+      expect(edges.filter(e => e.includes('src/a/util.js'))).toEqual([]);
+      expect(await indexer.run()).toBe('unchanged');
+    } finally {
+      rmSync(testDir, { recursive: true, force: true });
+    }
+  });
+
+  it('rebuilds when a project query file is added or removed', async () => {
+    try {
+      write('app/a.py', 'from app.b import beta\n\ndef alpha():\n    return beta()\n');
+      write('app/b.py', 'def beta():\n    return 1\n');
+
+      const indexer = new Indexer(testDir, { quiet: true });
+      const discovered = [];
+      indexer.on('stage_end', e => {
+        if (e.stage === 'discovery') discovered.push([e.added, e.modified]);
+      });
+      await indexer.run();
+      const before = edgeSnapshot().edges;
+      expect(before).toContain('app/a.py:alpha -> app/b.py:beta call@4');
+
+      // Definitions only: the query drops every reference
+      write('.roam/queries/python.scm', '(function_definition name: (identifier) @name) @definition.function\n');
+      expect(await indexer.run()).toBe('indexed');
+      expect(discovered.at(-1)).toEqual([2, 0]);
+      expect(edgeSnapshot().edges).toEqual([]);
+      expect(await indexer.run()).toBe('unchanged');
+
+      rmSync(join(testDir, '.roam', 'queries'), { recursive: true });
+      expect(await indexer.run()).toBe('indexed');
+      expect(edgeSnapshot().edges).toEqual(before);
+    } finally {
+      rmSync(testDir, { recursive: true, force: true });
+    }
+  });
+});
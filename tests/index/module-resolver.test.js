@@ -0,0 +1,400 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createJsResolver, exportsTargets, npmPackageName, packageJsonDependencies, parseJsonc,
+} from '../../src/index/resolvers/javascript.js';
+import {
+  createPythonResolver, parseDunderAll, parseFromImports, parseRequirements, pyprojectDependencies,
+  pyprojectSourceDirs, setupCfgSourceDirs,
+} from '../../src/index/resolvers/python.js';
+import { createGoResolver, parseGoMod, parseGoWork } from '../../src/index/resolvers/go.js';
+import { createRustResolver, parseCargoToml, parseModDecls } from '../../src/index/resolvers/rust.js';
+import { createCResolver, parseCompileCommands, splitCommand } from '../../src/index/resolvers/c.js';
+import { createPhpResolver, parseComposerPsr4 } from '../../src/index/resolvers/php.js';
+import { createModuleResolver } from '../../src/index/module-resolver.js';
+
+function project(tree) {
+  const files = new Set(Object.keys(tree));
+  const readFile = relPath => (relPath in tree ? tree[relPath] : null);
+  return { files, readFile };
+}
+
+describe('parseJsonc', () => {
+  it('accepts comments and trailing commas but keeps them inside strings', () => {
+    expect(parseJsonc('{ // c\n "paths": { "@/*": ["src/*"], }, /* x */ }')).toEqual({ paths: { '@/*': ['src/*'] } });
+  });
+});
+
+describe('exportsTargets', () => {
+  it('picks subpaths, patterns and conditions', () => {
+    const exp = {
+      '.': { types: './dist/index.d.ts', import: './dist/index.mjs', require: './dist/index.cjs' },
+      './utils/*': './src/utils/*.ts',
+    };
+    expect(exportsTargets(exp, '.')).toEqual(['./dist/index.mjs', './dist/index.cjs', './dist/index.d.ts']);
+    expect(exportsTargets(exp, './utils/date')).toEqual(['./src/utils/date.ts']);
+    expect(exportsTargets(exp, './missing')).toEqual([]);
+    expect(exportsTargets('./main.js', '.')).toEqual(['./main.js']);
+  });
+});
+
+describe('npm packages', () => {
+  it('names the package a bare specifier imports', () => {
+    expect(npmPackageName('react')).toBe('react');
+    expect(npmPackageName('lodash/fp/map')).toBe('lodash');
+    expect(npmPackageName('@acme/ui/button')).toBe('@acme/ui');
+    expect(npmPackageName('./util.js')).toBeNull();
+    expect(npmPackageName('node:fs')).toBeNull();
+    expect(npmPackageName('fs/promises')).toBeNull();
+    expect(npmPackageName('@/components/x')).toBeNull();
+    expect(npmPackageName('~/x')).toBeNull();
+    expect(npmPackageName('#internal')).toBeNull();
+  });
+
+  it('reads dependencies from package.json, skipping local ones', () => {
+    expect(packageJsonDependencies({
+      dependencies: { react: '^18', '@acme/lib': 'workspace:*' },
+      devDependencies: { vitest: '^1' },
+      peerDependencies: { 'react-dom': '^18' },
+    })).toEqual([
+      { name: 'react', dev: false },
+      { name: 'vitest', dev: true },
+      { name: 'react-dom', dev: false },
+    ]);
+  });
+});
+
+describe('createJsResolver', () => {
+  it('resolves relative imports with extension and index probing', () => {
+    const resolve = createJsResolver(project({
+      'src/a.ts': '', 'src/b.ts': '', 'src/lib/index.ts': '', 'src/c.jsx': '',
+    }));
+    expect(resolve('src/a.ts', './b')).toBe('src/b.ts');
+    expect(resolve('src/a.ts', './b.js')).toBe('src/b.ts');
+    expect(resolve('src/a.ts', './lib')).toBe('src/lib/index.ts');
+    expect(resolve('src/lib/index.ts', '../c')).toBe('src/c.jsx');
+    expect(resolve('src/a.ts', './nope')).toBeNull();
+    expect(resolve('src/a.ts', 'react')).toBeNull();
+  });
+
+  it('follows tsconfig paths and baseUrl through extends', () => {
+    const resolve = createJsResolver(project({
+      'tsconfig.base.json': '{ "compilerOptions": { "baseUrl": ".", "paths": { "@app/*": ["src/app/*"], "~/*": ["src/*"] } } }',
+      'web/tsconfig.json': '{ "extends": "../tsconfig.base", /* local */ "compilerOptions": { "strict": true } }',
+      'web/main.ts': '',
+      'src/app/utils/date.ts': '',
+      'src/components/Button.tsx': '',
+      'src/shared/log.ts': '',
+    }));
+    expect(resolve('web/main.ts', '@app/utils/date')).toBe('src/app/utils/date.ts');
+    expect(resolve('web/main.ts', '~/components/Button')).toBe('src/components/Button.tsx');
+    expect(resolve('web/main.ts', 'src/shared/log')).toBe('src/shared/log.ts');
+  });
+
+  it('resolves paths relative to the config without a baseUrl', () => {
+    const resolve = createJsResolver(project({
+      'app/jsconfig.json': '{ "compilerOptions": { "paths": { "@/*": ["./src/*"] } } }',
+      'app/src/main.js': '',
+      'app/src/store.js': '',
+    }));
+    expect(resolve('app/src/main.js', '@/store')).toBe('app/src/store.js');
+  });
+
+  it('resolves workspace packages through exports and main', () => {
+    const resolve = createJsResolver(project({
+      'package.json': '{ "name": "root", "workspaces": ["packages/*"] }',
+      'packages/core/package.json': '{ "name": "@acme/core", "exports": { ".": "./dist/index.js", "./date": "./src/date.ts" } }',
+      'packages/core/src/index.ts': '',
+      'packages/core/src/date.ts': '',
+      'packages/ui/package.json': '{ "name": "ui", "main": "lib/main.js" }',
+      'packages/ui/lib/main.js': '',
+      'packages/ui/src/button.ts': '',
+      'apps/web/main.ts': '',
+    }));
+    expect(resolve('apps/web/main.ts', '@acme/core')).toBe('packages/core/src/index.ts');
+    expect(resolve('apps/web/main.ts', '@acme/core/date')).toBe('packages/core/src/date.ts');
+    expect(resolve('apps/web/main.ts', 'ui')).toBe('packages/ui/lib/main.js');
+    expect(resolve('apps/web/main.ts', 'ui/src/button')).toBe('packages/ui/src/button.ts');
+  });
+
+  it('reads pnpm-workspace.yaml', () => {
+    const resolve = createJsResolver(project({
+      'pnpm-workspace.yaml': "packages:\n  - 'libs/*'\n",
+      'libs/fmt/package.json': '{ "name": "fmt" }',
+      'libs/fmt/index.js': '',
+      'main.js': '',
+    }));
+    expect(resolve('main.js', 'fmt')).toBe('libs/fmt/index.js');
+  });
+});
+
+describe('python project metadata', () => {
+  it('finds src-layout roots in pyproject.toml and setup.cfg', () => {
+    expect(pyprojectSourceDirs('[tool.setuptools.packages.find]\nwhere = ["src"]\n')).toEqual(['src']);
+    expect(pyprojectSourceDirs('[tool.setuptools]\npackage-dir = {"" = "lib"}\n')).toEqual(['lib']);
+    expect(pyprojectSourceDirs('[tool.poetry]\npackages = [{ include = "app", from = "src" }]\n')).toEqual(['src']);
+    expect(setupCfgSourceDirs('[options]\npackage_dir =\n    =src\n')).toEqual(['src']);
+  });
+
+  it('reads dependencies from requirements files and pyproject.toml', () => {
+    expect(parseRequirements('requests[socks]>=2  # http\n-r base.txt\nPyYAML==6.0\ngit+https://x/y.git\nfoo @ https://x/foo.whl\n'))
+      .toEqual(['requests', 'PyYAML', 'foo']);
+    expect(pyprojectDependencies([
+      '[project]',
+      'dependencies = [',
+      '  "httpx[http2]>=0.27",',
+      '  "attrs",',
+      ']',
+      '[project.optional-dependencies]',
+      'yaml = ["PyYAML"]',
+      '[dependency-groups]',
+      'test = ["pytest"]',
+      '[tool.poetry.dependencies]',
+      'python = "^3.11"',
+      'rich = "^13"',
+    ].join('\n'))).toEqual([
+      { name: 'httpx', dev: false },
+      { name: 'attrs', dev: false },
+      { name: 'PyYAML', dev: false },
+      { name: 'pytest', dev: true },
+      { name: 'rich', dev: false },
+    ]);
+  });
+
+  it('parses from-imports and __all__', () => {
+    expect(parseFromImports('from .models import (\n  User,  # the user\n  Group as G,\n)\nfrom . import *\n')).toEqual([
+      { module: '.models', name: 'User', alias: 'User' },
+      { module: '.models', name: 'Group', alias: 'G' },
+      { module: '.', name: '*', alias: '*' },
+    ]);
+    expect(parseDunderAll("__all__ = ['User']\n__all__ += ('Group',)\n")).toEqual(new Set(['User', 'Group']));
+    expect(parseDunderAll('x = 1\n')).toBeNull();
+  });
+});
+
+describe('createPythonResolver', () => {
+  const tree = {
+    'pyproject.toml': '[tool.setuptools.packages.find]\nwhere = ["src"]\n',
+    'src/shop/__init__.py': 'from .models import User\nfrom .util import *\n',
+    'src/shop/models.py': '',
+    'src/shop/util.py': "__all__ = ['slug']\n",
+    'src/shop/views/__init__.py': '',
+    'src/shop/views/orders.py': '',
+    'blog/models.py': '',
+    'scripts/tools/lint.py': '',
+  };
+  const { resolve, reexports, packageOf } = createPythonResolver(project(tree));
+
+  it('maps dotted and relative module paths to files', () => {
+    expect(resolve('tests/test_x.py', 'shop.models.User')).toBe('src/shop/models.py');
+    expect(resolve('tests/test_x.py', 'shop.views')).toBe('src/shop/views/__init__.py');
+    expect(resolve('tests/test_x.py', 'shop.User')).toBe('src/shop/__init__.py');
+    expect(resolve('src/shop/views/orders.py', '..models.User')).toBe('src/shop/models.py');
+    expect(resolve('src/shop/views/orders.py', '.User')).toBe('src/shop/views/__init__.py');
+    expect(resolve('blog/views.py', 'blog.models')).toBe('blog/models.py');
+    expect(resolve('tests/test_x.py', 'django.db.models')).toBeNull();
+  });
+
+  it('follows __init__ re-exports, honouring __all__ for star imports', () => {
+    expect(reexports('src/shop/__init__.py', 'User')).toEqual([{ file: 'src/shop/models.py', name: 'User' }]);
+    expect(reexports('src/shop/__init__.py', 'slug')).toEqual([{ file: 'src/shop/util.py', name: 'slug' }]);
+    expect(reexports('src/shop/__init__.py', 'helper')).toEqual([]);
+  });
+
+  it('attributes imports nothing local or in the stdlib provides to a package', () => {
+    expect(packageOf('blog/views.py', 'django.db.models')).toBe('django');
+    expect(packageOf('blog/views.py', 'yaml')).toBe('yaml');
+    expect(packageOf('blog/views.py', 'os.path')).toBeNull();
+    expect(packageOf('blog/views.py', 'shop.models')).toBeNull();
+    expect(packageOf('scripts/run.py', 'tools.lint')).toBeNull();
+    expect(packageOf('blog/views.py', '.missing')).toBeNull();
+  });
+});
+
+describe('createGoResolver', () => {
+  it('parses go.mod and go.work', () => {
+    const mod = parseGoMod('module github.com/acme/svc // main\n\nreplace (\n  github.com/acme/lib v1.0.0 => ../lib\n  golang.org/x/net => golang.org/x/net v0.1.0\n)\n');
+    expect(mod.module).toBe('github.com/acme/svc');
+    expect([...mod.replaces]).toEqual([['github.com/acme/lib', '../lib']]);
+    expect(parseGoMod('module m\n\nrequire github.com/pkg/errors v0.9.1\nrequire (\n\tgolang.org/x/sync v0.5.0 // indirect\n)\n').requires)
+      .toEqual([
+        { path: 'golang.org/x/sync', indirect: true },
+        { path: 'github.com/pkg/errors', indirect: false },
+      ]);
+    expect(parseGoWork('go 1.22\n\nuse (\n  ./svc\n  ./lib\n)\n')).toEqual(['./svc', './lib']);
+  });
+
+  it('maps import paths to local package files and flags the rest as external', () => {
+    const { resolve, isExternal, packageOf } = createGoResolver(project({
+      'go.work': 'use (\n  ./svc\n  ./lib\n)\n',
+      'svc/go.mod': 'module github.com/acme/svc\n\nrequire github.com/go-chi/chi/v5 v5.0.0\n',
+      'svc/main.go': '',
+      'svc/internal/store/store.go': '',
+      'svc/internal/store/sql.go': '',
+      'svc/internal/store/store_test.go': '',
+      'lib/go.mod': 'module github.com/acme/lib\n',
+      'lib/fmt/fmt.go': '',
+    }));
+    expect(resolve('svc/main.go', 'github.com/acme/svc/internal/store'))
+      .toEqual(['svc/internal/store/store.go', 'svc/internal/store/sql.go']);
+    expect(resolve('svc/main.go', 'github.com/acme/lib/fmt')).toEqual(['lib/fmt/fmt.go']);
+    expect(resolve('svc/main.go', 'fmt')).toBeNull();
+    expect(isExternal('svc/main.go', 'fmt')).toBe(true);
+    expect(isExternal('svc/main.go', 'github.com/pkg/errors')).toBe(true);
+    expect(isExternal('svc/main.go', 'github.com/acme/svc/internal/store')).toBe(false);
+    expect(packageOf('svc/main.go', 'github.com/go-chi/chi/v5/middleware')).toBe('github.com/go-chi/chi/v5');
+    expect(packageOf('svc/main.go', 'github.com/google/uuid')).toBe('github.com/google/uuid');
+    expect(packageOf('svc/main.go', 'net/http')).toBeNull();
+    expect(packageOf('svc/main.go', 'github.com/acme/lib/fmt')).toBeNull();
+  });
+});
+
+describe('createRustResolver', () => {
+  const tree = {
+    'Cargo.toml': '[workspace]\nmembers = ["core", "app"]\n',
+    'core/Cargo.toml': '[package]\nname = "acme-core"\n',
+    'core/src/lib.rs': 'pub mod model;\n#[path = "legacy_io.rs"]\nmod io;\npub use model::user::User;\n',
+    'core/src/model/mod.rs': 'pub mod user;\npub mod order;\n',
+    'core/src/model/user.rs': 'use super::order::Order;\n',
+    'core/src/model/order.rs': '',
+    'core/src/legacy_io.rs': '',
+    'app/Cargo.toml': '[package]\nname = "app"\n\n[dependencies]\nacme-core = { path = "../core" }\nserde = "1"\n\n[dependencies.tokio]\nversion = "1"\n',
+    'app/src/main.rs': 'mod cli;\nmod inline { pub fn f() {} }\n',
+    'app/src/cli.rs': '',
+  };
+  const { resolve, reexports, isExternal, packageOf } = createRustResolver(project(tree));
+
+  it('reads Cargo.toml and mod declarations', () => {
+    expect(parseCargoToml(tree['app/Cargo.toml'])).toEqual({
+      name: 'app', libPath: null, dependencies: ['acme_core', 'serde', 'tokio'], devDependencies: [],
+    });
+    expect(parseCargoToml('[dev-dependencies]\nproptest = "1"\n[workspace.dependencies]\nanyhow.workspace = true\n'))
+      .toMatchObject({ dependencies: ['proptest', 'anyhow'], devDependencies: ['proptest'] });
+    expect([...parseModDecls(tree['core/src/lib.rs'])]).toEqual([['model', null], ['io', 'legacy_io.rs']]);
+  });
+
+  it('walks crate, self, super and child-module paths to files', () => {
+    expect(resolve('core/src/lib.rs', 'crate::model::user::User')).toBe('core/src/model/user.rs');
+    expect(resolve('core/src/model/user.rs', 'super::order::Order')).toBe('core/src/model/order.rs');
+    expect(resolve('core/src/model/mod.rs', 'self::order')).toBe('core/src/model/order.rs');
+    expect(resolve('core/src/lib.rs', 'io::read')).toBe('core/src/legacy_io.rs');
+    expect(resolve('app/src/main.rs', 'cli::run')).toBe('app/src/cli.rs');
+    expect(resolve('app/src/cli.rs', 'acme_core::model::order::Order')).toBe('core/src/model/order.rs');
+    expect(resolve('app/src/cli.rs', 'serde::Serialize')).toBeNull();
+  });
+
+  it('follows pub use and flags std and dependencies as external', () => {
+    expect(reexports('core/src/lib.rs', 'User')).toEqual([{ file: 'core/src/model/user.rs', name: 'User' }]);
+    expect(reexports('core/src/lib.rs', 'User::new')).toEqual([{ file: 'core/src/model/user.rs', name: 'User::new' }]);
+    expect(isExternal('app/src/cli.rs', 'std::collections::HashMap')).toBe(true);
+    expect(isExternal('app/src/cli.rs', 'tokio::spawn')).toBe(true);
+    expect(isExternal('app/src/cli.rs', 'acme_core::User')).toBe(false);
+  });
+
+  it('attributes paths into declared and undeclared crates to them', () => {
+    expect(packageOf('app/src/cli.rs', 'tokio::spawn')).toBe('tokio');
+    expect(packageOf('app/src/cli.rs', 'anyhow::Result')).toBe('anyhow');
+    expect(packageOf('app/src/cli.rs', 'std::fmt')).toBeNull();
+    expect(packageOf('app/src/cli.rs', 'acme_core::User')).toBeNull();
+    expect(packageOf('app/src/main.rs', 'cli::run')).toBeNull();
+    expect(packageOf('app/src/main.rs', 'inline::f')).toBeNull();
+    expect(packageOf('app/src/cli.rs', 'crate::cli')).toBeNull();
+  });
+});
+
+describe('createCResolver', () => {
+  const compileCommands = JSON.stringify([
+    { directory: '/proj', file: 'app/main.c', command: 'cc -Inet/include -I "db/include" -c app/main.c' },
+    { directory: '/proj/db', file: 'src/store.c', arguments: ['cc', '-isystem', '/usr/include', '-Iinclude', 'src/store.c'] },
+  ]);
+  const tree = {
+    'build/compile_commands.json': compileCommands,
+    'app/main.c': '#include <stdio.h>\n#include <db/store.h>\n#include "util.h"\n',
+    'app/util.h': '',
+    'db/include/db/store.h': '#include "db/types.h"\n',
+    'db/include/db/types.h': '',
+    'db/src/store.c': '#include "db/store.h"\n',
+    'net/include/net/conn.h': '',
+    'third_party/z/zlib.h': '',
+  };
+  const { resolve, isExternal, includes } = createCResolver({
+    root: '/proj', ...project(tree), includeDirs: ['third_party/z'],
+  });
+
+  it('reads include flags from compile commands', () => {
+    expect(splitCommand('cc -I "a b" -DX=\\"y\\" x.c')).toEqual(['cc', '-I', 'a b', '-DX="y"', 'x.c']);
+    const parsed = parseCompileCommands(compileCommands);
+    expect(parsed.get('/proj/app/main.c').dirs).toEqual(['/proj/net/include', '/proj/db/include']);
+    expect(parsed.get('/proj/db/src/store.c')).toEqual({ quote: [], dirs: ['/proj/db/include'], system: ['/usr/include'] });
+  });
+
+  it('searches the including directory only for quoted includes', () => {
+    expect(resolve('app/main.c', 'util.h')).toBe('app/util.h');
+    expect(resolve('app/main.c', '<util.h>')).toBeNull();
+    expect(resolve('app/main.c', '<db/store.h>')).toBe('db/include/db/store.h');
+    expect(resolve('app/main.c', '<zlib.h>')).toBe('third_party/z/zlib.h');
+    expect(resolve('db/src/store.c', 'db/store.h')).toBe('db/include/db/store.h');
+  });
+
+  it('marks unreachable angle includes as system headers', () => {
+    expect(isExternal('app/main.c', '<stdio.h>')).toBe(true);
+    expect(isExternal('app/main.c', '<db/store.h>')).toBe(false);
+  });
+
+  it('lists the headers a file sees, nearest first', () => {
+    expect(includes('app/main.c')).toEqual(['db/include/db/store.h', 'app/util.h', 'db/include/db/types.h']);
+  });
+});
+
+describe('createPhpResolver', () => {
+  it('reads PSR-4 prefixes from autoload and autoload-dev', () => {
+    const composer = JSON.stringify({
+      autoload: { 'psr-4': { 'App\\': 'app/', 'Lib\\Util\\': ['src/util', 'lib/util'] } },
+      'autoload-dev': { 'psr-4': { 'Tests\\': 'tests/' } },
+    });
+    expect(parseComposerPsr4(composer)).toEqual([
+      { prefix: 'App', dirs: ['app/'] },
+      { prefix: 'Lib\\Util', dirs: ['src/util', 'lib/util'] },
+      { prefix: 'Tests', dirs: ['tests/'] },
+    ]);
+    expect(parseComposerPsr4('not json')).toEqual([]);
+  });
+
+  it('maps class names to files under the longest matching prefix', () => {
+    const { resolve, isExternal } = createPhpResolver(project({
+      'composer.json': JSON.stringify({ autoload: { 'psr-4': { 'App\\': 'app/', 'App\\Domain\\': 'domain/' } } }),
+      'packages/pay/composer.json': JSON.stringify({ autoload: { 'psr-4': { 'Pay\\': 'src/' } } }),
+      'vendor/laravel/framework/composer.json': JSON.stringify({ autoload: { 'psr-4': { 'Illuminate\\': 'src/Illuminate/' } } }),
+      'app/Models/User.php': '',
+      'domain/Order.php': '',
+      'packages/pay/src/Gateway.php': '',
+    }));
+    expect(resolve('app/Http/Kernel.php', 'App\\Models\\User')).toBe('app/Models/User.php');
+    expect(resolve('app/Http/Kernel.php', '\\App\\Domain\\Order')).toBe('domain/Order.php');
+    expect(resolve('app/Http/Kernel.php', 'Pay\\Gateway')).toBe('packages/pay/src/Gateway.php');
+    expect(resolve('app/Http/Kernel.php', 'App\\Models\\Missing')).toBeNull();
+    expect(isExternal('app/Http/Kernel.php', 'App\\Models\\Missing')).toBe(false);
+    expect(isExternal('app/Http/Kernel.php', 'Illuminate\\Http\\Request')).toBe(true);
+    expect(isExternal('app/Http/Kernel.php', 'Countable')).toBe(true);
+    expect(createPhpResolver(project({ 'a.php': '' })).isExternal('a.php', 'Countable')).toBe(false);
+  });
+});
+
+describe('createModuleResolver', () => {
+  it('dispatches by the importing file language', () => {
+    const modules = createModuleResolver(project({ 'src/a.ts': '', 'src/b.ts': '', 'src/c.md': '' }));
+    expect(modules.resolve('src/a.ts', './b')).toBe('src/b.ts');
+    expect(modules.resolve('src/c.md', './b')).toBeNull();
+    const php = createModuleResolver(project({
+      'composer.json': '{"autoload": {"psr-4": {"App\\\\": "app/"}}}', 'app/User.php': '', 'app/Http/Kernel.php': '',
+    }));
+    expect(php.resolve('app/Http/Kernel.php', 'App\\User')).toBe('app/User.php');
+  });
+
+  it('tags third-party packages with their ecosystem', () => {
+    const modules = createModuleResolver(project({ 'src/a.ts': '', 'src/b.ts': '', 'tools/x.py': '' }));
+    expect(modules.packageOf('src/a.ts', 'react-dom/client')).toEqual({ ecosystem: 'npm', name: 'react-dom' });
+    expect(modules.packageOf('src/a.ts', './b')).toBeNull();
+    expect(modules.packageOf('tools/x.py', 'numpy.linalg')).toEqual({ ecosystem: 'pypi', name: 'numpy' });
+    expect(modules.packageOf('src/c.md', 'react')).toBeNull();
+  });
+});
@@ -0,0 +1,187 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import {
+  packageKey, parsePackageStubPath, manifestEcosystem, manifestDependencies, checkManifests, usedPackages, readManifests,
+} from '../../src/index/packages.js';
+import { Indexer } from '../../src/index/indexer.js';
+import { openDb } from '../../src/db/connection.js';
+import { readFromDisk } from '../../src/index/project-config.js';
+import { mkdirSync, writeFileSync, rmSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+import { tmpdir } from 'node:os';
+
+describe('package helpers', () => {
+  it('matches declared names with imported ones', () => {
+    expect(packageKey('pypi', 'PyYAML')).toBe(packageKey('pypi', 'yaml'));
+    expect(packageKey('pypi', 'Pillow')).toBe(packageKey('pypi', 'PIL'));
+    expect(packageKey('pypi', 'typing-extensions')).toBe(packageKey('pypi', 'typing_extensions'));
+    expect(packageKey('cargo', 'serde-json')).toBe('serde_json');
+    expect(packageKey('npm', 'React')).toBe('React');
+  });
+
+  it('tells package stubs from out-of-scope stubs', () => {
+    expect(parsePackageStubPath('npm:@acme/ui')).toEqual({ ecosystem: 'npm', name: '@acme/ui' });
+    expect(parsePackageStubPath('go:github.com/google/uuid')).toEqual({ ecosystem: 'go', name: 'github.com/google/uuid' });
+    expect(parsePackageStubPath('packages/b/util.js')).toBeNull();
+  });
+
+  it('reads each kind of manifest', () => {
+    expect(manifestEcosystem('web/package.json')).toBe('npm');
+    expect(manifestEcosystem('requirements/dev.txt')).toBe('pypi');
+    expect(manifestEcosystem('notes.txt')).toBeNull();
+    expect(manifestDependencies('requirements-dev.txt', 'pytest\n')).toEqual([{ name: 'pytest', dev: true }]);
+    expect(manifestDependencies('go.mod', 'module m\nrequire (\n\ta.io/x v1.0.0\n\tb.io/y v1.0.0 // indirect\n)\n'))
+      .toEqual([{ name: 'a.io/x', dev: false }, { name: 'b.io/y', dev: true }]);
+    expect(manifestDependencies('Cargo.toml', '[dependencies]\nserde = "1"\n[dev-dependencies]\nproptest = "1"\n'))
+      .toEqual([{ name: 'serde', dev: false }, { name: 'proptest', dev: true }]);
+    expect(manifestDependencies('package.json', 'not json')).toEqual([]);
+  });
+
+  it('cross-checks imports against the manifests covering them', () => {
+    const used = [
+      { ecosystem: 'npm', name: 'react', files: ['web/a.js'] },
+      { ecosystem: 'npm', name: 'axios', files: ['web/a.js', 'api/b.js'] },
+      { ecosystem: 'pypi', name: 'yaml', files: ['tools/c.py'] },
+    ];
+    const manifests = [
+      { path: 'package.json', ecosystem: 'npm', dependencies: [{ name: 'axios', dev: false }] },
+      { path: 'web/package.json', ecosystem: 'npm', dependencies: [
+        { name: 'react', dev: false }, { name: 'lodash', dev: false }, { name: 'vitest', dev: true },
+      ] },
+      { path: 'api/package.json', ecosystem: 'npm', dependencies: [{ name: 'react', dev: false }] },
+    ];
+    expect(checkManifests(used, manifests)).toEqual({
+      unused: [
+        { ecosystem: 'npm', name: 'lodash', manifest: 'web/package.json' },
+        { ecosystem: 'npm', name: 'react', manifest: 'api/package.json' },
+      ],
+      // No PyPI manifest covers tools/: not checked
+      undeclared: [],
+    });
+    expect(checkManifests(used, manifests.slice(1)).undeclared).toEqual([
+      { ecosystem: 'npm', name: 'axios', files: ['web/a.js', 'api/b.js'] },
+    ]);
+    // Scoped to web/: api/package.json covers code the index never read
+    expect(checkManifests(used, manifests, { scope: ['web'] }).unused).toEqual([
+      { ecosystem: 'npm', name: 'lodash', manifest: 'web/package.json' },
+    ]);
+  });
+});
+
+describe('package stubs', () => {
+  const testDir = join(tmpdir(), `roam-packages-test-${Date.now()}`);
+
+  function query(sql, ...params) {
+    const db = openDb({ readonly: true, projectRoot: testDir });
+    try {
+      return db.prepare(sql).all(...params);
+    } finally {
+      db.close();
+    }
+  }
+
+  const stubs = () => query(
+    `SELECT f.path, s.name FROM symbols s JOIN files f ON s.file_id = f.id
+     WHERE f.file_role = 'external' ORDER BY f.path, s.name`
+  );
+
+  beforeAll(() => {
+    mkdirSync(join(testDir, 'src'), { recursive: true });
+    writeFileSync(join(testDir, 'package.json'), JSON.stringify({ dependencies: { react: '^18', lodash: '^4' } }));
+    writeFileSync(join(testDir, 'src', 'util.js'), 'export function useState() {}\n');
+    writeFileSync(join(testDir, 'src', 'app.js'), [
+      "import { useState } from 'react';",
+      "import axios from 'axios';",
+      "import fs from 'node:fs';",
+      'export function App() { useState(0); return axios.get(fs.x); }',
+    ].join('\n') + '\n');
+  });
+
+  afterAll(() => {
+    rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it('binds third-party imports to package stubs instead of same-named project symbols', async () => {
+    await new Indexer(testDir).run();
+    expect(stubs()).toEqual([
+      { path: 'npm:axios', name: 'axios' },
+      { path: 'npm:react', name: 'useState' },
+    ]);
+    const targets = query(
+      `SELECT f.path, e.kind, e.resolution FROM edges e
+       JOIN symbols src ON e.source_id = src.id JOIN symbols t ON e.target_id = t.id
+       JOIN files f ON t.file_id = f.id WHERE src.name = 'App' AND t.name = 'useState'`
+    );
+    expect(targets).toContainEqual({ path: 'npm:react', kind: 'call', resolution: 'external' });
+    expect(targets.some(t => t.path === 'src/util.js')).toBe(false);
+  });
+
+  it('counts consumers and reports manifest mismatches', () => {
+    const db = openDb({ readonly: true, projectRoot: testDir });
+    let used;
+    try {
+      used = usedPackages(db);
+    } finally {
+      db.close();
+    }
+    expect(used.map(p => [p.ecosystem, p.name, p.files])).toEqual([
+      ['npm', 'axios', ['src/app.js']],
+      ['npm', 'react', ['src/app.js']],
+    ]);
+    const manifests = readManifests(['package.json', 'src/app.js'], readFromDisk(testDir));
+    expect(checkManifests(used, manifests)).toEqual({
+      unused: [{ ecosystem: 'npm', name: 'lodash', manifest: 'package.json' }],
+      undeclared: [{ ecosystem: 'npm', name: 'axios', files: ['src/app.js'] }],
+    });
+  });
+
+  it('prunes a package stub once nothing imports it', async () => {
+    writeFileSync(join(testDir, 'src', 'app.js'), "import { useState } from 'react';\nexport function App() { useState(0); }\n");
+    await new Indexer(testDir).run();
+    expect(stubs()).toEqual([{ path: 'npm:react', name: 'useState' }]);
+  });
+});
+
+describe('package stubs in a scoped index', () => {
+  const testDir = join(tmpdir(), `roam-packages-scope-test-${Date.now()}`);
+
+  function write(rel, content) {
+    mkdirSync(dirname(join(testDir, rel)), { recursive: true });
+    writeFileSync(join(testDir, rel), content);
+  }
+
+  afterAll(() => {
+    rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it('never claims code elsewhere in the project for an ecosystem', async () => {
+    write('package.json', JSON.stringify({ name: 'acme', workspaces: ['packages/*'], dependencies: { react: '^18' } }));
+    write('packages/ui/package.json', JSON.stringify({ name: '@acme/ui', main: 'src/index.js' }));
+    write('packages/ui/src/index.js', 'export function Button() {}\n');
+    write('packages/app/package.json', JSON.stringify({ name: 'app', dependencies: { '@acme/ui': 'workspace:*' } }));
+    write('packages/app/main.js', [
+      "import { Button } from '@acme/ui';",
+      "import { useState } from 'react';",
+      "import axios from 'axios';",
+      'export function render() { useState(Button); return axios; }',
+    ].join('\n') + '\n');
+    write('libs/shared/models.py', 'class User:\n    pass\n');
+    write('apps/views.py', 'from libs.shared.models import User\nimport requests\n\ndef show():\n    return User()\n');
+
+    await new Indexer(testDir, { scope: ['apps', 'packages/app'], quiet: true }).run();
+    const db = openDb({ readonly: true, projectRoot: testDir });
+    let used;
+    try {
+      used = usedPackages(db);
+    } finally {
+      db.close();
+    }
+    expect(used.map(p => `${p.ecosystem}:${p.name}`).sort()).toEqual(['npm:axios', 'npm:react', 'pypi:requests']);
+
+    // The root package.json covers the scope without being in it
+    const manifests = readManifests(['package.json', 'packages/app/package.json'], readFromDisk(testDir));
+    expect(checkManifests(used, manifests, { scope: ['apps', 'packages/app'] })).toEqual({
+      unused: [],
+      undeclared: [{ ecosystem: 'npm', name: 'axios', files: ['packages/app/main.js'] }],
+    });
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { Indexer, STAGES } from '../../src/index/indexer.js';
+import { mkdirSync, writeFileSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+
+describe('indexer progress events', () => {
+  const testDir = join(tmpdir(), `roam-progress-test-${Date.now()}`);
+
+  async function runCollecting(opts) {
+    const indexer = new Indexer(testDir, { quiet: true });
+    const events = [];
+    indexer.on('event', e => events.push(e));
+    const status = await indexer.run(opts);
+    return { status, events };
+  }
+
+  beforeAll(() => {
+    mkdirSync(join(testDir, 'src'), { recursive: true });
+    writeFileSync(join(testDir, 'src', 'a.js'), "import { b } from './b.js';\nexport function a() { return b(); }\n");
+    writeFileSync(join(testDir, 'src', 'b.js'), 'export function b() { return 1; }\n');
+  });
+
+  afterAll(() => {
+    rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it('reports every stage in order with durations and final counts', async () => {
+    const { status, events } = await runCollecting();
+    expect(status).toBe('indexed');
+
+    const ends = events.filter(e => e.type === 'stage_end');
+    expect(events.filter(e => e.type === 'stage_start').map(e => e.stage)).toEqual(STAGES);
+    expect(ends.map(e => e.stage)).toEqual(STAGES);
+    for (const e of ends) expect(e.duration_ms).toBeGreaterThanOrEqual(0);
+    expect(ends[0]).toMatchObject({ stage: 'discovery', files: 2, added: 2 });
+
+    const progress = events.filter(e => e.type === 'progress');
+    expect(progress.at(-1)).toMatchObject({ stage: 'parse', done: 2, total: 2 });
+
+    const done = events.at(-1);
+    expect(done).toMatchObject({ type: 'done', status: 'indexed', files: 2, symbols: 2 });
+    expect(done.edges).toBeGreaterThan(0);
+  });
+
+  it('stops after discovery when nothing changed', async () => {
+    const { status, events } = await runCollecting();
+    expect(status).toBe('unchanged');
+    expect(events.map(e => e.type)).toEqual(['stage_start', 'stage_end', 'done']);
+    expect(events.at(-1).status).toBe('unchanged');
+  });
+
+  it('emits a warning for files it cannot read', async () => {
+    writeFileSync(join(testDir, 'src', 'c.js'), 'export function c() {}\n');
+    const indexer = new Indexer(testDir, { quiet: true });
+    const warnings = [];
+    indexer.on('warning', e => warnings.push(e));
+    // Make the new file vanish between discovery and parsing
+    indexer.on('stage_start', e => {
+      if (e.stage === 'parse') rmSync(join(testDir, 'src', 'c.js'));
+    });
+    await indexer.run();
+    expect(warnings).toEqual([expect.objectContaining({ stage: 'parse', file: 'src/c.js' })]);
+  });
+
+  it('reports an invalid config as a warning event, not on stderr', async () => {
+    writeFileSync(join(testDir, 'roam.config.json'), '{ not json');
+    const writes = [];
+    const write = process.stderr.write;
+    process.stderr.write = (chunk, ...rest) => {
+      writes.push(String(chunk));
+      return write.call(process.stderr, chunk, ...rest);
+    };
+    try {
+      const { events } = await runCollecting({ force: true });
+      expect(events.filter(e => e.type === 'warning')).toEqual([
+        expect.objectContaining({ stage: 'discovery', file: 'roam.config.json' }),
+      ]);
+      expect(writes).toEqual([]);
+    } finally {
+      process.stderr.write = write;
+      rmSync(join(testDir, 'roam.config.json'));
+    }
+  });
+});
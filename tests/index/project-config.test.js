@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import {
+  globToRegExp, globBase, loadProjectConfig, isIncluded, excludedBy, languageOverride,
+  loadQueryFiles, DEFAULT_MAX_FILE_SIZE,
+} from '../../src/index/project-config.js';
+import { mkdirSync, writeFileSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+
+describe('globToRegExp', () => {
+  it('matches a bare name at any depth', () => {
+    const re = globToRegExp('fixtures');
+    expect(re.test('fixtures/a.js')).toBe(true);
+    expect(re.test('src/fixtures/a.js')).toBe(true);
+    expect(re.test('src/fixtures2/a.js')).toBe(false);
+  });
+
+  it('anchors patterns that contain a slash', () => {
+    const re = globToRegExp('src/gen/**');
+    expect(re.test('src/gen/a/b.ts')).toBe(true);
+    expect(re.test('lib/src/gen/b.ts')).toBe(false);
+  });
+
+  it('supports single-segment wildcards and braces', () => {
+    const re = globToRegExp('*.{gen,pb}.js');
+    expect(re.test('a/b/foo.gen.js')).toBe(true);
+    expect(re.test('foo.pb.js')).toBe(true);
+    expect(re.test('foo.js')).toBe(false);
+  });
+
+  it('treats a trailing slash as directory-only', () => {
+    const re = globToRegExp('gen/');
+    expect(re.test('gen/x.js')).toBe(true);
+    expect(re.test('gen')).toBe(false);
+  });
+});
+
+describe('globBase', () => {
+  it('returns the static directory prefix', () => {
+    expect(globBase('build/**')).toBe('build');
+    expect(globBase('src/gen/*.js')).toBe('src/gen');
+    expect(globBase('**/*.js')).toBe('');
+    expect(globBase('build')).toBe('');
+  });
+});
+
+describe('loadProjectConfig', () => {
+  const testDir = join(tmpdir(), `roam-config-test-${Date.now()}`);
+
+  function cleanup() {
+    try { rmSync(testDir, { recursive: true, force: true }); } catch {}
+  }
+
+  it('returns defaults when no config exists', () => {
+    mkdirSync(testDir, { recursive: true });
+    try {
+      const config = loadProjectConfig(testDir);
+      expect(config.source).toBe(null);
+      expect(config.maxFileSize).toBe(DEFAULT_MAX_FILE_SIZE);
+      expect(excludedBy(config, 'src/a.js')).toBe(null);
+    } finally {
+      cleanup();
+    }
+  });
+
+  it('reads roam.config.json and .roamignore', () => {
+    mkdirSync(testDir, { recursive: true });
+    try {
+      writeFileSync(join(testDir, 'roam.config.json'), JSON.stringify({
+        include: ['build/**'],
+        exclude: ['fixtures/**'],
+        max_file_size: 5000,
+        languages: { '*.inc': 'php' },
+      }));
+      writeFileSync(join(testDir, '.roamignore'), '# generated\ngen/\n!gen/keep.js\n');
+      const config = loadProjectConfig(testDir);
+      expect(config.source).toBe('roam.config.json');
+      expect(config.maxFileSize).toBe(5000);
+      expect(isIncluded(config, 'build/app.js')).toBe(true);
+      expect(excludedBy(config, 'fixtures/data.js')).toContain('fixtures/**');
+      expect(excludedBy(config, 'gen/out.js')).toBe('.roamignore:2 gen/');
+      expect(excludedBy(config, 'gen/keep.js')).toBe(null);
+      expect(languageOverride(config, 'lib/util.inc')).toBe('php');
+      expect(languageOverride(config, 'lib/util.js')).toBe(null);
+    } finally {
+      cleanup();
+    }
+  });
+
+  it('reads query files from .roam/queries by language', () => {
+    mkdirSync(join(testDir, '.roam', 'queries'), { recursive: true });
+    try {
+      expect(loadQueryFiles(join(testDir, 'missing'))).toEqual({});
+      writeFileSync(join(testDir, '.roam', 'queries', 'kotlin.scm'), '(class_declaration) @definition.class\n');
+      writeFileSync(join(testDir, '.roam', 'queries', 'notes.txt'), 'ignored');
+      expect(loadQueryFiles(testDir)).toEqual({ kotlin: '(class_declaration) @definition.class\n' });
+    } finally {
+      cleanup();
+    }
+  });
+});
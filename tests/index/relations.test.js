@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { resolveReferences, buildFileEdges } from '../../src/index/relations.js';
+import { resolveReferences, buildFileEdges, linkDeclarations, linkOverrides } from '../../src/index/relations.js';
 
 describe('resolveReferences', () => {
   const symbols = new Map();
@@ -30,6 +30,18 @@ describe('resolveReferences', () => {
     expect(edges[0].kind).toBe('call');
   });
 
+  it('scores only qualified references as qualified matches', () => {
+    const refs = [
+      { source_name: 'main', target_name: 'Calculator', kind: 'call', line: 5, source_file: 'src/app.js' },
+      { source_name: 'main', target_name: 'Calculator.add', kind: 'call', line: 6, source_file: 'src/app.js' },
+    ];
+    const edges = resolveReferences(refs, symbols, filesByPath);
+    expect(edges.map(e => [e.target_id, e.resolution, e.confidence])).toEqual([
+      [1, 'name', 0.7],
+      [2, 'qualified', 0.9],
+    ]);
+  });
+
   it('skips references with no matching target', () => {
     const refs = [{
       source_name: 'main', target_name: 'NonExistent', kind: 'call',
@@ -58,6 +70,286 @@ describe('resolveReferences', () => {
   });
 });
 
+describe('resolveReferences with a module resolver', () => {
+  const sym = (id, file, name) => ({
+    id, file_id: id, file_path: file, name, qualified_name: name, kind: 'function', is_exported: true, line_start: 1,
+  });
+  const symbols = new Map([
+    ['get', [sym(1, 'src/cache/get.js', 'get'), sym(2, 'src/lib/http.js', 'get')]],
+    ['main', [sym(3, 'src/cache/main.js', 'main')]],
+  ]);
+
+  it('binds imported names to the symbol in the resolved file', () => {
+    const refs = [
+      { source_name: 'main', target_name: 'get', kind: 'import', line: 1, source_file: 'src/cache/main.js', import_path: '@lib/http' },
+      { source_name: 'main', target_name: 'get', kind: 'call', line: 3, source_file: 'src/cache/main.js' },
+    ];
+    const modules = {
+      resolve: (from, path) => (path === '@lib/http' ? 'src/lib/http.js' : null),
+      reexports: () => [],
+    };
+
+    // Name heuristics alone prefer the same-directory `get`
+    expect(resolveReferences(refs, symbols, new Map()).map(e => e.target_id)).toEqual([1, 1]);
+    expect(resolveReferences(refs, symbols, new Map(), { modules }).map(e => e.target_id)).toEqual([2, 2]);
+  });
+
+  it('records the strategy and confidence behind each edge', () => {
+    const refs = [
+      { source_name: 'main', target_name: 'get', kind: 'import', line: 1, source_file: 'src/cache/main.js', import_path: '@lib/http' },
+      { source_name: 'main', target_name: 'GET', kind: 'call', line: 3, source_file: 'src/cache/main.js' },
+    ];
+    const modules = { resolve: () => 'src/lib/http.js', reexports: () => [] };
+    const pick = edges => edges.map(e => [e.kind, e.resolution, e.confidence]);
+
+    expect(pick(resolveReferences(refs, symbols, new Map(), { modules }))).toEqual([
+      ['import', 'import', 1],
+      ['call', 'case_insensitive', 0.3],
+    ]);
+    expect(pick(resolveReferences(refs.slice(0, 1), symbols, new Map()))).toEqual([['import', 'local', 0.8]]);
+  });
+
+  it('binds resolver-backed imports through the resolver or to their own language only', () => {
+    const mixed = new Map([
+      ['user', [{ ...sym(4, 'web/form.js', 'user'), kind: 'field' }]],
+      ['main', [sym(5, 'app/views.py', 'main')]],
+      ['UserRepo', [{ ...sym(6, 'src/UserRepo.java', 'UserRepo'), kind: 'class' }]],
+      ['run', [sym(7, 'src/Main.kt', 'run')]],
+    ]);
+    const refs = [
+      { source_name: 'main', target_name: 'User', kind: 'import', line: 1, source_file: 'app/views.py', import_path: '.models' },
+      { source_name: 'run', target_name: 'UserRepo', kind: 'import', line: 1, source_file: 'src/Main.kt', import_path: 'UserRepo' },
+      { source_name: 'run', target_name: 'UserRepo', kind: 'call', line: 3, source_file: 'src/Main.kt' },
+    ];
+    const modules = { resolve: () => null, reexports: () => [] };
+    const pick = edges => edges.map(e => [e.source_id, e.target_id, e.kind, e.resolution]);
+
+    // A Python import the resolver cannot place is not guessed at by name;
+    // Kotlin has no resolver, and its references still reach Java
+    expect(pick(resolveReferences(refs, mixed, new Map(), { modules }))).toEqual([
+      [7, 6, 'import', 'name'],
+      [7, 6, 'call', 'name'],
+    ]);
+    // Without a resolver, an import still falls back on names
+    expect(pick(resolveReferences(refs.slice(0, 1), mixed, new Map()))).toEqual([[5, 4, 'import', 'case_insensitive']]);
+  });
+});
+
+describe('C/C++ headers', () => {
+  const sym = (id, file, name) => ({
+    id, file_id: id, file_path: file, name, qualified_name: name, kind: 'function', is_exported: true, line_start: 1,
+  });
+  const all = [
+    sym(1, 'net/conn.h', 'init'), sym(2, 'net/conn.c', 'init'),
+    sym(3, 'db/store.h', 'init'), sym(4, 'db/store.c', 'init'),
+    sym(5, 'app/main.c', 'main'),
+  ];
+  const symbols = new Map();
+  for (const s of all) symbols.set(s.name, [...(symbols.get(s.name) || []), s]);
+  const included = { 'app/main.c': ['db/store.h'], 'db/store.c': ['db/store.h'] };
+  const modules = {
+    resolve: () => null, reexports: () => [], isExternal: () => false,
+    includes: file => included[file] || [],
+  };
+
+  it('binds calls to the declaration in an included header', () => {
+    const refs = [{ source_name: 'main', target_name: 'init', kind: 'call', line: 3, source_file: 'app/main.c' }];
+    expect(resolveReferences(refs, symbols, new Map(), { modules }).map(e => e.target_id)).toEqual([3]);
+  });
+
+  it('links header declarations to definitions through includes or a shared stem', () => {
+    const edges = linkDeclarations(all, modules).map(e => [e.source_id, e.target_id, e.kind]);
+    expect(edges).toEqual(expect.arrayContaining([[3, 4, 'defines'], [1, 2, 'defines']]));
+    expect(edges).toHaveLength(2);
+  });
+});
+
+describe('receiver types', () => {
+  const method = (id, file, cls, name) => ({
+    id, file_id: id, file_path: file, name, qualified_name: `${cls}.${name}`, kind: 'method', is_exported: true, line_start: id,
+  });
+  const all = [
+    method(1, 'src/user_repo.py', 'UserRepo', 'save'),
+    method(2, 'src/order_repo.py', 'OrderRepo', 'save'),
+    method(3, 'src/base.py', 'BaseRepo', 'flush'),
+    method(4, 'src/service.py', 'Service', 'run'),
+  ];
+  const symbols = new Map();
+  for (const s of all) symbols.set(s.name, [...(symbols.get(s.name) || []), s]);
+  const call = (target, receiverType) => ({
+    source_name: 'Service.run', target_name: target, kind: 'call', line: 5, source_file: 'src/service.py', receiver_type: receiverType,
+  });
+
+  it('picks the method on the class the receiver was inferred to be', () => {
+    const edges = resolveReferences([call('self.orders.save', 'OrderRepo'), call('self.users.save', 'UserRepo')], symbols, new Map());
+    expect(edges.map(e => [e.target_id, e.resolution, e.confidence])).toEqual([[2, 'receiver', 0.9], [1, 'receiver', 0.9]]);
+  });
+
+  it('finds inherited methods through the supertypes', () => {
+    const refs = [
+      { source_name: 'OrderRepo', target_name: 'BaseRepo', kind: 'inherits', line: 1, source_file: 'src/order_repo.py' },
+      call('self.orders.flush', 'OrderRepo'),
+    ];
+    const edges = resolveReferences(refs, symbols, new Map()).filter(e => e.kind === 'call');
+    expect(edges.map(e => [e.target_id, e.resolution])).toEqual([[3, 'receiver']]);
+  });
+
+  it('reads Ruby instance method owners and looks in mixed-in modules', () => {
+    const ruby = new Map([
+      ['total', [{ ...method(5, 'app/invoice.rb', 'Invoice', 'total'), qualified_name: 'Billing::Invoice#total' }]],
+      ['tax_rate', [{ ...method(6, 'app/taxable.rb', 'Taxable', 'tax_rate'), qualified_name: 'Taxable#tax_rate' }]],
+    ]);
+    const refs = [
+      { source_name: 'Billing::Invoice', target_name: 'Taxable', kind: 'uses_trait', line: 2, source_file: 'app/invoice.rb' },
+      { source_name: 'Billing::Invoice#total', target_name: 'tax_rate', kind: 'call', line: 5, source_file: 'app/invoice.rb', receiver_type: 'Invoice' },
+    ];
+    const edges = resolveReferences(refs, ruby, new Map()).filter(e => e.kind === 'call');
+    expect(edges.map(e => [e.source_id, e.target_id, e.resolution])).toEqual([[5, 6, 'receiver']]);
+  });
+
+  it('takes the class a qualified receiver type was imported from', () => {
+    const php = new Map([['name', [
+      { ...method(7, 'app/Services/User.php', 'User', 'name'), qualified_name: 'App\\Services\\User::name' },
+      { ...method(8, 'app/Models/User.php', 'User', 'name'), qualified_name: 'App\\Models\\User::name' },
+    ]], ['send', [{ ...method(9, 'app/Services/Mailer.php', 'Mailer', 'send'), qualified_name: 'App\\Services\\Mailer::send' }]]]);
+    const modules = {
+      resolve: (file, name) => ({ 'App\\Models\\User': 'app/Models/User.php' })[name] || null,
+      reexports: () => [], isExternal: () => false,
+    };
+    const refs = [
+      { source_name: '', target_name: 'App\\Models\\User', kind: 'import', line: 1, source_file: 'app/Services/Mailer.php', import_path: 'App\\Models\\User' },
+      { source_name: 'App\\Services\\Mailer::send', target_name: '$to->name', kind: 'call', line: 9, source_file: 'app/Services/Mailer.php', receiver_type: 'App\\Models\\User' },
+    ];
+    const edges = resolveReferences(refs, php, new Map(), { modules }).filter(e => e.kind === 'call');
+    expect(edges.map(e => [e.target_id, e.resolution])).toEqual([[8, 'receiver']]);
+  });
+});
+
+describe('barrel re-exports', () => {
+  const sym = (id, file, name, kind = 'function') => ({
+    id, file_id: id, file_path: file, name, qualified_name: name, kind, is_exported: kind !== 'module', line_start: 1, line_end: 9,
+  });
+  const all = [
+    sym(1, 'ui/Button.tsx', 'Button'),
+    sym(2, 'ui/Card.tsx', 'Card', 'class'),
+    sym(3, 'ui/legacy.ts', 'OldInput'),
+    sym(4, 'ui/util.ts', 'clamp'),
+    sym(5, 'ui/index.ts', 'ui', 'module'),
+    sym(6, 'lib/index.ts', 'lib', 'module'),
+    sym(7, 'app/main.ts', 'main'),
+  ];
+  const symbols = new Map();
+  for (const s of all) symbols.set(s.name, [...(symbols.get(s.name) || []), s]);
+  const paths = {
+    'ui/index.ts|./Button': 'ui/Button.tsx',
+    'ui/index.ts|./Card': 'ui/Card.tsx',
+    'ui/index.ts|./legacy': 'ui/legacy.ts',
+    'lib/index.ts|../ui': 'ui/index.ts',
+    'app/main.ts|../lib': 'lib/index.ts',
+  };
+  const modules = { resolve: (from, path) => paths[`${from}|${path}`] || null, reexports: () => [] };
+  const reexport = (file, name, alias, importPath) => ({
+    source_name: alias, target_name: name, kind: 'reexport', line: 1, source_file: file, import_path: importPath,
+  });
+  const barrels = [
+    reexport('ui/index.ts', 'default', 'Button', './Button'),
+    reexport('ui/index.ts', '*', '*', './Card'),
+    reexport('ui/index.ts', 'OldInput', 'Input', './legacy'),
+    reexport('lib/index.ts', '*', '*', '../ui'),
+  ];
+  const consumer = ['Button', 'Card', 'Input'].map(name => ({
+    source_name: 'main', target_name: name, kind: 'import', line: 1, source_file: 'app/main.ts', import_path: '../lib',
+  }));
+
+  it('follows re-export chains and renames to the defining symbol', () => {
+    const edges = resolveReferences([...barrels, ...consumer], symbols, new Map(), { modules })
+      .filter(e => e.source_id === 7);
+    expect(edges.map(e => [e.target_id, e.resolution])).toEqual([[1, 'import'], [2, 'import'], [3, 'import']]);
+  });
+
+  it('links barrels to the symbols they pass on', () => {
+    const edges = resolveReferences(barrels, symbols, new Map(), { modules });
+    expect(edges.map(e => [e.source_id, e.target_id, e.kind])).toEqual([
+      [5, 1, 'reexport'], [5, 2, 'reexport'], [5, 3, 'reexport'],
+      [6, 1, 'reexport'], [6, 2, 'reexport'], [6, 3, 'reexport'],
+    ]);
+    expect(edges.some(e => e.target_id === 4)).toBe(false);
+  });
+
+  it('reads the chain from the reexports option when only consumers are re-resolved', () => {
+    const edges = resolveReferences(consumer, symbols, new Map(), { modules, reexports: barrels });
+    expect(edges.map(e => e.target_id)).toEqual([1, 2, 3]);
+  });
+
+  it('keeps barrel module symbols out of name resolution', () => {
+    const refs = [
+      { source_name: 'main', target_name: 'ui', kind: 'reference', line: 3, source_file: 'app/main.ts' },
+      { source_name: '', target_name: 'clamp', kind: 'import', line: 2, source_file: 'ui/index.ts', import_path: './util' },
+    ];
+    const withUtil = { ...modules, resolve: (from, path) => (path === './util' ? 'ui/util.ts' : modules.resolve(from, path)) };
+    const edges = resolveReferences([...barrels, ...refs], symbols, new Map(), { modules: withUtil });
+    expect(edges.some(e => e.target_id === 5 || e.target_id === 6)).toBe(false);
+    expect(edges.some(e => e.target_id === 4)).toBe(false);
+  });
+});
+
+describe('linkOverrides', () => {
+  const type = (id, file, name, kind = 'class') => ({ id, file_path: file, name, qualified_name: name, kind, parent_id: null });
+  const method = (id, owner, name) => ({
+    id, file_path: owner.file_path, name, qualified_name: `${owner.name}.${name}`, kind: 'method', parent_id: owner.id, line_start: id,
+  });
+  const pick = edges => edges.map(e => [e.source_id, e.target_id, e.kind, e.resolution]);
+
+  it('links methods to the nearest supertype declaring them', () => {
+    const repo = type(1, 'src/repo.java', 'Repository', 'interface');
+    const base = type(2, 'src/base.java', 'BaseRepo');
+    const sql = type(3, 'src/sql.java', 'SqlRepo');
+    const symbols = [
+      repo, base, sql,
+      method(11, repo, 'save'), method(12, repo, 'find'),
+      method(21, base, 'save'),
+      method(31, sql, 'save'), method(32, sql, 'find'),
+    ];
+    const inheritance = [
+      { source_id: 3, target_id: 2, kind: 'inherits' },
+      { source_id: 2, target_id: 1, kind: 'implements' },
+    ];
+    expect(pick(linkOverrides(symbols, inheritance))).toEqual([
+      [21, 11, 'implements_method', 'override'],
+      [31, 21, 'overrides', 'override'],
+      [32, 12, 'implements_method', 'override'],
+    ]);
+  });
+
+  it('matches Go types to interfaces by their method sets', () => {
+    const store = type(1, 'store/store.go', 'Store', 'interface');
+    const mem = type(2, 'store/mem.go', 'MemStore', 'struct');
+    const half = type(3, 'store/half.go', 'HalfStore', 'struct');
+    // Go methods carry their receiver in the qualified name, possibly in another file
+    const goMethod = (id, file, owner, name) => ({
+      id, file_path: file, name, qualified_name: `${owner}.${name}`, kind: 'method', parent_id: null, line_start: 1,
+    });
+    const symbols = [
+      store, mem, half,
+      method(11, store, 'Get'), method(12, store, 'Put'),
+      goMethod(21, 'store/mem_ops.go', 'MemStore', 'Get'), goMethod(22, 'store/mem.go', 'MemStore', 'Put'),
+      goMethod(31, 'store/half.go', 'HalfStore', 'Get'),
+    ];
+    expect(pick(linkOverrides(symbols, []))).toEqual([
+      [21, 11, 'implements_method', 'structural'],
+      [22, 12, 'implements_method', 'structural'],
+    ]);
+  });
+
+  it('keeps structural matches within one language', () => {
+    const iface = type(1, 'src/shape.ts', 'Shape', 'interface');
+    const square = type(2, 'src/square.ts', 'Square');
+    const goSquare = type(3, 'geo/square.go', 'Square', 'struct');
+    const symbols = [iface, square, goSquare, method(11, iface, 'area'), method(21, square, 'area'), method(31, goSquare, 'area')];
+    expect(pick(linkOverrides(symbols, []))).toEqual([[21, 11, 'implements_method', 'structural']]);
+  });
+});
+
 describe('buildFileEdges', () => {
   it('aggregates symbol edges into file edges', () => {
     const symbolEdges = [
@@ -0,0 +1,68 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { resolveRevision, listRevisionFiles, readBlobs, readRevisionFile } from '../../src/index/revision.js';
+import { Indexer } from '../../src/index/indexer.js';
+import { openDb, getMeta } from '../../src/db/connection.js';
+import { mkdirSync, writeFileSync, rmSync, existsSync } from 'node:fs';
+import { execFileSync } from 'node:child_process';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+
+describe('revision indexing', () => {
+  const testDir = join(tmpdir(), `roam-rev-test-${Date.now()}`);
+  let first;
+
+  function git(...args) {
+    return execFileSync('git', ['-c', 'user.email=t@example.com', '-c', 'user.name=t', ...args], {
+      cwd: testDir, encoding: 'utf-8',
+    }).trim();
+  }
+
+  beforeAll(() => {
+    mkdirSync(join(testDir, 'src'), { recursive: true });
+    git('init', '-q');
+    writeFileSync(join(testDir, 'src', 'a.js'), 'export function alpha() { return 1; }\n');
+    writeFileSync(join(testDir, 'logo.png'), 'not really a png');
+    git('add', '-A');
+    git('commit', '-qm', 'first');
+    first = git('rev-parse', 'HEAD');
+    writeFileSync(join(testDir, 'src', 'b.js'), "import { alpha } from './a.js';\nexport function beta() { return alpha(); }\n");
+    git('add', '-A');
+    git('commit', '-qm', 'second');
+    // Uncommitted change that must not leak into a revision index
+    writeFileSync(join(testDir, 'src', 'a.js'), 'export function changed() {}\n');
+  });
+
+  afterAll(() => {
+    rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it('reads trees and blobs from the object database', () => {
+    expect(resolveRevision(testDir, 'HEAD~1')).toBe(first);
+    expect(() => resolveRevision(testDir, 'no-such-branch')).toThrow(/Unknown git revision/);
+
+    const files = listRevisionFiles(testDir, first);
+    expect(files.map(f => f.path)).toEqual(['logo.png', 'src/a.js']);
+    const blobs = readBlobs(testDir, files);
+    expect(blobs.get(files[1].oid)).toContain('alpha');
+    expect(readRevisionFile(testDir, first, 'src/b.js')).toBe(null);
+  });
+
+  it('writes a separate database tagged with the commit', async () => {
+    const dbPath = join(testDir, 'rev.db');
+    const indexer = new Indexer(testDir, { rev: 'HEAD', dbPath });
+    await indexer.run();
+
+    expect(existsSync(join(testDir, '.roam', 'index.db'))).toBe(false);
+    const db = openDb({ readonly: true, dbPath });
+    try {
+      expect(getMeta(db, 'commit')).toBe(git('rev-parse', 'HEAD'));
+      const paths = db.prepare('SELECT path FROM files ORDER BY path').all().map(r => r.path);
+      expect(paths).toEqual(['src/a.js', 'src/b.js']);
+      const names = db.prepare('SELECT name FROM symbols ORDER BY name').all().map(r => r.name);
+      expect(names).toEqual(['alpha', 'beta']);
+      expect(db.prepare('SELECT COUNT(*) AS cnt FROM edges').get().cnt).toBeGreaterThan(0);
+    } finally {
+      db.close();
+    }
+  });
+});
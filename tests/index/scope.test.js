@@ -0,0 +1,148 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { normalizeScope, inScope, outOfScopeModule, outOfScopeTarget } from '../../src/index/scope.js';
+import { Indexer } from '../../src/index/indexer.js';
+import { openDb } from '../../src/db/connection.js';
+import { mkdirSync, writeFileSync, rmSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+import { tmpdir } from 'node:os';
+
+describe('scope helpers', () => {
+  const root = '/repo';
+
+  it('normalizes scope paths relative to the project root', () => {
+    expect(normalizeScope(root, ['packages/b/', 'packages/a', 'packages/a/src'], root)).toEqual(['packages/a', 'packages/b']);
+    expect(normalizeScope(root, ['../a'], '/repo/packages/b')).toEqual(['packages/a']);
+    expect(normalizeScope(root, ['.', 'packages/a'], root)).toEqual([]);
+    expect(() => normalizeScope(root, ['../elsewhere'], root)).toThrow(/outside the project root/);
+  });
+
+  it('matches whole path segments', () => {
+    expect(inScope('packages/a/x.js', ['packages/a'])).toBe(true);
+    expect(inScope('packages/ab/x.js', ['packages/a'])).toBe(false);
+    expect(inScope('anything.js', [])).toBe(true);
+  });
+
+  it('resolves relative imports that leave the scope', () => {
+    const exists = p => ['packages/b/util.ts', 'packages/a/local.js'].includes(p);
+    expect(outOfScopeModule('packages/a/main.js', '../b/util.js', ['packages/a'], exists)).toBe('packages/b/util.ts');
+    expect(outOfScopeModule('packages/a/main.js', './local.js', ['packages/a'], exists)).toBeNull();
+    expect(outOfScopeModule('packages/a/main.js', 'lodash', ['packages/a'], exists)).toBeNull();
+    expect(outOfScopeModule('packages/a/main.js', '../b/missing.js', ['packages/a'], exists)).toBeNull();
+  });
+
+  it('places resolved imports outside the scope at their file or package directory', () => {
+    expect(outOfScopeTarget('libs/models.py', ['apps'])).toEqual({ path: 'libs/models.py', language: 'python' });
+    expect(outOfScopeTarget(['pkg/db/conn.go', 'pkg/db/pool.go'], ['cmd'])).toEqual({ path: 'pkg/db', language: 'go' });
+    expect(outOfScopeTarget('apps/models.py', ['apps'])).toBeNull();
+    expect(outOfScopeTarget(null, ['apps'])).toBeNull();
+  });
+});
+
+describe('scoped indexing', () => {
+  const testDir = join(tmpdir(), `roam-scope-test-${Date.now()}`);
+
+  function query(sql, ...params) {
+    const db = openDb({ readonly: true, projectRoot: testDir });
+    try {
+      return db.prepare(sql).all(...params);
+    } finally {
+      db.close();
+    }
+  }
+
+  const stubs = () => query(
+    `SELECT f.path, s.name FROM symbols s JOIN files f ON s.file_id = f.id
+     WHERE f.file_role = 'external' ORDER BY f.path, s.name`
+  );
+
+  beforeAll(() => {
+    mkdirSync(join(testDir, 'packages', 'a'), { recursive: true });
+    mkdirSync(join(testDir, 'packages', 'b'), { recursive: true });
+    writeFileSync(join(testDir, 'packages', 'b', 'util.js'),
+      'export function helper() { return 1; }\nexport function unused() {}\n');
+    writeFileSync(join(testDir, 'packages', 'a', 'main.js'),
+      "import { helper } from '../b/util.js';\nexport function main() { return helper(); }\n");
+    writeFileSync(join(testDir, 'packages', 'a', 'other.js'), 'export function other() { return 2; }\n');
+  });
+
+  afterAll(() => {
+    rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it('indexes only the scope and stubs what it imports from outside', async () => {
+    await new Indexer(testDir, { scope: ['packages/a'] }).run();
+    const paths = query("SELECT path FROM files WHERE file_role != 'external' ORDER BY path").map(r => r.path);
+    expect(paths).toEqual(['packages/a/main.js', 'packages/a/other.js']);
+    expect(stubs()).toEqual([{ path: 'packages/b/util.js', name: 'helper' }]);
+
+    const edges = query(
+      `SELECT src.name AS source, f.path AS target_file FROM edges e
+       JOIN symbols src ON e.source_id = src.id JOIN symbols t ON e.target_id = t.id
+       JOIN files f ON t.file_id = f.id`
+    );
+    expect(edges).toContainEqual({ source: 'main', target_file: 'packages/b/util.js' });
+    expect(query('SELECT COUNT(*) AS cnt FROM file_edges')[0].cnt).toBe(1);
+  });
+
+  it('keeps the stored scope and stubs on later incremental runs', async () => {
+    writeFileSync(join(testDir, 'packages', 'a', 'other.js'), 'export function other() { return 3; }\n');
+    expect(await new Indexer(testDir).run()).toBe('indexed');
+    expect(query("SELECT COUNT(*) AS cnt FROM files WHERE path LIKE 'packages/b/%' AND file_role != 'external'")[0].cnt).toBe(0);
+    expect(stubs()).toEqual([{ path: 'packages/b/util.js', name: 'helper' }]);
+  });
+
+  it('replaces stubs with real files when the scope is cleared', async () => {
+    await new Indexer(testDir, { scope: [] }).run();
+    expect(stubs()).toEqual([]);
+    expect(query("SELECT COUNT(*) AS cnt FROM files WHERE path = 'packages/b/util.js'")[0].cnt).toBe(1);
+    expect(query("SELECT value FROM meta WHERE key = 'scope'")[0].value).toBeNull();
+  });
+});
+
+describe('scoped indexing with module resolvers', () => {
+  const testDir = join(tmpdir(), `roam-scope-resolvers-test-${Date.now()}`);
+
+  function write(rel, content) {
+    mkdirSync(dirname(join(testDir, rel)), { recursive: true });
+    writeFileSync(join(testDir, rel), content);
+  }
+
+  afterAll(() => {
+    rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it('stubs imports that resolve to project code outside the scope, not packages', async () => {
+    write('package.json', JSON.stringify({ name: 'acme', workspaces: ['packages/*'] }));
+    write('packages/ui/package.json', JSON.stringify({ name: '@acme/ui', main: 'src/index.ts' }));
+    write('packages/ui/src/index.ts', 'export function Button() { return 1; }\n');
+    write('packages/app/package.json', JSON.stringify({ name: 'app', dependencies: { '@acme/ui': 'workspace:*' } }));
+    write('packages/app/main.ts', "import { Button } from '@acme/ui';\nexport function render() { return Button(); }\n");
+    write('libs/shared/models.py', 'class User:\n    pass\n');
+    write('apps/views.py', 'from libs.shared.models import User\n\ndef show():\n    return User()\n');
+
+    await new Indexer(testDir, { scope: ['apps', 'packages/app'], quiet: true }).run();
+    const db = openDb({ readonly: true, projectRoot: testDir });
+    try {
+      const stubs = db.prepare(
+        `SELECT f.path, f.language, s.name FROM symbols s JOIN files f ON s.file_id = f.id
+         WHERE f.file_role = 'external' ORDER BY f.path`
+      ).all();
+      expect(stubs).toEqual([
+        { path: 'libs/shared/models.py', language: 'python', name: 'User' },
+        { path: 'packages/ui/src/index.ts', language: 'typescript', name: 'Button' },
+      ]);
+      const edges = db.prepare(
+        `SELECT s.name AS source, t.name AS target, e.kind, e.resolution FROM edges e
+         JOIN symbols s ON e.source_id = s.id JOIN symbols t ON e.target_id = t.id ORDER BY s.name, e.kind`
+      ).all();
+      expect(edges).toEqual([
+        { source: 'render', target: 'Button', kind: 'call', resolution: 'external' },
+        { source: 'render', target: 'Button', kind: 'import', resolution: 'external' },
+        { source: 'show', target: 'User', kind: 'call', resolution: 'external' },
+        { source: 'show', target: 'User', kind: 'import', resolution: 'external' },
+      ]);
+    } finally {
+      db.close();
+    }
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import { IndexWatcher } from '../../src/index/watcher.js';
+import { isDiscoverable, isPrunedDir } from '../../src/index/discovery.js';
+import { loadProjectConfig } from '../../src/index/project-config.js';
+import { openDb } from '../../src/db/connection.js';
+import { mkdirSync, writeFileSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+
+async function waitFor(fn, timeoutMs = 10000) {
+  const start = Date.now();
+  while (Date.now() - start < timeoutMs) {
+    if (fn()) return true;
+    await new Promise(r => setTimeout(r, 50));
+  }
+  return false;
+}
+
+describe('watch path filtering', () => {
+  const testDir = join(tmpdir(), `roam-watchfilter-test-${Date.now()}`);
+
+  it('applies built-in skips and config rules', () => {
+    mkdirSync(testDir, { recursive: true });
+    try {
+      writeFileSync(join(testDir, 'roam.config.json'), JSON.stringify({
+        include: ['build/gen/**'], exclude: ['fixtures/'],
+      }));
+      const config = loadProjectConfig(testDir);
+      expect(isDiscoverable('src/a.js', config)).toBe(true);
+      expect(isDiscoverable('node_modules/x/a.js', config)).toBe(false);
+      expect(isDiscoverable('src/logo.png', config)).toBe(false);
+      expect(isDiscoverable('fixtures/a.js', config)).toBe(false);
+      expect(isDiscoverable('build/gen/a.js', config)).toBe(true);
+      expect(isDiscoverable('.roam/index.db', config)).toBe(false);
+
+      expect(isPrunedDir('node_modules', config)).toBe(true);
+      expect(isPrunedDir('fixtures', config)).toBe(true);
+      expect(isPrunedDir('build', config)).toBe(false);
+      expect(isPrunedDir('src', config)).toBe(false);
+    } finally {
+      rmSync(testDir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('IndexWatcher', () => {
+  const testDir = join(tmpdir(), `roam-watch-test-${Date.now()}`);
+
+  function symbolNames() {
+    const db = openDb({ readonly: true, projectRoot: testDir });
+    try {
+      return db.prepare('SELECT name FROM symbols').all().map(r => r.name);
+    } finally {
+      db.close();
+    }
+  }
+
+  it('re-indexes after a file is added', async () => {
+    mkdirSync(join(testDir, 'src'), { recursive: true });
+    writeFileSync(join(testDir, 'src', 'a.js'), 'export function alpha() { return 1; }\n');
+    const watcher = new IndexWatcher(testDir, { debounceMs: 50 });
+    try {
+      watcher.start();
+      expect(await waitFor(() => watcher.passes >= 1 && !watcher.running)).toBe(true);
+      expect(symbolNames()).toContain('alpha');
+
+      writeFileSync(join(testDir, 'src', 'b.js'), 'export function beta() { return 2; }\n');
+      expect(await waitFor(() => watcher.passes >= 2 && !watcher.running)).toBe(true);
+      expect(symbolNames()).toContain('beta');
+    } finally {
+      await watcher.close();
+      rmSync(testDir, { recursive: true, force: true });
+    }
+  });
+});
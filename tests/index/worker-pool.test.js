@@ -0,0 +1,73 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { processFiles, resolveJobs } from '../../src/index/worker-pool.js';
+import { processFile } from '../../src/index/file-processor.js';
+import { initExtractors } from '../../src/languages/registry.js';
+import { mkdirSync, writeFileSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir, cpus } from 'node:os';
+
+describe('resolveJobs', () => {
+  it('defaults to a single in-process job', () => {
+    expect(resolveJobs(undefined)).toBe(1);
+    expect(resolveJobs(3)).toBe(3);
+  });
+
+  it('maps 0 to one worker per CPU', () => {
+    expect(resolveJobs(0)).toBe(Math.max(1, cpus().length));
+  });
+
+  it('rejects invalid values', () => {
+    expect(() => resolveJobs(-2)).toThrow();
+    expect(() => resolveJobs(NaN)).toThrow();
+  });
+});
+
+describe('processFiles', () => {
+  const testDir = join(tmpdir(), `roam-pool-test-${Date.now()}`);
+  const tasks = [];
+
+  beforeAll(async () => {
+    await initExtractors();
+    mkdirSync(testDir, { recursive: true });
+    for (let i = 0; i < 12; i++) {
+      const relPath = `mod${i}.js`;
+      writeFileSync(join(testDir, relPath),
+        `import { helper${i} } from './mod${(i + 1) % 12}.js';\n` +
+        `export function run${i}(x) {\n  if (x > ${i}) { return helper${i}(x); }\n  return x;\n}\n`);
+      tasks.push({ fullPath: join(testDir, relPath), relPath, language: 'javascript' });
+    }
+    tasks.push({ fullPath: join(testDir, 'missing.js'), relPath: 'missing.js', language: 'javascript' });
+  });
+
+  afterAll(() => {
+    try { rmSync(testDir, { recursive: true, force: true }); } catch {}
+  });
+
+  async function collect(jobs) {
+    const out = [];
+    for await (const res of processFiles(tasks, { jobs })) out.push(res);
+    return out;
+  }
+
+  it('processes files in-process when jobs is 1', async () => {
+    const results = await collect(1);
+    expect(results.map(r => r.relPath)).toEqual(tasks.map(t => t.relPath));
+    expect(results[0].symbols.map(s => s.name)).toContain('run0');
+    expect(results[0].symbolMetrics.length).toBeGreaterThan(0);
+    expect(results.at(-1).readError).toBeTruthy();
+  });
+
+  it('yields identical results in task order on worker threads', async () => {
+    const serial = await collect(1);
+    const parallel = await collect(3);
+    const strip = rs => rs.map(({ mtime, ...rest }) => rest);
+    expect(strip(parallel)).toEqual(strip(serial));
+  });
+
+  it('records references against the extract path', () => {
+    const t = tasks[0];
+    const res = processFile(t.fullPath, t.relPath, t.language, { extractPath: 'repo/mod0.js' });
+    expect(res.references.length).toBeGreaterThan(0);
+    expect(res.references.every(r => r.source_file === 'repo/mod0.js')).toBe(true);
+  });
+});
@@ -64,4 +64,11 @@ describe.skipIf(!hasGrammar)('CExtractor', () => {
     const refs = extractReferences(tree, src, 'main.c', extractor);
     expect(refs.some(r => r.kind === 'import')).toBe(true);
   });
+
+  it('keeps angle brackets on system include paths', () => {
+    const source = `#include <stdio.h>\n#include "utils.h"\n`;
+    const [tree, src] = parse(source);
+    const refs = extractReferences(tree, src, 'main.c', extractor);
+    expect(refs.map(r => [r.target_name, r.import_path])).toEqual([['stdio.h', '<stdio.h>'], ['utils.h', 'utils.h']]);
+  });
 });
@@ -0,0 +1,153 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { initExtractors, getExtractor } from '../../src/languages/registry.js';
+import { scxSource } from '../../src/languages/foxpro.js';
+
+let extractor;
+
+// A form table and memo file as VFP writes them: memo fields hold a block
+// number into the .sct, whose blocks carry a type and a big-endian length
+function buildForm(rows) {
+  const memoNames = ['PLATFORM', 'CLASS', 'CLASSLOC', 'BASECLASS', 'OBJNAME', 'PARENT', 'METHODS'];
+  const blockSize = 64;
+  const memoParts = [Buffer.alloc(512)];
+  memoParts[0].writeUInt16BE(blockSize, 6);
+  let nextBlock = 512 / blockSize;
+  const memo = (text) => {
+    if (!text) return 0;
+    const data = Buffer.from(text, 'latin1');
+    const block = Buffer.alloc(Math.ceil((data.length + 8) / blockSize) * blockSize);
+    block.writeUInt32BE(1, 0);
+    block.writeUInt32BE(data.length, 4);
+    data.copy(block, 8);
+    memoParts.push(block);
+    const at = nextBlock;
+    nextBlock += block.length / blockSize;
+    return at;
+  };
+
+  const headerLength = 32 + memoNames.length * 32 + 1;
+  const recordLength = 1 + memoNames.length * 4;
+  const header = Buffer.alloc(headerLength);
+  header[0] = 0x30;
+  header.writeUInt32LE(rows.length, 4);
+  header.writeUInt16LE(headerLength, 8);
+  header.writeUInt16LE(recordLength, 10);
+  memoNames.forEach((name, i) => {
+    const pos = 32 + i * 32;
+    header.write(name, pos, 'latin1');
+    header[pos + 11] = 'M'.charCodeAt(0);
+    header.writeUInt32LE(1 + i * 4, pos + 12);
+    header[pos + 16] = 4;
+  });
+  header[headerLength - 1] = 0x0d;
+
+  const records = rows.map((row) => {
+    const record = Buffer.alloc(recordLength, 0);
+    record[0] = row.deleted ? 0x2a : 0x20;
+    memoNames.forEach((name, i) => record.writeUInt32LE(memo(row[name] || ''), 1 + i * 4));
+    return record;
+  });
+  return { scx: Buffer.concat([header, ...records]), sct: Buffer.concat(memoParts) };
+}
+
+describe('FoxProExtractor (regex-based)', () => {
+  beforeAll(async () => {
+    await initExtractors();
+    extractor = getExtractor('foxpro');
+  });
+
+  const program = [
+    '* Order entry',
+    'SET PROCEDURE TO lib\\utils.prg, pricing ADDITIVE',
+    'DO startup',
+    'DO FORM forms\\orders',
+    'oCalc = CREATEOBJECT("Calculator")',
+    'oTax = NEWOBJECT(\'TaxRule\', \'rules.prg\')',
+    '',
+    'DEFINE CLASS Calculator AS Custom',
+    '  PROCEDURE Init',
+    '    THIS.Reset()',
+    '  ENDPROC',
+    '  PROTECTED FUNCTION Reset',
+    '    LPARAMETERS tnValue, ;',
+    '      tlClear',
+    '    RETURN Round2(tnValue)',
+    '  ENDFUNC',
+    'ENDDEFINE',
+    '',
+    'FUNC Round2(tnValue)',
+    '  RETURN ROUND(tnValue, 2)  && two places',
+    '',
+    'PROCEDURE startup',
+    '  DO cleanup IN lib\\utils.prg',
+  ].join('\r\n');
+
+  it('extracts the program, procedures, classes and methods', () => {
+    const symbols = extractor.extractSymbols(null, program, 'app/main.prg');
+    expect(symbols.map(s => [s.kind, s.qualified_name, s.line_start, s.line_end])).toEqual([
+      ['module', 'main', 1, 23],
+      ['class', 'Calculator', 8, 17],
+      ['method', 'Calculator.Init', 9, 11],
+      ['method', 'Calculator.Reset', 12, 16],
+      ['function', 'Round2', 19, 20],
+      ['function', 'startup', 22, 23],
+    ]);
+    const reset = symbols.find(s => s.name === 'Reset');
+    expect(reset).toMatchObject({ signature: 'FUNCTION Reset(tnValue, tlClear)', visibility: 'protected', is_exported: false });
+    // Events run by the runtime are not dead code
+    expect(symbols.find(s => s.name === 'Init').is_exported).toBe(false);
+    expect(symbols.find(s => s.name === 'Round2').signature).toBe('FUNCTION Round2(tnValue)');
+  });
+
+  it('extracts DO, SET PROCEDURE, CREATEOBJECT/NEWOBJECT and calls', () => {
+    const refs = extractor.extractReferences(null, program, 'app/main.prg');
+    expect(refs.map(r => [r.kind, r.target_name, r.source_name, r.import_path])).toEqual([
+      ['import', 'utils', 'main', 'lib\\utils.prg'],
+      ['import', 'pricing', 'main', 'pricing'],
+      ['call', 'startup', 'main', null],
+      ['call', 'orders', 'main', 'forms\\orders'],
+      ['call', 'Calculator', 'main', null],
+      ['call', 'TaxRule', 'main', 'rules.prg'],
+      ['inherits', 'Custom', 'Calculator', null],
+      ['call', 'Reset', 'Calculator.Init', null],
+      ['call', 'Round2', 'Calculator.Reset', null],
+      ['call', 'ROUND', 'Round2', null],
+      ['call', 'cleanup', 'startup', 'lib\\utils.prg'],
+    ]);
+    expect(refs.find(r => r.target_name === 'Reset').receiver_type).toBe('Calculator');
+  });
+
+  it('reads form method code from the .scx table and .sct memo', () => {
+    const { scx, sct } = buildForm([
+      { PLATFORM: 'COMMENT', OBJNAME: 'Screen' },
+      { PLATFORM: 'WINDOWS', CLASS: 'dataenvironment', BASECLASS: 'dataenvironment', OBJNAME: 'Dataenvironment' },
+      {
+        PLATFORM: 'WINDOWS', CLASS: 'form', BASECLASS: 'form', OBJNAME: 'frmOrders',
+        METHODS: 'PROCEDURE Init\r\nTHISFORM.LoadOrders()\r\nENDPROC\r\nPROCEDURE LoadOrders\r\nDO FORM details\r\nENDPROC\r\n',
+      },
+      {
+        PLATFORM: 'WINDOWS', CLASS: 'okbutton', CLASSLOC: 'controls.vcx', BASECLASS: 'commandbutton',
+        OBJNAME: 'cmdOK', PARENT: 'frmOrders.pgfMain.Page1', METHODS: 'PROCEDURE Click\r\nTHISFORM.Release()\r\nENDPROC\r\n',
+      },
+      { PLATFORM: 'WINDOWS', CLASS: 'textbox', BASECLASS: 'textbox', OBJNAME: 'txtGone', PARENT: 'frmOrders', deleted: true },
+      { PLATFORM: 'COMMENT', OBJNAME: 'RESERVED' },
+    ]);
+    const source = scxSource(scx, sct);
+    expect(source).toContain('ADD OBJECT pgfMain.Page1.cmdOK AS okbutton OF "controls.vcx"');
+    expect(source).not.toContain('txtGone');
+
+    const symbols = extractor.extractSymbols(null, source, 'forms/orders.scx');
+    expect(symbols.filter(s => s.kind !== 'property').map(s => [s.kind, s.qualified_name, s.is_exported])).toEqual([
+      ['module', 'orders', true],
+      ['class', 'Dataenvironment', false],
+      ['class', 'frmOrders', false],
+      ['method', 'frmOrders.Init', false],
+      ['method', 'frmOrders.LoadOrders', true],
+      ['method', 'frmOrders.pgfMain.Page1.cmdOK.Click', false],
+    ]);
+    expect(symbols.find(s => s.kind === 'property')).toMatchObject({ name: 'cmdOK', qualified_name: 'frmOrders.pgfMain.Page1.cmdOK' });
+    const refs = extractor.extractReferences(null, source, 'forms/orders.scx');
+    expect(refs).toContainEqual(expect.objectContaining({ kind: 'call', target_name: 'okbutton', import_path: 'controls.vcx' }));
+    expect(refs).toContainEqual(expect.objectContaining({ kind: 'call', target_name: 'details', source_name: 'frmOrders.LoadOrders' }));
+  });
+});
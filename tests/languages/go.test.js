@@ -77,4 +77,28 @@ describe.skipIf(!hasGrammar)('GoExtractor', () => {
     const refs = extractReferences(tree, src, 'main.go', extractor);
     expect(refs.some(r => r.kind === 'import')).toBe(true);
   });
+
+  it('ties package-qualified calls to their import path', () => {
+    const source = `package main\n\nimport (\n\t"github.com/acme/svc/internal/store"\n\tyaml "gopkg.in/yaml.v3"\n)\n\nfunc run() {\n\tstore.Open()\n\tyaml.Marshal(nil)\n\tdb.Close()\n}\n`;
+    const [tree, src] = parse(source);
+    const refs = extractReferences(tree, src, 'main.go', extractor).filter(r => r.kind === 'call');
+    expect(refs.map(r => [r.target_name, r.import_path])).toEqual([
+      ['Open', 'github.com/acme/svc/internal/store'],
+      ['Marshal', 'gopkg.in/yaml.v3'],
+      ['Close', null],
+    ]);
+  });
+
+  it('infers receiver types from receivers, fields and constructors', () => {
+    const source = `package main\n\ntype Server struct {\n\tstore *Store\n}\n\nfunc (s *Server) Handle(r *Request) {\n\ts.store.Save()\n\tr.Body()\n\tc := &Conn{}\n\tc.Open()\n\tvar t Timer\n\tt.Stop()\n\tfmt.Println()\n}\n`;
+    const [tree, src] = parse(source);
+    const refs = extractReferences(tree, src, 'server.go', extractor).filter(r => r.kind === 'call');
+    expect(refs.map(r => [r.target_name, r.receiver_type])).toEqual([
+      ['Save', 'Store'],
+      ['Body', 'Request'],
+      ['Open', 'Conn'],
+      ['Stop', 'Timer'],
+      ['Println', null],
+    ]);
+  });
 });
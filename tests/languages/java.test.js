@@ -75,4 +75,18 @@ describe.skipIf(!hasGrammar)('JavaExtractor', () => {
     expect(iface).toBeDefined();
     expect(iface.kind).toBe('interface');
   });
+
+  it('infers receiver types from fields, parameters and locals', () => {
+    const source = `class Svc {\n  private Repo repo;\n  void run(User user) {\n    repo.save();\n    this.repo.save();\n    user.rename();\n    var q = new Queue();\n    q.push();\n    helper();\n  }\n}\n`;
+    const [tree, src] = parse(source);
+    const refs = extractReferences(tree, src, 'Svc.java', extractor).filter(r => r.kind === 'call');
+    expect(refs.map(r => [r.target_name, r.receiver_type])).toEqual([
+      ['repo.save', 'Repo'],
+      ['this.repo.save', 'Repo'],
+      ['user.rename', 'User'],
+      ['Queue', null],
+      ['q.push', 'Queue'],
+      ['helper', 'Svc'],
+    ]);
+  });
 });
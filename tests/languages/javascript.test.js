@@ -84,4 +84,34 @@ describe.skipIf(!hasGrammar)('JavaScriptExtractor', () => {
     const maxSize = symbols.find(s => s.name === 'MAX_SIZE');
     expect(maxSize).toBeDefined();
   });
+
+  it('infers receiver types from this and new', () => {
+    const source = `class Svc {\n  constructor() { this.repo = new Repo(); }\n  run() {\n    this.repo.save();\n    this.helper();\n    const q = new Queue();\n    q.push();\n    other.call();\n  }\n}\n`;
+    const [tree, src] = parse(source);
+    const refs = extractReferences(tree, src, 'svc.js', extractor).filter(r => r.kind === 'call');
+    const receivers = Object.fromEntries(refs.map(r => [r.target_name, r.receiver_type]));
+    expect(receivers).toMatchObject({ save: 'Repo', helper: 'Svc', push: 'Queue', call: null });
+  });
+
+  it('extracts re-exports and a module symbol for the barrel', () => {
+    const source = `export * from './a';\nexport * as util from './util';\nexport { x, y as z, default as Button } from './c';\nimport { q as p } from './q';\nexport { p as r, local };\nexport function own() {}\n`;
+    const [tree, src] = parse(source);
+    const symbols = extractSymbols(tree, src, 'src/components/index.js', extractor);
+    expect(symbols.find(s => s.kind === 'module')).toMatchObject({ name: 'components', line_start: 1, line_end: 7 });
+    const refs = extractReferences(tree, src, 'src/components/index.js', extractor).filter(r => r.kind === 'reexport');
+    expect(refs.map(r => [r.target_name, r.source_name, r.import_path])).toEqual([
+      ['*', '*', './a'],
+      ['*', 'util', './util'],
+      ['x', 'x', './c'],
+      ['y', 'z', './c'],
+      ['default', 'Button', './c'],
+      ['q', 'r', './q'],
+    ]);
+  });
+
+  it('adds no module symbol to files without re-exports', () => {
+    const source = `export function a() {}\nexport { a as default };\n`;
+    const [tree, src] = parse(source);
+    expect(extractSymbols(tree, src, 'a.js', extractor).map(s => s.kind)).toEqual(['function']);
+  });
 });
@@ -0,0 +1,133 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { initExtractors, getExtractor } from '../../src/languages/registry.js';
+import { extractSymbols, extractReferences } from '../../src/index/symbols.js';
+import Parser from 'tree-sitter';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+
+let hasGrammar = false;
+try { require('tree-sitter-php/php'); hasGrammar = true; } catch {}
+
+let parser, extractor;
+
+describe.skipIf(!hasGrammar)('PhpExtractor', () => {
+  beforeAll(async () => {
+    await initExtractors();
+    const Language = require('tree-sitter-php/php');
+    parser = new Parser();
+    parser.setLanguage(Language);
+    extractor = getExtractor('php');
+  });
+
+  function parse(source) {
+    return [parser.parse(source), source];
+  }
+
+  const service = [
+    '<?php',
+    'namespace App\\Services;',
+    '',
+    'use App\\Models\\User;',
+    'use App\\Billing\\{Invoice as Bill, Ledger};',
+    'use function App\\Support\\money;',
+    '',
+    '/** Sends invoices. */',
+    'final class InvoiceMailer extends BaseMailer implements Mailer, \\Countable',
+    '{',
+    '    use Queueable;',
+    '',
+    '    public const QUEUE = \'mail\';',
+    '    protected ?Ledger $ledger = null;',
+    '',
+    '    public function __construct(private Transport $transport) {}',
+    '',
+    '    public function send(User $user): void',
+    '    {',
+    '        $bill = new Bill($user);',
+    '        $bill->total();',
+    '        $this->transport->deliver(money($bill));',
+    '        $this->ledger->record();',
+    '        self::log();',
+    '        parent::send($user);',
+    '        Ledger::open();',
+    '    }',
+    '',
+    '    private static function log(): void {}',
+    '}',
+  ].join('\n') + '\n';
+
+  it('qualifies declarations by their namespace', () => {
+    const [tree, src] = parse(service);
+    const symbols = extractSymbols(tree, src, 'app/Services/InvoiceMailer.php', extractor);
+    expect(symbols.map(s => [s.kind, s.qualified_name, s.visibility])).toEqual([
+      ['module', 'App\\Services', 'public'],
+      ['class', 'App\\Services\\InvoiceMailer', 'public'],
+      ['constant', 'App\\Services\\InvoiceMailer::QUEUE', 'public'],
+      ['property', 'App\\Services\\InvoiceMailer::$ledger', 'protected'],
+      ['constructor', 'App\\Services\\InvoiceMailer::__construct', 'public'],
+      ['property', 'App\\Services\\InvoiceMailer::$transport', 'private'],
+      ['method', 'App\\Services\\InvoiceMailer::send', 'public'],
+      ['method', 'App\\Services\\InvoiceMailer::log', 'private'],
+    ]);
+    expect(symbols[1]).toMatchObject({
+      name: 'InvoiceMailer',
+      signature: 'final class InvoiceMailer extends BaseMailer implements Mailer, \\Countable',
+      docstring: 'Sends invoices.',
+    });
+    expect(symbols.find(s => s.name === 'log').signature).toBe('private static function log(): void');
+  });
+
+  it('resolves imports, supertypes and traits to fully qualified names', () => {
+    const [tree, src] = parse(service);
+    const refs = extractReferences(tree, src, 'app/Services/InvoiceMailer.php', extractor);
+    const pick = kinds => refs.filter(r => kinds.includes(r.kind)).map(r => [r.kind, r.target_name, r.import_path]);
+    expect(pick(['import', 'inherits', 'implements', 'uses_trait'])).toEqual([
+      ['import', 'App\\Models\\User', 'App\\Models\\User'],
+      ['import', 'App\\Billing\\Invoice', 'App\\Billing\\Invoice'],
+      ['import', 'App\\Billing\\Ledger', 'App\\Billing\\Ledger'],
+      ['import', 'App\\Support\\money', 'App\\Support\\money'],
+      ['inherits', 'App\\Services\\BaseMailer', 'App\\Services\\BaseMailer'],
+      ['implements', 'App\\Services\\Mailer', 'App\\Services\\Mailer'],
+      ['implements', 'Countable', 'Countable'],
+      ['uses_trait', 'App\\Services\\Queueable', 'App\\Services\\Queueable'],
+    ]);
+    expect(pick(['reference']).map(r => r[1])).toEqual([
+      'App\\Billing\\Ledger', 'App\\Services\\Transport', 'App\\Models\\User',
+    ]);
+  });
+
+  it('extracts instantiations, static calls and typed receivers', () => {
+    const [tree, src] = parse(service);
+    const calls = extractReferences(tree, src, 'app/Services/InvoiceMailer.php', extractor)
+      .filter(r => r.kind === 'call')
+      .map(r => [r.target_name, r.receiver_type, r.import_path]);
+    expect(calls).toEqual([
+      ['App\\Billing\\Invoice', null, 'App\\Billing\\Invoice'],
+      ['$bill->total', 'App\\Billing\\Invoice', null],
+      ['$this->transport->deliver', 'App\\Services\\Transport', null],
+      ['App\\Support\\money', null, null],
+      ['$this->ledger->record', 'App\\Billing\\Ledger', null],
+      ['App\\Services\\InvoiceMailer::log', 'App\\Services\\InvoiceMailer', null],
+      ['App\\Services\\BaseMailer::send', 'App\\Services\\BaseMailer', 'App\\Services\\BaseMailer'],
+      ['App\\Billing\\Ledger::open', 'App\\Billing\\Ledger', 'App\\Billing\\Ledger'],
+    ]);
+  });
+
+  it('finds conditionally declared functions and keeps controllers exported', () => {
+    const source = [
+      '<?php',
+      "if (!function_exists('money')) {",
+      '    function money($x) { return $x; }',
+      '}',
+      'class HomeController { public function index() {} }',
+    ].join('\n') + '\n';
+    const [tree, src] = parse(source);
+    const symbols = extractSymbols(tree, src, 'app/helpers.php', extractor);
+    expect(symbols.map(s => [s.kind, s.qualified_name, s.is_exported])).toEqual([
+      ['function', 'money', true],
+      ['class', 'HomeController', true],
+      ['method', 'HomeController::index', true],
+    ]);
+  });
+});
@@ -0,0 +1,198 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { findPlugins, loadPlugins, validatePlugin } from '../../src/languages/plugins.js';
+import {
+  initExtractors, getExtractor, getLanguageForFile, getPluginStatus, SUPPORTED_LANGUAGES,
+} from '../../src/languages/registry.js';
+import { LanguageExtractor } from '../../src/languages/base.js';
+import { detectLanguage, parseFile } from '../../src/index/parser.js';
+import { extractSymbols, extractReferences } from '../../src/index/symbols.js';
+import { Indexer } from '../../src/index/indexer.js';
+import { openDb } from '../../src/db/connection.js';
+import { mkdirSync, writeFileSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+
+// A regex-only extractor for `step name` / `then other` flow files
+const flowPlugin = `export default {
+  language: 'flow_dsl',
+  extensions: ['.flow'],
+  extractor: ({ LanguageExtractor }) => class FlowExtractor extends LanguageExtractor {
+    extractSymbols(tree, source) {
+      return [...source.matchAll(/^step (\\w+)/gm)].map(m => {
+        const line = source.slice(0, m.index).split('\\n').length;
+        return this.makeSymbol(m[1], 'function', line, line);
+      });
+    }
+    extractReferences(tree, source) {
+      return [...source.matchAll(/\\bthen (\\w+)/g)].map(m =>
+        this.makeReference(m[1], 'call', source.slice(0, m.index).split('\\n').length));
+    }
+  },
+};
+`;
+
+class Complete extends LanguageExtractor {
+  extractSymbols() { return []; }
+  extractReferences() { return []; }
+}
+
+function write(path, text) {
+  mkdirSync(join(path, '..'), { recursive: true });
+  writeFileSync(path, text);
+}
+
+describe('findPlugins', () => {
+  const testDir = join(tmpdir(), `roam-plugins-find-${Date.now()}`);
+
+  beforeAll(() => {
+    write(join(testDir, 'tools', 'dsl.js'), 'export default [];\n');
+    write(join(testDir, 'node_modules', 'roam-extractor-flow', 'package.json'),
+      JSON.stringify({ name: 'roam-extractor-flow', exports: { '.': { import: './esm/index.js' } } }));
+    write(join(testDir, 'node_modules', '@acme', 'roam-extractor-ini', 'package.json'),
+      JSON.stringify({ name: '@acme/roam-extractor-ini', main: 'lib/main.js' }));
+    write(join(testDir, 'node_modules', 'left-pad', 'package.json'), '{}');
+    write(join(testDir, '.roam', 'extractors', 'b.mjs'), 'export default [];\n');
+    write(join(testDir, '.roam', 'extractors', 'a.js'), 'export default [];\n');
+    write(join(testDir, '.roam', 'extractors', 'notes.md'), '');
+  });
+
+  afterAll(() => {
+    rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it('lists config entries, roam-extractor packages and .roam/extractors files in order', () => {
+    const found = findPlugins(testDir, {
+      source: 'roam.config.json',
+      extractors: ['./tools/dsl.js', './tools/gone.js', 'roam-extractor-flow', 'not-installed'],
+    });
+    expect(found).toEqual([
+      { source: 'roam.config.json extractors: ./tools/dsl.js', path: join(testDir, 'tools', 'dsl.js') },
+      { source: 'roam.config.json extractors: ./tools/gone.js', path: null, error: 'file not found' },
+      {
+        source: 'roam.config.json extractors: roam-extractor-flow',
+        path: join(testDir, 'node_modules', 'roam-extractor-flow', 'esm', 'index.js'),
+      },
+      { source: 'roam.config.json extractors: not-installed', path: null, error: 'package not installed' },
+      {
+        source: 'package @acme/roam-extractor-ini',
+        path: join(testDir, 'node_modules', '@acme', 'roam-extractor-ini', 'lib', 'main.js'),
+      },
+      { source: '.roam/extractors/a.js', path: join(testDir, '.roam', 'extractors', 'a.js') },
+      { source: '.roam/extractors/b.mjs', path: join(testDir, '.roam', 'extractors', 'b.mjs') },
+    ]);
+    expect(findPlugins(join(testDir, 'tools'))).toEqual([]);
+  });
+});
+
+describe('validatePlugin', () => {
+  const path = join(tmpdir(), 'plugin.js');
+  const taken = { languages: new Set(['python']), extensions: { '.py': 'python' } };
+  const error = def => {
+    try {
+      validatePlugin(def, path, taken);
+    } catch (e) {
+      return e.message;
+    }
+    return null;
+  };
+
+  it('accepts a class or a factory and normalizes extensions', () => {
+    expect(validatePlugin({ language: 'ini', extensions: ['.INI'], extractor: Complete }, path, taken))
+      .toEqual({ language: 'ini', extensions: ['.ini'], grammar: null, Extractor: Complete });
+    const factory = ({ LanguageExtractor: Base }) => class extends Base {
+      extractSymbols() { return []; }
+      extractReferences() { return []; }
+    };
+    const { Extractor } = validatePlugin({ language: 'ini', extensions: ['.ini'], extractor: factory }, path, taken);
+    expect(new Extractor()).toBeInstanceOf(LanguageExtractor);
+  });
+
+  it('names what is wrong with a definition', () => {
+    const base = { language: 'ini', extensions: ['.ini'], extractor: Complete };
+    expect(error(null)).toBe('plugin must export an object');
+    expect(error({ ...base, language: 'My DSL' })).toBe('invalid language name "My DSL"');
+    expect(error({ ...base, language: 'python' })).toBe('python: language is already registered');
+    expect(error({ ...base, extensions: [] })).toBe('ini: extensions must be a non-empty array');
+    expect(error({ ...base, extensions: ['ini'] })).toBe('ini: invalid extension "ini"');
+    expect(error({ ...base, extensions: ['.py'] })).toBe('ini: .py is already mapped to python');
+    expect(error({ ...base, grammar: 'tree-sitter-no-such-grammar' }))
+      .toBe('ini: grammar tree-sitter-no-such-grammar not found');
+    expect(error({ ...base, extractor: {} }))
+      .toBe('ini: extractor must be a LanguageExtractor subclass or a factory returning one');
+    expect(error({ ...base, extractor: class extends LanguageExtractor { extractSymbols() { return []; } } }))
+      .toBe('ini: extractor does not implement extractReferences');
+    expect(error({ ...base, extractor: () => { throw new Error('boom'); } }))
+      .toBe('ini: extractor factory failed: boom');
+  });
+});
+
+describe('extractor plugins in the registry', () => {
+  const testDir = join(tmpdir(), `roam-plugins-registry-${Date.now()}`);
+
+  beforeAll(() => {
+    write(join(testDir, '.roam', 'extractors', 'flow.js'), flowPlugin);
+    write(join(testDir, '.roam', 'extractors', 'broken.js'), 'export default {\n');
+    write(join(testDir, '.roam', 'extractors', 'twice.js'),
+      flowPlugin.replace("extensions: ['.flow']", "extensions: ['.flw']"));
+    write(join(testDir, 'checkout.flow'), 'step pay\n  then ship\nstep ship\n');
+    write(join(testDir, 'app.js'), 'export function main() {}\n');
+  });
+
+  afterAll(async () => {
+    await initExtractors();
+    rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it('registers plugin languages and reports the ones that fail', async () => {
+    await initExtractors({ plugins: findPlugins(testDir) });
+    expect(getLanguageForFile('a/checkout.flow')).toBe('flow_dsl');
+    expect(detectLanguage('a/checkout.flow')).toBe('flow_dsl');
+    expect(SUPPORTED_LANGUAGES.has('flow_dsl')).toBe(true);
+
+    const { plugins, errors } = getPluginStatus();
+    expect(plugins).toEqual([
+      { language: 'flow_dsl', extensions: ['.flow'], grammar: null, source: '.roam/extractors/flow.js' },
+    ]);
+    expect(errors.map(e => e.source)).toEqual(['.roam/extractors/broken.js', '.roam/extractors/twice.js']);
+    expect(errors[0].error).toMatch(/^import failed: /);
+    expect(errors[1].error).toBe('flow_dsl: language is already registered');
+
+    const [tree, source, language] = parseFile(join(testDir, 'checkout.flow'));
+    expect([tree, language]).toEqual([null, 'flow_dsl']);
+    const extractor = getExtractor('flow_dsl');
+    expect(extractSymbols(tree, source, 'checkout.flow', extractor).map(s => [s.name, s.line_start]))
+      .toEqual([['pay', 1], ['ship', 3]]);
+    expect(extractReferences(tree, source, 'checkout.flow', extractor).map(r => [r.target_name, r.kind]))
+      .toEqual([['ship', 'call']]);
+
+    await initExtractors();
+    expect(getLanguageForFile('checkout.flow')).toBeNull();
+    expect(detectLanguage('checkout.flow')).toBeNull();
+    expect(SUPPORTED_LANGUAGES.has('flow_dsl')).toBe(false);
+    expect(getPluginStatus()).toEqual({ plugins: [], errors: [] });
+  });
+
+  it('indexes plugin languages in parse workers', async () => {
+    await new Indexer(testDir, { quiet: true }).run({ jobs: 2 });
+    const db = openDb({ projectRoot: testDir, readonly: true });
+    try {
+      const file = db.prepare("SELECT language FROM files WHERE path = 'checkout.flow'").get();
+      expect(file.language).toBe('flow_dsl');
+      const edges = db.prepare(`
+        SELECT s.name AS source, t.name AS target FROM edges e
+        JOIN symbols s ON s.id = e.source_id JOIN symbols t ON t.id = e.target_id
+        WHERE e.kind = 'call'
+      `).all();
+      expect(edges).toEqual([{ source: 'pay', target: 'ship' }]);
+    } finally {
+      db.close();
+    }
+  });
+
+  it('loads nothing from a plugin without a default export', async () => {
+    const path = join(testDir, 'named.mjs');
+    writeFileSync(path, 'export const plugin = {};\n');
+    expect(await loadPlugins([{ source: 'named.mjs', path }]))
+      .toEqual({ plugins: [], errors: [{ source: 'named.mjs', error: 'no default export' }] });
+  });
+});
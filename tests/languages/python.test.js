@@ -92,4 +92,18 @@ describe.skipIf(!hasGrammar)('PythonExtractor', () => {
     const symbols = extractSymbols(tree, src, 'deco.py', extractor);
     expect(symbols.length).toBeGreaterThanOrEqual(1);
   });
+
+  it('infers receiver types from self, annotations and constructor calls', () => {
+    const source = `class Svc:\n    def __init__(self, repo: Repo, log: Optional["Logger"] = None):\n        self.repo = repo\n        self.log = log\n        self.queue = Queue()\n\n    def run(self, user: User | None):\n        self.repo.save()\n        self.log.info()\n        self.queue.push()\n        self.helper()\n        user.rename()\n        node = Node()\n        node.next()\n`;
+    const [tree, src] = parse(source);
+    const refs = extractReferences(tree, src, 'svc.py', extractor).filter(r => r.kind === 'call' && r.target_name.includes('.'));
+    expect(refs.map(r => [r.target_name, r.receiver_type])).toEqual([
+      ['self.repo.save', 'Repo'],
+      ['self.log.info', 'Logger'],
+      ['self.queue.push', 'Queue'],
+      ['self.helper', 'Svc'],
+      ['user.rename', 'User'],
+      ['node.next', 'Node'],
+    ]);
+  });
 });
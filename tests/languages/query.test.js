@@ -0,0 +1,213 @@
+import { describe, it, expect, afterAll, vi } from 'vitest';
+import { initExtractors, getExtractor } from '../../src/languages/registry.js';
+import { QueryExtractor, bundledQuery, extendsBase, splitPatterns, compileQuery } from '../../src/languages/query.js';
+import { extractSymbols, extractReferences } from '../../src/index/symbols.js';
+import Parser from 'tree-sitter';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const Java = require('tree-sitter-java');
+const Python = require('tree-sitter-python');
+
+function parse(language, source) {
+  const parser = new Parser();
+  parser.setLanguage(language);
+  return [parser.parse(source), source];
+}
+
+const javaQuery = `
+; Types and their members
+((block_comment)? @doc . (class_declaration name: (identifier) @name) @definition.class)
+(interface_declaration name: (identifier) @name) @definition.interface
+(method_declaration name: (identifier) @name) @definition.function
+(field_declaration declarator: (variable_declarator name: (identifier) @name)) @definition.field
+
+(import_declaration (scoped_identifier) @name) @reference.import
+(superclass (type_identifier) @name) @reference.class
+(super_interfaces (type_list (type_identifier) @name)) @reference.implementation
+(method_invocation object: (_) @receiver name: (identifier) @name) @reference.send
+(object_creation_expression type: (type_identifier) @name) @reference.call
+`;
+
+const repo = [
+  'import com.acme.db.Store;',
+  '',
+  '/** Keeps orders. */',
+  'public class OrderRepo extends BaseRepo implements Repo {',
+  '  private Store store;',
+  '  public void save(Order o) {',
+  '    store.put(new Row(o));',
+  '  }',
+  '  class Cursor {',
+  '    protected int next() { return 0; }',
+  '  }',
+  '}',
+].join('\n') + '\n';
+
+describe('QueryExtractor', () => {
+  it('qualifies definitions by the definitions around them', () => {
+    const extractor = new QueryExtractor('java', javaQuery);
+    const [tree, src] = parse(Java, repo);
+    const symbols = extractSymbols(tree, src, 'OrderRepo.java', extractor);
+    expect(symbols.map(s => [s.kind, s.qualified_name, s.visibility, s.parent_name])).toEqual([
+      ['class', 'OrderRepo', 'public', null],
+      ['field', 'OrderRepo.store', 'private', 'OrderRepo'],
+      ['method', 'OrderRepo.save', 'public', 'OrderRepo'],
+      ['class', 'OrderRepo.Cursor', 'public', 'OrderRepo'],
+      ['method', 'OrderRepo.Cursor.next', 'protected', 'OrderRepo.Cursor'],
+    ]);
+    expect(symbols[0]).toMatchObject({
+      signature: 'public class OrderRepo extends BaseRepo implements Repo',
+      docstring: 'Keeps orders.',
+      line_start: 4,
+      line_end: 12,
+    });
+  });
+
+  it('maps tags reference kinds onto roam edges from the enclosing symbol', () => {
+    const extractor = new QueryExtractor('java', javaQuery);
+    const [tree, src] = parse(Java, repo);
+    const refs = extractReferences(tree, src, 'OrderRepo.java', extractor);
+    expect(refs.map(r => [r.kind, r.target_name, r.source_name, r.import_path])).toEqual([
+      ['import', 'Store', '', 'com.acme.db.Store'],
+      ['reference', 'BaseRepo', 'OrderRepo', null],
+      ['implements', 'Repo', 'OrderRepo', null],
+      ['call', 'store.put', 'OrderRepo.save', null],
+      ['call', 'Row', 'OrderRepo.save', null],
+    ]);
+  });
+
+  it('drops patterns the grammar rejects and keeps the rest', () => {
+    const text = '(class_declaration name: (identifier) @name) @definition.class\n'
+      + '(no_such_node) @definition.function\n'
+      + '(method_declaration name: (identifier) @name (#strip! @doc "^//")) @definition.method\n';
+    expect(splitPatterns(text)).toHaveLength(3);
+    const stderr = vi.spyOn(process.stderr, 'write').mockImplementation(() => true);
+    try {
+      const query = compileQuery(Java, text, 'java queries');
+      const [tree] = parse(Java, repo);
+      const captures = query.matches(tree.rootNode).flatMap(m => m.captures.map(c => c.name));
+      expect(new Set(captures)).toEqual(new Set(['name', 'definition.class', 'definition.method']));
+      expect(stderr).toHaveBeenCalledWith(expect.stringContaining('skipped 1 of 3 patterns in java queries'));
+      expect(compileQuery(Java, '(no_such_node) @x', 'bad')).toBeNull();
+    } finally {
+      stderr.mockRestore();
+    }
+  });
+});
+
+// Each shipped query against its grammar, when that grammar is installed
+const shipped = {
+  c_sharp: {
+    grammar: 'tree-sitter-c-sharp',
+    source: [
+      'using Acme.Data;',
+      'namespace Acme.Billing {',
+      '  public class Invoice : BaseDoc {',
+      '    public int Total() { return store.Sum(new Line().Amount()); }',
+      '  }',
+      '}',
+    ],
+    cls: 'Acme.Billing.Invoice', method: 'Acme.Billing.Invoice.Total', imported: ['Data', 'Acme.Data'],
+  },
+  kotlin: {
+    grammar: 'tree-sitter-kotlin',
+    source: [
+      'import acme.data.Store',
+      'class Invoice(private val store: Store) : BaseDoc() {',
+      '  fun total(): Int = store.sum(Line().amount())',
+      '}',
+    ],
+    cls: 'Invoice', method: 'Invoice.total', imported: ['Store', 'acme.data.Store'],
+  },
+  swift: {
+    grammar: 'tree-sitter-swift',
+    source: [
+      'import Foundation',
+      'class Invoice: BaseDoc {',
+      '  func total() -> Int { return store.sum(Line().amount()) }',
+      '}',
+    ],
+    cls: 'Invoice', method: 'Invoice.total', imported: ['Foundation', 'Foundation'],
+  },
+  scala: {
+    grammar: 'tree-sitter-scala',
+    source: [
+      'import acme.data.Store',
+      'class Invoice(store: Store) extends BaseDoc {',
+      '  def total(): Int = store.sum(new Line().amount())',
+      '}',
+    ],
+    cls: 'Invoice', method: 'Invoice.total', imported: ['Store', 'acme.data.Store'],
+  },
+};
+
+for (const [language, sample] of Object.entries(shipped)) {
+  let grammar = null;
+  try { grammar = require(sample.grammar); } catch {}
+
+  describe.skipIf(!grammar)(`shipped ${language} query`, () => {
+    it('compiles and extracts a class, a method and an import', () => {
+      const stderr = vi.spyOn(process.stderr, 'write');
+      try {
+        const extractor = new QueryExtractor(language, bundledQuery(language));
+        const [tree, src] = parse(grammar, sample.source.join('\n') + '\n');
+        const symbols = extractSymbols(tree, src, 'sample', extractor);
+        const refs = extractReferences(tree, src, 'sample', extractor);
+        expect(stderr).not.toHaveBeenCalledWith(expect.stringContaining('skipped'));
+
+        expect(symbols.find(s => s.qualified_name === sample.cls)).toMatchObject({ kind: 'class' });
+        expect(symbols.find(s => s.qualified_name === sample.method)).toMatchObject({ kind: 'method' });
+        const [name, path] = sample.imported;
+        expect(refs.filter(r => r.kind === 'import').map(r => [r.target_name, r.import_path])).toContainEqual([name, path]);
+        expect(refs).toContainEqual(expect.objectContaining({ kind: 'inherits', target_name: 'BaseDoc' }));
+        // A receiver that is not a name says nothing about the callee
+        expect(refs.filter(r => r.kind === 'call').map(r => r.target_name))
+          .toEqual(expect.arrayContaining(['store.' + (language === 'c_sharp' ? 'Sum' : 'sum'), 'Line']));
+        expect(refs.some(r => r.target_name.includes('('))).toBe(false);
+      } finally {
+        stderr.mockRestore();
+      }
+    });
+  });
+}
+
+describe('query files', () => {
+  // Python functions registered under a name count as called by it
+  const handlers = '(call function: (identifier) @fn (#eq? @fn "register")'
+    + ' arguments: (argument_list (identifier) @name)) @reference.call\n';
+  const source = 'def on_save():\n    pass\n\nregister(on_save)\n';
+
+  afterAll(async () => {
+    await initExtractors();
+  });
+
+  it('ships queries for the generic-fallback languages', () => {
+    for (const language of ['c_sharp', 'kotlin', 'swift', 'scala']) {
+      expect(splitPatterns(bundledQuery(language)).length).toBeGreaterThan(10);
+    }
+    expect(bundledQuery('python')).toBeNull();
+    expect(extendsBase('; extends\n(call) @reference.call')).toBe(true);
+    expect(extendsBase('(call) @reference.call')).toBe(false);
+  });
+
+  it('adds a project query to the dedicated extractor with `; extends`', async () => {
+    await initExtractors({ queries: { python: `; extends\n${handlers}` } });
+    const extractor = getExtractor('python');
+    const [tree, src] = parse(Python, source);
+    expect(extractSymbols(tree, src, 'app.py', extractor).map(s => s.name)).toEqual(['on_save']);
+    expect(extractReferences(tree, src, 'app.py', extractor).filter(r => r.kind === 'call').map(r => r.target_name))
+      .toEqual(expect.arrayContaining(['register', 'on_save']));
+  });
+
+  it('replaces extraction with a project query without it', async () => {
+    await initExtractors({ queries: { python: handlers } });
+    const extractor = getExtractor('python');
+    const [tree, src] = parse(Python, source);
+    expect(extractSymbols(tree, src, 'app.py', extractor)).toEqual([]);
+    expect(extractReferences(tree, src, 'app.py', extractor).map(r => r.target_name)).toEqual(['on_save']);
+
+    await initExtractors();
+    expect(getExtractor('python')).not.toBeInstanceOf(QueryExtractor);
+  });
+});
@@ -0,0 +1,141 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { initExtractors, getExtractor } from '../../src/languages/registry.js';
+import { extractSymbols, extractReferences } from '../../src/index/symbols.js';
+import Parser from 'tree-sitter';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+
+let hasGrammar = false;
+try { require('tree-sitter-ruby'); hasGrammar = true; } catch {}
+
+let parser, extractor;
+
+describe.skipIf(!hasGrammar)('RubyExtractor', () => {
+  beforeAll(async () => {
+    await initExtractors();
+    const Language = require('tree-sitter-ruby');
+    parser = new Parser();
+    parser.setLanguage(Language);
+    extractor = getExtractor('ruby');
+  });
+
+  function parse(source) {
+    return [parser.parse(source), source];
+  }
+
+  const invoice = [
+    "require 'json'",
+    "require_relative '../models/line_item'",
+    '',
+    'module Billing',
+    '  # A customer invoice.',
+    '  class Invoice < ApplicationRecord',
+    '    include Taxable',
+    '    extend ::Billing::Finders',
+    '    has_many :line_items',
+    "    belongs_to :payer, class_name: 'Billing::Account'",
+    '    before_save :normalize, if: :draft?',
+    '    attr_accessor :note',
+    '    scope :open, -> { where(state: :open) }',
+    '    RATE = 0.2',
+    '',
+    '    def total(discount = 0)',
+    '      repo = Repo.new',
+    '      repo.save(self)',
+    '      subtotal * (1 + RATE) - discount',
+    '    end',
+    '',
+    '    def self.build(attrs) = new(attrs)',
+    '',
+    '    private',
+    '',
+    '    def normalize; end',
+    '    public def subtotal; end',
+    '    def draft?; end',
+    '    private :total',
+    '  end',
+    'end',
+  ].join('\n') + '\n';
+
+  it('qualifies modules, classes and methods by their nesting', () => {
+    const [tree, src] = parse(invoice);
+    const symbols = extractSymbols(tree, src, 'app/models/billing/invoice.rb', extractor);
+    expect(symbols.map(s => [s.kind, s.qualified_name, s.visibility])).toEqual([
+      ['module', 'Billing', 'public'],
+      ['class', 'Billing::Invoice', 'public'],
+      ['method', 'Billing::Invoice#note', 'public'],
+      ['method', 'Billing::Invoice#note=', 'public'],
+      ['method', 'Billing::Invoice.open', 'public'],
+      ['constant', 'Billing::Invoice::RATE', 'public'],
+      ['method', 'Billing::Invoice#total', 'private'],
+      ['method', 'Billing::Invoice.build', 'public'],
+      ['method', 'Billing::Invoice#normalize', 'private'],
+      ['method', 'Billing::Invoice#subtotal', 'public'],
+      ['method', 'Billing::Invoice#draft?', 'private'],
+    ]);
+    const cls = symbols.find(s => s.name === 'Invoice');
+    expect(cls).toMatchObject({ signature: 'class Invoice < ApplicationRecord', docstring: 'A customer invoice.', parent_name: 'Billing' });
+    expect(symbols.find(s => s.name === 'build').signature).toBe('def self.build(attrs)');
+    expect(symbols.find(s => s.name === 'normalize').is_exported).toBe(false);
+  });
+
+  it('extracts requires, mixins, inheritance and DSL references', () => {
+    const [tree, src] = parse(invoice);
+    const refs = extractReferences(tree, src, 'app/models/billing/invoice.rb', extractor);
+    const pick = kinds => refs.filter(r => kinds.includes(r.kind)).map(r => [r.kind, r.target_name, r.source_name, r.import_path]);
+    expect(pick(['import', 'inherits', 'uses_trait'])).toEqual([
+      ['import', 'Json', '', 'json'],
+      ['import', 'LineItem', '', '../models/line_item'],
+      ['inherits', 'ApplicationRecord', 'Billing::Invoice', null],
+      ['uses_trait', 'Taxable', 'Billing::Invoice', null],
+      ['uses_trait', 'Billing::Finders', 'Billing::Invoice', null],
+    ]);
+    expect(pick(['reference'])).toEqual(expect.arrayContaining([
+      ['reference', 'LineItem', 'Billing::Invoice', null],
+      ['reference', 'Billing::Account', 'Billing::Invoice', null],
+      ['reference', 'RATE', 'Billing::Invoice#total', null],
+    ]));
+    // Callback methods are called on the class itself
+    for (const name of ['normalize', 'draft?']) {
+      expect(refs).toContainEqual(expect.objectContaining({
+        kind: 'call', target_name: name, source_name: 'Billing::Invoice', receiver_type: 'Invoice',
+      }));
+    }
+  });
+
+  it('infers receiver types and treats unbound names as calls', () => {
+    const [tree, src] = parse(invoice);
+    const calls = extractReferences(tree, src, 'app/models/billing/invoice.rb', extractor)
+      .filter(r => r.kind === 'call' && r.source_name === 'Billing::Invoice#total')
+      .map(r => [r.target_name, r.receiver_type]);
+    expect(calls).toEqual([
+      ['Repo', null],
+      ['repo.save', 'Repo'],
+      ['subtotal', 'Invoice'],
+    ]);
+  });
+
+  it('records controllers as they are written and one symbol per redefined method', () => {
+    const source = [
+      'class OrdersController < ApplicationController',
+      '  attr_accessor :total',
+      '  def show; end',
+      '  def total; @total || 0; end',
+      '',
+      '  private',
+      '',
+      '  def load_order; end',
+      'end',
+    ].join('\n') + '\n';
+    const [tree, src] = parse(source);
+    const symbols = extractSymbols(tree, src, 'app/controllers/orders_controller.rb', extractor);
+    expect(symbols.map(s => [s.qualified_name, s.is_exported, s.line_start])).toEqual([
+      ['OrdersController', true, 1],
+      ['OrdersController#total=', true, 2],
+      ['OrdersController#show', true, 3],
+      ['OrdersController#total', true, 4],
+      ['OrdersController#load_order', false, 8],
+    ]);
+  });
+});
@@ -77,4 +77,19 @@ describe.skipIf(!hasGrammar)('RustExtractor', () => {
     const refs = extractReferences(tree, src, 'main.rs', extractor);
     expect(refs.some(r => r.kind === 'import')).toBe(true);
   });
+
+  it('expands use trees and qualifies paths through them', () => {
+    const source = `use crate::model::{user::User, order::{self, Order as O}};\nfn f() { User::new(); order::total(); }\n`;
+    const [tree, src] = parse(source);
+    const refs = extractReferences(tree, src, 'lib.rs', extractor);
+    expect(refs.filter(r => r.kind === 'import').map(r => [r.target_name, r.import_path])).toEqual([
+      ['User', 'crate::model::user::User'],
+      ['order', 'crate::model::order'],
+      ['Order', 'crate::model::order::Order'],
+    ]);
+    expect(refs.filter(r => r.kind === 'call').map(r => [r.target_name, r.import_path])).toEqual([
+      ['User::new', 'crate::model::user::User::new'],
+      ['order::total', 'crate::model::order::total'],
+    ]);
+  });
 });
@@ -69,4 +69,27 @@ describe.skipIf(!hasGrammar)('TypeScriptExtractor', () => {
     expect(fn).toBeDefined();
     expect(fn.kind).toBe('function');
   });
+
+  it('infers receiver types from annotations and parameter properties', () => {
+    const source = `class Svc {\n  cache: Cache;\n  constructor(private repo: Repo) {}\n  run(user: User | null, items: Map<string, A | B>) {\n    this.cache.get();\n    this.repo.save();\n    user.rename();\n    items.clear();\n  }\n}\n`;
+    const [tree, src] = parse(source);
+    const refs = extractReferences(tree, src, 'svc.ts', extractor).filter(r => r.kind === 'call');
+    expect(refs.map(r => [r.target_name, r.receiver_type])).toEqual([
+      ['get', 'Cache'],
+      ['save', 'Repo'],
+      ['rename', 'User'],
+      ['clear', 'Map'],
+    ]);
+  });
+
+  it('extracts type-only re-exports from barrels', () => {
+    const source = `export type { Props } from './types';\nexport { Button } from './Button';\n`;
+    const [tree, src] = parse(source);
+    expect(extractSymbols(tree, src, 'ui/api.ts', extractor)).toMatchObject([{ name: 'api', kind: 'module' }]);
+    const refs = extractReferences(tree, src, 'ui/api.ts', extractor).filter(r => r.kind === 'reexport');
+    expect(refs.map(r => [r.target_name, r.source_name, r.import_path])).toEqual([
+      ['Props', 'Props', './types'],
+      ['Button', 'Button', './Button'],
+    ]);
+  });
 });
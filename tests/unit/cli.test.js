@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { InvalidArgumentError } from 'commander';
+import { program, EDGE_FILTER_COMMANDS } from '../../src/cli.js';
+
+describe('global edge filters', () => {
+  it('name only commands that exist and read them', () => {
+    const commands = new Set(program.commands.map(c => c.name()));
+    for (const name of EDGE_FILTER_COMMANDS) {
+      expect(commands.has(name)).toBe(true);
+      const source = readFileSync(new URL(`../../src/commands/cmd-${name}.js`, import.meta.url), 'utf-8');
+      expect(source).toMatch(/minConfidence/);
+      expect(source).toMatch(/dispatch/);
+    }
+    const help = program.options.find(o => o.long === '--min-confidence').description;
+    expect(help).toContain('applies to uses, dead, trace, affected-tests, diff/impact');
+    expect(program.commands.find(c => c.name() === 'diff').aliases()).toContain('impact');
+  });
+});
+
+describe('--jobs', () => {
+  it('accepts thread counts and auto, and rejects anything else as a usage error', () => {
+    const options = program.commands.flatMap(c => c.options).filter(o => o.long === '--jobs');
+    expect(options.length).toBeGreaterThan(0);
+    for (const option of options) {
+      expect(option.parseArg('4')).toBe(4);
+      expect(option.parseArg('0')).toBe(0);
+      expect(option.parseArg('auto')).toBe('auto');
+      for (const bad of ['abc', '2x', '-1', '']) {
+        expect(() => option.parseArg(bad)).toThrow(InvalidArgumentError);
+      }
+    }
+  });
+});
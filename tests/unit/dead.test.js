@@ -0,0 +1,70 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { frameworkEntryPoints } from '../../src/commands/cmd-dead.js';
+import { Indexer } from '../../src/index/indexer.js';
+import { openDb } from '../../src/db/connection.js';
+import { mkdirSync, writeFileSync, rmSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+import { tmpdir } from 'node:os';
+
+describe('frameworkEntryPoints', () => {
+  const testDir = join(tmpdir(), `roam-dead-test-${Date.now()}`);
+
+  function write(rel, content) {
+    mkdirSync(dirname(join(testDir, rel)), { recursive: true });
+    writeFileSync(join(testDir, rel), content);
+  }
+
+  beforeAll(async () => {
+    write('app/Http/Controllers/Controller.php', [
+      '<?php',
+      'namespace App\\Http\\Controllers;',
+      'use Illuminate\\Routing\\Controller as BaseController;',
+      'abstract class Controller extends BaseController {}',
+    ].join('\n') + '\n');
+    write('app/Http/Controllers/HomeController.php', [
+      '<?php',
+      'namespace App\\Http\\Controllers;',
+      'class HomeController extends Controller { public function index() {} }',
+    ].join('\n') + '\n');
+    write('app/Services/ReportController.php', [
+      '<?php',
+      'namespace App\\Services;',
+      'class ReportController { public function build() {} }',
+    ].join('\n') + '\n');
+    write('app/controllers/application_controller.rb', 'class ApplicationController < ActionController::Base; end\n');
+    write('app/controllers/admin/users_controller.rb', [
+      'module Admin',
+      '  class UsersController < ApplicationController',
+      '    def index; end',
+      '  end',
+      'end',
+    ].join('\n') + '\n');
+    write('app/models/user.rb', 'class User < ApplicationRecord\n  def name; end\nend\n');
+    await new Indexer(testDir, { quiet: true }).run();
+  });
+
+  afterAll(() => {
+    rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it('finds controllers by what they derive from, not by their name', () => {
+    const db = openDb({ readonly: true, projectRoot: testDir });
+    try {
+      const ids = frameworkEntryPoints(db);
+      const names = db.prepare('SELECT id, qualified_name, is_exported FROM symbols').all()
+        .filter(s => ids.has(s.id))
+        .map(s => [s.qualified_name, s.is_exported])
+        .sort((a, b) => (a[0] < b[0] ? -1 : 1));
+      expect(names).toEqual([
+        ['Admin::UsersController', 1],
+        ['Admin::UsersController#index', 1],
+        ['App\\Http\\Controllers\\Controller', 1],
+        ['App\\Http\\Controllers\\HomeController', 1],
+        ['App\\Http\\Controllers\\HomeController::index', 1],
+        ['ApplicationController', 1],
+      ]);
+    } finally {
+      db.close();
+    }
+  });
+});